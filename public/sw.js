@@ -0,0 +1,45 @@
+// Shows habit reminders sent by the send-reminders function and routes clicks
+// back into the app. A click on "Mark done"/"Log" completes the habit; any other
+// click opens it. Open tabs handle the click themselves; otherwise the app is
+// opened with the action in the URL.
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch {
+    payload = { body: event.data?.text() };
+  }
+
+  const { title = 'Habit reminder', ...options } = payload;
+  event.waitUntil(self.registration.showNotification(title, options));
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  const { habitId, date } = event.notification.data || {};
+  if (!habitId) return;
+  const action = event.action === 'log' ? 'log' : 'open';
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const client = windows.find(w => w.visibilityState === 'visible') || windows[0];
+
+    if (client) {
+      client.postMessage({ type: 'habit-reminder', action, habitId, date });
+      if (action === 'open') await client.focus();
+      return;
+    }
+
+    const url = new URL('/', self.location.origin);
+    url.searchParams.set('reminder', action);
+    url.searchParams.set('habit', habitId);
+    if (date) url.searchParams.set('date', date);
+    await self.clients.openWindow(url.href);
+  })());
+});
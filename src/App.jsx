@@ -1,11 +1,164 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { createClient } from '@supabase/supabase-js';
+import {
+  addDays,
+  addMonths,
+  diffDays,
+  formatDate,
+  getActiveTimeZone,
+  getDeviceTimeZone,
+  getISOWeekStart,
+  getLocalMinutes,
+  getMonthStart,
+  getToday,
+  setActiveTimeZone,
+  toLocalDate,
+  zonedTimeToInstant
+} from './lib/dates.js';
+import {
+  countPeriodCompletions,
+  getPeriodCompletionRate,
+  getStreakUnit,
+  getTargetCount,
+  isLogComplete,
+  needsStreakRefresh
+} from './lib/habits.js';
+import {
+  WEEKDAY_LABELS,
+  describeSchedule,
+  getDueHabits,
+  getPeriodDates,
+  isPeriodHabit
+} from './lib/schedule.js';
+import {
+  discardPendingChanges,
+  getPendingChanges,
+  loadSnapshot,
+  queueChange,
+  saveSnapshot
+} from './lib/offlineStore.js';
+import {
+  createLocalId,
+  isLocalId,
+  isNetworkError,
+  isOwnChange,
+  syncPendingChanges
+} from './lib/sync.js';
+import { fetchAllPages } from './lib/pages.js';
+import { EXPORT_COLUMNS, buildCsvFiles, buildExportBundle } from './lib/export.js';
+import { buildImportPlan, chunkImportPlan, parseImportFiles } from './lib/importers.js';
+import { buildHeatmap, getHeatmapMonths, indexLogsByDate } from './lib/heatmap.js';
+import {
+  ANALYTICS_RANGES,
+  bucketScores,
+  compareWeeks,
+  getDailyScores,
+  getHabitRangeStats,
+  getRangeBounds,
+  getRangeSummary,
+  getTrend,
+  getWeekdayBreakdown,
+  normalizeRange
+} from './lib/analytics.js';
+import { MIN_GROUP_SIZE, MIN_NIGHTS, SHORT_SLEEP_HOURS, SIGNIFICANT_T, getSleepInsights } from './lib/insights.js';
+import { buildTimetableIcs, icsToTimetableEntries, parseIcs } from './lib/ical.js';
+import {
+  CLASS_COLORS,
+  CLASS_TYPES,
+  TIMETABLE_DAYS,
+  WEEK_PATTERNS,
+  expandDateRange,
+  findClashes,
+  findDuplicate,
+  getClassesForDate,
+  getTermForDate,
+  getTermWeek,
+  isRotating,
+  sortTimetable,
+  validateTerm,
+  validateTimetableEntry
+} from './lib/timetable.js';
+import {
+  DEFAULT_SLEEP_TARGET,
+  combineSleepSessions,
+  describeSleepSession,
+  findOverlappingSession,
+  formatClockMinutes,
+  formatSleepHours,
+  getSessionHours,
+  getSleepNight,
+  getSleepXpChange,
+  getRecentSleep,
+  getSleepConsistency,
+  getSleepDebt,
+  getSocialJetlag,
+  sortSleepLogs,
+  toNightMinutes,
+  validateSleepSession
+} from './lib/sleep.js';
+import {
+  DEFAULT_QUIET_HOURS,
+  MAX_REMINDER_TIMES,
+  buildReminderNotification,
+  createReminderScheduler,
+  getQuietHours,
+  isValidReminderTime,
+  normalizeReminderTimes
+} from './lib/reminders.js';
+import {
+  getNotificationPermission,
+  getPushSubscription,
+  readReminderAction,
+  registerServiceWorker,
+  showNotification,
+  subscribeToPush,
+  supportsNotifications,
+  supportsPush,
+  toSubscriptionRow
+} from './lib/notifications.js';
+import {
+  buildFallbackPlan,
+  buildFallbackReminder,
+  createAIProvider,
+  generateDailyPlanText,
+  generateReminderText,
+  getPlanContext
+} from './lib/ai.js';
+import { HABIT_XP, SLEEP_XP } from './lib/xp.js';
 
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseAnonKey = import.meta.env.VITE_SUPABASE_SUPABASE_ANON_KEY;
+const vapidPublicKey = import.meta.env.VITE_VAPID_PUBLIC_KEY;
 const supabase = createClient(supabaseUrl, supabaseAnonKey);
 
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent';
+// Set after an explicit sign-out so the next visit shows the sign-in screen
+// instead of quietly starting a new guest account.
+const SIGNED_OUT_KEY = 'habit-tracker-signed-out';
+
+const OAUTH_PROVIDERS = [
+  { id: 'google', label: 'Google' },
+  { id: 'github', label: 'GitHub' }
+];
+
+// Which model writes reminders and plans; see README. `proxy` goes through
+// the `ai` Edge Function and is the default outside development. Any other
+// provider is called from the browser, which is only safe locally.
+const aiProviderName = import.meta.env.VITE_AI_PROVIDER || (import.meta.env.DEV ? 'mock' : 'proxy');
+const useAIProxy = aiProviderName === 'proxy';
+const aiProvider = createAIProvider({
+  provider: aiProviderName,
+  apiKey: import.meta.env.VITE_AI_API_KEY,
+  model: import.meta.env.VITE_AI_MODEL,
+  baseUrl: import.meta.env.VITE_AI_BASE_URL
+});
+
+const requestAI = async (body) => {
+  const { data, error } = await supabase.functions.invoke('ai', { body });
+  if (error) throw error;
+  return data;
+};
+
+const isQuotaError = (error) => error?.context?.status === 429;
 
 const motivationalQuotes = [
   "Done is better than perfect",
@@ -44,16 +197,41 @@ function App() {
   const [userData, setUserData] = useState(null);
   const [habits, setHabits] = useState([]);
   const [habitLogs, setHabitLogs] = useState([]);
+  const [habitStreaks, setHabitStreaks] = useState([]);
   const [sleepLogs, setSleepLogs] = useState([]);
+  const [xpEvents, setXpEvents] = useState([]);
+  const [achievements, setAchievements] = useState([]);
+  const [userAchievements, setUserAchievements] = useState([]);
   const [timetable, setTimetable] = useState([]);
+  const [terms, setTerms] = useState([]);
   const [toasts, setToasts] = useState([]);
   const [carouselContent, setCarouselContent] = useState({ type: 'quote', content: motivationalQuotes[0] });
   const [aiPlan, setAiPlan] = useState('');
   const [aiPlanLoading, setAiPlanLoading] = useState(false);
-  const lastReminderCheck = useRef(Date.now());
+  const [currentDay, setCurrentDay] = useState(getToday());
+  const [selectedDate, setSelectedDate] = useState(getToday());
+  const [detectedTimeZone, setDetectedTimeZone] = useState(null);
+  const [syncStatus, setSyncStatus] = useState({ state: 'synced', pending: 0 });
+  const [notificationStatus, setNotificationStatus] = useState({ permission: getNotificationPermission(), pushEnabled: false });
+  const reminderState = useRef(null);
+  const reminderScheduler = useRef(null);
+  const latestReminderAction = useRef(null);
+  const activeUserId = useRef(null);
+  const latestSync = useRef(null);
+  const syncInFlight = useRef(false);
+  const syncRequested = useRef(false);
+  const recentWrites = useRef([]);
+  const lastStreakRefresh = useRef(null);
 
   useEffect(() => {
     initAuth();
+
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((event, session) => {
+      // Supabase calls made directly inside this callback can deadlock.
+      setTimeout(() => handleAuthChange(event, session), 0);
+    });
+
+    return () => subscription.unsubscribe();
   }, []);
 
   const initAuth = async () => {
@@ -61,13 +239,11 @@ function App() {
       const { data: { session } } = await supabase.auth.getSession();
 
       if (session) {
+        activeUserId.current = session.user.id;
         setUser(session.user);
         await loadUserData(session.user.id);
-      } else {
-        const { data, error } = await supabase.auth.signInAnonymously();
-        if (error) throw error;
-        setUser(data.user);
-        await createUserProfile(data.user.id);
+      } else if (!localStorage.getItem(SIGNED_OUT_KEY)) {
+        await startGuestSession();
       }
     } catch (error) {
       console.error('Auth error:', error);
@@ -77,11 +253,177 @@ function App() {
     }
   };
 
+  const startGuestSession = async () => {
+    const { data, error } = await supabase.auth.signInAnonymously();
+    if (error) throw error;
+    activeUserId.current = data.user.id;
+    localStorage.removeItem(SIGNED_OUT_KEY);
+    setUser(data.user);
+    await createUserProfile(data.user.id);
+  };
+
+  const handleAuthChange = async (event, session) => {
+    if (event === 'SIGNED_OUT') {
+      activeUserId.current = null;
+      setUser(null);
+      resetUserState();
+      return;
+    }
+
+    if (!session) return;
+
+    if (session.user.id === activeUserId.current) {
+      setUser(session.user);
+
+      // Linking an email to a guest account keeps the same user id.
+      if (event === 'USER_UPDATED' && session.user.email) {
+        await supabase
+          .from('users')
+          .update({ email: session.user.email })
+          .eq('id', session.user.id);
+        setUserData(prev => prev ? { ...prev, email: session.user.email } : prev);
+      }
+      return;
+    }
+
+    if (event === 'SIGNED_IN') {
+      activeUserId.current = session.user.id;
+      localStorage.removeItem(SIGNED_OUT_KEY);
+      resetUserState();
+      setUser(session.user);
+      setLoading(true);
+      await loadUserData(session.user.id);
+      setLoading(false);
+    }
+  };
+
+  const resetUserState = () => {
+    setUserData(null);
+    setHabits([]);
+    setHabitLogs([]);
+    setHabitStreaks([]);
+    setSleepLogs([]);
+    setTimetable([]);
+    setTerms([]);
+    setXpEvents([]);
+    setUserAchievements([]);
+    setAiPlan('');
+    setCurrentView('dashboard');
+  };
+
+  const getAuthRedirectUrl = () => window.location.origin + window.location.pathname;
+
+  const continueAsGuest = async () => {
+    setLoading(true);
+    try {
+      await startGuestSession();
+    } catch (error) {
+      console.error('Auth error:', error);
+      showToast('Failed to start a guest session', 'error');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const signInWithPassword = async (email, password) => {
+    try {
+      const { error } = await supabase.auth.signInWithPassword({ email, password });
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error signing in:', error);
+      showToast(error.message || 'Failed to sign in', 'error');
+    }
+  };
+
+  const sendMagicLink = async (email) => {
+    try {
+      const { error } = await supabase.auth.signInWithOtp({
+        email,
+        options: { shouldCreateUser: false, emailRedirectTo: getAuthRedirectUrl() }
+      });
+      if (error) throw error;
+      showToast(`Check ${email} for your sign-in link`, 'info', '📧');
+    } catch (error) {
+      console.error('Error sending magic link:', error);
+      showToast(error.message || 'Failed to send sign-in link', 'error');
+    }
+  };
+
+  const signInWithProvider = async (provider) => {
+    try {
+      const { error } = await supabase.auth.signInWithOAuth({
+        provider,
+        options: { redirectTo: getAuthRedirectUrl() }
+      });
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error signing in:', error);
+      showToast(error.message || 'Failed to sign in', 'error');
+    }
+  };
+
+  const linkEmail = async (email) => {
+    try {
+      const { error } = await supabase.auth.updateUser(
+        { email },
+        { emailRedirectTo: getAuthRedirectUrl() }
+      );
+      if (error) throw error;
+      showToast(`Check ${email} for a confirmation link`, 'info', '📧');
+    } catch (error) {
+      console.error('Error linking email:', error);
+      showToast(error.message || 'Failed to link email', 'error');
+    }
+  };
+
+  const setAccountPassword = async (password) => {
+    try {
+      const { error } = await supabase.auth.updateUser({ password });
+      if (error) throw error;
+      showToast('Password saved. You can now sign in with it on any device', 'success');
+    } catch (error) {
+      console.error('Error setting password:', error);
+      showToast(error.message || 'Failed to save password', 'error');
+    }
+  };
+
+  const linkProvider = async (provider) => {
+    try {
+      const { error } = await supabase.auth.linkIdentity({
+        provider,
+        options: { redirectTo: getAuthRedirectUrl() }
+      });
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error linking account:', error);
+      showToast(error.message || 'Failed to link account', 'error');
+    }
+  };
+
+  const signOut = async () => {
+    if (user?.is_anonymous && !confirm(
+      "You're using a guest account. Once you sign out, its habits and logs can't be recovered unless you link an email first. Sign out anyway?"
+    )) {
+      return;
+    }
+
+    try {
+      // Otherwise this device would keep getting the old account's reminders.
+      await disablePushReminders();
+      const { error } = await supabase.auth.signOut();
+      if (error) throw error;
+      localStorage.setItem(SIGNED_OUT_KEY, '1');
+    } catch (error) {
+      console.error('Error signing out:', error);
+      showToast('Failed to sign out', 'error');
+    }
+  };
+
   const createUserProfile = async (userId) => {
     try {
       const { error } = await supabase
         .from('users')
-        .insert([{ id: userId, xp: 0, level: 1, current_streak: 0, max_streak: 0 }]);
+        .insert([{ id: userId, timezone: getDeviceTimeZone() }]);
 
       if (error && error.code !== '23505') throw error;
       await loadUserData(userId);
@@ -105,452 +447,1157 @@ function App() {
         return;
       }
 
+      const deviceTimeZone = getDeviceTimeZone();
+
+      if (!profile.timezone) {
+        profile.timezone = deviceTimeZone;
+        await supabase
+          .from('users')
+          .update({ timezone: deviceTimeZone })
+          .eq('id', userId);
+      }
+
+      setActiveTimeZone(profile.timezone);
+      setCurrentDay(getToday());
+      setSelectedDate(getToday());
+      setDetectedTimeZone(profile.timezone !== deviceTimeZone ? deviceTimeZone : null);
+
       setUserData(profile);
       setDarkMode(profile.dark_mode || false);
 
-      const { data: habitsData } = await supabase
+      await loadUserTables(userId);
+      latestSync.current?.();
+    } catch (error) {
+      console.error('Error loading data:', error);
+      if (isNetworkError(error)) await restoreSnapshot(userId);
+    }
+  };
+
+  const loadUserTables = async (userId) => {
+    const results = await Promise.all([
+      supabase
         .from('habits')
         .select('*')
         .eq('user_id', userId)
-        .order('created_at', { ascending: true });
-
-      setHabits(habitsData || []);
-
-      const { data: logsData } = await supabase
+        .order('created_at', { ascending: true }),
+      fetchAllPages(() => supabase
         .from('habit_logs')
         .select('*')
         .eq('user_id', userId)
-        .order('log_date', { ascending: false });
-
-      setHabitLogs(logsData || []);
-
-      const { data: sleepData } = await supabase
+        .order('log_date', { ascending: false })
+        .order('id', { ascending: true })),
+      supabase
+        .from('habit_streaks')
+        .select('*')
+        .eq('user_id', userId)
+        .order('start_date', { ascending: false }),
+      fetchAllPages(() => supabase
         .from('sleep_logs')
         .select('*')
         .eq('user_id', userId)
         .order('log_date', { ascending: false })
-        .limit(7);
-
-      setSleepLogs(sleepData || []);
-
-      const { data: timetableData } = await supabase
+        .order('started_at', { ascending: false })
+        .order('id', { ascending: true })),
+      supabase
         .from('timetable_entries')
         .select('*')
         .eq('user_id', userId)
-        .order('day', { ascending: true });
+        .order('day', { ascending: true }),
+      supabase
+        .from('academic_terms')
+        .select('*')
+        .eq('user_id', userId)
+        .order('start_date', { ascending: true }),
+      supabase
+        .from('achievements')
+        .select('*')
+        .order('sort_order', { ascending: true }),
+      supabase
+        .from('user_achievements')
+        .select('*')
+        .eq('user_id', userId)
+    ]);
+
+    // Keep the current (or cached) data rather than blanking it on a failed load.
+    const failed = results.find(result => result.error);
+    if (failed) throw failed.error;
+
+    const [
+      habitsResult,
+      logsResult,
+      streaksResult,
+      sleepResult,
+      timetableResult,
+      termsResult,
+      achievementsResult,
+      unlockedResult
+    ] = results;
+
+    setHabits(habitsResult.data || []);
+    setHabitLogs(logsResult.data || []);
+    setHabitStreaks(streaksResult.data || []);
+    setSleepLogs(sleepResult.data || []);
+    setTimetable(timetableResult.data || []);
+    setTerms(termsResult.data || []);
+    setAchievements(achievementsResult.data || []);
+    setUserAchievements(unlockedResult.data || []);
+  };
 
-      setTimetable(timetableData || []);
+  const restoreSnapshot = async (userId) => {
+    try {
+      const snapshot = await loadSnapshot(userId);
+      if (!snapshot) return;
+
+      setActiveTimeZone(snapshot.userData.timezone);
+      setCurrentDay(getToday());
+      setSelectedDate(getToday());
+
+      setUserData(snapshot.userData);
+      setDarkMode(snapshot.userData.dark_mode || false);
+      setHabits(snapshot.habits);
+      setHabitLogs(snapshot.habitLogs);
+      setHabitStreaks(snapshot.habitStreaks);
+      setSleepLogs(snapshot.sleepLogs);
+      setTimetable(snapshot.timetable);
+      setTerms(snapshot.terms || []);
+      setAchievements(snapshot.achievements);
+      setUserAchievements(snapshot.userAchievements);
+
+      const pending = await getPendingChanges(userId);
+      setSyncStatus({ state: 'offline', pending: pending.length });
     } catch (error) {
-      console.error('Error loading data:', error);
+      console.error('Error loading offline data:', error);
     }
   };
 
-  const toggleDarkMode = async () => {
-    const newMode = !darkMode;
-    setDarkMode(newMode);
+  // Mirror what is on screen so the app can start without a connection.
+  useEffect(() => {
+    if (!user || !userData) return;
 
-    if (user) {
-      await supabase
-        .from('users')
-        .update({ dark_mode: newMode })
-        .eq('id', user.id);
-    }
-  };
+    saveSnapshot(user.id, {
+      userData,
+      habits,
+      habitLogs,
+      habitStreaks,
+      sleepLogs,
+      timetable,
+      terms,
+      achievements,
+      userAchievements
+    }).catch(error => console.error('Error caching data:', error));
+  }, [user, userData, habits, habitLogs, habitStreaks, sleepLogs, timetable, terms, achievements, userAchievements]);
 
-  const showToast = (message, type = 'success', icon = null) => {
-    const id = Date.now();
-    setToasts(prev => [...prev, { id, message, type, icon }]);
-    setTimeout(() => {
-      setToasts(prev => prev.filter(t => t.id !== id));
-    }, 4000);
-  };
+  useEffect(() => {
+    const handleOnline = () => latestSync.current?.();
+    const handleOffline = () => setSyncStatus(prev => ({ ...prev, state: 'offline' }));
 
-  const addXP = async (amount, message = null) => {
-    if (!user || !userData) return;
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    const interval = setInterval(() => {
+      if (navigator.onLine) latestSync.current?.();
+    }, 30000);
 
-    const newXP = userData.xp + amount;
-    const newLevel = Math.floor(newXP / 200) + 1;
-    const leveledUp = newLevel > userData.level;
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+      clearInterval(interval);
+    };
+  }, []);
 
-    await supabase
-      .from('users')
-      .update({ xp: newXP, level: newLevel })
-      .eq('id', user.id);
+  const syncTableSetters = {
+    habits: setHabits,
+    habit_logs: setHabitLogs,
+    sleep_logs: setSleepLogs,
+    timetable_entries: setTimetable,
+    academic_terms: setTerms
+  };
 
-    setUserData(prev => ({ ...prev, xp: newXP, level: newLevel }));
+  // Swaps the optimistic copy of a row for the one the server returned.
+  const mergeSyncedRow = (change, row) => {
+    const setRows = syncTableSetters[change.table];
+    if (!setRows || !row) return;
+
+    const matches = (r) =>
+      r.id === row.id ||
+      (change.localId && r.id === change.localId) ||
+      (change.table === 'habit_logs' && r.habit_id === row.habit_id && r.log_date === row.log_date);
+
+    setRows(prev => {
+      const next = prev.some(matches)
+        ? prev.map(r => (matches(r) ? row : r))
+        : [...prev, row];
+      return change.table === 'sleep_logs' ? sortSleepLogs(next) : next;
+    });
 
-    if (leveledUp) {
-      showToast(`🎉 Level Up! You're now Level ${newLevel}! That's how you grind! 💪`, 'success', '🎉');
-    } else if (message) {
-      showToast(message, 'success', '⚡');
-    } else {
-      showToast(`+${amount} XP! Keep crushing it! 🔥`, 'success', '⚡');
+    if (change.table === 'habits' && change.localId) {
+      setHabitLogs(prev => prev.map(l => l.habit_id === change.localId ? { ...l, habit_id: row.id } : l));
+    }
+    if (change.table === 'academic_terms' && change.localId) {
+      setTimetable(prev => prev.map(e => e.term_id === change.localId ? { ...e, term_id: row.id } : e));
     }
   };
 
-  const calculateStreak = useCallback(async () => {
-    if (!user || habits.length === 0) return;
+  const syncNow = async () => {
+    const userId = activeUserId.current;
+    if (!userId) return;
 
-    const today = new Date().toISOString().split('T')[0];
-    const dailyHabits = habits.filter(h => h.frequency === 'Daily');
-
-    if (dailyHabits.length === 0) return;
+    if (syncInFlight.current) {
+      syncRequested.current = true;
+      return;
+    }
 
-    let streak = 0;
-    let checkDate = new Date();
+    syncInFlight.current = true;
 
-    while (true) {
-      const dateStr = checkDate.toISOString().split('T')[0];
-      const logsForDate = habitLogs.filter(log => log.log_date === dateStr);
+    let xpMessage = null;
+    let progressChanged = false;
+    let rejectedCount = 0;
 
-      const completedCount = logsForDate.filter(log => {
-        const habit = dailyHabits.find(h => h.id === log.habit_id);
-        if (!habit) return false;
-        return habit.is_boolean ? log.completed : log.value >= habit.goal_value;
-      }).length;
+    try {
+      const pending = await getPendingChanges(userId);
+
+      if (pending.length > 0) {
+        setSyncStatus({ state: 'syncing', pending: pending.length });
+
+        const result = await syncPendingChanges(supabase, userId, {
+          onApplied: (change, row) => {
+            recentWrites.current.push({ ...change, recordId: row?.id ?? change.recordId, appliedAt: Date.now() });
+            mergeSyncedRow(change, row);
+            if (change.table !== 'timetable_entries' && change.table !== 'academic_terms') progressChanged = true;
+            if (change.xpMessage) xpMessage = change.xpMessage;
+          },
+          onRejected: (change, error) => {
+            console.error('Error syncing change:', change, error);
+            rejectedCount += 1;
+          }
+        });
 
-      if (completedCount === dailyHabits.length) {
-        streak++;
-        checkDate.setDate(checkDate.getDate() - 1);
+        setSyncStatus({ state: result.offline ? 'offline' : 'synced', pending: result.pending });
       } else {
-        break;
+        setSyncStatus({ state: navigator.onLine ? 'synced' : 'offline', pending: 0 });
       }
 
-      if (streak > 365) break;
-    }
-
-    if (streak !== userData.current_streak) {
-      const maxStreak = Math.max(streak, userData.max_streak);
-
-      await supabase
-        .from('users')
-        .update({ current_streak: streak, max_streak: maxStreak })
-        .eq('id', user.id);
+      if (rejectedCount > 0) {
+        showToast(`${rejectedCount} change${rejectedCount === 1 ? " couldn't" : "s couldn't"} be saved and ${rejectedCount === 1 ? 'was' : 'were'} undone`, 'error');
+        await loadUserTables(userId);
+      }
 
-      setUserData(prev => ({ ...prev, current_streak: streak, max_streak: maxStreak }));
+      if (progressChanged) await refreshProgress(xpMessage);
+    } catch (error) {
+      console.error('Error syncing:', error);
+      setSyncStatus(prev => ({ ...prev, state: 'offline' }));
+    } finally {
+      syncInFlight.current = false;
+    }
 
-      if (streak === 7) {
-        showToast('🔥 7-Day Streak! You absolute legend! Keep the fire burning! 🔥', 'success', '🏆');
+    if (syncRequested.current) {
+      syncRequested.current = false;
+      await latestSync.current?.();
+    }
+  };
+  latestSync.current = syncNow;
+
+  // Live updates from other devices. Changes this device made itself are
+  // skipped: they are either still queued (local state is already newer) or
+  // were just merged from the server's response.
+  const handleRealtimeChange = async ({ table, eventType, new: record, old }) => {
+    const userId = activeUserId.current;
+    const row = eventType === 'DELETE' ? old : record;
+    if (!userId || !row) return;
+
+    if (table === 'users') {
+      if (record.timezone && record.timezone !== getActiveTimeZone()) {
+        setActiveTimeZone(record.timezone);
+        setCurrentDay(getToday());
+        setSelectedDate(getToday());
       }
+      if (typeof record.dark_mode === 'boolean') setDarkMode(record.dark_mode);
+      setUserData(prev => prev ? { ...prev, ...record } : prev);
+      return;
     }
-  }, [user, habits, habitLogs, userData]);
 
-  useEffect(() => {
-    if (user && userData) {
-      calculateStreak();
+    const now = Date.now();
+    recentWrites.current = recentWrites.current.filter(w => now - w.appliedAt < 30000);
+
+    const echoIndex = recentWrites.current.findIndex(w => isOwnChange(w, table, row));
+    if (echoIndex !== -1) {
+      recentWrites.current.splice(echoIndex, 1);
+      return;
     }
-  }, [habitLogs, calculateStreak]);
 
-  useEffect(() => {
-    const interval = setInterval(() => {
-      const currentStreak = userData?.current_streak || 0;
-      const isGoodStreak = currentStreak >= 3;
+    const pending = await getPendingChanges(userId).catch(() => []);
+    if (pending.some(change => isOwnChange(change, table, row))) return;
 
-      const contentType = Math.random() > 0.5 ? 'quote' : 'meme';
+    const setRows = syncTableSetters[table];
+    if (!setRows) return;
 
-      if (contentType === 'quote') {
-        const quote = motivationalQuotes[Math.floor(Math.random() * motivationalQuotes.length)];
-        setCarouselContent({ type: 'quote', content: quote });
-      } else {
-        const memePool = isGoodStreak ? goodStreakMemes : badStreakMemes;
-        const meme = memePool[Math.floor(Math.random() * memePool.length)];
-        setCarouselContent({ type: 'meme', content: meme });
-      }
-    }, 5000);
+    if (eventType === 'DELETE') {
+      setRows(prev => prev.filter(r => r.id !== old.id));
+      if (table === 'habits') setHabitLogs(prev => prev.filter(l => l.habit_id !== old.id));
+      if (table === 'academic_terms') setTimetable(prev => prev.map(e => e.term_id === old.id ? { ...e, term_id: null } : e));
+      return;
+    }
 
-    return () => clearInterval(interval);
-  }, [userData]);
+    setRows(prev => {
+      const next = prev.some(r => r.id === record.id)
+        ? prev.map(r => r.id === record.id ? { ...r, ...record } : r)
+        : [...prev, record];
+      return table === 'sleep_logs' ? sortSleepLogs(next) : next;
+    });
+  };
 
   useEffect(() => {
-    if (!user) return;
-
-    const checkReminders = async () => {
-      const now = new Date();
-      const hour = now.getHours();
-
-      if (hour < 9 || hour > 21) return;
-
-      const timeSinceLastCheck = Date.now() - lastReminderCheck.current;
-      if (timeSinceLastCheck < 3600000) return;
-
-      lastReminderCheck.current = Date.now();
+    const userId = user?.id;
+    if (!userId) return;
 
-      const today = now.toISOString().split('T')[0];
-      const dailyHabits = habits.filter(h => h.frequency === 'Daily');
+    let subscribedBefore = false;
+    const onChange = (payload) => {
+      handleRealtimeChange(payload).catch(error => console.error('Error applying live update:', error));
+    };
 
-      for (const habit of dailyHabits) {
-        const log = habitLogs.find(l => l.habit_id === habit.id && l.log_date === today);
-        const isIncomplete = !log || !log.completed || (habit.goal_value && log.value < habit.goal_value);
+    const channel = supabase.channel(`user-data-${userId}`);
+    ['habits', 'habit_logs', 'sleep_logs', 'timetable_entries', 'academic_terms'].forEach(table => {
+      const filter = `user_id=eq.${userId}`;
+      channel
+        .on('postgres_changes', { event: 'INSERT', schema: 'public', table, filter }, onChange)
+        .on('postgres_changes', { event: 'UPDATE', schema: 'public', table, filter }, onChange);
+    });
 
-        if (isIncomplete) {
-          const reminder = await generateAIReminder(habit.name);
-          if (reminder) {
-            showToast(reminder, 'info', '⚡');
+    // Deletes can't be filtered by user, so the database broadcasts them on a
+    // private channel of their own; see broadcast_user_delete().
+    const deletes = supabase
+      .channel(`user-deletes:${userId}`, { config: { private: true } })
+      .on('broadcast', { event: 'DELETE' }, ({ payload }) => onChange({ ...payload, eventType: 'DELETE' }))
+      .subscribe();
+    channel
+      .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'users', filter: `id=eq.${userId}` }, onChange)
+      .subscribe(async (status) => {
+        if (status !== 'SUBSCRIBED') return;
+
+        // Catch up on anything missed while the connection was down.
+        if (subscribedBefore) {
+          const pending = await getPendingChanges(userId).catch(() => []);
+          if (pending.length === 0) {
+            loadUserTables(userId).catch(error => console.error('Error reloading data:', error));
           }
-          break;
         }
-      }
+        subscribedBefore = true;
+      });
+
+    return () => {
+      supabase.removeChannel(channel);
+      supabase.removeChannel(deletes);
     };
+  }, [user?.id]);
+
+  // Writes land in local state at once and reach Supabase through the sync
+  // queue, so they survive a dropped connection.
+  const queueWrite = async (change) => {
+    await queueChange({ ...change, userId: user.id });
+    setSyncStatus(prev => ({
+      state: navigator.onLine ? 'syncing' : 'offline',
+      pending: prev.pending + 1
+    }));
+    latestSync.current?.();
+  };
+
+  const toggleDarkMode = async () => {
+    const newMode = !darkMode;
+    setDarkMode(newMode);
 
-    const reminderInterval = setInterval(checkReminders, 3600000);
-    checkReminders();
+    if (user) {
+      await supabase
+        .from('users')
+        .update({ dark_mode: newMode })
+        .eq('id', user.id);
+    }
+  };
 
-    return () => clearInterval(reminderInterval);
-  }, [user, habits, habitLogs]);
+  const updateTimeZone = async (timeZone) => {
+    setDetectedTimeZone(null);
+    if (!user || timeZone === getActiveTimeZone()) return;
 
-  const generateAIReminder = async (habitName) => {
     try {
-      const response = await fetchWithRetry(GEMINI_API_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: `Generate a short, encouraging reminder (max 15 words) for a college student to complete their habit: "${habitName}". Be friendly and motivating.`
-            }]
-          }]
-        })
-      });
+      const { error } = await supabase
+        .from('users')
+        .update({ timezone: timeZone })
+        .eq('id', user.id);
+
+      if (error) throw error;
 
-      const data = await response.json();
-      return data.candidates?.[0]?.content?.parts?.[0]?.text?.trim() || null;
+      setActiveTimeZone(timeZone);
+      setUserData(prev => ({ ...prev, timezone: timeZone }));
+      setCurrentDay(getToday());
+      setSelectedDate(getToday());
+      showToast(`Your days now follow ${timeZone} time`, 'success', '🌍');
     } catch (error) {
-      console.error('AI reminder error:', error);
-      return null;
+      console.error('Error updating time zone:', error);
+      showToast('Failed to update time zone', 'error');
     }
   };
 
-  const fetchWithRetry = async (url, options, maxRetries = 3) => {
-    for (let i = 0; i < maxRetries; i++) {
-      try {
-        const response = await fetch(url, options);
-        if (response.ok) return response;
+  // Roll "today" over at local midnight without needing a reload.
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const today = getToday();
+      if (today !== currentDay) {
+        setSelectedDate(prev => prev === currentDay ? today : prev);
+        setCurrentDay(today);
+      }
+    }, 60000);
 
-        if (response.status === 429 || response.status >= 500) {
-          const delay = Math.pow(2, i) * 1000;
-          await new Promise(resolve => setTimeout(resolve, delay));
-          continue;
-        }
+    return () => clearInterval(interval);
+  }, [currentDay]);
 
-        return response;
-      } catch (error) {
-        if (i === maxRetries - 1) throw error;
-        const delay = Math.pow(2, i) * 1000;
-        await new Promise(resolve => setTimeout(resolve, delay));
-      }
-    }
+  const showToast = (message, type = 'success', icon = null) => {
+    const id = Date.now();
+    setToasts(prev => [...prev, { id, message, type, icon }]);
+    setTimeout(() => {
+      setToasts(prev => prev.filter(t => t.id !== id));
+    }, 4000);
   };
 
-  const createHabit = async (habitData) => {
-    if (!user) return;
+  // XP, levels and streaks are maintained by database triggers on the log
+  // tables. This pulls the latest values and announces whatever changed.
+  const refreshProgress = async (xpMessage = null) => {
+    if (!user || !userData) return;
 
     try {
-      const { data, error } = await supabase
-        .from('habits')
-        .insert([{ ...habitData, user_id: user.id }])
-        .select()
-        .single();
+      const [profileResult, habitsResult, streaksResult, unlockedResult] = await Promise.all([
+        supabase
+          .from('users')
+          .select('xp, level, current_streak, max_streak')
+          .eq('id', user.id)
+          .single(),
+        supabase
+          .from('habits')
+          .select('id, current_streak, best_streak')
+          .eq('user_id', user.id),
+        supabase
+          .from('habit_streaks')
+          .select('*')
+          .eq('user_id', user.id)
+          .order('start_date', { ascending: false }),
+        supabase
+          .from('user_achievements')
+          .select('*')
+          .eq('user_id', user.id)
+      ]);
+
+      if (profileResult.error) throw profileResult.error;
+      if (habitsResult.error) throw habitsResult.error;
+      if (streaksResult.error) throw streaksResult.error;
+      if (unlockedResult.error) throw unlockedResult.error;
+
+      const profile = profileResult.data;
+      const xpGained = profile.xp - userData.xp;
+
+      setUserData(prev => ({ ...prev, ...profile }));
+      setHabits(prev => prev.map(h => {
+        const row = habitsResult.data.find(r => r.id === h.id);
+        return row ? { ...h, current_streak: row.current_streak, best_streak: row.best_streak } : h;
+      }));
+      setHabitStreaks(streaksResult.data || []);
+      setUserAchievements(unlockedResult.data || []);
+
+      if (profile.level > userData.level) {
+        showToast(`🎉 Level Up! You're now Level ${profile.level}! That's how you grind! 💪`, 'success', '🎉');
+      } else if (xpGained > 0) {
+        showToast(xpMessage || `+${xpGained} XP! Keep crushing it! 🔥`, 'success', '⚡');
+      } else if (xpGained < 0) {
+        showToast(`${xpGained} XP. Completion undone`, 'info', '↩️');
+      }
 
-      if (error) throw error;
+      unlockedResult.data
+        .filter(row => !userAchievements.some(u => u.achievement_id === row.achievement_id))
+        .forEach(row => {
+          const achievement = achievements.find(a => a.id === row.achievement_id);
+          if (achievement) {
+            showToast(`Achievement unlocked: ${achievement.name}! ${achievement.description}`, 'success', achievement.icon);
+          }
+        });
 
-      setHabits(prev => [...prev, data]);
-      showToast('Habit created successfully!', 'success');
+      habitsResult.data.forEach(row => {
+        const habit = habits.find(h => h.id === row.id);
+        if (!habit) return;
+
+        const justExtended = row.current_streak === (habit.current_streak || 0) + 1;
+        if (justExtended && row.current_streak === row.best_streak && row.best_streak > (habit.best_streak || 0) && row.best_streak >= 3) {
+          showToast(`🏅 New best for ${habit.name}: ${row.best_streak} ${getStreakUnit(habit)} streak!`, 'success', '🏅');
+        }
+      });
     } catch (error) {
-      console.error('Error creating habit:', error);
-      showToast('Failed to create habit', 'error');
+      console.error('Error refreshing progress:', error);
     }
   };
 
-  const updateHabit = async (habitId, updates) => {
+  const getEditableFromDate = () => {
+    const limit = userData?.backfill_limit_days;
+    return limit === null || limit === undefined ? null : addDays(getToday(), -limit);
+  };
+
+  const canEditDate = (date) => {
+    const editableFrom = getEditableFromDate();
+    if (date > getToday()) {
+      showToast("You can't log the future (yet) 🔮", 'error');
+      return false;
+    }
+    if (editableFrom && date < editableFrom) {
+      showToast(`Logs older than ${userData.backfill_limit_days} days are locked`, 'error');
+      return false;
+    }
+    return true;
+  };
+
+  const updateBackfillLimit = async (limitDays) => {
+    if (!user) return;
+
     try {
       const { error } = await supabase
-        .from('habits')
-        .update(updates)
-        .eq('id', habitId);
+        .from('users')
+        .update({ backfill_limit_days: limitDays })
+        .eq('id', user.id);
 
       if (error) throw error;
 
-      setHabits(prev => prev.map(h => h.id === habitId ? { ...h, ...updates } : h));
-      showToast('Habit updated!', 'success');
+      setUserData(prev => ({ ...prev, backfill_limit_days: limitDays }));
     } catch (error) {
-      console.error('Error updating habit:', error);
-      showToast('Failed to update habit', 'error');
+      console.error('Error updating edit limit:', error);
+      showToast('Failed to update edit limit', 'error');
     }
   };
 
-  const deleteHabit = async (habitId) => {
+  const updateSleepTarget = async (hours) => {
+    if (!user) return;
+
     try {
       const { error } = await supabase
-        .from('habits')
-        .delete()
-        .eq('id', habitId);
+        .from('users')
+        .update({ sleep_target_hours: hours })
+        .eq('id', user.id);
 
       if (error) throw error;
 
-      setHabits(prev => prev.filter(h => h.id !== habitId));
-      showToast('Habit deleted', 'success');
+      setUserData(prev => ({ ...prev, sleep_target_hours: hours }));
     } catch (error) {
-      console.error('Error deleting habit:', error);
-      showToast('Failed to delete habit', 'error');
+      console.error('Error updating sleep target:', error);
+      showToast('Failed to update sleep target', 'error');
     }
   };
 
-  const logHabit = async (habitId, value = null) => {
+  // Pass nulls to turn quiet hours off.
+  const updateQuietHours = async (start, end) => {
     if (!user) return;
 
-    const today = new Date().toISOString().split('T')[0];
-    const habit = habits.find(h => h.id === habitId);
+    try {
+      const { error } = await supabase
+        .from('users')
+        .update({ quiet_hours_start: start, quiet_hours_end: end })
+        .eq('id', user.id);
 
-    if (!habit) return;
+      if (error) throw error;
+
+      setUserData(prev => ({ ...prev, quiet_hours_start: start, quiet_hours_end: end }));
+    } catch (error) {
+      console.error('Error updating quiet hours:', error);
+      showToast('Failed to update quiet hours', 'error');
+    }
+  };
+
+  useEffect(() => {
+    if (!user || !supportsNotifications()) return;
+
+    registerServiceWorker()
+      .then(() => getPushSubscription())
+      .then(subscription => setNotificationStatus({
+        permission: getNotificationPermission(),
+        pushEnabled: Boolean(subscription)
+      }))
+      .catch(error => console.error('Error registering service worker:', error));
+  }, [user?.id]);
+
+  // Push reminders come from the send-reminders function and reach this device
+  // even when the app is closed. Without a VAPID key the permission still lets
+  // open tabs show reminders as notifications.
+  const enablePushReminders = async () => {
+    if (!user || !supportsNotifications()) return;
 
     try {
-      const existingLog = habitLogs.find(l => l.habit_id === habitId && l.log_date === today);
+      const permission = await Notification.requestPermission();
+      if (permission !== 'granted') {
+        setNotificationStatus(prev => ({ ...prev, permission }));
+        showToast('Notifications are blocked for this site in your browser settings', 'error');
+        return;
+      }
 
-      if (existingLog) {
-        const newValue = habit.is_boolean ? !existingLog.completed : (value ?? 0);
-        const completed = habit.is_boolean ? !existingLog.completed : newValue >= habit.goal_value;
+      let pushEnabled = false;
+      if (vapidPublicKey && supportsPush()) {
+        const subscription = await subscribeToPush(vapidPublicKey);
+        const { error } = await supabase
+          .from('push_subscriptions')
+          .upsert({ user_id: user.id, ...toSubscriptionRow(subscription) }, { onConflict: 'endpoint' });
+
+        if (error) throw error;
+        pushEnabled = true;
+      }
+
+      setNotificationStatus({ permission, pushEnabled });
+      showToast(pushEnabled ? 'Reminders will arrive even when the app is closed' : 'Reminders will show while the app is open', 'success');
+    } catch (error) {
+      console.error('Error enabling notifications:', error);
+      showToast('Failed to turn on notifications', 'error');
+    }
+  };
 
+  const disablePushReminders = async () => {
+    try {
+      const subscription = await getPushSubscription();
+      if (subscription) {
         const { error } = await supabase
-          .from('habit_logs')
-          .update({ completed, value: newValue })
-          .eq('id', existingLog.id);
+          .from('push_subscriptions')
+          .delete()
+          .eq('endpoint', subscription.endpoint);
 
         if (error) throw error;
+        await subscription.unsubscribe();
+      }
+
+      setNotificationStatus(prev => ({ ...prev, pushEnabled: false }));
+    } catch (error) {
+      console.error('Error disabling notifications:', error);
+      showToast('Failed to turn off notifications', 'error');
+    }
+  };
 
-        setHabitLogs(prev => prev.map(l =>
-          l.id === existingLog.id ? { ...l, completed, value: newValue } : l
-        ));
+  // Streaks depend on what "today" is, so bring them up to date when the app
+  // opens and again after midnight.
+  const userDataLoaded = Boolean(userData);
+  useEffect(() => {
+    if (!userDataLoaded || !needsStreakRefresh(lastStreakRefresh.current, user?.id, currentDay)) return;
+    lastStreakRefresh.current = { userId: user.id, day: currentDay };
 
-        if (completed && !existingLog.completed) {
-          await addXP(50, `+50 XP! ${habit.name} completed! That's how you grind! 💪`);
-        }
+    const refreshStreaks = async () => {
+      const { error } = await supabase.rpc('refresh_my_streaks');
+      if (error) {
+        console.error('Error refreshing streaks:', error);
+        return;
+      }
+      await refreshProgress();
+    };
+
+    refreshStreaks();
+  }, [user?.id, userDataLoaded, currentDay]);
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const currentStreak = userData?.current_streak || 0;
+      const isGoodStreak = currentStreak >= 3;
+
+      const contentType = Math.random() > 0.5 ? 'quote' : 'meme';
+
+      if (contentType === 'quote') {
+        const quote = motivationalQuotes[Math.floor(Math.random() * motivationalQuotes.length)];
+        setCarouselContent({ type: 'quote', content: quote });
       } else {
-        const newValue = habit.is_boolean ? 0 : (value ?? 0);
-        const completed = habit.is_boolean ? true : newValue >= habit.goal_value;
-
-        const { data, error } = await supabase
-          .from('habit_logs')
-          .insert([{
-            user_id: user.id,
-            habit_id: habitId,
-            completed,
-            value: newValue,
-            log_date: today
-          }])
-          .select()
-          .single();
+        const memePool = isGoodStreak ? goodStreakMemes : badStreakMemes;
+        const meme = memePool[Math.floor(Math.random() * memePool.length)];
+        setCarouselContent({ type: 'meme', content: meme });
+      }
+    }, 5000);
 
-        if (error) throw error;
+    return () => clearInterval(interval);
+  }, [userData]);
+
+  reminderState.current = {
+    habits,
+    habitLogs,
+    timetable,
+    terms,
+    quietHours: getQuietHours(userData),
+    timeZone: getActiveTimeZone(),
+    pushEnabled: notificationStatus.pushEnabled
+  };
+
+  // Reminders while the app is open. Devices subscribed to push already get
+  // them from the send-reminders function, so they're left to that.
+  useEffect(() => {
+    if (!user) return;
 
-        setHabitLogs(prev => [data, ...prev]);
+    const scheduler = createReminderScheduler({
+      getState: () => reminderState.current,
+      onReminder: async (reminder) => {
+        if (reminderState.current.pushEnabled) return;
 
-        if (completed) {
-          await addXP(50, `+50 XP! ${habit.name} completed! That's how you grind! 💪`);
+        if (document.visibilityState === 'visible') {
+          showToast(await writeReminder(reminder.habit), 'info', '⚡');
+          return;
+        }
+
+        try {
+          await showNotification(buildReminderNotification(reminder));
+        } catch (error) {
+          console.error('Error showing reminder:', error);
         }
       }
-    } catch (error) {
-      console.error('Error logging habit:', error);
-      showToast('Failed to log habit', 'error');
+    });
+
+    scheduler.start();
+    reminderScheduler.current = scheduler;
+
+    return () => {
+      scheduler.stop();
+      reminderScheduler.current = null;
+    };
+  }, [user?.id]);
+
+  // A new reminder time may come before the one the scheduler is waiting for.
+  useEffect(() => {
+    reminderScheduler.current?.refresh();
+  }, [habits, timetable, terms, userData?.quiet_hours_start, userData?.quiet_hours_end]);
+
+  // Clicking a reminder either logs the habit or opens its day.
+  const handleReminderAction = async ({ action, habitId, date }) => {
+    const habit = habits.find(h => h.id === habitId);
+    if (!habit) return;
+
+    const day = date || getToday();
+    if (action !== 'log') {
+      setSelectedDate(day);
+      setCurrentView('dashboard');
+      return;
+    }
+
+    const log = habitLogs.find(l => l.habit_id === habitId && l.log_date === day);
+    if (!isLogComplete(habit, log)) {
+      await logHabit(habitId, habit.is_boolean ? null : habit.goal_value, day);
     }
   };
 
-  const logSleep = async (sleepData) => {
+  latestReminderAction.current = handleReminderAction;
+
+  useEffect(() => {
+    if (!supportsNotifications()) return;
+
+    const handleMessage = (event) => {
+      if (event.data?.type === 'habit-reminder') latestReminderAction.current?.(event.data);
+    };
+
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, []);
+
+  // The service worker opens the app with the action in the URL when no tab is open.
+  useEffect(() => {
+    if (loading || !user) return;
+
+    const reminderAction = readReminderAction(window.location.search);
+    if (!reminderAction) return;
+
+    window.history.replaceState(null, '', window.location.pathname);
+    latestReminderAction.current?.(reminderAction);
+  }, [loading, user?.id]);
+
+  const createHabit = async (habitData) => {
     if (!user) return;
 
     try {
-      const { bedtime, wakeTime, quality } = sleepData;
-      const totalHours = calculateSleepHours(bedtime, wakeTime);
-      const today = new Date().toISOString().split('T')[0];
-
-      const existingLog = sleepLogs.find(l => l.log_date === today);
+      const localId = createLocalId();
+      const values = { ...habitData, user_id: user.id };
+
+      await queueWrite({ table: 'habits', op: 'insert', key: `habits:${localId}`, localId, values });
+
+      setHabits(prev => [...prev, {
+        ...values,
+        id: localId,
+        current_streak: 0,
+        best_streak: 0,
+        created_at: new Date().toISOString()
+      }]);
+      showToast('Habit created successfully!', 'success');
+    } catch (error) {
+      console.error('Error creating habit:', error);
+      showToast('Failed to create habit', 'error');
+    }
+  };
 
-      if (existingLog) {
-        const { error } = await supabase
-          .from('sleep_logs')
-          .update({
-            bedtime,
-            wake_time: wakeTime,
-            quality,
-            total_hours: totalHours
-          })
-          .eq('id', existingLog.id);
+  const updateHabit = async (habitId, updates) => {
+    try {
+      await queueWrite({
+        table: 'habits',
+        op: 'update',
+        key: `habits:${habitId}`,
+        recordId: habitId,
+        values: updates
+      });
 
-        if (error) throw error;
+      setHabits(prev => prev.map(h => h.id === habitId ? { ...h, ...updates } : h));
+      showToast('Habit updated!', 'success');
+    } catch (error) {
+      console.error('Error updating habit:', error);
+      showToast('Failed to update habit', 'error');
+    }
+  };
 
-        setSleepLogs(prev => prev.map(l =>
-          l.id === existingLog.id
-            ? { ...l, bedtime, wake_time: wakeTime, quality, total_hours: totalHours }
-            : l
-        ));
+  const deleteHabit = async (habitId) => {
+    try {
+      if (isLocalId(habitId)) {
+        await discardPendingChanges(user.id, habitId);
       } else {
-        const { data, error } = await supabase
-          .from('sleep_logs')
-          .insert([{
-            user_id: user.id,
-            bedtime,
-            wake_time: wakeTime,
-            quality,
-            total_hours: totalHours,
-            log_date: today
-          }])
-          .select()
-          .single();
+        await queueWrite({ table: 'habits', op: 'delete', recordId: habitId });
+      }
 
-        if (error) throw error;
+      setHabits(prev => prev.filter(h => h.id !== habitId));
+      setHabitLogs(prev => prev.filter(l => l.habit_id !== habitId));
+      setHabitStreaks(prev => prev.filter(s => s.habit_id !== habitId));
+      showToast('Habit deleted', 'success');
+    } catch (error) {
+      console.error('Error deleting habit:', error);
+      showToast('Failed to delete habit', 'error');
+    }
+  };
 
-        setSleepLogs(prev => [data, ...prev]);
-        await addXP(10, '+10 XP for logging sleep! Rest is progress too! 😴');
+  const logHabit = async (habitId, value = null, logDate = getToday()) => {
+    if (!user) return;
+
+    const habit = habits.find(h => h.id === habitId);
+
+    if (!habit || !canEditDate(logDate)) return;
+
+    try {
+      const existingLog = habitLogs.find(l => l.habit_id === habitId && l.log_date === logDate);
+
+      let newValue;
+      let completed;
+      if (existingLog) {
+        newValue = habit.is_boolean ? !existingLog.completed : (value ?? 0);
+        completed = habit.is_boolean ? !existingLog.completed : newValue >= habit.goal_value;
+      } else {
+        newValue = habit.is_boolean ? 0 : (value ?? 0);
+        completed = habit.is_boolean ? true : newValue >= habit.goal_value;
       }
 
-      showToast('Sleep logged successfully!', 'success');
+      // Taken now rather than on the server, so a change queued offline keeps
+      // the time it was made. A log that stays complete keeps its time.
+      const completedAt = !completed
+        ? null
+        : existingLog?.completed_at && isLogComplete(habit, existingLog)
+          ? existingLog.completed_at
+          : new Date().toISOString();
+
+      // Upserting on (user_id, habit_id, log_date) merges with a log another
+      // device made for the same day while this one was offline.
+      const values = {
+        user_id: user.id,
+        habit_id: habitId,
+        log_date: logDate,
+        completed,
+        value: newValue,
+        completed_at: completedAt
+      };
+
+      await queueWrite({
+        table: 'habit_logs',
+        op: 'upsert',
+        key: `habit_logs:${habitId}:${logDate}`,
+        values,
+        xpMessage: `+${HABIT_XP} XP! ${habit.name} completed! That's how you grind! 💪`
+      });
+
+      setHabitLogs(prev => existingLog
+        ? prev.map(l => l.id === existingLog.id ? { ...l, completed, value: newValue, completed_at: completedAt } : l)
+        : [{ ...values, id: createLocalId() }, ...prev]);
+    } catch (error) {
+      console.error('Error logging habit:', error);
+      showToast('Failed to log habit', 'error');
+    }
+  };
+
+  const checkSleepSession = (session) => {
+    const [firstError] = Object.values(validateSleepSession(session));
+    if (firstError) {
+      showToast(firstError, 'error');
+      return false;
+    }
+
+    const overlap = findOverlappingSession(session, sleepLogs);
+    if (overlap) {
+      showToast(`That overlaps your sleep from ${overlap.bedtime} to ${overlap.wake_time}`, 'error');
+      return false;
+    }
+
+    // Waking in the evening counts toward tomorrow, which is still editable.
+    const night = getSleepNight(session.ended_at);
+    return canEditDate(night > getToday() ? getToday() : night);
+  };
+
+  // `session` has started_at and ended_at instants, quality and is_nap.
+  const logSleepSession = async (session) => {
+    if (!user || !checkSleepSession(session)) return false;
+
+    try {
+      const localId = createLocalId();
+      const values = {
+        user_id: user.id,
+        started_at: session.started_at,
+        ended_at: session.ended_at,
+        is_nap: session.is_nap,
+        quality: session.quality,
+        ...describeSleepSession(session.started_at, session.ended_at)
+      };
+      const { earned } = getSleepXpChange(sleepLogs, localId, null, values.log_date);
+
+      await queueWrite({
+        table: 'sleep_logs',
+        op: 'insert',
+        key: `sleep_logs:${localId}`,
+        localId,
+        values,
+        xpMessage: earned ? `+${SLEEP_XP} XP for logging sleep! Rest is progress too! 😴` : null
+      });
+
+      setSleepLogs(prev => sortSleepLogs([...prev, { ...values, id: localId }]));
+      showToast(session.is_nap ? 'Nap logged!' : 'Sleep logged successfully!', 'success');
+      return true;
     } catch (error) {
       console.error('Error logging sleep:', error);
       showToast('Failed to log sleep', 'error');
+      return false;
     }
   };
 
-  const calculateSleepHours = (bedtime, wakeTime) => {
-    const [bedHour, bedMin] = bedtime.split(':').map(Number);
-    const [wakeHour, wakeMin] = wakeTime.split(':').map(Number);
+  const updateSleepSession = async (sessionId, session) => {
+    if (!user || !checkSleepSession({ ...session, id: sessionId })) return false;
 
-    let bedMinutes = bedHour * 60 + bedMin;
-    let wakeMinutes = wakeHour * 60 + wakeMin;
+    try {
+      const values = {
+        started_at: session.started_at,
+        ended_at: session.ended_at,
+        is_nap: session.is_nap,
+        quality: session.quality,
+        ...describeSleepSession(session.started_at, session.ended_at)
+      };
+      const previous = sleepLogs.find(l => l.id === sessionId);
+      const { earned } = getSleepXpChange(sleepLogs, sessionId, previous?.log_date ?? null, values.log_date);
+
+      await queueWrite({
+        table: 'sleep_logs',
+        op: 'update',
+        key: `sleep_logs:${sessionId}`,
+        recordId: sessionId,
+        values,
+        // Left out otherwise, so an edit doesn't drop the message of an
+        // insert still waiting in the queue.
+        ...(earned && { xpMessage: `+${SLEEP_XP} XP for logging sleep! Rest is progress too! 😴` })
+      });
 
-    if (wakeMinutes < bedMinutes) {
-      wakeMinutes += 24 * 60;
+      setSleepLogs(prev => sortSleepLogs(prev.map(l => l.id === sessionId ? { ...l, ...values } : l)));
+      showToast('Sleep updated', 'success');
+      return true;
+    } catch (error) {
+      console.error('Error updating sleep:', error);
+      showToast('Failed to update sleep', 'error');
+      return false;
     }
+  };
+
+  const deleteSleepSession = async (session) => {
+    if (!user || !canEditDate(session.log_date > getToday() ? getToday() : session.log_date)) return;
 
-    return ((wakeMinutes - bedMinutes) / 60).toFixed(1);
+    try {
+      if (isLocalId(session.id)) {
+        await discardPendingChanges(user.id, session.id);
+      } else {
+        await queueWrite({ table: 'sleep_logs', op: 'delete', recordId: session.id });
+      }
+
+      setSleepLogs(prev => prev.filter(l => l.id !== session.id));
+      showToast('Sleep removed', 'success');
+    } catch (error) {
+      console.error('Error deleting sleep:', error);
+      showToast('Failed to remove sleep', 'error');
+    }
   };
 
-  const addTimetableEntry = async (entry) => {
+  const loadXpEvents = async () => {
     if (!user) return;
 
     try {
       const { data, error } = await supabase
-        .from('timetable_entries')
-        .insert([{ ...entry, user_id: user.id }])
-        .select()
-        .single();
+        .from('xp_events')
+        .select('*')
+        .eq('user_id', user.id)
+        .order('created_at', { ascending: false })
+        .limit(50);
 
       if (error) throw error;
+      setXpEvents(data || []);
+    } catch (error) {
+      console.error('Error loading XP history:', error);
+      showToast('Failed to load XP history', 'error');
+    }
+  };
+
+  // PostgREST caps each response, so read long histories page by page.
+  const fetchAllRows = async (table, orderColumn) => {
+    const { data, error } = await fetchAllPages(() => supabase
+      .from(table)
+      .select('*')
+      .eq('user_id', user.id)
+      .order(orderColumn, { ascending: true })
+      .order('id', { ascending: true }));
+
+    if (error) throw error;
+    return data;
+  };
+
+  // `format` is 'json', 'csv' for every table, or a single table name.
+  const exportData = async (format) => {
+    if (!user) return;
+
+    try {
+      const [profileResult, habitsData, logsData, sleepData, timetableData, termsData] = await Promise.all([
+        supabase
+          .from('users')
+          .select('*')
+          .eq('id', user.id)
+          .single(),
+        fetchAllRows('habits', 'created_at'),
+        fetchAllRows('habit_logs', 'log_date'),
+        fetchAllRows('sleep_logs', 'log_date'),
+        fetchAllRows('timetable_entries', 'created_at'),
+        fetchAllRows('academic_terms', 'start_date')
+      ]);
+
+      if (profileResult.error) throw profileResult.error;
+
+      const bundle = buildExportBundle({
+        profile: profileResult.data,
+        habits: habitsData,
+        habitLogs: logsData,
+        sleepLogs: sleepData,
+        timetable: timetableData,
+        terms: termsData
+      });
+      const datePart = getToday();
+
+      if (format === 'json') {
+        downloadFile(`habit-tracker-export-${datePart}.json`, JSON.stringify(bundle, null, 2), 'application/json');
+      } else {
+        buildCsvFiles(bundle, datePart)
+          .filter(file => format === 'csv' || file.table === format)
+          .forEach(file => downloadFile(file.filename, file.content, 'text/csv;charset=utf-8'));
+      }
+
+      showToast('Your export is downloading', 'success', '📦');
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      showToast('Failed to export data', 'error');
+    }
+  };
+
+  // Sends an import plan to the database in batches. Each batch is its own
+  // transaction and skips logs that already exist, so an import that stops
+  // halfway can simply be run again.
+  const importHistory = async (plan, onProgress) => {
+    if (!user) return null;
+
+    const batches = chunkImportPlan(plan);
+    const totals = { habits_created: 0, logs_inserted: 0, logs_skipped: 0 };
+
+    try {
+      for (const [index, batch] of batches.entries()) {
+        const { data, error } = await supabase.rpc('import_habit_history', batch);
+        if (error) throw error;
+
+        Object.keys(totals).forEach(key => { totals[key] += data?.[key] || 0; });
+        onProgress?.((index + 1) / batches.length);
+      }
+
+      showToast(`Imported ${totals.logs_inserted} logs from ${plan.sourceLabel}`, 'success', '📥');
+      return totals;
+    } catch (error) {
+      console.error('Error importing history:', error);
+      showToast('Import stopped. Rows imported so far were kept; importing the file again is safe.', 'error');
+      return null;
+    } finally {
+      try {
+        await loadUserTables(user.id);
+      } catch (error) {
+        console.error('Error loading data:', error);
+      }
+      await refreshProgress();
+    }
+  };
+
+  // Returns false when the entry is rejected so the form can stay open.
+  const checkTimetableEntry = (entry) => {
+    const [firstError] = Object.values(validateTimetableEntry(entry));
+    if (firstError) {
+      showToast(firstError, 'error');
+      return false;
+    }
+
+    if (findDuplicate(entry, timetable)) {
+      showToast(`${entry.course} is already on ${entry.day} at ${entry.start_time}`, 'error');
+      return false;
+    }
+
+    return true;
+  };
 
-      setTimetable(prev => [...prev, data]);
+  const addTimetableEntry = async (entry) => {
+    if (!user || !checkTimetableEntry(entry)) return false;
+
+    try {
+      const localId = createLocalId();
+      const values = { ...entry, user_id: user.id };
+
+      await queueWrite({
+        table: 'timetable_entries',
+        op: 'insert',
+        key: `timetable_entries:${localId}`,
+        localId,
+        values
+      });
+
+      setTimetable(prev => [...prev, { ...values, id: localId }]);
       showToast('Class added to timetable!', 'success');
+      return true;
     } catch (error) {
       console.error('Error adding timetable entry:', error);
       showToast('Failed to add class', 'error');
+      return false;
     }
   };
 
-  const deleteTimetableEntry = async (entryId) => {
+  const updateTimetableEntry = async (entryId, updates) => {
+    if (!user || !checkTimetableEntry({ ...updates, id: entryId })) return false;
+
     try {
-      const { error } = await supabase
-        .from('timetable_entries')
-        .delete()
-        .eq('id', entryId);
+      await queueWrite({
+        table: 'timetable_entries',
+        op: 'update',
+        key: `timetable_entries:${entryId}`,
+        recordId: entryId,
+        values: updates
+      });
 
-      if (error) throw error;
+      setTimetable(prev => prev.map(e => e.id === entryId ? { ...e, ...updates } : e));
+      showToast('Class updated', 'success');
+      return true;
+    } catch (error) {
+      console.error('Error updating timetable entry:', error);
+      showToast('Failed to update class', 'error');
+      return false;
+    }
+  };
+
+  const deleteTimetableEntry = async (entryId) => {
+    try {
+      if (isLocalId(entryId)) {
+        await discardPendingChanges(user.id, entryId);
+      } else {
+        await queueWrite({ table: 'timetable_entries', op: 'delete', recordId: entryId });
+      }
 
       setTimetable(prev => prev.filter(e => e.id !== entryId));
       showToast('Class removed', 'success');
@@ -560,57 +1607,195 @@ function App() {
     }
   };
 
-  const generateDailyPlan = async () => {
-    if (!user) return;
-
-    setAiPlanLoading(true);
-    setAiPlan('');
+  const importTimetableEntries = async (entries) => {
+    if (!user || entries.length === 0) return;
 
     try {
-      const today = new Date();
-      const dayName = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'][today.getDay()];
+      const rows = [];
+
+      for (const entry of entries) {
+        const invalid = Object.keys(validateTimetableEntry(entry)).length > 0;
+        if (invalid || findDuplicate(entry, [...timetable, ...rows])) continue;
+
+        const localId = createLocalId();
+        const values = {
+          course: entry.course,
+          day: entry.day,
+          start_time: entry.start_time,
+          end_time: entry.end_time,
+          location: entry.location || '',
+          user_id: user.id
+        };
+
+        await queueWrite({
+          table: 'timetable_entries',
+          op: 'insert',
+          key: `timetable_entries:${localId}`,
+          localId,
+          values
+        });
+        rows.push({ ...values, id: localId });
+      }
+
+      if (rows.length === 0) {
+        showToast('Those classes are already in your timetable', 'info');
+        return;
+      }
+
+      setTimetable(prev => [...prev, ...rows]);
+      showToast(`Added ${rows.length} ${rows.length === 1 ? 'class' : 'classes'} to your timetable`, 'success', '📅');
+    } catch (error) {
+      console.error('Error importing timetable:', error);
+      showToast('Failed to import classes', 'error');
+    }
+  };
 
-      const todayClasses = timetable.filter(e => e.day === dayName);
-      const dailyHabits = habits.filter(h => h.frequency === 'Daily');
+  // Returns false when the term is rejected so the form can stay open.
+  const addTerm = async (term) => {
+    if (!user) return false;
 
-      let prompt = `You are a highly efficient college schedule assistant. Create a realistic, healthy daily schedule for a college student for today (${dayName}).
+    const [firstError] = Object.values(validateTerm(term));
+    if (firstError) {
+      showToast(firstError, 'error');
+      return false;
+    }
 
-Classes today:
-${todayClasses.length > 0 ? todayClasses.map(c => `- ${c.course}: ${c.start_time} - ${c.end_time}`).join('\n') : '- No classes scheduled'}
+    try {
+      const localId = createLocalId();
+      const values = { ...term, user_id: user.id };
+
+      await queueWrite({
+        table: 'academic_terms',
+        op: 'insert',
+        key: `academic_terms:${localId}`,
+        localId,
+        values
+      });
 
-Daily habits to incorporate:
-${dailyHabits.length > 0 ? dailyHabits.map(h => `- ${h.name}${h.unit ? ` (${h.goal_value} ${h.unit})` : ''}`).join('\n') : '- No habits set'}
+      setTerms(prev => [...prev, { ...values, id: localId }].sort((a, b) => a.start_date.localeCompare(b.start_date)));
+      showToast(`${term.name} added`, 'success', '🎓');
+      return true;
+    } catch (error) {
+      console.error('Error adding term:', error);
+      showToast('Failed to add term', 'error');
+      return false;
+    }
+  };
 
-Provide a clear, easy-to-read hourly schedule that balances academic time, habits, meals, and rest. Format as time blocks (e.g., "9:00 AM - 10:00 AM: Morning routine"). Keep it concise and realistic.`;
+  const updateTerm = async (termId, updates) => {
+    const [firstError] = Object.values(validateTerm(updates));
+    if (firstError) {
+      showToast(firstError, 'error');
+      return false;
+    }
 
-      const response = await fetchWithRetry(GEMINI_API_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{ text: prompt }]
-          }]
-        })
+    try {
+      await queueWrite({
+        table: 'academic_terms',
+        op: 'update',
+        key: `academic_terms:${termId}`,
+        recordId: termId,
+        values: updates
       });
 
-      const data = await response.json();
-      const plan = data.candidates?.[0]?.content?.parts?.[0]?.text || 'Failed to generate plan';
+      setTerms(prev => prev
+        .map(t => t.id === termId ? { ...t, ...updates } : t)
+        .sort((a, b) => a.start_date.localeCompare(b.start_date)));
+      showToast('Term updated', 'success');
+      return true;
+    } catch (error) {
+      console.error('Error updating term:', error);
+      showToast('Failed to update term', 'error');
+      return false;
+    }
+  };
+
+  // The database clears term_id on the term's classes; mirror that locally.
+  const deleteTerm = async (termId) => {
+    try {
+      if (isLocalId(termId)) {
+        await discardPendingChanges(user.id, termId, ['term_id']);
+      } else {
+        await queueWrite({ table: 'academic_terms', op: 'delete', recordId: termId });
+      }
 
-      setAiPlan(plan);
-      showToast('Daily plan generated!', 'success');
+      setTerms(prev => prev.filter(t => t.id !== termId));
+      setTimetable(prev => prev.map(e => e.term_id === termId ? { ...e, term_id: null } : e));
+      showToast('Term deleted', 'success');
     } catch (error) {
-      console.error('Error generating plan:', error);
-      setAiPlan('Failed to generate plan. Please try again.');
-      showToast('Failed to generate plan', 'error');
-    } finally {
-      setAiPlanLoading(false);
+      console.error('Error deleting term:', error);
+      showToast('Failed to delete term', 'error');
     }
   };
 
-  if (loading) {
-    return (
-      <div className={`min-h-screen flex items-center justify-center ${darkMode ? 'dark bg-gray-900' : 'bg-gray-50'}`}>
-        <div className="text-center">
+  const exportTimetableIcs = (includeHabits) => {
+    const content = buildTimetableIcs({
+      timetable,
+      terms,
+      habits: includeHabits ? habits : [],
+      timeZone: getActiveTimeZone(),
+      today: getToday()
+    });
+
+    downloadFile(`habit-tracker-timetable-${getToday()}.ics`, content, 'text/calendar;charset=utf-8');
+  };
+
+  const writeReminder = async (habit) => {
+    if (!useAIProxy) return (await generateReminderText(aiProvider, habit.name)).text;
+
+    try {
+      return (await requestAI({ task: 'reminder', habitId: habit.id })).text;
+    } catch (error) {
+      console.error('AI reminder error:', error);
+      return buildFallbackReminder(habit.name);
+    }
+  };
+
+  // The Edge Function builds the prompt from the server's copy of the data;
+  // the local context is only used to write a fallback plan.
+  const writeDailyPlan = async (context) => {
+    if (!useAIProxy) return generateDailyPlanText(aiProvider, context);
+
+    try {
+      const data = await requestAI({ task: 'daily-plan', date: context.date });
+      return { text: data.plan.text, source: data.source };
+    } catch (error) {
+      console.error('AI plan error:', error);
+      return { text: buildFallbackPlan(context), source: isQuotaError(error) ? 'quota' : 'fallback' };
+    }
+  };
+
+  const generateDailyPlan = async () => {
+    if (!user) return;
+
+    setAiPlanLoading(true);
+    setAiPlan('');
+
+    try {
+      const context = getPlanContext({ habits, habitLogs, timetable, terms, date: getToday() });
+      const { text, source } = await writeDailyPlan(context);
+
+      setAiPlan(text);
+      if (source === 'ai') {
+        showToast('Daily plan generated!', 'success');
+      } else if (source === 'quota') {
+        showToast("You've used today's AI requests, so here's a simple plan instead", 'info');
+      } else {
+        showToast("The AI planner isn't available, so here's a simple plan instead", 'info');
+      }
+    } catch (error) {
+      console.error('Error generating plan:', error);
+      setAiPlan('Failed to generate plan. Please try again.');
+      showToast('Failed to generate plan', 'error');
+    } finally {
+      setAiPlanLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className={`min-h-screen flex items-center justify-center ${darkMode ? 'dark bg-gray-900' : 'bg-gray-50'}`}>
+        <div className="text-center">
           <div className="animate-spin rounded-full h-16 w-16 border-b-2 border-blue-600 mx-auto"></div>
           <p className={`mt-4 text-lg ${darkMode ? 'text-gray-300' : 'text-gray-600'}`}>Loading your habits...</p>
         </div>
@@ -618,6 +1803,22 @@ Provide a clear, easy-to-read hourly schedule that balances academic time, habit
     );
   }
 
+  if (!user) {
+    return (
+      <div className={darkMode ? 'dark' : ''}>
+        <div className="min-h-screen bg-gray-50 dark:bg-gray-900 transition-colors duration-200">
+          <AuthView
+            signInWithPassword={signInWithPassword}
+            sendMagicLink={sendMagicLink}
+            signInWithProvider={signInWithProvider}
+            continueAsGuest={continueAsGuest}
+          />
+          <ToastContainer toasts={toasts} darkMode={darkMode} />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className={darkMode ? 'dark' : ''}>
       <div className="min-h-screen bg-gray-50 dark:bg-gray-900 transition-colors duration-200">
@@ -627,9 +1828,19 @@ Provide a clear, easy-to-read hourly schedule that balances academic time, habit
           currentView={currentView}
           setCurrentView={setCurrentView}
           userData={userData}
+          syncStatus={syncStatus}
         />
 
         <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          {detectedTimeZone && (
+            <TimeZoneBanner
+              profileTimeZone={userData?.timezone}
+              detectedTimeZone={detectedTimeZone}
+              updateTimeZone={updateTimeZone}
+              dismiss={() => setDetectedTimeZone(null)}
+            />
+          )}
+
           {currentView === 'dashboard' && (
             <Dashboard
               userData={userData}
@@ -637,6 +1848,13 @@ Provide a clear, easy-to-read hourly schedule that balances academic time, habit
               habitLogs={habitLogs}
               carouselContent={carouselContent}
               logHabit={logHabit}
+              xpEvents={xpEvents}
+              loadXpEvents={loadXpEvents}
+              selectedDate={selectedDate}
+              setSelectedDate={setSelectedDate}
+              editableFrom={getEditableFromDate()}
+              updateBackfillLimit={updateBackfillLimit}
+              updateTimeZone={updateTimeZone}
               darkMode={darkMode}
             />
           )}
@@ -644,6 +1862,7 @@ Provide a clear, easy-to-read hourly schedule that balances academic time, habit
           {currentView === 'habits' && (
             <HabitsView
               habits={habits}
+              habitStreaks={habitStreaks}
               createHabit={createHabit}
               updateHabit={updateHabit}
               deleteHabit={deleteHabit}
@@ -654,7 +1873,14 @@ Provide a clear, easy-to-read hourly schedule that balances academic time, habit
           {currentView === 'sleep' && (
             <SleepView
               sleepLogs={sleepLogs}
-              logSleep={logSleep}
+              logSleepSession={logSleepSession}
+              updateSleepSession={updateSleepSession}
+              deleteSleepSession={deleteSleepSession}
+              sleepTarget={Number(userData?.sleep_target_hours) || DEFAULT_SLEEP_TARGET}
+              updateSleepTarget={updateSleepTarget}
+              selectedDate={selectedDate}
+              setSelectedDate={setSelectedDate}
+              editableFrom={getEditableFromDate()}
               darkMode={darkMode}
             />
           )}
@@ -662,8 +1888,15 @@ Provide a clear, easy-to-read hourly schedule that balances academic time, habit
           {currentView === 'timetable' && (
             <TimetableView
               timetable={timetable}
+              terms={terms}
               addTimetableEntry={addTimetableEntry}
+              updateTimetableEntry={updateTimetableEntry}
               deleteTimetableEntry={deleteTimetableEntry}
+              importTimetableEntries={importTimetableEntries}
+              exportTimetableIcs={exportTimetableIcs}
+              addTerm={addTerm}
+              updateTerm={updateTerm}
+              deleteTerm={deleteTerm}
               generateDailyPlan={generateDailyPlan}
               aiPlan={aiPlan}
               aiPlanLoading={aiPlanLoading}
@@ -676,9 +1909,40 @@ Provide a clear, easy-to-read hourly schedule that balances academic time, habit
               habitLogs={habitLogs}
               habits={habits}
               sleepLogs={sleepLogs}
+              openDay={(date) => {
+                setSelectedDate(date);
+                setCurrentView('dashboard');
+              }}
               darkMode={darkMode}
             />
           )}
+
+          {currentView === 'trophies' && (
+            <TrophyRoomView
+              achievements={achievements}
+              userAchievements={userAchievements}
+            />
+          )}
+
+          {currentView === 'profile' && (
+            <ProfileView
+              user={user}
+              userData={userData}
+              linkEmail={linkEmail}
+              setAccountPassword={setAccountPassword}
+              linkProvider={linkProvider}
+              signOut={signOut}
+              exportData={exportData}
+              importHistory={importHistory}
+              habits={habits}
+              habitLogs={habitLogs}
+              editableFrom={getEditableFromDate()}
+              notificationStatus={notificationStatus}
+              enablePushReminders={enablePushReminders}
+              disablePushReminders={disablePushReminders}
+              updateQuietHours={updateQuietHours}
+            />
+          )}
         </main>
 
         <ToastContainer toasts={toasts} darkMode={darkMode} />
@@ -687,7 +1951,7 @@ Provide a clear, easy-to-read hourly schedule that balances academic time, habit
   );
 }
 
-function Header({ darkMode, toggleDarkMode, currentView, setCurrentView, userData }) {
+function Header({ darkMode, toggleDarkMode, currentView, setCurrentView, userData, syncStatus }) {
   const [menuOpen, setMenuOpen] = useState(false);
 
   const navItems = [
@@ -696,6 +1960,8 @@ function Header({ darkMode, toggleDarkMode, currentView, setCurrentView, userDat
     { id: 'sleep', label: 'Sleep', icon: '😴' },
     { id: 'timetable', label: 'Timetable', icon: '📅' },
     { id: 'progress', label: 'Progress', icon: '📊' },
+    { id: 'trophies', label: 'Trophies', icon: '🏆' },
+    { id: 'profile', label: 'Profile', icon: '👤' },
   ];
 
   return (
@@ -726,6 +1992,8 @@ function Header({ darkMode, toggleDarkMode, currentView, setCurrentView, userDat
           </div>
 
           <div className="flex items-center space-x-4">
+            <SyncStatusBadge status={syncStatus} />
+
             <button
               onClick={toggleDarkMode}
               className="p-2 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors"
@@ -786,26 +2054,91 @@ function Header({ darkMode, toggleDarkMode, currentView, setCurrentView, userDat
   );
 }
 
-function Dashboard({ userData, habits, habitLogs, carouselContent, logHabit, darkMode }) {
-  const today = new Date().toISOString().split('T')[0];
-  const dailyHabits = habits.filter(h => h.frequency === 'Daily');
+function SyncStatusBadge({ status }) {
+  const pendingLabel = status.pending > 0 ? ` · ${status.pending} pending` : '';
+
+  const badges = {
+    synced: {
+      label: 'Synced',
+      icon: '✓',
+      className: 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200'
+    },
+    syncing: {
+      label: `Syncing${pendingLabel}`,
+      icon: '🔄',
+      className: 'bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200'
+    },
+    offline: {
+      label: `Offline${pendingLabel}`,
+      icon: '📴',
+      className: 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200'
+    }
+  };
+  const badge = badges[status.state] || badges.synced;
+
+  return (
+    <span
+      className={`px-3 py-1 rounded-full text-xs font-semibold whitespace-nowrap ${badge.className}`}
+      title={status.pending > 0 ? 'Changes are saved on this device and will sync when the connection returns' : undefined}
+    >
+      <span className="mr-1">{badge.icon}</span>
+      <span className="hidden sm:inline">{badge.label}</span>
+    </span>
+  );
+}
+
+function Dashboard({
+  userData,
+  habits,
+  habitLogs,
+  carouselContent,
+  logHabit,
+  xpEvents,
+  loadXpEvents,
+  selectedDate,
+  setSelectedDate,
+  editableFrom,
+  updateBackfillLimit,
+  updateTimeZone,
+  darkMode
+}) {
+  const isToday = selectedDate === getToday();
+  const isLocked = Boolean(editableFrom && selectedDate < editableFrom);
+  const dailyHabits = getDueHabits(habits, selectedDate);
+  const weeklyHabits = habits.filter(h => h.frequency === 'Weekly');
+  const monthlyHabits = habits.filter(h => h.frequency === 'Monthly');
+  const logForDate = (habitId, value) => logHabit(habitId, value, selectedDate);
 
   const getTodayProgress = () => {
     if (dailyHabits.length === 0) return 0;
 
     const completedCount = dailyHabits.filter(habit => {
-      const log = habitLogs.find(l => l.habit_id === habit.id && l.log_date === today);
-      if (!log) return false;
-      return habit.is_boolean ? log.completed : log.value >= habit.goal_value;
+      const log = habitLogs.find(l => l.habit_id === habit.id && l.log_date === selectedDate);
+      return isLogComplete(habit, log);
     }).length;
 
     return Math.round((completedCount / dailyHabits.length) * 100);
   };
 
   const todayProgress = getTodayProgress();
+  const [showXpHistory, setShowXpHistory] = useState(false);
+
+  useEffect(() => {
+    if (showXpHistory) loadXpEvents();
+  }, [showXpHistory, userData?.xp]);
 
   return (
     <div className="space-y-6">
+      <DateNavigator
+        selectedDate={selectedDate}
+        setSelectedDate={setSelectedDate}
+        editableFrom={editableFrom}
+        backfillLimit={userData?.backfill_limit_days ?? null}
+        updateBackfillLimit={updateBackfillLimit}
+        timeZone={userData?.timezone}
+        updateTimeZone={updateTimeZone}
+      />
+
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
         <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
           <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
@@ -839,7 +2172,7 @@ function Dashboard({ userData, habits, habitLogs, carouselContent, logHabit, dar
             </div>
           </div>
           <p className="text-center text-gray-600 dark:text-gray-400 mt-4">
-            {dailyHabits.length} habits today
+            {dailyHabits.length} habits due {isToday ? 'today' : 'this day'}
           </p>
         </div>
 
@@ -893,15 +2226,28 @@ function Dashboard({ userData, habits, habitLogs, carouselContent, logHabit, dar
               </span>
             </div>
           </div>
+          <button
+            onClick={() => setShowXpHistory(!showXpHistory)}
+            className="mt-4 text-sm text-blue-600 dark:text-blue-400 hover:underline"
+          >
+            {showXpHistory ? 'Hide XP History' : 'XP History'}
+          </button>
+          {showXpHistory && <XpHistory events={xpEvents} />}
         </div>
       </div>
 
       <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
         <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
-          Today's Habits
+          {isToday ? "Today's Habits" : `Habits for ${formatLongDate(selectedDate)}`}
         </h3>
 
-        {dailyHabits.length === 0 ? (
+        {isLocked && (
+          <p className="mb-4 text-sm text-red-600 dark:text-red-400">
+            🔒 This day is outside your edit window and can't be changed.
+          </p>
+        )}
+
+        {habits.length === 0 ? (
           <div className="text-center py-12">
             <div className="text-6xl mb-4">🌱</div>
             <p className="text-xl text-gray-600 dark:text-gray-400 mb-2">
@@ -911,92 +2257,429 @@ function Dashboard({ userData, habits, habitLogs, carouselContent, logHabit, dar
               Add your first habit to get started!
             </p>
           </div>
+        ) : dailyHabits.length === 0 ? (
+          <p className="text-center text-gray-500 dark:text-gray-400 py-8">
+            Nothing scheduled for {isToday ? 'today' : 'this day'}. Enjoy the breather! 🌴
+          </p>
         ) : (
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            {dailyHabits.map(habit => {
-              const log = habitLogs.find(l => l.habit_id === habit.id && l.log_date === today);
-              const isCompleted = log && (habit.is_boolean ? log.completed : log.value >= habit.goal_value);
-              const currentValue = log?.value || 0;
+            {dailyHabits.map(habit => (
+              <HabitCard
+                key={habit.id}
+                habit={habit}
+                log={habitLogs.find(l => l.habit_id === habit.id && l.log_date === selectedDate)}
+                logHabit={logForDate}
+                locked={isLocked}
+              />
+            ))}
+          </div>
+        )}
+      </div>
 
-              return (
-                <div
-                  key={habit.id}
-                  className={`p-4 rounded-xl border-2 transition-all ${
-                    isCompleted
-                      ? 'border-green-500 bg-green-50 dark:bg-green-900/20'
-                      : 'border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800'
-                  }`}
-                >
-                  <div className="flex justify-between items-start mb-2">
-                    <h4 className="font-semibold text-gray-900 dark:text-white">{habit.name}</h4>
-                    {isCompleted && <span className="text-2xl">✅</span>}
-                  </div>
+      <PeriodHabitsSection
+        title={isToday ? 'This Week' : 'That Week'}
+        periodLabel={isToday ? 'this week' : 'that week'}
+        habits={weeklyHabits}
+        habitLogs={habitLogs}
+        today={selectedDate}
+        logHabit={logForDate}
+        locked={isLocked}
+      />
+
+      <PeriodHabitsSection
+        title={isToday ? 'This Month' : 'That Month'}
+        periodLabel={isToday ? 'this month' : 'that month'}
+        habits={monthlyHabits}
+        habitLogs={habitLogs}
+        today={selectedDate}
+        logHabit={logForDate}
+        locked={isLocked}
+      />
+    </div>
+  );
+}
 
-                  {habit.is_boolean ? (
-                    <button
-                      onClick={() => logHabit(habit.id)}
-                      className={`w-full py-2 px-4 rounded-lg font-medium transition-colors ${
-                        isCompleted
-                          ? 'bg-green-600 text-white hover:bg-green-700'
-                          : 'bg-blue-600 text-white hover:bg-blue-700'
-                      }`}
-                    >
-                      {isCompleted ? 'Completed!' : 'Mark Complete'}
-                    </button>
-                  ) : (
-                    <div className="space-y-2">
-                      <div className="flex items-center space-x-2">
-                        <input
-                          type="number"
-                          value={currentValue}
-                          onChange={(e) => logHabit(habit.id, parseInt(e.target.value) || 0)}
-                          className="flex-1 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                          placeholder="0"
-                        />
-                        <span className="text-gray-600 dark:text-gray-400">
-                          / {habit.goal_value} {habit.unit}
-                        </span>
-                      </div>
-                      <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
-                        <div
-                          className="bg-blue-600 h-2 rounded-full transition-all"
-                          style={{ width: `${Math.min((currentValue / habit.goal_value) * 100, 100)}%` }}
-                        ></div>
-                      </div>
-                    </div>
-                  )}
-                </div>
-              );
-            })}
+function XpHistory({ events }) {
+  if (events.length === 0) {
+    return (
+      <p className="mt-3 text-sm text-gray-500 dark:text-gray-400">
+        No XP earned yet. Complete a habit to get started!
+      </p>
+    );
+  }
+
+  return (
+    <div className="mt-3 max-h-64 overflow-y-auto space-y-2">
+      {events.map(event => (
+        <div
+          key={event.id}
+          className={`flex justify-between items-start gap-3 text-sm p-2 bg-gray-50 dark:bg-gray-700 rounded-lg ${
+            event.reversed_at ? 'opacity-60' : ''
+          }`}
+        >
+          <div>
+            <p className={`text-gray-900 dark:text-white ${event.reversed_at ? 'line-through' : ''}`}>
+              {event.description || (event.source === 'bonus' ? 'Bonus' : 'XP')}
+            </p>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {new Date(event.created_at).toLocaleString(undefined, {
+                timeZone: getActiveTimeZone(),
+                month: 'short',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit'
+              })}
+            </p>
           </div>
+          <span className={`font-semibold whitespace-nowrap ${
+            event.amount >= 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400'
+          }`}>
+            {event.amount >= 0 ? '+' : ''}{event.amount} XP
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const formatLongDate = (dateStr) =>
+  formatDate(dateStr, { weekday: 'long', month: 'long', day: 'numeric' });
+
+const backfillLimitOptions = [
+  { value: null, label: 'No limit' },
+  { value: 3, label: '3 days' },
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' }
+];
+
+const getTimeZoneOptions = (current) => {
+  const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+  return [...new Set([current, getDeviceTimeZone(), 'UTC', ...zones].filter(Boolean))].sort();
+};
+
+function TimeZoneBanner({ profileTimeZone, detectedTimeZone, updateTimeZone, dismiss }) {
+  return (
+    <div className="mb-6 p-4 rounded-2xl bg-yellow-50 dark:bg-yellow-900/30 border border-yellow-300 dark:border-yellow-700 flex flex-wrap items-center justify-between gap-4">
+      <p className="text-yellow-800 dark:text-yellow-200">
+        🌍 Traveling? This device is on <strong>{detectedTimeZone}</strong> time, but your days
+        are counted in <strong>{profileTimeZone}</strong>.
+      </p>
+      <div className="flex space-x-2">
+        <button
+          onClick={() => updateTimeZone(detectedTimeZone)}
+          className="px-4 py-2 bg-yellow-600 text-white rounded-lg hover:bg-yellow-700 transition-colors font-medium"
+        >
+          Switch to {detectedTimeZone}
+        </button>
+        <button
+          onClick={dismiss}
+          className="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+        >
+          Keep {profileTimeZone}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function DateNavigator({
+  selectedDate,
+  setSelectedDate,
+  editableFrom,
+  backfillLimit,
+  updateBackfillLimit,
+  timeZone,
+  updateTimeZone
+}) {
+  const today = getToday();
+  const isToday = selectedDate === today;
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl p-4 shadow-lg flex flex-wrap items-center justify-between gap-4">
+      <div className="flex items-center space-x-2">
+        <button
+          onClick={() => setSelectedDate(addDays(selectedDate, -1))}
+          className="p-2 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors text-gray-700 dark:text-gray-300"
+          aria-label="Previous day"
+        >
+          ◀
+        </button>
+        <input
+          type="date"
+          value={selectedDate}
+          max={today}
+          onChange={(e) => e.target.value && setSelectedDate(e.target.value > today ? today : e.target.value)}
+          className="px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+        />
+        <button
+          onClick={() => setSelectedDate(addDays(selectedDate, 1))}
+          disabled={isToday}
+          className="p-2 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 transition-colors text-gray-700 dark:text-gray-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          aria-label="Next day"
+        >
+          ▶
+        </button>
+        {!isToday && (
+          <button
+            onClick={() => setSelectedDate(today)}
+            className="px-3 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 transition-colors font-medium"
+          >
+            Today
+          </button>
         )}
       </div>
+
+      <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+        {updateTimeZone && (
+          <>
+            <span>Time zone:</span>
+            <select
+              value={timeZone || getActiveTimeZone()}
+              onChange={(e) => updateTimeZone(e.target.value)}
+              className="px-2 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white max-w-[12rem]"
+            >
+              {getTimeZoneOptions(timeZone).map(zone => (
+                <option key={zone} value={zone}>{zone}</option>
+              ))}
+            </select>
+          </>
+        )}
+        {updateBackfillLimit ? (
+          <>
+            <span>Edit past days:</span>
+            <select
+              value={backfillLimit ?? ''}
+              onChange={(e) => updateBackfillLimit(e.target.value === '' ? null : parseInt(e.target.value))}
+              className="px-2 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            >
+              {backfillLimitOptions.map(option => (
+                <option key={option.label} value={option.value ?? ''}>{option.label}</option>
+              ))}
+            </select>
+          </>
+        ) : editableFrom && (
+          <span>Editable back to {formatLongDate(editableFrom)}</span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function PeriodHabitsSection({ title, periodLabel, habits, habitLogs, today, logHabit, locked = false }) {
+  if (habits.length === 0) return null;
+
+  const periodDates = getPeriodDates(habits[0], today);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
+          {title}
+        </h3>
+        <span className="text-sm text-gray-600 dark:text-gray-400">
+          {periodDates[0]} – {periodDates[periodDates.length - 1]}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {habits.map(habit => {
+          const done = countPeriodCompletions(habit, habitLogs, today);
+          const target = getTargetCount(habit);
+
+          return (
+            <HabitCard
+              key={habit.id}
+              habit={habit}
+              log={habitLogs.find(l => l.habit_id === habit.id && l.log_date === today)}
+              logHabit={logHabit}
+              locked={locked}
+              periodDone={done >= target}
+            >
+              <div className="mb-3 space-y-2">
+                <div className="text-sm text-gray-600 dark:text-gray-400">
+                  {done} / {target} {periodLabel}
+                </div>
+                <div className="flex space-x-1">
+                  {periodDates.map(date => {
+                    const dayLog = habitLogs.find(l => l.habit_id === habit.id && l.log_date === date);
+                    return (
+                      <div
+                        key={date}
+                        title={date}
+                        className={`flex-1 h-2 rounded-full ${
+                          isLogComplete(habit, dayLog)
+                            ? 'bg-green-500'
+                            : date === today
+                            ? 'bg-blue-300 dark:bg-blue-700'
+                            : 'bg-gray-200 dark:bg-gray-700'
+                        }`}
+                      ></div>
+                    );
+                  })}
+                </div>
+              </div>
+            </HabitCard>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function HabitStreakBadge({ habit }) {
+  const unit = getStreakUnit(habit);
+  const current = habit.current_streak || 0;
+  const best = habit.best_streak || 0;
+
+  return (
+    <p className="text-sm text-gray-600 dark:text-gray-400">
+      <span className={current > 0 ? 'font-semibold text-orange-600 dark:text-orange-400' : ''}>
+        🔥 {current} {unit}{current === 1 ? '' : 's'}
+      </span>
+      <span className="mx-2">·</span>
+      <span>⭐ Best {best}</span>
+    </p>
+  );
+}
+
+function HabitCard({ habit, log, logHabit, locked = false, periodDone = false, children }) {
+  const isCompleted = isLogComplete(habit, log);
+  const currentValue = log?.value || 0;
+
+  return (
+    <div
+      className={`p-4 rounded-xl border-2 transition-all ${
+        isCompleted || periodDone
+          ? 'border-green-500 bg-green-50 dark:bg-green-900/20'
+          : 'border-gray-200 dark:border-gray-700 bg-white dark:bg-gray-800'
+      }`}
+    >
+      <div className="flex justify-between items-start mb-2">
+        <div>
+          <h4 className="font-semibold text-gray-900 dark:text-white">{habit.name}</h4>
+          <HabitStreakBadge habit={habit} />
+        </div>
+        {(isCompleted || periodDone) && <span className="text-2xl">✅</span>}
+      </div>
+
+      {children}
+
+      {habit.is_boolean ? (
+        <button
+          onClick={() => logHabit(habit.id)}
+          disabled={locked}
+          className={`w-full py-2 px-4 rounded-lg font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed ${
+            isCompleted
+              ? 'bg-green-600 text-white hover:bg-green-700'
+              : 'bg-blue-600 text-white hover:bg-blue-700'
+          }`}
+        >
+          {isCompleted ? 'Completed!' : 'Mark Complete'}
+        </button>
+      ) : (
+        <div className="space-y-2">
+          <div className="flex items-center space-x-2">
+            <input
+              type="number"
+              value={currentValue}
+              onChange={(e) => logHabit(habit.id, parseInt(e.target.value) || 0)}
+              disabled={locked}
+              className="flex-1 px-3 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              placeholder="0"
+            />
+            <span className="text-gray-600 dark:text-gray-400">
+              / {habit.goal_value} {habit.unit}
+            </span>
+          </div>
+          <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+            <div
+              className="bg-blue-600 h-2 rounded-full transition-all"
+              style={{ width: `${Math.min((currentValue / habit.goal_value) * 100, 100)}%` }}
+            ></div>
+          </div>
+        </div>
+      )}
     </div>
   );
 }
 
-function HabitsView({ habits, createHabit, updateHabit, deleteHabit, darkMode }) {
+const emptyHabitForm = {
+  name: '',
+  frequency: 'Daily',
+  target_count: 1,
+  schedule_days: [],
+  interval_days: 2,
+  schedule_anchor: '',
+  is_boolean: true,
+  goal_value: 1,
+  unit: '',
+  reminder_times: [],
+  remind_at_usual_time: false
+};
+
+function HabitsView({ habits, habitStreaks, createHabit, updateHabit, deleteHabit, darkMode }) {
   const [showForm, setShowForm] = useState(false);
   const [editingHabit, setEditingHabit] = useState(null);
-  const [formData, setFormData] = useState({
-    name: '',
-    frequency: 'Daily',
-    is_boolean: true,
-    goal_value: 1,
-    unit: ''
-  });
+  const [historyHabitId, setHistoryHabitId] = useState(null);
+  const [formData, setFormData] = useState(emptyHabitForm);
+  const [reminderTime, setReminderTime] = useState('09:00');
+
+  const addReminderTime = () => {
+    if (!isValidReminderTime(reminderTime)) return;
+    setFormData(prev => ({
+      ...prev,
+      reminder_times: normalizeReminderTimes([...prev.reminder_times, reminderTime]).slice(0, MAX_REMINDER_TIMES)
+    }));
+  };
+
+  const removeReminderTime = (time) => {
+    setFormData(prev => ({ ...prev, reminder_times: prev.reminder_times.filter(t => t !== time) }));
+  };
+
+  const toggleScheduleDay = (day) => {
+    setFormData(prev => ({
+      ...prev,
+      schedule_days: prev.schedule_days.includes(day)
+        ? prev.schedule_days.filter(d => d !== day)
+        : [...prev.schedule_days, day].sort()
+    }));
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
 
+    if (formData.frequency === 'Weekdays' && formData.schedule_days.length === 0) {
+      alert('Pick at least one day for this habit.');
+      return;
+    }
+
+    const habitData = {
+      ...formData,
+      target_count: isPeriodHabit(formData) ? formData.target_count : 1,
+      schedule_days: formData.frequency === 'Weekdays' ? formData.schedule_days : [],
+      interval_days: formData.frequency === 'Interval' ? formData.interval_days : 1,
+      schedule_anchor: formData.frequency === 'Interval' ? (formData.schedule_anchor || getToday()) : null
+    };
+
     if (editingHabit) {
-      await updateHabit(editingHabit.id, formData);
+      await updateHabit(editingHabit.id, habitData);
       setEditingHabit(null);
     } else {
-      await createHabit(formData);
+      await createHabit(habitData);
     }
 
-    setFormData({ name: '', frequency: 'Daily', is_boolean: true, goal_value: 1, unit: '' });
+    setFormData(emptyHabitForm);
     setShowForm(false);
   };
 
@@ -1005,9 +2688,15 @@ function HabitsView({ habits, createHabit, updateHabit, deleteHabit, darkMode })
     setFormData({
       name: habit.name,
       frequency: habit.frequency,
+      target_count: habit.target_count || 1,
+      schedule_days: habit.schedule_days || [],
+      interval_days: habit.interval_days || 2,
+      schedule_anchor: habit.schedule_anchor || '',
       is_boolean: habit.is_boolean,
       goal_value: habit.goal_value,
-      unit: habit.unit
+      unit: habit.unit,
+      reminder_times: normalizeReminderTimes(habit.reminder_times),
+      remind_at_usual_time: Boolean(habit.remind_at_usual_time)
     });
     setShowForm(true);
   };
@@ -1020,7 +2709,7 @@ function HabitsView({ habits, createHabit, updateHabit, deleteHabit, darkMode })
           onClick={() => {
             setShowForm(!showForm);
             setEditingHabit(null);
-            setFormData({ name: '', frequency: 'Daily', is_boolean: true, goal_value: 1, unit: '' });
+            setFormData(emptyHabitForm);
           }}
           className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
         >
@@ -1057,10 +2746,84 @@ function HabitsView({ habits, createHabit, updateHabit, deleteHabit, darkMode })
                 className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
               >
                 <option value="Daily">Daily</option>
-                <option value="Weekly">Weekly</option>
+                <option value="Weekdays">Specific weekdays</option>
+                <option value="Interval">Every N days</option>
+                <option value="Weekly">Times per week</option>
+                <option value="Monthly">Times per month</option>
               </select>
             </div>
 
+            {formData.frequency === 'Weekdays' && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Days
+                </label>
+                <div className="flex flex-wrap gap-2">
+                  {[1, 2, 3, 4, 5, 6, 0].map(day => (
+                    <button
+                      key={day}
+                      type="button"
+                      onClick={() => toggleScheduleDay(day)}
+                      className={`px-3 py-2 rounded-lg font-medium transition-colors ${
+                        formData.schedule_days.includes(day)
+                          ? 'bg-blue-600 text-white'
+                          : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300'
+                      }`}
+                    >
+                      {WEEKDAY_LABELS[day]}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {formData.frequency === 'Interval' && (
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Every N Days
+                  </label>
+                  <input
+                    type="number"
+                    value={formData.interval_days}
+                    onChange={(e) => setFormData({ ...formData, interval_days: Math.max(parseInt(e.target.value) || 1, 1) })}
+                    className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                    min="1"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                    Starting On
+                  </label>
+                  <input
+                    type="date"
+                    value={formData.schedule_anchor}
+                    onChange={(e) => setFormData({ ...formData, schedule_anchor: e.target.value })}
+                    className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  />
+                </div>
+              </div>
+            )}
+
+            {isPeriodHabit(formData) && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  {formData.frequency === 'Monthly' ? 'Times per Month' : 'Times per Week'}
+                </label>
+                <input
+                  type="number"
+                  value={formData.target_count}
+                  onChange={(e) => {
+                    const maxCount = formData.frequency === 'Monthly' ? 31 : 7;
+                    setFormData({ ...formData, target_count: Math.min(Math.max(parseInt(e.target.value) || 1, 1), maxCount) });
+                  }}
+                  className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  min="1"
+                  max={formData.frequency === 'Monthly' ? 31 : 7}
+                />
+              </div>
+            )}
+
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
                 Type
@@ -1116,26 +2879,90 @@ function HabitsView({ habits, createHabit, updateHabit, deleteHabit, darkMode })
               </div>
             )}
 
-            <button
-              type="submit"
-              className="w-full py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
-            >
-              {editingHabit ? 'Update Habit' : 'Create Habit'}
-            </button>
-          </form>
-        </div>
-      )}
-
-      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-        {habits.map(habit => (
-          <div
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Reminders
+              </label>
+              <div className="flex gap-2">
+                <input
+                  type="time"
+                  value={reminderTime}
+                  onChange={(e) => setReminderTime(e.target.value)}
+                  className="flex-1 px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                />
+                <button
+                  type="button"
+                  onClick={addReminderTime}
+                  disabled={formData.reminder_times.length >= MAX_REMINDER_TIMES}
+                  className="px-4 py-2 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg font-medium disabled:opacity-50"
+                >
+                  Add
+                </button>
+              </div>
+              {formData.reminder_times.length > 0 ? (
+                <div className="flex flex-wrap gap-2 mt-2">
+                  {formData.reminder_times.map(time => (
+                    <button
+                      key={time}
+                      type="button"
+                      onClick={() => removeReminderTime(time)}
+                      className="px-3 py-1 rounded-full bg-blue-100 dark:bg-blue-900 text-blue-700 dark:text-blue-300 text-sm"
+                      title="Remove reminder"
+                    >
+                      {time} ✕
+                    </button>
+                  ))}
+                </div>
+              ) : (
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">No set reminder times.</p>
+              )}
+              <label className="flex items-center mt-3">
+                <input
+                  type="checkbox"
+                  checked={formData.remind_at_usual_time}
+                  onChange={(e) => setFormData({ ...formData, remind_at_usual_time: e.target.checked })}
+                  className="mr-2"
+                />
+                <span className="text-sm text-gray-700 dark:text-gray-300">
+                  Remind me just before I usually do it
+                </span>
+              </label>
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                Learnt from when you've logged it lately. Reminders never go off during a class; they wait until it's over.
+              </p>
+            </div>
+
+            <button
+              type="submit"
+              className="w-full py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+            >
+              {editingHabit ? 'Update Habit' : 'Create Habit'}
+            </button>
+          </form>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {habits.map(habit => (
+          <div
             key={habit.id}
             className="bg-white dark:bg-gray-800 rounded-xl p-6 shadow-lg"
           >
             <div className="flex justify-between items-start mb-4">
               <div>
                 <h4 className="text-lg font-semibold text-gray-900 dark:text-white">{habit.name}</h4>
-                <p className="text-sm text-gray-600 dark:text-gray-400">{habit.frequency}</p>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  {describeSchedule(habit)}
+                </p>
+                {(normalizeReminderTimes(habit.reminder_times).length > 0 || habit.remind_at_usual_time) && (
+                  <p className="text-xs text-gray-500 dark:text-gray-400">
+                    🔔 {[
+                      ...normalizeReminderTimes(habit.reminder_times),
+                      ...(habit.remind_at_usual_time ? ['before your usual time'] : [])
+                    ].join(', ')}
+                  </p>
+                )}
+                <HabitStreakBadge habit={habit} />
               </div>
               <span className="text-2xl">
                 {habit.is_boolean ? '✅' : '📊'}
@@ -1148,7 +2975,20 @@ function HabitsView({ habits, createHabit, updateHabit, deleteHabit, darkMode })
               </p>
             )}
 
+            {historyHabitId === habit.id && (
+              <StreakHistory
+                habit={habit}
+                streaks={habitStreaks.filter(s => s.habit_id === habit.id)}
+              />
+            )}
+
             <div className="flex space-x-2">
+              <button
+                onClick={() => setHistoryHabitId(historyHabitId === habit.id ? null : habit.id)}
+                className="flex-1 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+              >
+                {historyHabitId === habit.id ? 'Hide History' : 'History'}
+              </button>
               <button
                 onClick={() => startEdit(habit)}
                 className="flex-1 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
@@ -1173,110 +3013,499 @@ function HabitsView({ habits, createHabit, updateHabit, deleteHabit, darkMode })
   );
 }
 
-function SleepView({ sleepLogs, logSleep, darkMode }) {
-  const [formData, setFormData] = useState({
-    bedtime: '',
-    wakeTime: '',
-    quality: 3
-  });
+function StreakHistory({ habit, streaks }) {
+  const unit = getStreakUnit(habit);
+
+  if (streaks.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+        No streaks yet. Complete this habit to start one!
+      </p>
+    );
+  }
+
+  return (
+    <div className="mb-4 space-y-2">
+      {[...streaks]
+        .sort((a, b) => b.start_date.localeCompare(a.start_date))
+        .map(streak => (
+          <div
+            key={streak.id}
+            className="flex justify-between items-center text-sm p-2 bg-gray-50 dark:bg-gray-700 rounded-lg"
+          >
+            <span className="text-gray-600 dark:text-gray-400">
+              {formatDate(streak.start_date)} – {formatDate(streak.end_date)}
+            </span>
+            <span className={`font-semibold ${
+              streak.length === habit.best_streak
+                ? 'text-green-600 dark:text-green-400'
+                : 'text-gray-900 dark:text-white'
+            }`}>
+              {streak.length} {unit}{streak.length === 1 ? '' : 's'}
+              {streak.length === habit.best_streak && ' ⭐'}
+            </span>
+          </div>
+        ))}
+    </div>
+  );
+}
+
+const SLEEP_TARGET_OPTIONS = [5, 5.5, 6, 6.5, 7, 7.5, 8, 8.5, 9, 9.5, 10, 10.5, 11];
+const SLEEP_CHART_RANGES = [30, 90, 365];
+const SLEEP_HISTORY_PAGE_SIZE = 10;
+
+const formatMinutesSpan = (minutes) =>
+  minutes >= 60 ? `${Math.floor(minutes / 60)}h ${minutes % 60}m` : `${minutes}m`;
+
+function SleepHealth({ sleepDays, sleepTarget, updateSleepTarget }) {
+  const today = getToday();
+  const debt = getSleepDebt(sleepDays, sleepTarget, today);
+  const consistency = getSleepConsistency(sleepDays, today);
+  const jetlag = getSocialJetlag(sleepDays, today);
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-xl font-semibold text-gray-900 dark:text-white">Sleep Health</h3>
+        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+          I need
+          <select
+            value={sleepTarget}
+            onChange={(e) => updateSleepTarget(parseFloat(e.target.value))}
+            className="px-2 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          >
+            {(SLEEP_TARGET_OPTIONS.includes(sleepTarget) ? SLEEP_TARGET_OPTIONS : [...SLEEP_TARGET_OPTIONS, sleepTarget].sort((a, b) => a - b))
+              .map(hours => (
+                <option key={hours} value={hours}>{hours}h</option>
+              ))}
+          </select>
+          a night
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="p-4 rounded-xl bg-gray-50 dark:bg-gray-700">
+          <div className="text-sm text-gray-600 dark:text-gray-400">Sleep debt ({debt.days} days)</div>
+          <div className={`text-2xl font-bold ${debt.debt > 0 ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>
+            {debt.nights > 0 ? `${debt.debt}h` : '–'}
+          </div>
+          <div className="text-xs text-gray-500 dark:text-gray-400">
+            {debt.nights > 0
+              ? `Averaging ${debt.average}h over ${debt.nights} logged ${debt.nights === 1 ? 'night' : 'nights'}`
+              : 'No nights logged recently'}
+          </div>
+        </div>
+
+        <div className="p-4 rounded-xl bg-gray-50 dark:bg-gray-700">
+          <div className="text-sm text-gray-600 dark:text-gray-400">Consistency</div>
+          <div className="text-2xl font-bold text-gray-900 dark:text-white">
+            {consistency ? `${consistency.score}/100` : '–'}
+          </div>
+          <div className="text-xs text-gray-500 dark:text-gray-400">
+            {consistency
+              ? `Mid-sleep varies by ±${formatMinutesSpan(consistency.midpointSd)} (bedtime ±${formatMinutesSpan(consistency.bedtimeSd)}, wake ±${formatMinutesSpan(consistency.wakeSd)})`
+              : 'Log at least 3 nights in the last 2 weeks'}
+          </div>
+        </div>
+
+        <div className="p-4 rounded-xl bg-gray-50 dark:bg-gray-700">
+          <div className="text-sm text-gray-600 dark:text-gray-400">Social jetlag</div>
+          <div className="text-2xl font-bold text-gray-900 dark:text-white">
+            {jetlag ? formatMinutesSpan(jetlag.minutes) : '–'}
+          </div>
+          <div className="text-xs text-gray-500 dark:text-gray-400">
+            {jetlag
+              ? `Mid-sleep ${formatClockMinutes(jetlag.workMidpoint)} on weekdays, ${formatClockMinutes(jetlag.freeMidpoint)} on weekends`
+              : 'Log at least 2 weekday and 2 weekend nights in the last 4 weeks'}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function SleepTimingChart({ sleepDays }) {
+  const [days, setDays] = useState(SLEEP_CHART_RANGES[0]);
+  const today = getToday();
+  const nights = getRecentSleep(sleepDays, today, days);
+  const firstDay = addDays(today, -(days - 1));
+
+  const times = nights.flatMap(log => [toNightMinutes(log.bedtime), toNightMinutes(log.wake_time)]);
+  const top = Math.floor((Math.min(...times, 0) - 30) / 60) * 60;
+  const bottom = Math.ceil((Math.max(...times, 8 * 60) + 30) / 60) * 60;
+  const gridLines = [];
+  for (let minutes = top; minutes <= bottom; minutes += bottom - top > 12 * 60 ? 180 : 120) gridLines.push(minutes);
+
+  const x = (date) => (days > 1 ? (diffDays(firstDay, date) / (days - 1)) * 100 : 50);
+  const y = (minutes) => ((minutes - top) / (bottom - top)) * 100;
+  const line = (field) => nights.map(log => `${x(log.log_date)},${y(toNightMinutes(log[field]))}`).join(' ');
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-xl font-semibold text-gray-900 dark:text-white">Bedtime Drift</h3>
+        <div className="flex gap-2">
+          {SLEEP_CHART_RANGES.map(option => (
+            <button
+              key={option}
+              onClick={() => setDays(option)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium transition-all ${
+                days === option
+                  ? 'bg-blue-500 text-white'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+              }`}
+            >
+              {option === 365 ? '12 months' : `${option} days`}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {nights.length < 2 ? (
+        <p className="text-center text-gray-500 dark:text-gray-400 py-8">Log a few more nights to see how your timing drifts</p>
+      ) : (
+        <>
+          <div className="flex gap-2">
+            <div className="relative w-10 h-48 text-xs text-gray-500 dark:text-gray-400">
+              {gridLines.map(minutes => (
+                <span key={minutes} className="absolute right-0 -translate-y-1/2" style={{ top: `${y(minutes)}%` }}>
+                  {formatClockMinutes(minutes)}
+                </span>
+              ))}
+            </div>
+            <svg viewBox="0 0 100 100" preserveAspectRatio="none" className="flex-1 h-48">
+              {gridLines.map(minutes => (
+                <line key={minutes} x1="0" x2="100" y1={y(minutes)} y2={y(minutes)} className="stroke-gray-200 dark:stroke-gray-700" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+              ))}
+              <polyline points={line('bedtime')} fill="none" className="stroke-indigo-500" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+              <polyline points={line('wake_time')} fill="none" className="stroke-amber-500" strokeWidth="2" vectorEffect="non-scaling-stroke" />
+            </svg>
+          </div>
+          <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mt-1 ml-12">
+            <span>{formatDate(firstDay, { month: 'short', day: 'numeric' })}</span>
+            <span>{formatDate(today, { month: 'short', day: 'numeric' })}</span>
+          </div>
+          <div className="flex gap-4 mt-3 text-sm text-gray-600 dark:text-gray-400">
+            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-full bg-indigo-500"></span>Bedtime</span>
+            <span className="flex items-center gap-1"><span className="w-3 h-3 rounded-full bg-amber-500"></span>Wake time</span>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// datetime-local inputs hold wall-clock times in the user's zone.
+const toDateTimeInput = (instant) =>
+  `${toLocalDate(instant)}T${formatClockMinutes(getLocalMinutes(instant))}`;
+
+const fromDateTimeInput = (value) => {
+  const [date, time] = value.split('T');
+  const [hours, minutes] = (time || '').split(':').map(Number);
+  if (!date || Number.isNaN(hours) || Number.isNaN(minutes)) return '';
+  return zonedTimeToInstant(date, hours * 60 + minutes).toISOString();
+};
+
+// A new session defaults to last night's sleep, or to a nap once the day
+// already has one.
+const getDefaultSleepForm = (date, hasSleep) => hasSleep
+  ? { start: `${date}T14:00`, end: `${date}T14:30`, quality: 3, is_nap: true }
+  : { start: `${addDays(date, -1)}T23:00`, end: `${date}T07:00`, quality: 3, is_nap: false };
+
+function SleepView({
+  sleepLogs,
+  logSleepSession,
+  updateSleepSession,
+  deleteSleepSession,
+  sleepTarget,
+  updateSleepTarget,
+  selectedDate,
+  setSelectedDate,
+  editableFrom,
+  darkMode
+}) {
+  const daySessions = sleepLogs
+    .filter(l => l.log_date === selectedDate)
+    .sort((a, b) => String(a.started_at).localeCompare(String(b.started_at)));
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(() => getDefaultSleepForm(selectedDate, daySessions.length > 0));
+  const [historyPage, setHistoryPage] = useState(0);
+
+  const sleepDays = useMemo(() => combineSleepSessions(sleepLogs), [sleepLogs]);
+  const selectedDay = sleepDays.find(day => day.log_date === selectedDate);
+  const isToday = selectedDate === getToday();
+  const isLocked = Boolean(editableFrom && selectedDate < editableFrom);
+
+  const resetForm = () => {
+    setEditingId(null);
+    setFormData(getDefaultSleepForm(selectedDate, daySessions.length > 0));
+  };
+
+  useEffect(() => {
+    resetForm();
+  }, [selectedDate]);
+
+  const session = {
+    id: editingId,
+    started_at: fromDateTimeInput(formData.start),
+    ended_at: fromDateTimeInput(formData.end),
+    quality: formData.quality,
+    is_nap: formData.is_nap
+  };
+  const errors = validateSleepSession(session);
+  const overlap = Object.keys(errors).length === 0 ? findOverlappingSession(session, sleepLogs) : null;
+  const night = !errors.ended_at && session.ended_at ? getSleepNight(session.ended_at) : null;
+
+  const startEdit = (log) => {
+    setEditingId(log.id);
+    setFormData({
+      start: toDateTimeInput(log.started_at),
+      end: toDateTimeInput(log.ended_at),
+      quality: log.quality,
+      is_nap: Boolean(log.is_nap)
+    });
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    await logSleep(formData);
-    setFormData({ bedtime: '', wakeTime: '', quality: 3 });
+    const saved = editingId
+      ? await updateSleepSession(editingId, session)
+      : await logSleepSession(session);
+    if (saved) {
+      setEditingId(null);
+      setFormData(getDefaultSleepForm(selectedDate, true));
+    }
   };
 
+  const pageCount = Math.max(1, Math.ceil(sleepDays.length / SLEEP_HISTORY_PAGE_SIZE));
+  const page = Math.min(historyPage, pageCount - 1);
+  const historyDays = sleepDays.slice(page * SLEEP_HISTORY_PAGE_SIZE, (page + 1) * SLEEP_HISTORY_PAGE_SIZE);
+
   return (
     <div className="space-y-6">
       <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Sleep Tracker</h2>
 
+      <DateNavigator
+        selectedDate={selectedDate}
+        setSelectedDate={setSelectedDate}
+        editableFrom={editableFrom}
+      />
+
       <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
-        <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Log Sleep</h3>
-        <form onSubmit={handleSubmit} className="space-y-4">
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                Bedtime
-              </label>
+        <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
+          {isToday ? "Last Night's Sleep" : `Sleep for ${formatLongDate(selectedDate)}`}
+        </h3>
+
+        {daySessions.length === 0 ? (
+          <p className="text-gray-500 dark:text-gray-400 mb-4">Nothing logged for this day yet</p>
+        ) : (
+          <div className="space-y-3 mb-4">
+            {daySessions.map(log => (
+              <div
+                key={log.id}
+                className={`flex justify-between items-center p-4 rounded-xl ${
+                  editingId === log.id ? 'bg-blue-50 dark:bg-blue-900/30' : 'bg-gray-50 dark:bg-gray-700'
+                }`}
+              >
+                <div>
+                  <p className="font-semibold text-gray-900 dark:text-white">
+                    {log.bedtime} – {log.wake_time}
+                    {log.is_nap && (
+                      <span className="ml-2 px-2 py-0.5 rounded-full text-xs bg-amber-100 dark:bg-amber-900/50 text-amber-800 dark:text-amber-200">Nap</span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-600 dark:text-gray-400">
+                    {formatSleepHours(log.total_hours)} · {'⭐'.repeat(log.quality)}
+                  </p>
+                </div>
+                {!isLocked && (
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => startEdit(log)}
+                      className="px-3 py-1 text-sm rounded-lg bg-gray-200 dark:bg-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-300 dark:hover:bg-gray-500"
+                    >
+                      Edit
+                    </button>
+                    <button
+                      onClick={() => {
+                        if (editingId === log.id) resetForm();
+                        deleteSleepSession(log);
+                      }}
+                      className="px-3 py-1 text-sm rounded-lg bg-red-100 dark:bg-red-900/50 text-red-700 dark:text-red-300 hover:bg-red-200 dark:hover:bg-red-900"
+                    >
+                      Delete
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+            {selectedDay && daySessions.length > 1 && (
+              <p className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                Total {formatSleepHours(selectedDay.total_hours)} across {daySessions.length} sessions
+              </p>
+            )}
+          </div>
+        )}
+
+        {isLocked ? (
+          <p className="text-sm text-red-600 dark:text-red-400">
+            🔒 This day is outside your edit window and can't be changed.
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4 border-t border-gray-200 dark:border-gray-700 pt-4">
+            <h4 className="font-semibold text-gray-900 dark:text-white">
+              {editingId ? 'Edit Session' : daySessions.length > 0 ? 'Add a Nap or Another Session' : 'Log Sleep'}
+            </h4>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Fell asleep
+                </label>
+                <input
+                  type="datetime-local"
+                  value={formData.start}
+                  onChange={(e) => setFormData({ ...formData, start: e.target.value })}
+                  className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  required
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Woke up
+                </label>
+                <input
+                  type="datetime-local"
+                  value={formData.end}
+                  onChange={(e) => setFormData({ ...formData, end: e.target.value })}
+                  className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  required
+                />
+              </div>
+            </div>
+
+            {errors.started_at || errors.ended_at ? (
+              <p className="text-sm text-red-600 dark:text-red-400">{errors.started_at || errors.ended_at}</p>
+            ) : overlap ? (
+              <p className="text-sm text-red-600 dark:text-red-400">
+                Overlaps your sleep from {overlap.bedtime} to {overlap.wake_time} on {formatDate(overlap.log_date, { month: 'short', day: 'numeric' })}
+              </p>
+            ) : (
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                {formatSleepHours(getSessionHours(session.started_at, session.ended_at))}
+                {night && night !== selectedDate && ` · counts toward ${formatLongDate(night)}`}
+              </p>
+            )}
+
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
               <input
-                type="time"
-                value={formData.bedtime}
-                onChange={(e) => setFormData({ ...formData, bedtime: e.target.value })}
-                className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                required
+                type="checkbox"
+                checked={formData.is_nap}
+                onChange={(e) => setFormData({ ...formData, is_nap: e.target.checked })}
               />
-            </div>
+              This was a nap
+            </label>
 
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                Wake Time
+                Sleep Quality (1-5 stars)
               </label>
-              <input
-                type="time"
-                value={formData.wakeTime}
-                onChange={(e) => setFormData({ ...formData, wakeTime: e.target.value })}
-                className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
-                required
-              />
+              <div className="flex space-x-2">
+                {[1, 2, 3, 4, 5].map(star => (
+                  <button
+                    key={star}
+                    type="button"
+                    onClick={() => setFormData({ ...formData, quality: star })}
+                    className="text-3xl transition-transform hover:scale-110"
+                  >
+                    {star <= formData.quality ? '⭐' : '☆'}
+                  </button>
+                ))}
+              </div>
             </div>
-          </div>
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-              Sleep Quality (1-5 stars)
-            </label>
-            <div className="flex space-x-2">
-              {[1, 2, 3, 4, 5].map(star => (
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={Boolean(errors.started_at || errors.ended_at || overlap)}
+                className="flex-1 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {editingId ? 'Update Sleep' : formData.is_nap ? 'Log Nap' : 'Log Sleep'}
+              </button>
+              {editingId && (
                 <button
-                  key={star}
                   type="button"
-                  onClick={() => setFormData({ ...formData, quality: star })}
-                  className="text-3xl transition-transform hover:scale-110"
+                  onClick={resetForm}
+                  className="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600"
                 >
-                  {star <= formData.quality ? '⭐' : '☆'}
+                  Cancel
                 </button>
-              ))}
+              )}
             </div>
-          </div>
-
-          <button
-            type="submit"
-            className="w-full py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
-          >
-            Log Sleep
-          </button>
-        </form>
+          </form>
+        )}
       </div>
 
+      <SleepHealth
+        sleepDays={sleepDays}
+        sleepTarget={sleepTarget}
+        updateSleepTarget={updateSleepTarget}
+      />
+
+      <SleepTimingChart sleepDays={sleepDays} />
+
       <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
-        <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Recent Sleep Logs</h3>
+        <div className="flex items-center justify-between gap-3 mb-4">
+          <h3 className="text-xl font-semibold text-gray-900 dark:text-white">Sleep History</h3>
+          {pageCount > 1 && (
+            <div className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-400">
+              <button
+                onClick={() => setHistoryPage(page - 1)}
+                disabled={page === 0}
+                className="px-3 py-1 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Newer
+              </button>
+              <span>{page + 1} / {pageCount}</span>
+              <button
+                onClick={() => setHistoryPage(page + 1)}
+                disabled={page >= pageCount - 1}
+                className="px-3 py-1 rounded-lg bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Older
+              </button>
+            </div>
+          )}
+        </div>
 
-        {sleepLogs.length === 0 ? (
+        {sleepDays.length === 0 ? (
           <p className="text-center text-gray-500 dark:text-gray-400 py-8">No sleep logs yet</p>
         ) : (
           <div className="space-y-4">
-            {sleepLogs.map(log => (
-              <div
-                key={log.id}
-                className="flex justify-between items-center p-4 bg-gray-50 dark:bg-gray-700 rounded-xl"
+            {historyDays.map(day => (
+              <button
+                key={day.log_date}
+                onClick={() => setSelectedDate(day.log_date)}
+                className="w-full text-left flex justify-between items-center p-4 bg-gray-50 dark:bg-gray-700 rounded-xl hover:bg-gray-100 dark:hover:bg-gray-600"
               >
                 <div>
                   <p className="font-semibold text-gray-900 dark:text-white">
-                    {new Date(log.log_date).toLocaleDateString()}
+                    {formatDate(day.log_date)}
                   </p>
                   <p className="text-sm text-gray-600 dark:text-gray-400">
-                    {log.bedtime} - {log.wake_time}
+                    {day.bedtime} - {day.wake_time}
+                    {day.naps > 0 && ` · ${day.naps} ${day.naps === 1 ? 'nap' : 'naps'}`}
                   </p>
                 </div>
                 <div className="text-right">
                   <p className="text-2xl font-bold text-blue-600 dark:text-blue-400">
-                    {log.total_hours}h
+                    {formatSleepHours(day.total_hours)}
                   </p>
                   <div className="text-lg">
-                    {'⭐'.repeat(log.quality)}
+                    {'⭐'.repeat(day.quality)}
                   </div>
                 </div>
-              </div>
+              </button>
             ))}
           </div>
         )}
@@ -1285,40 +3514,126 @@ function SleepView({ sleepLogs, logSleep, darkMode }) {
   );
 }
 
-function TimetableView({ timetable, addTimetableEntry, deleteTimetableEntry, generateDailyPlan, aiPlan, aiPlanLoading, darkMode }) {
-  const [showForm, setShowForm] = useState(false);
-  const [formData, setFormData] = useState({
+function TimetableView({
+  timetable,
+  terms,
+  addTimetableEntry,
+  updateTimetableEntry,
+  deleteTimetableEntry,
+  importTimetableEntries,
+  exportTimetableIcs,
+  addTerm,
+  updateTerm,
+  deleteTerm,
+  generateDailyPlan,
+  aiPlan,
+  aiPlanLoading,
+  darkMode
+}) {
+  const emptyForm = {
     course: '',
     day: 'Monday',
     start_time: '',
-    end_time: ''
-  });
+    end_time: '',
+    term_id: null,
+    week_pattern: 'every',
+    location: '',
+    instructor: '',
+    class_type: '',
+    color: null
+  };
+
+  const [showForm, setShowForm] = useState(false);
+  const [showCalendar, setShowCalendar] = useState(false);
+  const [showTerms, setShowTerms] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [formData, setFormData] = useState(emptyForm);
+  const [viewDate, setViewDate] = useState(getToday());
+
+  const candidate = { ...formData, id: editingId };
+  const formErrors = validateTimetableEntry(formData);
+  const duplicate = findDuplicate(candidate, timetable);
+  const clashes = findClashes(candidate, timetable, terms);
+  // Only complain about the end time once both times are filled in.
+  const endTimeError = formData.start_time && formData.end_time ? formErrors.end_time : null;
+
+  const closeForm = () => {
+    setFormData(emptyForm);
+    setEditingId(null);
+    setShowForm(false);
+  };
 
-  const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+  const startEditing = (entry) => {
+    setFormData(Object.fromEntries(
+      Object.entries(emptyForm).map(([field, empty]) => [field, entry[field] ?? empty])
+    ));
+    setEditingId(entry.id);
+    setShowForm(true);
+  };
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    await addTimetableEntry(formData);
-    setFormData({ course: '', day: 'Monday', start_time: '', end_time: '' });
-    setShowForm(false);
+    const saved = editingId
+      ? await updateTimetableEntry(editingId, formData)
+      : await addTimetableEntry(formData);
+    if (saved) closeForm();
   };
 
+  const sortedTimetable = sortTimetable(timetable);
+  const termsById = new Map(terms.map(term => [term.id, term]));
+  const viewDateClasses = getClassesForDate(timetable, terms, viewDate);
+  const viewDateTerm = getTermForDate(terms, viewDate);
+
   return (
     <div className="space-y-6">
       <div className="flex justify-between items-center">
         <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Class Timetable</h2>
-        <button
-          onClick={() => setShowForm(!showForm)}
-          className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
-        >
-          {showForm ? 'Cancel' : '+ Add Class'}
-        </button>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setShowTerms(!showTerms)}
+            className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-900 dark:text-white rounded-lg transition-colors font-medium"
+          >
+            {showTerms ? 'Close' : '🎓 Terms'}
+          </button>
+          <button
+            onClick={() => setShowCalendar(!showCalendar)}
+            className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-900 dark:text-white rounded-lg transition-colors font-medium"
+          >
+            {showCalendar ? 'Close' : '📆 Calendar'}
+          </button>
+          <button
+            onClick={() => (showForm ? closeForm() : setShowForm(true))}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+          >
+            {showForm ? 'Cancel' : '+ Add Class'}
+          </button>
+        </div>
       </div>
 
+      {showTerms && (
+        <TermManager
+          terms={terms}
+          addTerm={addTerm}
+          updateTerm={updateTerm}
+          deleteTerm={deleteTerm}
+        />
+      )}
+
+      {showCalendar && (
+        <CalendarSyncPanel
+          timetable={timetable}
+          importTimetableEntries={importTimetableEntries}
+          exportTimetableIcs={exportTimetableIcs}
+          onDone={() => setShowCalendar(false)}
+        />
+      )}
+
       {showForm && (
         <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
-          <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Add Class</h3>
-          <form onSubmit={handleSubmit} className="space-y-4">
+          <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
+            {editingId ? 'Edit Class' : 'Add Class'}
+          </h3>
+          <form onSubmit={handleSubmit} className="space-y-4">
             <div>
               <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
                 Course Name
@@ -1341,12 +3656,124 @@ function TimetableView({ timetable, addTimetableEntry, deleteTimetableEntry, gen
                 onChange={(e) => setFormData({ ...formData, day: e.target.value })}
                 className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
               >
-                {days.map(day => (
+                {TIMETABLE_DAYS.map(day => (
                   <option key={day} value={day}>{day}</option>
                 ))}
               </select>
             </div>
 
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Term
+                </label>
+                <select
+                  value={formData.term_id || ''}
+                  onChange={(e) => setFormData({
+                    ...formData,
+                    term_id: e.target.value || null,
+                    week_pattern: e.target.value ? formData.week_pattern : 'every'
+                  })}
+                  className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                >
+                  <option value="">No term (every week)</option>
+                  {terms.map(term => (
+                    <option key={term.id} value={term.id}>{term.name}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Weeks
+                </label>
+                <select
+                  value={formData.week_pattern}
+                  onChange={(e) => setFormData({ ...formData, week_pattern: e.target.value })}
+                  disabled={!formData.term_id}
+                  className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white disabled:opacity-50"
+                >
+                  {WEEK_PATTERNS.map(pattern => (
+                    <option key={pattern.value} value={pattern.value}>{pattern.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Type
+                </label>
+                <input
+                  type="text"
+                  list="class-types"
+                  value={formData.class_type}
+                  onChange={(e) => setFormData({ ...formData, class_type: e.target.value })}
+                  className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  placeholder="Lecture"
+                />
+                <datalist id="class-types">
+                  {CLASS_TYPES.map(type => <option key={type} value={type} />)}
+                </datalist>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Location
+                </label>
+                <input
+                  type="text"
+                  value={formData.location}
+                  onChange={(e) => setFormData({ ...formData, location: e.target.value })}
+                  className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  placeholder="Room 2.14"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                  Instructor
+                </label>
+                <input
+                  type="text"
+                  value={formData.instructor}
+                  onChange={(e) => setFormData({ ...formData, instructor: e.target.value })}
+                  className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                Color
+              </label>
+              <div className="flex flex-wrap gap-2">
+                <button
+                  type="button"
+                  onClick={() => setFormData({ ...formData, color: null })}
+                  className={`w-8 h-8 rounded-full border-2 bg-gray-200 dark:bg-gray-600 text-xs ${
+                    formData.color ? 'border-transparent' : 'border-gray-900 dark:border-white'
+                  }`}
+                  title="Default"
+                >
+                  ∅
+                </button>
+                {CLASS_COLORS.map(color => (
+                  <button
+                    key={color}
+                    type="button"
+                    onClick={() => setFormData({ ...formData, color })}
+                    className={`w-8 h-8 rounded-full border-2 ${
+                      formData.color === color ? 'border-gray-900 dark:border-white' : 'border-transparent'
+                    }`}
+                    style={{ backgroundColor: color }}
+                    title={color}
+                  />
+                ))}
+              </div>
+            </div>
+
             <div className="grid grid-cols-2 gap-4">
               <div>
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -1369,22 +3796,97 @@ function TimetableView({ timetable, addTimetableEntry, deleteTimetableEntry, gen
                   type="time"
                   value={formData.end_time}
                   onChange={(e) => setFormData({ ...formData, end_time: e.target.value })}
-                  className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                  className={`w-full px-4 py-2 rounded-lg border bg-white dark:bg-gray-700 text-gray-900 dark:text-white ${
+                    endTimeError ? 'border-red-500' : 'border-gray-300 dark:border-gray-600'
+                  }`}
                   required
                 />
               </div>
             </div>
 
+            {endTimeError && (
+              <p className="text-sm text-red-600 dark:text-red-400">{endTimeError}</p>
+            )}
+
+            {duplicate && (
+              <p className="text-sm text-red-600 dark:text-red-400">
+                {duplicate.course} is already on {duplicate.day} at {duplicate.start_time}.
+              </p>
+            )}
+
+            {!duplicate && clashes.length > 0 && (
+              <div className="p-3 rounded-lg bg-yellow-50 dark:bg-yellow-900 text-sm text-yellow-800 dark:text-yellow-200">
+                <p className="font-medium">⚠️ This overlaps with:</p>
+                <ul className="mt-1 space-y-0.5">
+                  {clashes.map(entry => (
+                    <li key={entry.id}>
+                      {entry.course} ({entry.start_time} - {entry.end_time})
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             <button
               type="submit"
-              className="w-full py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium"
+              disabled={Object.keys(formErrors).length > 0 || Boolean(duplicate)}
+              className={`w-full py-2 text-white rounded-lg transition-colors font-medium disabled:opacity-50 disabled:cursor-not-allowed ${
+                clashes.length > 0 ? 'bg-yellow-600 hover:bg-yellow-700' : 'bg-blue-600 hover:bg-blue-700'
+              }`}
             >
-              Add Class
+              {clashes.length > 0 ? 'Save Anyway' : editingId ? 'Save Changes' : 'Add Class'}
             </button>
           </form>
         </div>
       )}
 
+      <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+        <div className="flex flex-wrap justify-between items-center gap-3 mb-4">
+          <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
+            {viewDate === getToday() ? 'Today' : formatDate(viewDate, { weekday: 'long', month: 'short', day: 'numeric' })}
+          </h3>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setViewDate(addDays(viewDate, -1))}
+              className="px-3 py-1 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-900 dark:text-white rounded-lg"
+            >
+              ←
+            </button>
+            <input
+              type="date"
+              value={viewDate}
+              onChange={(e) => e.target.value && setViewDate(e.target.value)}
+              className="px-3 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+            <button
+              onClick={() => setViewDate(addDays(viewDate, 1))}
+              className="px-3 py-1 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-900 dark:text-white rounded-lg"
+            >
+              →
+            </button>
+          </div>
+        </div>
+
+        {viewDateTerm && (
+          <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+            {viewDateTerm.name}
+            {(viewDateTerm.exception_dates || []).includes(viewDate)
+              ? ' · No classes (break)'
+              : timetable.some(e => e.term_id === viewDateTerm.id && isRotating(e)) && ` · Week ${getTermWeek(viewDateTerm, viewDate)}`}
+          </p>
+        )}
+
+        {viewDateClasses.length === 0 ? (
+          <p className="text-center text-gray-500 dark:text-gray-400 py-6">No classes on this day</p>
+        ) : (
+          <div className="space-y-2">
+            {viewDateClasses.map(entry => (
+              <TimetableEntryCard key={entry.id} entry={entry} term={termsById.get(entry.term_id)} />
+            ))}
+          </div>
+        )}
+      </div>
+
       <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
         <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Weekly Schedule</h3>
 
@@ -1392,8 +3894,8 @@ function TimetableView({ timetable, addTimetableEntry, deleteTimetableEntry, gen
           <p className="text-center text-gray-500 dark:text-gray-400 py-8">No classes scheduled yet</p>
         ) : (
           <div className="space-y-4">
-            {days.map(day => {
-              const dayClasses = timetable.filter(e => e.day === day);
+            {TIMETABLE_DAYS.map(day => {
+              const dayClasses = sortedTimetable.filter(e => e.day === day);
               if (dayClasses.length === 0) return null;
 
               return (
@@ -1401,27 +3903,32 @@ function TimetableView({ timetable, addTimetableEntry, deleteTimetableEntry, gen
                   <h4 className="font-semibold text-gray-900 dark:text-white mb-2">{day}</h4>
                   <div className="space-y-2">
                     {dayClasses.map(entry => (
-                      <div
+                      <TimetableEntryCard
                         key={entry.id}
-                        className="flex justify-between items-center p-3 bg-gray-50 dark:bg-gray-700 rounded-lg"
+                        entry={entry}
+                        term={termsById.get(entry.term_id)}
+                        clashes={findClashes(entry, dayClasses, terms).length > 0}
                       >
-                        <div>
-                          <p className="font-medium text-gray-900 dark:text-white">{entry.course}</p>
-                          <p className="text-sm text-gray-600 dark:text-gray-400">
-                            {entry.start_time} - {entry.end_time}
-                          </p>
+                        <div className="flex items-center gap-3">
+                          <button
+                            onClick={() => startEditing(entry)}
+                            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                            title="Edit class"
+                          >
+                            ✎
+                          </button>
+                          <button
+                            onClick={() => {
+                              if (confirm('Remove this class?')) {
+                                deleteTimetableEntry(entry.id);
+                              }
+                            }}
+                            className="text-red-600 hover:text-red-700 dark:text-red-400"
+                          >
+                            ✕
+                          </button>
                         </div>
-                        <button
-                          onClick={() => {
-                            if (confirm('Remove this class?')) {
-                              deleteTimetableEntry(entry.id);
-                            }
-                          }}
-                          className="text-red-600 hover:text-red-700 dark:text-red-400"
-                        >
-                          ✕
-                        </button>
-                      </div>
+                      </TimetableEntryCard>
                     ))}
                   </div>
                 </div>
@@ -1470,75 +3977,541 @@ function TimetableView({ timetable, addTimetableEntry, deleteTimetableEntry, gen
   );
 }
 
-function ProgressView({ habitLogs, habits, sleepLogs, darkMode }) {
-  const getLast7DaysCompletion = () => {
-    const last7Days = [];
-    const today = new Date();
+const HEATMAP_LEVEL_CLASSES = [
+  'bg-gray-200 dark:bg-gray-700',
+  'bg-green-200 dark:bg-green-900',
+  'bg-green-400 dark:bg-green-700',
+  'bg-green-500 dark:bg-green-500',
+  'bg-green-700 dark:bg-green-300'
+];
+
+const describeHeatmapEntry = ({ habit, log, completed }) => {
+  const detail = habit.is_boolean
+    ? (completed ? 'done' : 'not done')
+    : `${log?.value ?? 0}/${habit.goal_value} ${habit.unit || ''}`.trim();
+  return `${completed ? '✓' : '•'} ${habit.name}: ${detail}`;
+};
+
+const describeHeatmapDay = (day) => {
+  const heading = formatDate(day.date, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+  if (day.due === 0) return `${heading}\nNothing due`;
+
+  return [
+    heading,
+    `${day.completed}/${day.due} completed (${day.percentage}%)`,
+    ...day.entries.map(describeHeatmapEntry)
+  ].join('\n');
+};
+
+function CalendarHeatmap({ habits, habitLogs, openDay }) {
+  const [habitId, setHabitId] = useState('all');
+  const today = getToday();
+
+  const logIndex = useMemo(() => indexLogsByDate(habitLogs), [habitLogs]);
+  const selectedHabits = useMemo(
+    () => (habitId === 'all' ? habits : habits.filter(h => h.id === habitId)),
+    [habits, habitId]
+  );
+  const { columns, totals } = useMemo(
+    () => buildHeatmap(selectedHabits, logIndex, today),
+    [selectedHabits, logIndex, today]
+  );
+  const months = getHeatmapMonths(columns);
 
-    for (let i = 6; i >= 0; i--) {
-      const date = new Date(today);
-      date.setDate(date.getDate() - i);
-      const dateStr = date.toISOString().split('T')[0];
+  useEffect(() => {
+    if (habitId !== 'all' && !habits.some(h => h.id === habitId)) setHabitId('all');
+  }, [habits, habitId]);
 
-      const dailyHabits = habits.filter(h => h.frequency === 'Daily');
-      if (dailyHabits.length === 0) {
-        last7Days.push({ date: dateStr, percentage: 0 });
-        continue;
-      }
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
+          Past 12 Months
+        </h3>
+        <select
+          value={habitId}
+          onChange={(e) => setHabitId(e.target.value)}
+          className="px-2 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+        >
+          <option value="all">All habits</option>
+          {habits.map(habit => (
+            <option key={habit.id} value={habit.id}>{habit.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="overflow-x-auto pb-2">
+        <div className="inline-flex gap-1">
+          <div className="flex flex-col gap-1 mr-1 text-xs text-gray-500 dark:text-gray-400">
+            <div className="h-4"></div>
+            {['Mon', '', 'Wed', '', 'Fri', '', ''].map((label, index) => (
+              <div key={index} className="h-3 leading-3">{label}</div>
+            ))}
+          </div>
+          {columns.map((column, index) => {
+            const month = months.find(m => m.index === index);
+            return (
+              <div key={column.weekStart} className="flex flex-col gap-1">
+                <div className="h-4 relative text-xs text-gray-500 dark:text-gray-400">
+                  {month && (
+                    <span className="absolute left-0 whitespace-nowrap">
+                      {formatDate(month.month, { month: 'short' })}
+                    </span>
+                  )}
+                </div>
+                {column.days.map(day => (
+                  day.future ? (
+                    <div key={day.date} className="w-3 h-3"></div>
+                  ) : (
+                    <button
+                      key={day.date}
+                      onClick={() => openDay(day.date)}
+                      title={describeHeatmapDay(day)}
+                      aria-label={describeHeatmapDay(day)}
+                      className={`w-3 h-3 rounded-sm hover:ring-2 hover:ring-blue-400 ${
+                        day.due === 0
+                          ? 'bg-gray-100 dark:bg-gray-900'
+                          : HEATMAP_LEVEL_CLASSES[day.level]
+                      } ${day.date === today ? 'ring-1 ring-blue-500' : ''}`}
+                    ></button>
+                  )
+                ))}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 mt-3 text-xs text-gray-500 dark:text-gray-400">
+        <span>
+          {totals.completed} completions · {totals.activeDays} active days · {totals.perfectDays} perfect days
+        </span>
+        <div className="flex items-center gap-1">
+          <span className="mr-1">Less</span>
+          {HEATMAP_LEVEL_CLASSES.map((levelClass, level) => (
+            <div key={level} className={`w-3 h-3 rounded-sm ${levelClass}`}></div>
+          ))}
+          <span className="ml-1">More</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+const TREND_LABELS = {
+  improving: { text: 'Improving', className: 'text-green-600 dark:text-green-400' },
+  declining: { text: 'Declining', className: 'text-red-600 dark:text-red-400' },
+  steady: { text: 'Holding steady', className: 'text-gray-600 dark:text-gray-400' },
+  unknown: { text: 'Not enough data yet', className: 'text-gray-500 dark:text-gray-400' }
+};
+
+function TrendChart({ buckets }) {
+  const measured = buckets.map((bucket, index) => ({ ...bucket, index })).filter(bucket => bucket.due > 0);
+
+  if (measured.length === 0) {
+    return <p className="text-center text-gray-500 dark:text-gray-400 py-8">Nothing was due in this range</p>;
+  }
+
+  const x = (index) => (buckets.length > 1 ? (index / (buckets.length - 1)) * 100 : 50);
+  const y = (rate) => 100 - rate;
+
+  return (
+    <div>
+      <svg viewBox="0 0 100 100" preserveAspectRatio="none" className="w-full h-40">
+        {[25, 50, 75].map(line => (
+          <line key={line} x1="0" x2="100" y1={y(line)} y2={y(line)} className="stroke-gray-200 dark:stroke-gray-700" strokeWidth="1" vectorEffect="non-scaling-stroke" />
+        ))}
+        <polyline
+          points={measured.map(bucket => `${x(bucket.index)},${y(bucket.rate)}`).join(' ')}
+          fill="none"
+          className="stroke-blue-500"
+          strokeWidth="2"
+          vectorEffect="non-scaling-stroke"
+        />
+        {measured.map(bucket => (
+          <circle key={bucket.start} cx={x(bucket.index)} cy={y(bucket.rate)} r="1.2" className="fill-blue-500">
+            <title>{`${formatDate(bucket.start)}: ${bucket.rate}% (${bucket.completed}/${bucket.due})`}</title>
+          </circle>
+        ))}
+      </svg>
+      <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mt-1">
+        <span>{formatDate(buckets[0].start, { month: 'short', day: 'numeric' })}</span>
+        <span>{formatDate(buckets[buckets.length - 1].start, { month: 'short', day: 'numeric' })}</span>
+      </div>
+    </div>
+  );
+}
+
+function SleepInsights({ habits, habitLogs, sleepDays }) {
+  const today = getToday();
+  const logIndex = useMemo(() => indexLogsByDate(habitLogs), [habitLogs]);
+  const insights = useMemo(
+    () => getSleepInsights(sleepDays, habits, logIndex, today),
+    [sleepDays, habits, logIndex, today]
+  );
+
+  const findings = [];
+
+  if (insights.enoughData) {
+    const { shortSleep, poorQuality, duration, quality } = insights;
+
+    if (shortSleep.significant && shortSleep.relativeChange !== null) {
+      findings.push({
+        key: 'short-sleep',
+        text: `After nights under ${SHORT_SLEEP_HOURS}h you complete ${Math.abs(shortSleep.relativeChange)}% ${shortSleep.relativeChange < 0 ? 'fewer' : 'more'} habits`,
+        detail: `${Math.round(shortSleep.a.mean)}% over ${shortSleep.a.n} short nights vs ${Math.round(shortSleep.b.mean)}% over ${shortSleep.b.n} others (t = ${shortSleep.t})`
+      });
+    } else if (duration?.significant) {
+      findings.push({
+        key: 'duration',
+        text: `You tend to complete ${duration.r > 0 ? 'more' : 'fewer'} habits after longer nights`,
+        detail: `Correlation r = ${duration.r} over ${duration.n} nights (t = ${duration.t})`
+      });
+    }
+
+    if (poorQuality.significant && poorQuality.relativeChange !== null) {
+      findings.push({
+        key: 'poor-quality',
+        text: `After poorly rated nights (1–2★) you complete ${Math.abs(poorQuality.relativeChange)}% ${poorQuality.relativeChange < 0 ? 'fewer' : 'more'} habits than after good ones (4–5★)`,
+        detail: `${Math.round(poorQuality.a.mean)}% over ${poorQuality.a.n} nights vs ${Math.round(poorQuality.b.mean)}% over ${poorQuality.b.n} nights (t = ${poorQuality.t})`
+      });
+    } else if (quality?.significant) {
+      findings.push({
+        key: 'quality',
+        text: `You tend to complete ${quality.r > 0 ? 'more' : 'fewer'} habits after better-rated nights`,
+        detail: `Correlation r = ${quality.r} over ${quality.n} nights (t = ${quality.t})`
+      });
+    }
+
+    insights.habitEffects.filter(effect => effect.significant).slice(0, 3).forEach(effect => {
+      findings.push({
+        key: `habit-${effect.habit.id}`,
+        text: `You rate your sleep ${Math.abs(effect.difference)}★ ${effect.difference > 0 ? 'higher' : 'lower'} after days you ${effect.habit.name}`,
+        detail: `${effect.done.mean}★ over ${effect.done.n} nights after doing it vs ${effect.missed.mean}★ over ${effect.missed.n} after skipping it (t = ${effect.t})`
+      });
+    });
+  }
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+      <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">
+        Sleep & Habits
+      </h3>
+
+      {!insights.enoughData ? (
+        <p className="text-gray-600 dark:text-gray-400">
+          Log {MIN_NIGHTS - insights.nights} more {MIN_NIGHTS - insights.nights === 1 ? 'night' : 'nights'} of sleep
+          (followed by a day with habits due) to see how sleep and habits relate.
+        </p>
+      ) : findings.length === 0 ? (
+        <p className="text-gray-600 dark:text-gray-400">
+          No clear link between your sleep and habits across {insights.nights} nights yet.
+        </p>
+      ) : (
+        <div className="space-y-3 mt-4">
+          {findings.map(finding => (
+            <div key={finding.key} className="p-4 rounded-xl bg-indigo-50 dark:bg-indigo-900/30">
+              <div className="font-medium text-gray-900 dark:text-white">{finding.text}</div>
+              <div className="text-xs text-gray-600 dark:text-gray-400 mt-1">{finding.detail}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500 dark:text-gray-400 mt-4">
+        Compares averages and correlations across your logged nights. A result is only shown with at least {MIN_NIGHTS} nights,
+        {' '}{MIN_GROUP_SIZE} in each group, and a t statistic of {SIGNIFICANT_T} or more. These are patterns, not proof of cause.
+      </p>
+    </div>
+  );
+}
 
-      const logsForDate = habitLogs.filter(l => l.log_date === dateStr);
-      const completed = logsForDate.filter(log => {
-        const habit = dailyHabits.find(h => h.id === log.habit_id);
-        if (!habit) return false;
-        return habit.is_boolean ? log.completed : log.value >= habit.goal_value;
-      }).length;
+function ProgressView({ habitLogs, habits, sleepLogs, openDay, darkMode }) {
+  const today = getToday();
+  const [rangeDays, setRangeDays] = useState(7);
+  const [customRange, setCustomRange] = useState({ from: addDays(today, -29), to: today });
+
+  const logIndex = useMemo(() => indexLogsByDate(habitLogs), [habitLogs]);
+  const sleepDays = useMemo(() => combineSleepSessions(sleepLogs), [sleepLogs]);
+  const range = rangeDays === 'custom'
+    ? normalizeRange(customRange.from, customRange.to, today)
+    : getRangeBounds(rangeDays, today);
+
+  const analytics = useMemo(() => {
+    if (!range) return null;
+
+    const dailyScores = getDailyScores(habits, logIndex, range.from, range.to);
+    return {
+      summary: getRangeSummary(dailyScores),
+      buckets: bucketScores(dailyScores),
+      trend: getTrend(dailyScores),
+      weekdays: getWeekdayBreakdown(dailyScores),
+      habitStats: habits
+        .map(habit => getHabitRangeStats(habit, logIndex, range.from, range.to, today))
+        .filter(stats => !stats.notStarted)
+        .sort((a, b) => b.rate - a.rate)
+    };
+  }, [habits, logIndex, range?.from, range?.to, today]);
+
+  const weekComparison = useMemo(() => compareWeeks(habits, logIndex, today), [habits, logIndex, today]);
+  const todayScore = useMemo(() => getDailyScores(habits, logIndex, today, today)[0], [habits, logIndex, today]);
+
+  const getPeriodGoalsCompletion = () => {
+    const today = getToday();
+    const weeklyHabits = habits.filter(h => h.frequency === 'Weekly');
+    const monthlyHabits = habits.filter(h => h.frequency === 'Monthly');
+    const rows = [];
+
+    if (weeklyHabits.length > 0) {
+      const thisWeek = getISOWeekStart(today);
+      [3, 2, 1, 0].forEach(weeksAgo => {
+        const weekStart = addDays(thisWeek, -7 * weeksAgo);
+        rows.push({
+          key: `week-${weekStart}`,
+          label: `Week of ${formatDate(weekStart, { month: 'short', day: 'numeric' })}`,
+          percentage: getPeriodCompletionRate(weeklyHabits, habitLogs, weekStart)
+        });
+      });
+    }
 
-      const percentage = Math.round((completed / dailyHabits.length) * 100);
-      last7Days.push({ date: dateStr, percentage });
+    if (monthlyHabits.length > 0) {
+      const thisMonth = getMonthStart(today);
+      [2, 1, 0].forEach(monthsAgo => {
+        const monthStart = addMonths(thisMonth, -monthsAgo);
+        rows.push({
+          key: `month-${monthStart}`,
+          label: formatDate(monthStart, { month: 'long', year: 'numeric' }),
+          percentage: getPeriodCompletionRate(monthlyHabits, habitLogs, monthStart)
+        });
+      });
     }
 
-    return last7Days;
+    return rows;
   };
 
-  const completionData = getLast7DaysCompletion();
-  const maxPercentage = Math.max(...completionData.map(d => d.percentage), 100);
+  const periodCompletionData = getPeriodGoalsCompletion();
+  const recentSleep = sleepDays.slice(0, 7);
+  const rangeSleep = range ? sleepDays.filter(day => day.log_date >= range.from && day.log_date <= range.to) : [];
+  const rangeLabel = rangeDays === 'custom'
+    ? (range ? `${formatDate(range.from)} – ${formatDate(range.to)}` : 'Custom range')
+    : `Last ${ANALYTICS_RANGES.find(option => option.value === rangeDays).label}`;
 
   return (
     <div className="space-y-6">
       <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Progress Dashboard</h2>
 
-      <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
-        <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-6">
-          Habit Completion Rate (Last 7 Days)
-        </h3>
+      {habits.length > 0 && (
+        <CalendarHeatmap habits={habits} habitLogs={habitLogs} openDay={openDay} />
+      )}
 
-        <div className="space-y-4">
-          {completionData.map((day, index) => (
-            <div key={index} className="space-y-2">
-              <div className="flex justify-between text-sm">
-                <span className="text-gray-600 dark:text-gray-400">
-                  {new Date(day.date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
-                </span>
-                <span className="font-semibold text-gray-900 dark:text-white">
-                  {day.percentage}%
-                </span>
+      <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg space-y-3">
+        <div className="flex flex-wrap gap-2">
+          {ANALYTICS_RANGES.map(option => (
+            <button
+              key={option.value}
+              onClick={() => setRangeDays(option.value)}
+              className={`px-3 py-1 rounded-lg text-sm font-medium transition-all ${
+                rangeDays === option.value
+                  ? 'bg-blue-500 text-white'
+                  : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+
+        {rangeDays === 'custom' && (
+          <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="date"
+              value={customRange.from}
+              max={today}
+              onChange={(e) => e.target.value && setCustomRange({ ...customRange, from: e.target.value })}
+              className="px-3 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+            <span>to</span>
+            <input
+              type="date"
+              value={customRange.to}
+              max={today}
+              onChange={(e) => e.target.value && setCustomRange({ ...customRange, to: e.target.value })}
+              className="px-3 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+            {!range && (
+              <span className="text-red-600 dark:text-red-400">
+                Choose a start before the end, up to 3 years apart
+              </span>
+            )}
+          </div>
+        )}
+      </div>
+
+      {analytics && (
+        <>
+          <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+            <div className="flex flex-wrap items-baseline justify-between gap-2 mb-4">
+              <h3 className="text-xl font-semibold text-gray-900 dark:text-white">
+                Completion Trend ({rangeLabel})
+              </h3>
+              <span className={`text-sm font-medium ${TREND_LABELS[analytics.trend.direction].className}`}>
+                {TREND_LABELS[analytics.trend.direction].text}
+                {analytics.trend.direction !== 'unknown' &&
+                  ` (${analytics.trend.slope > 0 ? '+' : ''}${analytics.trend.slope} pts/week)`}
+              </span>
+            </div>
+            <TrendChart buckets={analytics.buckets} />
+          </div>
+
+          {analytics.habitStats.length > 0 && (
+            <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+              <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-6">
+                By Habit
+              </h3>
+
+              <div className="space-y-4">
+                {analytics.habitStats.map(stats => (
+                  <div key={stats.habit.id} className="space-y-2">
+                    <div className="flex justify-between gap-2 text-sm">
+                      <span className="text-gray-900 dark:text-white font-medium">
+                        {stats.habit.name}
+                        {stats.startedInRange && (
+                          <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">
+                            since {formatDate(stats.activeFrom, { month: 'short', day: 'numeric' })}
+                          </span>
+                        )}
+                      </span>
+                      <span className="text-gray-600 dark:text-gray-400 whitespace-nowrap">
+                        {stats.completed}/{stats.scheduled} {stats.unit}
+                        <span className="ml-2 font-semibold text-gray-900 dark:text-white">{stats.rate}%</span>
+                      </span>
+                    </div>
+                    <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-3 overflow-hidden">
+                      <div
+                        className="bg-gradient-to-r from-blue-500 to-purple-600 h-3 rounded-full transition-all duration-500"
+                        style={{ width: `${stats.rate}%` }}
+                      ></div>
+                    </div>
+                    {stats.goalValue !== null && (
+                      <div className="text-xs text-gray-500 dark:text-gray-400">
+                        {Math.round(stats.loggedValue * 10) / 10} of {Math.round(stats.goalValue * 10) / 10} {stats.habit.unit} logged
+                      </div>
+                    )}
+                  </div>
+                ))}
               </div>
-              <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-4 overflow-hidden">
-                <div
-                  className="bg-gradient-to-r from-blue-500 to-purple-600 h-4 rounded-full transition-all duration-500 flex items-center justify-end pr-2"
-                  style={{ width: `${day.percentage}%` }}
-                >
-                  {day.percentage > 0 && (
-                    <span className="text-xs text-white font-medium">
-                      {day.percentage}%
-                    </span>
-                  )}
-                </div>
+            </div>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+              <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
+                By Weekday
+              </h3>
+              <div className="grid grid-cols-7 gap-2 items-end h-32">
+                {analytics.weekdays.rows.map(row => (
+                  <div key={row.weekday} className="flex flex-col items-center justify-end h-full">
+                    <div
+                      className={`w-full rounded-t ${
+                        row.weekday === analytics.weekdays.best?.weekday
+                          ? 'bg-green-500'
+                          : row.weekday === analytics.weekdays.worst?.weekday
+                            ? 'bg-red-400'
+                            : 'bg-blue-400'
+                      }`}
+                      style={{ height: `${Math.max(row.rate, row.due > 0 ? 2 : 0)}%` }}
+                      title={row.due > 0 ? `${row.completed}/${row.due} completed` : 'Nothing due'}
+                    ></div>
+                  </div>
+                ))}
+              </div>
+              <div className="grid grid-cols-7 gap-2 mt-2 text-center text-xs text-gray-600 dark:text-gray-400">
+                {analytics.weekdays.rows.map(row => (
+                  <div key={row.weekday}>
+                    <div>{WEEKDAY_LABELS[row.weekday]}</div>
+                    <div className="font-semibold text-gray-900 dark:text-white">{row.due > 0 ? `${row.rate}%` : '–'}</div>
+                  </div>
+                ))}
               </div>
+              {analytics.weekdays.best && (
+                <p className="mt-4 text-sm text-gray-600 dark:text-gray-400">
+                  Best on {WEEKDAY_LABELS[analytics.weekdays.best.weekday]} ({analytics.weekdays.best.rate}%)
+                  {analytics.weekdays.worst &&
+                    `, hardest on ${WEEKDAY_LABELS[analytics.weekdays.worst.weekday]} (${analytics.weekdays.worst.rate}%)`}
+                </p>
+              )}
             </div>
-          ))}
+
+            <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+              <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">
+                Week over Week
+              </h3>
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+                First {weekComparison.days} {weekComparison.days === 1 ? 'day' : 'days'} of this week against the same days last week
+              </p>
+              <div className="grid grid-cols-2 gap-4">
+                {[['This week', weekComparison.current], ['Last week', weekComparison.previous]].map(([label, week]) => (
+                  <div key={label} className="p-4 rounded-xl bg-gray-50 dark:bg-gray-700">
+                    <div className="text-sm text-gray-600 dark:text-gray-400">{label}</div>
+                    <div className="text-2xl font-bold text-gray-900 dark:text-white">{week.due > 0 ? `${week.rate}%` : '–'}</div>
+                    <div className="text-xs text-gray-500 dark:text-gray-400">{week.completed}/{week.due} completed</div>
+                  </div>
+                ))}
+              </div>
+              {weekComparison.change !== null && (
+                <p className={`mt-4 text-sm font-medium ${
+                  weekComparison.change > 0
+                    ? 'text-green-600 dark:text-green-400'
+                    : weekComparison.change < 0
+                      ? 'text-red-600 dark:text-red-400'
+                      : 'text-gray-600 dark:text-gray-400'
+                }`}>
+                  {weekComparison.change === 0
+                    ? 'Same as last week'
+                    : `${weekComparison.change > 0 ? '▲' : '▼'} ${Math.abs(weekComparison.change)} points ${weekComparison.change > 0 ? 'up' : 'down'} on last week`}
+                </p>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+
+      {periodCompletionData.length > 0 && (
+        <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+          <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-6">
+            Weekly & Monthly Goals Met
+          </h3>
+
+          <div className="space-y-4">
+            {periodCompletionData.map(period => (
+              <div key={period.key} className="space-y-2">
+                <div className="flex justify-between text-sm">
+                  <span className="text-gray-600 dark:text-gray-400">
+                    {period.label}
+                  </span>
+                  <span className="font-semibold text-gray-900 dark:text-white">
+                    {period.percentage}%
+                  </span>
+                </div>
+                <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-4 overflow-hidden">
+                  <div
+                    className="bg-gradient-to-r from-green-500 to-teal-600 h-4 rounded-full transition-all duration-500"
+                    style={{ width: `${period.percentage}%` }}
+                  ></div>
+                </div>
+              </div>
+            ))}
+          </div>
         </div>
-      </div>
+      )}
+
+      {habits.length > 0 && (
+        <SleepInsights
+          habits={habits}
+          habitLogs={habitLogs}
+          sleepDays={sleepDays}
+        />
+      )}
 
       <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
         <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-6">
@@ -1549,15 +4522,15 @@ function ProgressView({ habitLogs, habits, sleepLogs, darkMode }) {
           <p className="text-center text-gray-500 dark:text-gray-400 py-8">No sleep data yet</p>
         ) : (
           <div className="space-y-4">
-            {sleepLogs.slice(0, 7).reverse().map((log, index) => (
+            {recentSleep.slice().reverse().map((log, index) => (
               <div key={index} className="space-y-2">
                 <div className="flex justify-between text-sm">
                   <span className="text-gray-600 dark:text-gray-400">
-                    {new Date(log.log_date).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' })}
+                    {formatDate(log.log_date, { weekday: 'short', month: 'short', day: 'numeric' })}
                   </span>
                   <div className="flex items-center space-x-3">
                     <span className="font-semibold text-gray-900 dark:text-white">
-                      {log.total_hours}h
+                      {formatSleepHours(log.total_hours)}
                     </span>
                     <span>{'⭐'.repeat(log.quality)}</span>
                   </div>
@@ -1568,7 +4541,7 @@ function ProgressView({ habitLogs, habits, sleepLogs, darkMode }) {
                     style={{ width: `${Math.min((parseFloat(log.total_hours) / 12) * 100, 100)}%` }}
                   >
                     <span className="text-xs text-white font-medium">
-                      {log.total_hours}h
+                      {formatSleepHours(log.total_hours)}
                     </span>
                   </div>
                 </div>
@@ -1582,7 +4555,7 @@ function ProgressView({ habitLogs, habits, sleepLogs, darkMode }) {
         <div className="bg-gradient-to-br from-green-500 to-green-600 rounded-xl p-6 text-white shadow-lg">
           <div className="text-4xl mb-2">🎯</div>
           <div className="text-3xl font-bold mb-1">
-            {completionData[completionData.length - 1]?.percentage || 0}%
+            {todayScore.percentage}%
           </div>
           <div className="text-green-100">Today's Completion</div>
         </div>
@@ -1590,22 +4563,997 @@ function ProgressView({ habitLogs, habits, sleepLogs, darkMode }) {
         <div className="bg-gradient-to-br from-blue-500 to-blue-600 rounded-xl p-6 text-white shadow-lg">
           <div className="text-4xl mb-2">📈</div>
           <div className="text-3xl font-bold mb-1">
-            {Math.round(completionData.reduce((sum, d) => sum + d.percentage, 0) / completionData.length)}%
+            {analytics?.summary.rate ?? 0}%
           </div>
-          <div className="text-blue-100">7-Day Average</div>
+          <div className="text-blue-100">{rangeDays === 'custom' ? 'Range' : `${rangeDays}-Day`} Average</div>
         </div>
 
         <div className="bg-gradient-to-br from-purple-500 to-purple-600 rounded-xl p-6 text-white shadow-lg">
           <div className="text-4xl mb-2">😴</div>
           <div className="text-3xl font-bold mb-1">
-            {sleepLogs.length > 0
-              ? (sleepLogs.reduce((sum, log) => sum + parseFloat(log.total_hours), 0) / sleepLogs.length).toFixed(1)
+            {rangeSleep.length > 0
+              ? (rangeSleep.reduce((sum, log) => sum + parseFloat(log.total_hours), 0) / rangeSleep.length).toFixed(1)
               : '0.0'
             }h
           </div>
-          <div className="text-purple-100">Avg Sleep</div>
+          <div className="text-purple-100">Avg Sleep ({rangeSleep.length} {rangeSleep.length === 1 ? 'night' : 'nights'})</div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function TrophyRoomView({ achievements, userAchievements }) {
+  const unlockedCount = achievements.filter(a =>
+    userAchievements.some(u => u.achievement_id === a.id)
+  ).length;
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+        <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Trophy Room</h2>
+        <p className="text-gray-600 dark:text-gray-400 mt-1">
+          {unlockedCount} of {achievements.length} badges unlocked
+        </p>
+        <div className="mt-4 w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+          <div
+            className="bg-yellow-500 h-2 rounded-full transition-all duration-500"
+            style={{ width: `${achievements.length ? (unlockedCount / achievements.length) * 100 : 0}%` }}
+          />
         </div>
       </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+        {achievements.map(achievement => {
+          const unlocked = userAchievements.find(u => u.achievement_id === achievement.id);
+
+          return (
+            <div
+              key={achievement.id}
+              className={`rounded-2xl p-5 shadow-lg flex items-start space-x-4 ${
+                unlocked
+                  ? 'bg-gradient-to-br from-yellow-50 to-orange-100 dark:from-yellow-900 dark:to-orange-900'
+                  : 'bg-white dark:bg-gray-800 opacity-60'
+              }`}
+            >
+              <div className={`text-4xl ${unlocked ? '' : 'grayscale'}`}>
+                {unlocked ? achievement.icon : '🔒'}
+              </div>
+              <div>
+                <h3 className="font-semibold text-gray-900 dark:text-white">{achievement.name}</h3>
+                <p className="text-sm text-gray-600 dark:text-gray-300">{achievement.description}</p>
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+                  {unlocked
+                    ? `Unlocked ${formatDate(toLocalDate(unlocked.unlocked_at))}`
+                    : achievement.xp_reward > 0 ? `+${achievement.xp_reward} XP` : 'Locked'}
+                </p>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function AuthView({ signInWithPassword, sendMagicLink, signInWithProvider, continueAsGuest }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (password) {
+      signInWithPassword(email, password);
+    } else {
+      sendMagicLink(email);
+    }
+  };
+
+  return (
+    <div className="min-h-screen flex items-center justify-center px-4">
+      <div className="w-full max-w-md bg-white dark:bg-gray-800 rounded-2xl p-8 shadow-lg space-y-6">
+        <div className="text-center">
+          <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Smart Habit Tracker</h1>
+          <p className="text-gray-600 dark:text-gray-400 mt-2">
+            Sign in to pick up where you left off on another device.
+          </p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <input
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            placeholder="you@example.com"
+            required
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            placeholder="Password (leave empty for a magic link)"
+          />
+          <button
+            type="submit"
+            className="w-full px-4 py-3 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors"
+          >
+            {password ? 'Sign In' : 'Email Me a Sign-In Link'}
+          </button>
+        </form>
+
+        <div className="space-y-2">
+          {OAUTH_PROVIDERS.map(provider => (
+            <button
+              key={provider.id}
+              onClick={() => signInWithProvider(provider.id)}
+              className="w-full px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-900 dark:text-white rounded-lg font-medium transition-colors"
+            >
+              Continue with {provider.label}
+            </button>
+          ))}
+        </div>
+
+        <button
+          onClick={continueAsGuest}
+          className="w-full text-sm text-gray-600 dark:text-gray-400 hover:underline"
+        >
+          Continue as a guest
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ReminderSettings({ userData, notificationStatus, enablePushReminders, disablePushReminders, updateQuietHours }) {
+  const quietHours = getQuietHours(userData);
+  const hasQuietHours = Boolean(quietHours.start && quietHours.end);
+  const { permission, pushEnabled } = notificationStatus;
+
+  const describeStatus = () => {
+    if (permission === 'unsupported') return "This browser can't show notifications. Reminders appear while the app is open.";
+    if (permission === 'denied') return 'Notifications are blocked for this site. Allow them in your browser settings to get reminders.';
+    if (pushEnabled) return 'Reminders arrive on this device even when the app is closed.';
+    if (permission === 'granted') return 'Reminders show as notifications while the app is open.';
+    return 'Reminders only appear while the app is open.';
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+      <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">Reminders</h3>
+      <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+        Set reminder times on each habit. You're only reminded about habits you haven't done yet.
+      </p>
+
+      <div className="flex justify-between items-center gap-4 p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
+        <span className="text-sm text-gray-700 dark:text-gray-300">{describeStatus()}</span>
+        {permission !== 'unsupported' && permission !== 'denied' && (
+          pushEnabled ? (
+            <button
+              onClick={disablePushReminders}
+              className="shrink-0 text-sm px-3 py-1 bg-gray-200 dark:bg-gray-600 hover:bg-gray-300 dark:hover:bg-gray-500 text-gray-900 dark:text-white rounded-lg transition-colors"
+            >
+              Turn Off
+            </button>
+          ) : (
+            <button
+              onClick={enablePushReminders}
+              className="shrink-0 text-sm px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+            >
+              Turn On Notifications
+            </button>
+          )
+        )}
+      </div>
+
+      <div className="mt-4">
+        <label className="flex items-center text-sm font-medium text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={hasQuietHours}
+            onChange={(e) => e.target.checked
+              ? updateQuietHours(DEFAULT_QUIET_HOURS.start, DEFAULT_QUIET_HOURS.end)
+              : updateQuietHours(null, null)}
+            className="mr-2"
+          />
+          Quiet hours
+        </label>
+        {hasQuietHours && (
+          <div className="grid grid-cols-2 gap-4 mt-2">
+            <div>
+              <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1">From</label>
+              <input
+                type="time"
+                value={quietHours.start}
+                onChange={(e) => isValidReminderTime(e.target.value) && updateQuietHours(e.target.value, quietHours.end)}
+                className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              />
+            </div>
+            <div>
+              <label className="block text-xs text-gray-500 dark:text-gray-400 mb-1">Until</label>
+              <input
+                type="time"
+                value={quietHours.end}
+                onChange={(e) => isValidReminderTime(e.target.value) && updateQuietHours(quietHours.start, e.target.value)}
+                className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              />
+            </div>
+          </div>
+        )}
+        <p className="text-xs text-gray-500 dark:text-gray-400 mt-2">
+          Reminders that fall in quiet hours are skipped.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+function ProfileView({
+  user,
+  userData,
+  linkEmail,
+  setAccountPassword,
+  linkProvider,
+  signOut,
+  exportData,
+  importHistory,
+  habits,
+  habitLogs,
+  editableFrom,
+  notificationStatus,
+  enablePushReminders,
+  disablePushReminders,
+  updateQuietHours
+}) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [showImport, setShowImport] = useState(false);
+
+  const isGuest = Boolean(user.is_anonymous);
+  const linkedProviders = (user.identities || []).map(identity => identity.provider);
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+        <div className="flex justify-between items-start">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900 dark:text-white">Profile</h2>
+            <p className="text-gray-600 dark:text-gray-400 mt-1">
+              {user.email || 'No email linked'}
+            </p>
+          </div>
+          <span className={`px-3 py-1 rounded-full text-sm font-semibold ${
+            isGuest
+              ? 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200'
+              : 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200'
+          }`}>
+            {isGuest ? 'Guest account' : 'Linked account'}
+          </span>
+        </div>
+
+        {isGuest && (
+          <p className="mt-4 text-sm text-yellow-700 dark:text-yellow-300">
+            ⚠️ Your data only lives in this browser session. Link an email or another account to keep it safe and use it on other devices.
+          </p>
+        )}
+
+        {user.new_email && (
+          <p className="mt-4 text-sm text-blue-700 dark:text-blue-300">
+            📧 Waiting for you to confirm {user.new_email}.
+          </p>
+        )}
+
+        <dl className="mt-6 grid grid-cols-1 sm:grid-cols-2 gap-4 text-sm">
+          <div>
+            <dt className="text-gray-500 dark:text-gray-400">Sign-in methods</dt>
+            <dd className="text-gray-900 dark:text-white font-medium">
+              {linkedProviders.length > 0
+                ? linkedProviders.map(p => OAUTH_PROVIDERS.find(o => o.id === p)?.label || 'Email').join(', ')
+                : 'None yet'}
+            </dd>
+          </div>
+          {userData?.created_at && (
+            <div>
+              <dt className="text-gray-500 dark:text-gray-400">Member since</dt>
+              <dd className="text-gray-900 dark:text-white font-medium">
+                {formatDate(toLocalDate(userData.created_at))}
+              </dd>
+            </div>
+          )}
+        </dl>
+      </div>
+
+      {!user.email && (
+        <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Link an Email</h3>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              linkEmail(email);
+              setEmail('');
+            }}
+            className="flex flex-col sm:flex-row gap-3"
+          >
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              className="flex-1 px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              placeholder="you@example.com"
+              required
+            />
+            <button
+              type="submit"
+              className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors"
+            >
+              Send Confirmation
+            </button>
+          </form>
+        </div>
+      )}
+
+      {user.email && !isGuest && (
+        <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Password</h3>
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              setAccountPassword(password);
+              setPassword('');
+            }}
+            className="flex flex-col sm:flex-row gap-3"
+          >
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              className="flex-1 px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+              placeholder="New password"
+              minLength={6}
+              required
+            />
+            <button
+              type="submit"
+              className="px-6 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors"
+            >
+              Save Password
+            </button>
+          </form>
+        </div>
+      )}
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">Linked Accounts</h3>
+        <div className="space-y-2">
+          {OAUTH_PROVIDERS.map(provider => (
+            <div
+              key={provider.id}
+              className="flex justify-between items-center p-3 bg-gray-50 dark:bg-gray-700 rounded-lg"
+            >
+              <span className="text-gray-900 dark:text-white">{provider.label}</span>
+              {linkedProviders.includes(provider.id) ? (
+                <span className="text-sm text-green-600 dark:text-green-400">✓ Linked</span>
+              ) : (
+                <button
+                  onClick={() => linkProvider(provider.id)}
+                  className="text-sm px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded-lg transition-colors"
+                >
+                  Link
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <ReminderSettings
+        userData={userData}
+        notificationStatus={notificationStatus}
+        enablePushReminders={enablePushReminders}
+        disablePushReminders={disablePushReminders}
+        updateQuietHours={updateQuietHours}
+      />
+
+      <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-2">Your Data</h3>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+          Download your profile, habits, full log history, sleep logs, timetable and terms.
+        </p>
+        <div className="flex flex-col sm:flex-row gap-3">
+          <button
+            onClick={() => exportData('json')}
+            className="flex-1 px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-lg font-medium transition-colors"
+          >
+            Download JSON
+          </button>
+          <button
+            onClick={() => exportData('csv')}
+            className="flex-1 px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-900 dark:text-white rounded-lg font-medium transition-colors"
+          >
+            Download All CSVs
+          </button>
+        </div>
+        <div className="flex flex-wrap gap-2 mt-3">
+          {Object.keys(EXPORT_COLUMNS).map(table => (
+            <button
+              key={table}
+              onClick={() => exportData(table)}
+              className="text-xs px-3 py-1 bg-gray-50 dark:bg-gray-700 hover:bg-gray-100 dark:hover:bg-gray-600 text-gray-600 dark:text-gray-300 rounded-full transition-colors"
+            >
+              {table.replace(/_/g, ' ')}.csv
+            </button>
+          ))}
+        </div>
+
+        <div className="mt-6 pt-6 border-t border-gray-200 dark:border-gray-700">
+          <div className="flex justify-between items-center">
+            <div>
+              <h4 className="font-semibold text-gray-900 dark:text-white">Import History</h4>
+              <p className="text-sm text-gray-600 dark:text-gray-400">
+                Bring in habits and logs from Loop, Habitica, a CSV file or an export from this app.
+              </p>
+            </div>
+            <button
+              onClick={() => setShowImport(!showImport)}
+              className="ml-4 px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-900 dark:text-white rounded-lg font-medium transition-colors"
+            >
+              {showImport ? 'Close' : 'Import'}
+            </button>
+          </div>
+
+          {showImport && (
+            <ImportWizard
+              importHistory={importHistory}
+              habits={habits}
+              habitLogs={habitLogs}
+              editableFrom={editableFrom}
+              onClose={() => setShowImport(false)}
+            />
+          )}
+        </div>
+      </div>
+
+      <button
+        onClick={signOut}
+        className="w-full px-4 py-3 bg-red-50 dark:bg-red-900 hover:bg-red-100 dark:hover:bg-red-800 text-red-600 dark:text-red-300 rounded-lg font-medium transition-colors"
+      >
+        Sign Out
+      </button>
+    </div>
+  );
+}
+
+function TimetableEntryCard({ entry, term, clashes = false, children }) {
+  const details = [entry.class_type, entry.location, entry.instructor].filter(Boolean).join(' · ');
+
+  return (
+    <div
+      className="flex justify-between items-center p-3 bg-gray-50 dark:bg-gray-700 rounded-lg border-l-4 border-blue-600"
+      style={entry.color ? { borderLeftColor: entry.color } : undefined}
+    >
+      <div>
+        <p className="font-medium text-gray-900 dark:text-white">{entry.course}</p>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          {entry.start_time} - {entry.end_time}
+          {details && ` · ${details}`}
+          {clashes && (
+            <span className="ml-2 text-yellow-600 dark:text-yellow-400">⚠️ Clash</span>
+          )}
+        </p>
+        {term && (
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            {term.name}{isRotating(entry) && ` · Week ${entry.week_pattern} only`}
+          </p>
+        )}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+function TermManager({ terms, addTerm, updateTerm, deleteTerm }) {
+  const emptyTerm = { name: '', start_date: '', end_date: '', week_a_start: '', exception_dates: [] };
+
+  const [editingId, setEditingId] = useState(null);
+  const [termData, setTermData] = useState(emptyTerm);
+  const [breakRange, setBreakRange] = useState({ from: '', to: '' });
+
+  const errors = validateTerm(termData);
+  const endDateError = termData.start_date && termData.end_date ? errors.end_date : null;
+
+  const resetForm = () => {
+    setTermData(emptyTerm);
+    setEditingId(null);
+    setBreakRange({ from: '', to: '' });
+  };
+
+  const addBreak = () => {
+    if (!breakRange.from) return;
+    const dates = expandDateRange(breakRange.from, breakRange.to || breakRange.from);
+    setTermData(prev => ({
+      ...prev,
+      exception_dates: [...new Set([...prev.exception_dates, ...dates])].sort()
+    }));
+    setBreakRange({ from: '', to: '' });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const values = { ...termData, name: termData.name.trim(), week_a_start: termData.week_a_start || null };
+    const saved = editingId ? await updateTerm(editingId, values) : await addTerm(values);
+    if (saved) resetForm();
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg space-y-6">
+      <div>
+        <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">Terms</h3>
+        <p className="text-sm text-gray-600 dark:text-gray-400">
+          Classes in a term only appear between its dates, and not on its holidays and breaks.
+        </p>
+      </div>
+
+      {terms.length > 0 && (
+        <div className="space-y-2">
+          {terms.map(term => (
+            <div key={term.id} className="flex justify-between items-center p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
+              <div>
+                <p className="font-medium text-gray-900 dark:text-white">{term.name}</p>
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  {formatDate(term.start_date)} – {formatDate(term.end_date)}
+                  {(term.exception_dates || []).length > 0 && ` · ${term.exception_dates.length} days off`}
+                </p>
+              </div>
+              <div className="flex items-center gap-3">
+                <button
+                  onClick={() => {
+                    setTermData({
+                      name: term.name,
+                      start_date: term.start_date,
+                      end_date: term.end_date,
+                      week_a_start: term.week_a_start || '',
+                      exception_dates: term.exception_dates || []
+                    });
+                    setEditingId(term.id);
+                  }}
+                  className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+                  title="Edit term"
+                >
+                  ✎
+                </button>
+                <button
+                  onClick={() => {
+                    if (confirm(`Delete ${term.name}? Its classes will repeat every week again.`)) {
+                      deleteTerm(term.id);
+                      if (editingId === term.id) resetForm();
+                    }
+                  }}
+                  className="text-red-600 hover:text-red-700 dark:text-red-400"
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <h4 className="font-semibold text-gray-900 dark:text-white">{editingId ? 'Edit Term' : 'Add Term'}</h4>
+        <input
+          type="text"
+          value={termData.name}
+          onChange={(e) => setTermData({ ...termData, name: e.target.value })}
+          className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+          placeholder="Autumn 2025"
+          required
+        />
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          {[
+            ['start_date', 'Starts'],
+            ['end_date', 'Ends'],
+            ['week_a_start', 'First Week A (optional)']
+          ].map(([field, label]) => (
+            <div key={field}>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">{label}</label>
+              <input
+                type="date"
+                value={termData[field]}
+                onChange={(e) => setTermData({ ...termData, [field]: e.target.value })}
+                className="w-full px-4 py-2 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+                required={field !== 'week_a_start'}
+              />
+            </div>
+          ))}
+        </div>
+        {endDateError && (
+          <p className="text-sm text-red-600 dark:text-red-400">{endDateError}</p>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+            Holidays and breaks
+          </label>
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              type="date"
+              value={breakRange.from}
+              onChange={(e) => setBreakRange({ ...breakRange, from: e.target.value })}
+              className="px-3 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+            <span className="text-gray-500 dark:text-gray-400">to</span>
+            <input
+              type="date"
+              value={breakRange.to}
+              min={breakRange.from || undefined}
+              onChange={(e) => setBreakRange({ ...breakRange, to: e.target.value })}
+              className="px-3 py-1 rounded-lg border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            />
+            <button
+              type="button"
+              onClick={addBreak}
+              disabled={!breakRange.from}
+              className="px-3 py-1 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-900 dark:text-white rounded-lg disabled:opacity-50"
+            >
+              Add
+            </button>
+          </div>
+          {termData.exception_dates.length > 0 && (
+            <div className="flex flex-wrap gap-2 mt-3">
+              {termData.exception_dates.map(date => (
+                <button
+                  key={date}
+                  type="button"
+                  onClick={() => setTermData(prev => ({
+                    ...prev,
+                    exception_dates: prev.exception_dates.filter(d => d !== date)
+                  }))}
+                  className="text-xs px-2 py-1 bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 rounded-full hover:bg-red-100 dark:hover:bg-red-900"
+                  title="Remove"
+                >
+                  {formatDate(date, { month: 'short', day: 'numeric' })} ✕
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div className="flex gap-3">
+          <button
+            type="submit"
+            disabled={Object.keys(errors).length > 0}
+            className="flex-1 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50"
+          >
+            {editingId ? 'Save Term' : 'Add Term'}
+          </button>
+          {editingId && (
+            <button
+              type="button"
+              onClick={resetForm}
+              className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-900 dark:text-white rounded-lg font-medium"
+            >
+              Cancel
+            </button>
+          )}
+        </div>
+      </form>
+    </div>
+  );
+}
+
+function CalendarSyncPanel({ timetable, importTimetableEntries, exportTimetableIcs, onDone }) {
+  const [preview, setPreview] = useState(null);
+  const [parseError, setParseError] = useState('');
+  const [includeHabits, setIncludeHabits] = useState(false);
+
+  const handleFile = async (file) => {
+    setParseError('');
+
+    try {
+      const events = parseIcs(await file.text());
+      setPreview(icsToTimetableEntries(events, { timeZone: getActiveTimeZone(), timetable, today: getToday() }));
+    } catch (error) {
+      console.error('Error reading calendar:', error);
+      setParseError(error.message || 'Could not read that file');
+    }
+  };
+
+  const toggleEntry = (key) => {
+    setPreview(prev => ({
+      ...prev,
+      entries: prev.entries.map(entry => (entry.key === key ? { ...entry, selected: !entry.selected } : entry))
+    }));
+  };
+
+  const selected = preview?.entries.filter(entry => entry.selected) || [];
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-2xl p-6 shadow-lg space-y-6">
+      <div>
+        <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">Import from .ics</h3>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+          Weekly recurring events become classes. Times are converted to your time zone.
+        </p>
+        <input
+          type="file"
+          accept=".ics,text/calendar"
+          onChange={(e) => e.target.files[0] && handleFile(e.target.files[0])}
+          className="block w-full text-sm text-gray-600 dark:text-gray-300 file:mr-4 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-blue-600 file:text-white file:font-medium hover:file:bg-blue-700"
+        />
+        {parseError && (
+          <p className="mt-2 text-sm text-red-600 dark:text-red-400">{parseError}</p>
+        )}
+
+        {preview && (
+          <div className="mt-4 space-y-3">
+            {preview.entries.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">No weekly classes found in this calendar.</p>
+            ) : (
+              <div className="max-h-72 overflow-y-auto space-y-2">
+                {preview.entries.map(entry => (
+                  <label
+                    key={entry.key}
+                    className={`flex items-start gap-3 p-3 rounded-lg bg-gray-50 dark:bg-gray-700 cursor-pointer ${
+                      entry.selected ? '' : 'opacity-60'
+                    }`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={entry.selected}
+                      onChange={() => toggleEntry(entry.key)}
+                      className="mt-1"
+                    />
+                    <div className="flex-1">
+                      <p className="font-medium text-gray-900 dark:text-white">{entry.course}</p>
+                      <p className="text-sm text-gray-600 dark:text-gray-400">
+                        {entry.day} · {entry.start_time} - {entry.end_time}
+                        {entry.location && ` · ${entry.location}`}
+                      </p>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {[
+                          entry.duplicate && 'Already in your timetable',
+                          entry.ended && 'Series has ended',
+                          !entry.recurring && (entry.occurrences > 1 ? `${entry.occurrences} single events` : 'One-off event'),
+                          entry.note
+                        ].filter(Boolean).join(' · ')}
+                      </p>
+                    </div>
+                  </label>
+                ))}
+              </div>
+            )}
+
+            {preview.skipped.length > 0 && (
+              <details className="text-xs text-gray-500 dark:text-gray-400">
+                <summary className="cursor-pointer">{preview.skipped.length} events skipped</summary>
+                <ul className="mt-2 space-y-1">
+                  {preview.skipped.map((event, index) => (
+                    <li key={index}>{event.summary}: {event.reason}</li>
+                  ))}
+                </ul>
+              </details>
+            )}
+
+            <button
+              onClick={async () => {
+                await importTimetableEntries(selected);
+                setPreview(null);
+                onDone();
+              }}
+              disabled={selected.length === 0}
+              className="w-full py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors font-medium disabled:opacity-50"
+            >
+              Add {selected.length} {selected.length === 1 ? 'Class' : 'Classes'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="pt-6 border-t border-gray-200 dark:border-gray-700">
+        <h3 className="text-xl font-semibold text-gray-900 dark:text-white mb-2">Export to .ics</h3>
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-3">
+          Add your classes to Google Calendar or Outlook as weekly events.
+        </p>
+        <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 mb-3">
+          <input
+            type="checkbox"
+            checked={includeHabits}
+            onChange={(e) => setIncludeHabits(e.target.checked)}
+          />
+          Include habits as all-day events on the days they're due
+        </label>
+        <button
+          onClick={() => exportTimetableIcs(includeHabits)}
+          disabled={timetable.length === 0 && !includeHabits}
+          className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-900 dark:text-white rounded-lg font-medium transition-colors disabled:opacity-50"
+        >
+          Download .ics
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ImportWizard({ importHistory, habits, habitLogs, editableFrom, onClose }) {
+  const [step, setStep] = useState('select');
+  const [plan, setPlan] = useState(null);
+  const [parseError, setParseError] = useState('');
+  const [progress, setProgress] = useState(0);
+  const [result, setResult] = useState(null);
+
+  const handleFiles = async (fileList) => {
+    setParseError('');
+
+    try {
+      const files = await Promise.all(
+        Array.from(fileList).map(async file => ({ name: file.name, text: await file.text() }))
+      );
+      const parsed = parseImportFiles(files, getActiveTimeZone());
+
+      setPlan(buildImportPlan(parsed, { habits, habitLogs, today: getToday(), editableFrom }));
+      setStep('preview');
+    } catch (error) {
+      console.error('Error reading import:', error);
+      setParseError(error.message || 'Could not read that file');
+    }
+  };
+
+  const runImport = async () => {
+    setProgress(0);
+    setStep('importing');
+
+    const totals = await importHistory(plan, setProgress);
+
+    setResult(totals);
+    setStep(totals ? 'done' : 'preview');
+  };
+
+  if (step === 'select') {
+    return (
+      <div className="mt-4 space-y-3">
+        <input
+          type="file"
+          accept=".csv,.json,text/csv,application/json"
+          multiple
+          onChange={(e) => e.target.files.length && handleFiles(e.target.files)}
+          className="block w-full text-sm text-gray-600 dark:text-gray-300 file:mr-4 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-blue-600 file:text-white file:font-medium hover:file:bg-blue-700"
+        />
+        <ul className="text-xs text-gray-500 dark:text-gray-400 space-y-1 list-disc list-inside">
+          <li>Loop Habit Tracker: unzip the export and select both Habits.csv and Checkmarks.csv</li>
+          <li>Habitica: the user data JSON or the tasks history CSV</li>
+          <li>Any CSV with a date column plus a habit column (and value or completed), or one column per habit</li>
+        </ul>
+        {parseError && (
+          <p className="text-sm text-red-600 dark:text-red-400">{parseError}</p>
+        )}
+      </div>
+    );
+  }
+
+  if (step === 'importing') {
+    return (
+      <div className="mt-4">
+        <p className="text-sm text-gray-600 dark:text-gray-400 mb-2">
+          Importing {plan.logs.length} logs…
+        </p>
+        <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-3">
+          <div
+            className="bg-blue-600 h-3 rounded-full transition-all duration-300"
+            style={{ width: `${Math.round(progress * 100)}%` }}
+          />
+        </div>
+      </div>
+    );
+  }
+
+  if (step === 'done') {
+    return (
+      <div className="mt-4 p-4 bg-green-50 dark:bg-green-900 rounded-lg">
+        <p className="text-green-800 dark:text-green-200 font-medium">
+          ✓ Imported {result.logs_inserted} logs and created {result.habits_created} habits.
+        </p>
+        {result.logs_skipped > 0 && (
+          <p className="text-sm text-green-700 dark:text-green-300 mt-1">
+            {result.logs_skipped} logs were already there and were left unchanged.
+          </p>
+        )}
+        <button
+          onClick={onClose}
+          className="mt-3 px-4 py-2 bg-green-600 hover:bg-green-700 text-white rounded-lg font-medium transition-colors"
+        >
+          Done
+        </button>
+      </div>
+    );
+  }
+
+  const newHabitCount = plan.habits.filter(habit => !habit.existing).length;
+  const issues = [...plan.errors.map(e => ({ ...e, kind: 'error' })), ...plan.duplicates.map(d => ({ ...d, kind: 'duplicate' }))];
+
+  return (
+    <div className="mt-4 space-y-4">
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-center">
+        {[
+          ['Logs to import', plan.logs.length],
+          ['New habits', newHabitCount],
+          ['Duplicates', plan.duplicates.length],
+          ['Errors', plan.errors.length]
+        ].map(([label, value]) => (
+          <div key={label} className="p-3 bg-gray-50 dark:bg-gray-700 rounded-lg">
+            <p className="text-2xl font-bold text-gray-900 dark:text-white">{value}</p>
+            <p className="text-xs text-gray-500 dark:text-gray-400">{label}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 dark:text-gray-400">
+              <th className="py-2 pr-4">Habit</th>
+              <th className="py-2 pr-4">Type</th>
+              <th className="py-2 pr-4">Schedule</th>
+              <th className="py-2 pr-4">Logs</th>
+              <th className="py-2">Action</th>
+            </tr>
+          </thead>
+          <tbody>
+            {plan.habits.map(habit => (
+              <tr key={habit.key} className="border-t border-gray-100 dark:border-gray-700 text-gray-900 dark:text-white">
+                <td className="py-2 pr-4">{habit.name}</td>
+                <td className="py-2 pr-4">
+                  {habit.is_boolean ? 'Yes / no' : `Quantity (goal ${habit.goal_value}${habit.unit ? ` ${habit.unit}` : ''})`}
+                </td>
+                <td className="py-2 pr-4">{describeSchedule(habit)}</td>
+                <td className="py-2 pr-4">{habit.logCount}</td>
+                <td className="py-2 text-gray-600 dark:text-gray-400">
+                  {habit.existing ? `Add to "${habit.existing.name}"` : 'Create'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {issues.length > 0 && (
+        <div className="max-h-48 overflow-y-auto p-3 bg-gray-50 dark:bg-gray-700 rounded-lg text-xs space-y-1">
+          {issues.slice(0, 100).map((issue, index) => (
+            <p
+              key={index}
+              className={issue.kind === 'error' ? 'text-red-600 dark:text-red-400' : 'text-yellow-700 dark:text-yellow-300'}
+            >
+              {issue.row ? `Row ${issue.row}: ` : ''}{issue.message}
+            </p>
+          ))}
+          {issues.length > 100 && (
+            <p className="text-gray-500 dark:text-gray-400">…and {issues.length - 100} more</p>
+          )}
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        Imported history counts toward streaks and achievements but doesn't earn XP. Rows with errors are skipped.
+      </p>
+
+      <div className="flex gap-3">
+        <button
+          onClick={runImport}
+          disabled={plan.logs.length === 0 && newHabitCount === 0}
+          className="flex-1 px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white rounded-lg font-medium transition-colors"
+        >
+          Import {plan.logs.length} Logs
+        </button>
+        <button
+          onClick={() => {
+            setPlan(null);
+            setStep('select');
+          }}
+          className="px-4 py-2 bg-gray-100 dark:bg-gray-700 hover:bg-gray-200 dark:hover:bg-gray-600 text-gray-900 dark:text-white rounded-lg font-medium transition-colors"
+        >
+          Choose Another File
+        </button>
+      </div>
     </div>
   );
 }
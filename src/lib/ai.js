@@ -0,0 +1 @@
+export * from '../../supabase/functions/_shared/ai.js';
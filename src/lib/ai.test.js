@@ -0,0 +1,124 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  buildFallbackPlan,
+  buildFallbackPlanBlocks,
+  buildFallbackReminder,
+  createAIProvider,
+  createMockProvider,
+  generateDailyPlanText,
+  generateReminderText,
+  getPlanContext
+} from './ai.js';
+
+// 2025-11-17 is a Monday.
+const planContext = getPlanContext({
+  date: '2025-11-17',
+  habits: [
+    { id: 'habit-1', name: 'Read', frequency: 'Daily', is_boolean: true, goal_value: 1, unit: '' },
+    { id: 'habit-2', name: 'Run', frequency: 'Daily', is_boolean: false, goal_value: 5, unit: 'km' }
+  ],
+  habitLogs: [],
+  timetable: [{ id: 'class-1', course: 'Maths', class_type: 'Lecture', day: 'Monday', start_time: '08:30', end_time: '10:00' }],
+  terms: []
+});
+
+describe('createAIProvider', () => {
+  it('picks the adapter named in the config', () => {
+    assert.equal(createAIProvider({ provider: 'mock' }).name, 'mock');
+    assert.equal(createAIProvider({ provider: 'gemini', apiKey: 'key' }).name, 'gemini');
+    assert.equal(createAIProvider({ provider: 'llamacpp' }).name, 'llamacpp');
+    assert.equal(createAIProvider({ provider: 'ollama' }).name, 'ollama');
+  });
+
+  it('turns AI off for a missing or unknown provider', () => {
+    assert.equal(createAIProvider().name, 'none');
+    assert.equal(createAIProvider({ provider: 'skynet' }).name, 'none');
+  });
+
+  it('sends OpenAI-style chat requests to a local llama.cpp server', async (t) => {
+    const fetch = t.mock.method(globalThis, 'fetch', async () => ({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: 'Go read.' } }] })
+    }));
+    const provider = createAIProvider({ provider: 'llamacpp' });
+
+    const text = await provider.generate({ system: 'Be brief.', prompt: 'Remind me', maxTokens: 60, temperature: 0.5 });
+
+    assert.equal(text, 'Go read.');
+    const [url, options] = fetch.mock.calls[0].arguments;
+    assert.equal(url, 'http://localhost:8080/v1/chat/completions');
+    assert.deepEqual(JSON.parse(options.body).messages, [
+      { role: 'system', content: 'Be brief.' },
+      { role: 'user', content: 'Remind me' }
+    ]);
+    assert.equal(options.headers.Authorization, undefined);
+  });
+});
+
+describe('mock provider', () => {
+  it('answers the same request the same way', async () => {
+    const provider = createMockProvider();
+    const first = await generateReminderText(provider, 'Read');
+    const second = await generateReminderText(provider, 'Read');
+
+    assert.deepEqual(first, { text: "[mock] Read: now's a good time.", source: 'ai', provider: 'mock' });
+    assert.deepEqual(second, first);
+  });
+
+  it('returns canned responses per task', async () => {
+    const provider = createMockProvider({
+      responses: {
+        reminder: 'Canned reminder',
+        'daily-plan': ({ data }) => `Plan for ${data.dayName}`
+      }
+    });
+
+    assert.equal((await generateReminderText(provider, 'Read')).text, 'Canned reminder');
+    assert.equal((await generateDailyPlanText(provider, planContext)).text, 'Plan for Monday');
+  });
+
+  it('plans the day from the fallback blocks', async () => {
+    const { text } = await generateDailyPlanText(createMockProvider(), planContext);
+    assert.equal(text, `[mock] ${buildFallbackPlan(planContext)}`);
+  });
+});
+
+describe('fallbacks', () => {
+  it('uses the fallback reminder when the provider fails', async (t) => {
+    const consoleError = t.mock.method(console, 'error', () => {});
+
+    const result = await generateReminderText(createMockProvider({ fail: true }), 'Read');
+
+    assert.deepEqual(result, { text: buildFallbackReminder('Read'), source: 'fallback', provider: null });
+    assert.equal(consoleError.mock.callCount(), 1);
+  });
+
+  it('uses the fallback reminder for an empty answer', async () => {
+    const result = await generateReminderText(createMockProvider({ responses: { reminder: '   ' } }), 'Read');
+    assert.equal(result.source, 'fallback');
+  });
+
+  it('never calls a disabled provider', async () => {
+    const result = await generateReminderText(createAIProvider(), 'Read');
+    assert.deepEqual(result, { text: buildFallbackReminder('Read'), source: 'fallback', provider: null });
+  });
+
+  it('words the same habit the same way every time', () => {
+    assert.equal(buildFallbackReminder('Read'), buildFallbackReminder('Read'));
+    assert.match(buildFallbackReminder('Read'), /Read/);
+  });
+
+  it('fits habits around classes in the fallback plan', () => {
+    assert.deepEqual(buildFallbackPlanBlocks(planContext), [
+      { start: '08:30', end: '10:00', title: 'Maths (Lecture)', kind: 'class' },
+      { start: '10:10', end: '10:40', title: 'Read', kind: 'habit' },
+      { start: '10:40', end: '11:10', title: 'Run', kind: 'habit' }
+    ]);
+  });
+
+  it('says so when there is nothing to plan', () => {
+    const emptyDay = { ...planContext, classes: [], dueHabits: [], openPeriodHabits: [], busyBlocks: [] };
+    assert.equal(buildFallbackPlan(emptyDay), 'Nothing scheduled for Monday. A good day to rest or get ahead.');
+  });
+});
@@ -0,0 +1,186 @@
+import { addDays, diffDays, getISOWeekStart, getWeekday } from './dates.js';
+import { getTargetCount, isLogComplete } from './habits.js';
+import { scoreDay } from './heatmap.js';
+import { getHabitStartDate, getPeriodDates, getPeriodStart, isHabitDueOn, isPeriodHabit } from './schedule.js';
+
+// Completion statistics over a date range. Every function takes a log index
+// from indexLogsByDate so a range only looks up the days it covers. A habit
+// created partway through a range is only measured from its start date, and
+// days or periods before it never count against it.
+
+export const ANALYTICS_RANGES = [
+  { value: 7, label: '7 days' },
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '12 months' },
+  { value: 'custom', label: 'Custom' }
+];
+
+export const MAX_CUSTOM_RANGE_DAYS = 3 * 366;
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0);
+
+const listDates = (fromStr, toStr) => {
+  const dates = [];
+  for (let date = fromStr; date <= toStr; date = addDays(date, 1)) dates.push(date);
+  return dates;
+};
+
+// The last `days` days up to and including `today`.
+export const getRangeBounds = (days, today) => ({ from: addDays(today, -(days - 1)), to: today });
+
+// Checks a custom range and clamps it to today. Returns null when it can't be used.
+export const normalizeRange = (from, to, today) => {
+  if (!from || !to) return null;
+  const end = to > today ? today : to;
+  if (from > end || diffDays(from, end) >= MAX_CUSTOM_RANGE_DAYS) return null;
+  return { from, to: end };
+};
+
+const countLoggedValue = (habit, logIndex, dates) =>
+  dates.reduce((sum, date) => {
+    const log = logIndex.get(date)?.get(habit.id);
+    return sum + (log && !habit.is_boolean ? Number(log.value) || 0 : 0);
+  }, 0);
+
+// Day-scheduled habits are measured in due days, Weekly and Monthly habits in
+// periods. A period still in progress only counts once its target is met, so
+// the current week doesn't drag the rate down before it's over.
+export const getHabitRangeStats = (habit, logIndex, from, to, today = to) => {
+  const startDate = getHabitStartDate(habit);
+  const activeFrom = startDate && startDate > from ? startDate : from;
+  const base = { habit, activeFrom, startedInRange: activeFrom > from, scheduled: 0, completed: 0, rate: 0 };
+  if (activeFrom > to) return { ...base, notStarted: true };
+
+  const activeDates = listDates(activeFrom, to);
+  const loggedValue = countLoggedValue(habit, logIndex, activeDates);
+
+  if (isPeriodHabit(habit)) {
+    const target = getTargetCount(habit);
+    const periodStarts = [...new Set(activeDates.map(date => getPeriodStart(habit, date)))];
+    let scheduled = 0;
+    let completed = 0;
+
+    periodStarts.forEach(periodStart => {
+      const periodDates = getPeriodDates(habit, periodStart);
+      const done = periodDates.filter(date => isLogComplete(habit, logIndex.get(date)?.get(habit.id))).length;
+      const met = done >= target;
+      const inProgress = periodDates[periodDates.length - 1] >= today;
+
+      if (met || !inProgress) scheduled++;
+      if (met) completed++;
+    });
+
+    return {
+      ...base,
+      unit: habit.frequency === 'Monthly' ? 'months' : 'weeks',
+      scheduled,
+      completed,
+      rate: percent(completed, scheduled),
+      loggedValue,
+      goalValue: habit.is_boolean ? null : (Number(habit.goal_value) || 0) * target * periodStarts.length
+    };
+  }
+
+  const dueDates = activeDates.filter(date => isHabitDueOn(habit, date));
+  const completed = dueDates.filter(date => isLogComplete(habit, logIndex.get(date)?.get(habit.id))).length;
+
+  return {
+    ...base,
+    unit: 'days',
+    scheduled: dueDates.length,
+    completed,
+    rate: percent(completed, dueDates.length),
+    loggedValue,
+    goalValue: habit.is_boolean ? null : (Number(habit.goal_value) || 0) * dueDates.length
+  };
+};
+
+// One score per day, scored the same way as the heatmap.
+export const getDailyScores = (habits, logIndex, from, to) =>
+  listDates(from, to).map(date => ({ date, ...scoreDay(habits, logIndex.get(date), date) }));
+
+const summarize = (scores) => {
+  const due = scores.reduce((sum, day) => sum + day.due, 0);
+  const completed = scores.reduce((sum, day) => sum + day.completed, 0);
+  return { due, completed, rate: percent(completed, due) };
+};
+
+export const getRangeSummary = (dailyScores) => summarize(dailyScores);
+
+// Short ranges are charted day by day, longer ones by ISO week.
+export const bucketScores = (dailyScores) => {
+  if (dailyScores.length <= 31) {
+    return dailyScores.map(day => ({ start: day.date, ...summarize([day]) }));
+  }
+
+  const weeks = new Map();
+  dailyScores.forEach(day => {
+    const weekStart = getISOWeekStart(day.date);
+    if (!weeks.has(weekStart)) weeks.set(weekStart, []);
+    weeks.get(weekStart).push(day);
+  });
+
+  return [...weeks].map(([start, days]) => ({ start, ...summarize(days) }));
+};
+
+// Least-squares slope over the days with something due, in percentage points
+// per week. A couple of points a week either way is treated as noise.
+export const getTrend = (dailyScores) => {
+  const points = dailyScores
+    .map((day, index) => ({ x: index, y: day.due > 0 ? (day.completed / day.due) * 100 : null }))
+    .filter(point => point.y !== null);
+
+  if (points.length < 3) return { direction: 'unknown', slope: 0 };
+
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+  const spread = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  const slope = spread > 0
+    ? (points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / spread) * 7
+    : 0;
+
+  return {
+    direction: slope > 2 ? 'improving' : slope < -2 ? 'declining' : 'steady',
+    slope: Math.round(slope * 10) / 10
+  };
+};
+
+// Completion by weekday, Monday first. Only days with something due count.
+export const getWeekdayBreakdown = (dailyScores) => {
+  const weekdays = [1, 2, 3, 4, 5, 6, 0].map(weekday => ({ weekday, due: 0, completed: 0 }));
+
+  dailyScores.forEach(day => {
+    const bucket = weekdays[(getWeekday(day.date) + 6) % 7];
+    bucket.due += day.due;
+    bucket.completed += day.completed;
+  });
+
+  const rows = weekdays.map(row => ({ ...row, rate: percent(row.completed, row.due) }));
+  const measured = rows.filter(row => row.due > 0);
+  const sorted = measured.slice().sort((a, b) => b.rate - a.rate);
+
+  return {
+    rows,
+    best: sorted.length > 1 ? sorted[0] : null,
+    worst: sorted.length > 1 && sorted[0].rate !== sorted[sorted.length - 1].rate ? sorted[sorted.length - 1] : null
+  };
+};
+
+// This week so far against the same days of last week, so a Wednesday is
+// compared with last Monday to Wednesday rather than a full week.
+export const compareWeeks = (habits, logIndex, today) => {
+  const thisWeek = getISOWeekStart(today);
+  const elapsed = diffDays(thisWeek, today);
+  const lastWeek = addDays(thisWeek, -7);
+
+  const current = summarize(getDailyScores(habits, logIndex, thisWeek, today));
+  const previous = summarize(getDailyScores(habits, logIndex, lastWeek, addDays(lastWeek, elapsed)));
+
+  return {
+    current,
+    previous,
+    days: elapsed + 1,
+    change: previous.due > 0 && current.due > 0 ? current.rate - previous.rate : null
+  };
+};
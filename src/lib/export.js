@@ -0,0 +1,134 @@
+import { getDayName } from './dates.js';
+import { isLogComplete } from './habits.js';
+import { describeSchedule } from './schedule.js';
+import { getSessionHours } from './sleep.js';
+import { parseTime } from './timetable.js';
+
+// Bump when the bundle layout changes in a way importers need to know about.
+export const EXPORT_FORMAT = 'smart-habit-tracker';
+export const EXPORT_VERSION = 1;
+
+// Column order for each CSV file; derived columns sit next to the data they
+// are computed from.
+export const EXPORT_COLUMNS = {
+  profile: [
+    'id', 'email', 'timezone', 'level', 'xp', 'current_streak', 'max_streak',
+    'backfill_limit_days', 'sleep_target_hours', 'quiet_hours_start', 'quiet_hours_end', 'dark_mode', 'created_at'
+  ],
+  habits: [
+    'id', 'name', 'frequency', 'schedule', 'schedule_days', 'interval_days', 'schedule_anchor',
+    'target_count', 'is_boolean', 'goal_value', 'unit', 'reminder_times', 'remind_at_usual_time',
+    'total_completions', 'current_streak', 'best_streak', 'created_at'
+  ],
+  habit_logs: [
+    'id', 'log_date', 'weekday', 'habit_id', 'habit_name', 'completed', 'value',
+    'goal_value', 'unit', 'is_complete', 'progress_percent', 'completed_at', 'created_at'
+  ],
+  sleep_logs: [
+    'id', 'log_date', 'weekday', 'started_at', 'ended_at', 'is_nap', 'bedtime', 'wake_time',
+    'quality', 'total_hours', 'computed_hours', 'created_at'
+  ],
+  timetable_entries: [
+    'id', 'day', 'course', 'start_time', 'end_time', 'duration_minutes', 'term_id', 'term_name',
+    'week_pattern', 'class_type', 'location', 'instructor', 'color', 'created_at'
+  ],
+  academic_terms: [
+    'id', 'name', 'start_date', 'end_date', 'week_a_start', 'exception_dates', 'created_at'
+  ]
+};
+
+const pick = (row, columns) =>
+  Object.fromEntries(columns.map(column => [column, row[column] ?? null]));
+
+export const buildExportBundle = ({ profile, habits, habitLogs, sleepLogs, timetable, terms = [], exportedAt = new Date() }) => {
+  const habitsById = new Map(habits.map(habit => [habit.id, habit]));
+  const termsById = new Map(terms.map(term => [term.id, term]));
+
+  const habitRows = habits.map(habit => pick({
+    ...habit,
+    schedule: describeSchedule(habit),
+    total_completions: habitLogs.filter(log => log.habit_id === habit.id && isLogComplete(habit, log)).length
+  }, EXPORT_COLUMNS.habits));
+
+  const logRows = habitLogs
+    .slice()
+    .sort((a, b) => a.log_date.localeCompare(b.log_date))
+    .map(log => {
+      const habit = habitsById.get(log.habit_id);
+      return pick({
+        ...log,
+        weekday: getDayName(log.log_date),
+        habit_name: habit?.name ?? null,
+        goal_value: habit?.goal_value ?? null,
+        unit: habit?.unit ?? null,
+        is_complete: habit ? isLogComplete(habit, log) : Boolean(log.completed),
+        progress_percent: habit && !habit.is_boolean && habit.goal_value > 0
+          ? Math.round((log.value / habit.goal_value) * 100)
+          : null
+      }, EXPORT_COLUMNS.habit_logs);
+    });
+
+  const sleepRows = sleepLogs
+    .slice()
+    .sort((a, b) => a.log_date.localeCompare(b.log_date) || String(a.started_at).localeCompare(String(b.started_at)))
+    .map(log => pick({
+      ...log,
+      weekday: getDayName(log.log_date),
+      computed_hours: log.started_at && log.ended_at
+        ? getSessionHours(log.started_at, log.ended_at)
+        : null
+    }, EXPORT_COLUMNS.sleep_logs));
+
+  const timetableRows = timetable.map(entry => {
+    const start = parseTime(entry.start_time);
+    const end = parseTime(entry.end_time);
+    return pick({
+      ...entry,
+      duration_minutes: start !== null && end !== null ? end - start : null,
+      term_name: termsById.get(entry.term_id)?.name ?? null
+    }, EXPORT_COLUMNS.timetable_entries);
+  });
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exported_at: exportedAt.toISOString(),
+    time_zone: profile?.timezone ?? null,
+    profile: profile ? pick(profile, EXPORT_COLUMNS.profile) : null,
+    habits: habitRows,
+    habit_logs: logRows,
+    sleep_logs: sleepRows,
+    timetable_entries: timetableRows,
+    academic_terms: terms.map(term => pick(term, EXPORT_COLUMNS.academic_terms))
+  };
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = Array.isArray(value) ? value.join(' ') : String(value);
+
+  // Keep spreadsheets from evaluating user-entered text as a formula.
+  if (/^[=+\-@\t\r]/.test(text) && Number.isNaN(Number(text))) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// RFC 4180 CSV with a byte order mark so Excel picks up UTF-8 (emoji, accents).
+export const toCsv = (rows, columns) =>
+  '\uFEFF' +
+  [columns.join(','), ...rows.map(row => columns.map(column => escapeCsvValue(row[column])).join(','))]
+    .join('\r\n') +
+  '\r\n';
+
+export const buildCsvFiles = (bundle, datePart) =>
+  Object.entries(EXPORT_COLUMNS).map(([table, columns]) => {
+    const rows = table === 'profile' ? [bundle.profile].filter(Boolean) : bundle[table];
+    return {
+      table,
+      filename: `habit-tracker-${table.replace(/_/g, '-')}-${datePart}.csv`,
+      content: toCsv(rows, columns)
+    };
+  });
@@ -0,0 +1,100 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  countPeriodCompletions,
+  getPeriodCompletionRate,
+  getStreakUnit,
+  getTargetCount,
+  isLogComplete,
+  isPeriodTargetMet,
+  needsStreakRefresh
+} from './habits.js';
+
+const read = { id: 'read', is_boolean: true, frequency: 'Daily' };
+const run = { id: 'run', is_boolean: false, goal_value: 5, frequency: 'Daily' };
+const gym = { id: 'gym', is_boolean: true, frequency: 'Weekly', target_count: 3 };
+const budget = { id: 'budget', is_boolean: true, frequency: 'Monthly', target_count: 1 };
+
+const done = (habitId, logDate, values = { completed: true }) => ({ habit_id: habitId, log_date: logDate, ...values });
+
+describe('isLogComplete', () => {
+  it('needs `completed` for yes/no habits', () => {
+    assert.equal(isLogComplete(read, done('read', '2025-11-17')), true);
+    assert.equal(isLogComplete(read, done('read', '2025-11-17', { completed: false })), false);
+    assert.equal(isLogComplete(read, undefined), false);
+  });
+
+  it('needs the goal for quantity habits', () => {
+    assert.equal(isLogComplete(run, done('run', '2025-11-17', { value: 4.9 })), false);
+    assert.equal(isLogComplete(run, done('run', '2025-11-17', { value: 5 })), true);
+  });
+});
+
+describe('period habits', () => {
+  // 2025-11-17 is a Monday; the ISO week runs to Sunday 2025-11-23.
+  const logs = [
+    done('gym', '2025-11-16'),
+    done('gym', '2025-11-17'),
+    done('gym', '2025-11-19'),
+    done('gym', '2025-11-20', { completed: false }),
+    done('gym', '2025-11-23'),
+    done('read', '2025-11-18')
+  ];
+
+  it('counts completed days in the ISO week', () => {
+    assert.equal(countPeriodCompletions(gym, logs, '2025-11-20'), 3);
+    assert.equal(countPeriodCompletions(gym, logs, '2025-11-16'), 1);
+  });
+
+  it('meets the target once enough days are done', () => {
+    assert.equal(isPeriodTargetMet(gym, logs, '2025-11-17'), true);
+    assert.equal(isPeriodTargetMet(gym, logs.slice(0, 3), '2025-11-17'), false);
+  });
+
+  it('counts monthly habits per calendar month', () => {
+    assert.equal(isPeriodTargetMet(budget, [done('budget', '2025-10-31')], '2025-11-01'), false);
+    assert.equal(isPeriodTargetMet(budget, [done('budget', '2025-11-30')], '2025-11-01'), true);
+  });
+
+  it('rates the share of period habits that met their target', () => {
+    assert.equal(getPeriodCompletionRate([gym, budget], logs, '2025-11-20'), 50);
+    assert.equal(getPeriodCompletionRate([], logs, '2025-11-20'), 0);
+  });
+
+  it('treats a missing target as once', () => {
+    assert.equal(getTargetCount({ frequency: 'Weekly' }), 1);
+    assert.equal(getTargetCount({ frequency: 'Weekly', target_count: 0 }), 1);
+  });
+});
+
+describe('getStreakUnit', () => {
+  it('counts streaks in the unit of the schedule', () => {
+    assert.equal(getStreakUnit(read), 'day');
+    assert.equal(getStreakUnit({ frequency: 'Weekdays' }), 'day');
+    assert.equal(getStreakUnit(gym), 'week');
+    assert.equal(getStreakUnit(budget), 'month');
+  });
+});
+
+describe('needsStreakRefresh', () => {
+  it('waits until the user is known', () => {
+    assert.equal(needsStreakRefresh(null, undefined, '2025-11-17'), false);
+  });
+
+  it('refreshes when the app is reopened after a gap', () => {
+    const lastVisit = { userId: 'user-1', day: '2025-11-10' };
+    // The first render has no user yet; the profile loads a moment later.
+    assert.equal(needsStreakRefresh(lastVisit, undefined, '2025-11-14'), false);
+    assert.equal(needsStreakRefresh(lastVisit, 'user-1', '2025-11-14'), true);
+  });
+
+  it('refreshes once per day', () => {
+    const refreshed = { userId: 'user-1', day: '2025-11-14' };
+    assert.equal(needsStreakRefresh(refreshed, 'user-1', '2025-11-14'), false);
+    assert.equal(needsStreakRefresh(refreshed, 'user-1', '2025-11-15'), true);
+  });
+
+  it('refreshes for a different account on the same day', () => {
+    assert.equal(needsStreakRefresh({ userId: 'user-1', day: '2025-11-14' }, 'user-2', '2025-11-14'), true);
+  });
+});
@@ -0,0 +1,93 @@
+import { addDays, getISOWeekStart } from './dates.js';
+import { isLogComplete } from './habits.js';
+import { isHabitDueOn, isPeriodHabit } from './schedule.js';
+
+// A year of days as Monday-first week columns, GitHub style. Each day is
+// scored by the share of its due habits that were completed. Weekly and Monthly
+// habits are never due on a given day, so they only count on days they were
+// logged as done, which can raise a day's score but never lower it.
+
+export const HEATMAP_WEEKS = 53;
+
+// Groups logs by date, then habit, in a single pass so a year of cells can
+// look up their logs without rescanning the whole history.
+export const indexLogsByDate = (habitLogs) => {
+  const index = new Map();
+
+  habitLogs.forEach(log => {
+    if (!index.has(log.log_date)) index.set(log.log_date, new Map());
+    index.get(log.log_date).set(log.habit_id, log);
+  });
+
+  return index;
+};
+
+export const getHeatmapLevel = (percentage) => {
+  if (percentage <= 0) return 0;
+  if (percentage <= 25) return 1;
+  if (percentage <= 50) return 2;
+  if (percentage <= 75) return 3;
+  return 4;
+};
+
+export const scoreDay = (habits, logsForDay, dateStr) => {
+  const entries = [];
+
+  habits.forEach(habit => {
+    const log = logsForDay?.get(habit.id) || null;
+    const completed = isLogComplete(habit, log);
+
+    if (isPeriodHabit(habit) ? completed : isHabitDueOn(habit, dateStr)) {
+      entries.push({ habit, log, completed });
+    }
+  });
+
+  const completed = entries.filter(entry => entry.completed).length;
+
+  return {
+    entries,
+    due: entries.length,
+    completed,
+    percentage: entries.length > 0 ? Math.round((completed / entries.length) * 100) : 0
+  };
+};
+
+// `logIndex` comes from indexLogsByDate. Days after `today` are kept so every
+// column has seven cells, but they're marked `future` and never scored.
+export const buildHeatmap = (habits, logIndex, today, weeks = HEATMAP_WEEKS) => {
+  const firstDay = addDays(getISOWeekStart(today), -7 * (weeks - 1));
+  const columns = [];
+  const totals = { activeDays: 0, perfectDays: 0, completed: 0 };
+
+  for (let week = 0; week < weeks; week++) {
+    const days = [];
+
+    for (let weekday = 0; weekday < 7; weekday++) {
+      const date = addDays(firstDay, week * 7 + weekday);
+
+      if (date > today) {
+        days.push({ date, future: true });
+        continue;
+      }
+
+      const day = scoreDay(habits, logIndex.get(date), date);
+      if (day.completed > 0) totals.activeDays++;
+      if (day.due > 0 && day.completed === day.due) totals.perfectDays++;
+      totals.completed += day.completed;
+
+      days.push({ date, ...day, level: getHeatmapLevel(day.percentage) });
+    }
+
+    columns.push({ weekStart: days[0].date, days });
+  }
+
+  return { columns, totals };
+};
+
+// Month labels for the columns where a new month begins.
+export const getHeatmapMonths = (columns) =>
+  columns.reduce((labels, column, index) => {
+    const firstOfMonth = column.days.find(day => day.date.endsWith('-01'));
+    if (firstOfMonth) labels.push({ index, month: firstOfMonth.date });
+    return labels;
+  }, []);
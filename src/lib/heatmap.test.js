@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { buildHeatmap, getHeatmapLevel, getHeatmapMonths, indexLogsByDate, scoreDay } from './heatmap.js';
+
+const read = { id: 'read', is_boolean: true, frequency: 'Daily' };
+const gym = { id: 'gym', is_boolean: true, frequency: 'Weekdays', schedule_days: [1, 3, 5] };
+const budget = { id: 'budget', is_boolean: true, frequency: 'Monthly', target_count: 1 };
+
+const done = (habitId, logDate) => ({ habit_id: habitId, log_date: logDate, completed: true });
+
+describe('indexLogsByDate', () => {
+  it('groups logs by date, then habit', () => {
+    const index = indexLogsByDate([done('read', '2025-11-17'), done('gym', '2025-11-17'), done('read', '2025-11-18')]);
+
+    assert.deepEqual([...index.keys()], ['2025-11-17', '2025-11-18']);
+    assert.deepEqual([...index.get('2025-11-17').keys()], ['read', 'gym']);
+  });
+});
+
+describe('getHeatmapLevel', () => {
+  it('buckets percentages into quarters', () => {
+    assert.deepEqual([0, 1, 25, 26, 50, 75, 76, 100].map(getHeatmapLevel), [0, 1, 1, 2, 2, 3, 4, 4]);
+  });
+});
+
+describe('scoreDay', () => {
+  // 2025-11-17 is a Monday, 2025-11-18 a Tuesday.
+  const habits = [read, gym, budget];
+
+  it('scores the share of due habits that were done', () => {
+    const day = scoreDay(habits, indexLogsByDate([done('read', '2025-11-17')]).get('2025-11-17'), '2025-11-17');
+
+    assert.equal(day.due, 2);
+    assert.equal(day.completed, 1);
+    assert.equal(day.percentage, 50);
+  });
+
+  it("skips habits that aren't due that day", () => {
+    const day = scoreDay(habits, undefined, '2025-11-18');
+    assert.deepEqual(day.entries.map(entry => entry.habit.id), ['read']);
+    assert.equal(day.percentage, 0);
+  });
+
+  it('only counts period habits on days they were done', () => {
+    const day = scoreDay(habits, indexLogsByDate([done('read', '2025-11-18'), done('budget', '2025-11-18')]).get('2025-11-18'), '2025-11-18');
+
+    assert.equal(day.due, 2);
+    assert.equal(day.percentage, 100);
+  });
+});
+
+describe('buildHeatmap', () => {
+  const logIndex = indexLogsByDate([done('read', '2025-11-17'), done('read', '2025-11-18'), done('read', '2025-10-31')]);
+  const { columns, totals } = buildHeatmap([read], logIndex, '2025-11-19', 4);
+
+  it('lays out Monday-first weeks ending with the current one', () => {
+    assert.equal(columns.length, 4);
+    assert.deepEqual(columns.map(column => column.weekStart), ['2025-10-27', '2025-11-03', '2025-11-10', '2025-11-17']);
+    assert.ok(columns.every(column => column.days.length === 7));
+  });
+
+  it('marks days after today as future without scoring them', () => {
+    const lastWeek = columns[3].days;
+    assert.equal(lastWeek[2].level, 0);
+    assert.deepEqual(lastWeek[3], { date: '2025-11-20', future: true });
+  });
+
+  it('totals active and perfect days', () => {
+    assert.deepEqual(totals, { activeDays: 3, perfectDays: 3, completed: 3 });
+  });
+
+  it('labels the columns where a month begins', () => {
+    assert.deepEqual(getHeatmapMonths(columns), [{ index: 0, month: '2025-11-01' }]);
+  });
+});
@@ -0,0 +1,367 @@
+import {
+  addDays,
+  diffDays,
+  getISOWeekStart,
+  getLocalMinutes,
+  getMonthStart,
+  getWeekday,
+  isValidTimeZone,
+  toLocalDate,
+  zonedTimeToInstant
+} from './dates.js';
+import { describeSchedule, getHabitStartDate } from './schedule.js';
+import { formatTime, isClassOnDate, isRotating, parseTime } from './timetable.js';
+
+// iCalendar (RFC 5545) import and export for the timetable. Timetable entries
+// are weekly slots (a day name plus 'HH:MM' start and end times in the user's
+// time zone), so only the weekly shape of a calendar survives the round trip.
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const PRODUCT_ID = '-//Smart Habit Tracker//Timetable//EN';
+const UID_DOMAIN = 'smart-habit-tracker';
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// --- Parsing ---
+
+const unescapeText = (value) =>
+  value.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char)).trim();
+
+// NAME;PARAM=VALUE;PARAM="quoted:value":VALUE
+const parseContentLine = (line) => {
+  let quoted = false;
+  let colon = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ':' && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon < 0) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = Object.fromEntries(paramParts.map(part => {
+    const [key, ...rest] = part.split('=');
+    return [key.toUpperCase(), rest.join('=').replace(/^"|"$/g, '')];
+  }));
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+};
+
+const parseRule = (value) =>
+  Object.fromEntries(value.split(';').filter(Boolean).map(part => {
+    const [key, rule] = part.split('=');
+    return [key.toUpperCase(), rule];
+  }));
+
+// PT1H30M, P1D, P1W -> minutes
+const parseDuration = (value) => {
+  const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/);
+  if (!match) return null;
+  const [weeks, days, hours, minutes] = match.slice(2).map(part => Number(part || 0));
+  const total = weeks * 10080 + days * 1440 + hours * 60 + minutes;
+  return match[1] === '-' ? -total : total;
+};
+
+// A DTSTART/DTEND value as a day and minutes after midnight in `timeZone`.
+// UTC times and times with a known TZID are converted; floating times and
+// zones Intl doesn't know (Outlook's Windows zone names) are taken as local.
+const parseDateTime = (property, timeZone) => {
+  if (!property) return null;
+
+  const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour, minute, , utc] = match;
+  const date = `${year}-${month}-${day}`;
+
+  if (hour === undefined) return { date, minutes: 0, allDay: true };
+
+  const minutes = Number(hour) * 60 + Number(minute);
+  const sourceZone = utc ? 'UTC' : property.params.TZID;
+
+  if (sourceZone && sourceZone !== timeZone && isValidTimeZone(sourceZone)) {
+    const instant = zonedTimeToInstant(date, minutes, sourceZone);
+    return { date: toLocalDate(instant, timeZone), minutes: getLocalMinutes(instant, timeZone), sourceDate: date, allDay: false };
+  }
+
+  return { date, minutes, sourceDate: date, allDay: false };
+};
+
+export const parseIcs = (text) => {
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+  const events = [];
+  let current = null;
+
+  lines.forEach(line => {
+    if (/^BEGIN:VEVENT$/i.test(line)) {
+      current = {};
+    } else if (/^END:VEVENT$/i.test(line)) {
+      if (current) events.push(current);
+      current = null;
+    } else if (current) {
+      const property = parseContentLine(line);
+      if (property && !(property.name in current)) current[property.name] = property;
+    }
+  });
+
+  if (!events.length && !/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('This is not an iCalendar (.ics) file');
+  }
+
+  return events;
+};
+
+const slotKey = (entry) =>
+  `${entry.course.trim().toLowerCase()}|${entry.day}|${entry.start_time}|${entry.end_time}`;
+
+// Turns calendar events into timetable entries for a preview. Weekly recurring
+// events become one entry per BYDAY; one-off events that repeat at the same
+// weekly slot (portals often export every occurrence separately) are grouped
+// into one entry. Entries already in the timetable are marked as duplicates.
+export const icsToTimetableEntries = (events, { timeZone, timetable = [], today }) => {
+  const existing = new Set(timetable.map(slotKey));
+  const slots = new Map();
+  const skipped = [];
+
+  events.forEach(event => {
+    const summary = event.SUMMARY ? unescapeText(event.SUMMARY.value) : '';
+    const skip = reason => skipped.push({ summary: summary || '(untitled)', reason });
+
+    // Edited occurrences of a recurring event repeat its UID; the series covers them.
+    if (event['RECURRENCE-ID']) return;
+    if (event.STATUS?.value.toUpperCase() === 'CANCELLED') return skip('Cancelled');
+    if (!summary) return skip('No title');
+
+    const start = parseDateTime(event.DTSTART, timeZone);
+    if (!start) return skip('No start time');
+    if (start.allDay) return skip('All-day event');
+
+    const end = parseDateTime(event.DTEND, timeZone);
+    const duration = event.DURATION ? parseDuration(event.DURATION.value) : null;
+    const endMinutes = end ? end.minutes + (end.date > start.date ? 1440 : 0) : start.minutes + (duration ?? 60);
+
+    if (endMinutes <= start.minutes || endMinutes > 1440) return skip('Ends on a different day');
+
+    const rule = event.RRULE ? parseRule(event.RRULE.value) : null;
+    let weekdays = [getWeekday(start.date)];
+    let note = '';
+
+    if (rule) {
+      if (rule.FREQ !== 'WEEKLY' && !(rule.FREQ === 'DAILY' && rule.BYDAY)) {
+        return skip(`Repeats ${String(rule.FREQ || '').toLowerCase() || 'irregularly'}, not weekly`);
+      }
+
+      if (rule.BYDAY) {
+        // Converting the time zone can move a class across midnight; move its days with it.
+        const shift = diffDays(start.sourceDate, start.date);
+        weekdays = rule.BYDAY.split(',')
+          .map(code => ICS_DAYS.indexOf(code.replace(/^[+-]?\d+/, '').toUpperCase()))
+          .filter(index => index >= 0)
+          .map(index => (index + shift + 7) % 7);
+      }
+      if (Number(rule.INTERVAL) > 1) note = `Every ${rule.INTERVAL} weeks`;
+    }
+
+    const until = rule?.UNTIL?.slice(0, 8);
+    const ended = Boolean(until && today && until < today.replace(/-/g, ''));
+
+    weekdays.forEach(weekday => {
+      const entry = {
+        course: summary,
+        day: DAY_NAMES[weekday],
+        start_time: formatTime(start.minutes),
+        end_time: formatTime(endMinutes === 1440 ? 1439 : endMinutes)
+      };
+      const key = slotKey(entry);
+      const slot = slots.get(key);
+
+      if (slot) {
+        slot.occurrences++;
+        slot.recurring = slot.recurring || Boolean(rule);
+        slot.ended = slot.ended && ended;
+        return;
+      }
+
+      slots.set(key, {
+        key,
+        ...entry,
+        location: event.LOCATION ? unescapeText(event.LOCATION.value) : '',
+        recurring: Boolean(rule),
+        occurrences: 1,
+        ended,
+        duplicate: existing.has(key),
+        note
+      });
+    });
+  });
+
+  const entries = [...slots.values()]
+    .map(entry => ({
+      ...entry,
+      selected: !entry.duplicate && !entry.ended && (entry.recurring || entry.occurrences > 1)
+    }))
+    .sort((a, b) =>
+      ((DAY_NAMES.indexOf(a.day) + 6) % 7) - ((DAY_NAMES.indexOf(b.day) + 6) % 7) ||
+      a.start_time.localeCompare(b.start_time)
+    );
+
+  return { entries, skipped };
+};
+
+// --- Export ---
+
+const escapeText = (value) =>
+  String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets are folded onto continuation lines starting with
+// a space, without splitting a multi-byte character.
+const foldLine = (line) => {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let part = '';
+  let size = 0;
+
+  for (const char of line) {
+    const charSize = encoder.encode(char).length;
+    if (size + charSize > (parts.length ? 74 : 75)) {
+      parts.push(part);
+      part = '';
+      size = 0;
+    }
+    part += char;
+    size += charSize;
+  }
+
+  return [...parts, part].join('\r\n ');
+};
+
+const compactDate = (dateStr) => dateStr.replace(/-/g, '');
+
+const formatUtc = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const localDateTime = (dateStr, minutes) =>
+  `${compactDate(dateStr)}T${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}00`;
+
+const habitRule = (habit) => {
+  switch (habit.frequency) {
+    case 'Weekdays':
+      return (habit.schedule_days || []).length
+        ? `FREQ=WEEKLY;BYDAY=${habit.schedule_days.map(day => ICS_DAYS[day]).join(',')}`
+        : null;
+    case 'Interval':
+      return `FREQ=DAILY;INTERVAL=${Math.max(habit.interval_days || 1, 1)}`;
+    case 'Weekly':
+      return 'FREQ=WEEKLY';
+    case 'Monthly':
+      return 'FREQ=MONTHLY';
+    default:
+      return 'FREQ=DAILY';
+  }
+};
+
+const habitStartDate = (habit, today) => {
+  switch (habit.frequency) {
+    case 'Interval':
+      return habit.schedule_anchor || getHabitStartDate(habit) || today;
+    case 'Weekly':
+      return getISOWeekStart(today);
+    case 'Monthly':
+      return getMonthStart(today);
+    default:
+      return getHabitStartDate(habit) || today;
+  }
+};
+
+// The recurrence of a class in a term: from its first meeting to the end of
+// the term, every other week for Week A / Week B classes, minus the term's
+// days off. UNTIL has to be in UTC when DTSTART carries a TZID.
+const termRecurrence = (entry, term, weekday, start, timeZone) => {
+  const firstDate = Array.from({ length: 14 }, (_, i) => addDays(term.start_date, i))
+    .find(date => date <= term.end_date && isClassOnDate(entry, date, [{ ...term, exception_dates: [] }]));
+  if (!firstDate) return null;
+
+  const until = formatUtc(zonedTimeToInstant(term.end_date, 1439, timeZone));
+  const exdates = (term.exception_dates || [])
+    .filter(date => date >= firstDate && date <= term.end_date && getWeekday(date) === weekday)
+    .filter(date => !isRotating(entry) || diffDays(firstDate, date) % 14 === 0)
+    .map(date => `EXDATE;TZID=${timeZone}:${localDateTime(date, start)}`);
+
+  return {
+    date: firstDate,
+    rule: `FREQ=WEEKLY;${isRotating(entry) ? 'INTERVAL=2;' : ''}BYDAY=${ICS_DAYS[weekday]};UNTIL=${until}`,
+    exdates
+  };
+};
+
+// Weekly recurring events for each class, starting this week or with its term,
+// and optionally an all-day recurring event per habit following its schedule.
+export const buildTimetableIcs = ({ timetable, terms = [], habits = [], timeZone, today, now = new Date() }) => {
+  const weekStart = getISOWeekStart(today);
+  const stamp = formatUtc(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Smart Habit Tracker',
+    `X-WR-TIMEZONE:${timeZone}`
+  ];
+
+  timetable.forEach(entry => {
+    const weekday = DAY_NAMES.indexOf(entry.day);
+    const start = parseTime(entry.start_time);
+    const end = parseTime(entry.end_time);
+    if (weekday < 0 || start === null || end === null) return;
+
+    const term = entry.term_id ? terms.find(t => t.id === entry.term_id) : null;
+    const recurrence = term
+      ? termRecurrence(entry, term, weekday, start, timeZone)
+      : { date: addDays(weekStart, (weekday + 6) % 7), rule: `FREQ=WEEKLY;BYDAY=${ICS_DAYS[weekday]}`, exdates: [] };
+    if (!recurrence) return;
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:timetable-${entry.id}@${UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;TZID=${timeZone}:${localDateTime(recurrence.date, start)}`,
+      `DTEND;TZID=${timeZone}:${localDateTime(recurrence.date, Math.max(end, start))}`,
+      `RRULE:${recurrence.rule}`,
+      ...recurrence.exdates,
+      `SUMMARY:${escapeText(entry.course)}`,
+      ...(entry.location ? [`LOCATION:${escapeText(entry.location)}`] : []),
+      ...(entry.instructor ? [`DESCRIPTION:${escapeText(entry.instructor)}`] : []),
+      ...(entry.class_type ? [`CATEGORIES:${escapeText(entry.class_type)}`] : []),
+      'END:VEVENT'
+    );
+  });
+
+  habits.forEach(habit => {
+    const rule = habitRule(habit);
+    if (!rule) return;
+
+    const date = habitStartDate(habit, today);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:habit-${habit.id}@${UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${compactDate(date)}`,
+      `DTEND;VALUE=DATE:${compactDate(addDays(date, 1))}`,
+      `RRULE:${rule}`,
+      `SUMMARY:${escapeText(`✅ ${habit.name}`)}`,
+      `DESCRIPTION:${escapeText(describeSchedule(habit))}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
@@ -0,0 +1,666 @@
+import { addDays, toLocalDate } from './dates.js';
+import { EXPORT_FORMAT } from './export.js';
+import { FREQUENCIES } from './schedule.js';
+
+// Parsers for history exported from other habit trackers. Every format is
+// turned into the same shape:
+// - habits: [{ key, name, is_boolean, unit, goal_value, frequency, ... }]
+// - logs: [{ habitKey, date, completed, value, row }]
+// - errors: [{ row, message }] for rows that could not be read
+// `key` identifies the habit in its source and becomes `habits.import_key`, so
+// importing the same file twice reuses the habits created the first time.
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and line breaks.
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const isValidDay = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+// Reads 'YYYY-MM-DD' (optionally followed by a time), 'YYYY/MM/DD', ISO
+// timestamps with a zone, and epoch milliseconds or seconds. Returns null for
+// anything else rather than guessing between day-first and month-first.
+export const normalizeDate = (value, timeZone) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  if (typeof value === 'number' || /^\d{9,13}$/.test(String(value).trim())) {
+    const epoch = Number(value);
+    const date = new Date(epoch > 1e11 ? epoch : epoch * 1000);
+    return Number.isNaN(date.getTime()) ? null : toLocalDate(date, timeZone);
+  }
+
+  const text = String(value).trim();
+
+  // A timestamp with an explicit zone names an instant, not a calendar day.
+  if (/^\d{4}-\d{2}-\d{2}T.*(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : toLocalDate(date, timeZone);
+  }
+
+  const match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:$|[T\s])/);
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  if (!isValidDay(year, month, day)) return null;
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const TRUTHY = new Set(['1', 'true', 'yes', 'y', 'x', 'done', 'complete', 'completed', '✓', '✔']);
+const FALSY = new Set(['', '0', 'false', 'no', 'n', 'not done', 'incomplete', 'skipped', 'skip']);
+
+const isTruthy = (value) => TRUTHY.has(String(value ?? '').trim().toLowerCase());
+const isFalsy = (value) => FALSY.has(String(value ?? '').trim().toLowerCase());
+
+const toNumber = (value) => {
+  const text = String(value ?? '').trim();
+  if (text === '') return null;
+  const number = Number(text);
+  return Number.isFinite(number) ? number : null;
+};
+
+const toValue = (number) => Math.max(Math.round(number || 0), 0);
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+const findColumn = (headers, aliases) => {
+  const normalized = headers.map(normalizeHeader);
+  return aliases.map(alias => normalized.indexOf(alias)).find(index => index >= 0) ?? -1;
+};
+
+const createResult = (source, sourceLabel) => ({ source, sourceLabel, habits: [], logs: [], errors: [] });
+
+// Logs that are neither completed nor carry a value would only add empty rows.
+const addLog = (result, log) => {
+  if (!log.completed && !log.value) return;
+  result.logs.push(log);
+};
+
+const defaultHabit = (key, name) => ({
+  key,
+  name: name.trim(),
+  is_boolean: true,
+  unit: '',
+  goal_value: 1,
+  frequency: 'Daily',
+  schedule_days: [],
+  interval_days: 1,
+  target_count: 1,
+  start_date: null
+});
+
+// --- This app's own JSON export ---
+
+const parseOwnBundle = (bundle) => {
+  const result = createResult('export', 'Smart Habit Tracker export');
+  const keys = new Map();
+  const skipped = new Set();
+
+  (bundle.habits || []).forEach((habit, index) => {
+    if (!habit?.id || !habit.name) {
+      result.errors.push({ row: index + 1, message: 'Habit without an id or name' });
+      return;
+    }
+
+    const frequency = FREQUENCIES.includes(habit.frequency) ? habit.frequency : 'Daily';
+    const scheduleDays = (Array.isArray(habit.schedule_days) ? habit.schedule_days : [])
+      .filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+
+    // The database won't create one, and guessing the days would be worse.
+    if (frequency === 'Weekdays' && scheduleDays.length === 0) {
+      result.errors.push({ row: index + 1, message: `${habit.name} is scheduled on weekdays but has no days` });
+      skipped.add(habit.id);
+      return;
+    }
+
+    const key = `export:${habit.id}`;
+    keys.set(habit.id, key);
+    result.habits.push({
+      ...defaultHabit(key, habit.name),
+      is_boolean: habit.is_boolean !== false,
+      unit: habit.unit || '',
+      goal_value: Math.max(toValue(habit.goal_value), 1),
+      frequency,
+      schedule_days: scheduleDays,
+      interval_days: Math.max(Math.round(habit.interval_days || 1), 1),
+      target_count: habit.target_count ?? 1,
+      start_date: habit.created_at ? normalizeDate(habit.created_at, bundle.time_zone || undefined) : null
+    });
+  });
+
+  (bundle.habit_logs || []).forEach((log, index) => {
+    const habitKey = keys.get(log?.habit_id);
+    const date = normalizeDate(log?.log_date);
+
+    if (skipped.has(log?.habit_id)) return;
+    if (!habitKey) {
+      result.errors.push({ row: index + 1, message: 'Log for a habit that is not in the file' });
+    } else if (!date) {
+      result.errors.push({ row: index + 1, message: `Unreadable date "${log.log_date}"` });
+    } else {
+      addLog(result, { habitKey, date, completed: Boolean(log.completed), value: toValue(log.value), row: index + 1 });
+    }
+  });
+
+  return result;
+};
+
+// --- Habitica ---
+
+const HABITICA_WEEKDAYS = ['su', 'm', 't', 'w', 'th', 'f', 's'];
+
+const habiticaSchedule = (task) => {
+  if (task.type !== 'daily') return {};
+
+  if (task.frequency === 'weekly' && task.repeat) {
+    const days = HABITICA_WEEKDAYS.map((day, index) => (task.repeat[day] ? index : null)).filter(day => day !== null);
+    return days.length && days.length < 7 ? { frequency: 'Weekdays', schedule_days: days } : {};
+  }
+  if (task.frequency === 'daily' && task.everyX > 1) {
+    return { frequency: 'Interval', interval_days: task.everyX };
+  }
+  return {};
+};
+
+// Dailies are scored at cron, the first time the user opens Habitica on the
+// next day, so a history entry belongs to the day before its timestamp. A
+// rising task value means the task was checked off.
+const addHabiticaHistory = (result, habitKey, type, history, timeZone) => {
+  let previousValue = null;
+
+  history
+    .slice()
+    .sort((a, b) => Number(a.date) - Number(b.date))
+    .forEach((entry, index) => {
+      const stamped = normalizeDate(entry.date, timeZone);
+      const value = toNumber(entry.value);
+
+      if (!stamped) {
+        result.errors.push({ row: index + 1, message: `Unreadable date "${entry.date}"` });
+        return;
+      }
+
+      const completed = type === 'daily'
+        ? (typeof entry.completed === 'boolean'
+          ? entry.completed
+          : previousValue !== null && value !== null && value > previousValue)
+        : entry.scoredUp !== undefined
+          ? entry.scoredUp > 0
+          : previousValue !== null && value !== null && value > previousValue;
+
+      previousValue = value;
+
+      addLog(result, {
+        habitKey,
+        date: type === 'daily' ? addDays(stamped, -1) : stamped,
+        completed,
+        value: 0,
+        row: index + 1
+      });
+    });
+};
+
+const parseHabiticaJson = (data, timeZone) => {
+  const result = createResult('habitica', 'Habitica');
+  const tasks = Array.isArray(data.tasks)
+    ? data.tasks
+    : [
+      ...(data.tasks.habits || []).map(task => ({ type: 'habit', ...task })),
+      ...(data.tasks.dailys || []).map(task => ({ type: 'daily', ...task }))
+    ];
+
+  tasks
+    .filter(task => task.type === 'daily' || (task.type === 'habit' && task.up !== false))
+    .forEach(task => {
+      const key = `habitica:${task.id || task._id}`;
+      result.habits.push({ ...defaultHabit(key, task.text || 'Untitled task'), ...habiticaSchedule(task) });
+      addHabiticaHistory(result, key, task.type, task.history || [], timeZone);
+    });
+
+  return result;
+};
+
+// Habitica's "tasks history" CSV: Task Name, Task ID, Task Type, Date, Value.
+const parseHabiticaCsv = (rows, timeZone) => {
+  const result = createResult('habitica', 'Habitica');
+  const [headers, ...body] = rows;
+  const column = name => findColumn(headers, [name]);
+  const [nameCol, idCol, typeCol, dateCol, valueCol] =
+    ['task_name', 'task_id', 'task_type', 'date', 'value'].map(column);
+  const tasks = new Map();
+
+  body.forEach((cells, index) => {
+    const type = cells[typeCol]?.trim().toLowerCase();
+    if (type !== 'daily' && type !== 'habit') return;
+
+    const id = cells[idCol]?.trim();
+    if (!id) {
+      result.errors.push({ row: index + 2, message: 'Missing task id' });
+      return;
+    }
+
+    if (!tasks.has(id)) {
+      tasks.set(id, { type, name: cells[nameCol] || 'Untitled task', history: [] });
+    }
+    tasks.get(id).history.push({ date: cells[dateCol], value: cells[valueCol], row: index + 2 });
+  });
+
+  tasks.forEach((task, id) => {
+    const key = `habitica:${id}`;
+    result.habits.push(defaultHabit(key, task.name));
+
+    // Dates here are plain 'YYYY-MM-DD HH:MM:SS' strings, which sort as text.
+    const history = task.history
+      .map(entry => ({ ...entry, date: normalizeDate(entry.date, timeZone), raw: entry.date }))
+      .filter(entry => {
+        if (!entry.date) result.errors.push({ row: entry.row, message: `Unreadable date "${entry.raw}"` });
+        return entry.date;
+      })
+      .sort((a, b) => String(a.raw).localeCompare(String(b.raw)));
+
+    let previousValue = null;
+    history.forEach(entry => {
+      const value = toNumber(entry.value);
+      const completed = previousValue !== null && value !== null && value > previousValue;
+      previousValue = value;
+
+      addLog(result, {
+        habitKey: key,
+        date: task.type === 'daily' ? addDays(entry.date, -1) : entry.date,
+        completed,
+        value: 0,
+        row: entry.row
+      });
+    });
+  });
+
+  return result;
+};
+
+// --- Loop Habit Tracker ---
+
+// Checkmark codes in Checkmarks.csv. Only manual check-offs count; "auto"
+// marks are days Loop considered covered by a less-than-daily schedule.
+const LOOP_YES_MANUAL = 2;
+
+const loopSchedule = (repetitions, interval) => {
+  if (!repetitions || !interval || repetitions >= interval) return {};
+  if (interval === 7) return { frequency: 'Weekly', target_count: repetitions };
+  if (interval >= 28 && interval <= 31) return { frequency: 'Monthly', target_count: repetitions };
+  if (repetitions === 1) return { frequency: 'Interval', interval_days: interval };
+  return {};
+};
+
+// Loop exports a zip; Habits.csv describes each habit and Checkmarks.csv has
+// one row per day and one column per habit. Numeric habits store value × 1000.
+const parseLoop = (checkmarkRows, habitRows) => {
+  const result = createResult('loop', 'Loop Habit Tracker');
+  const [headers, ...body] = checkmarkRows;
+  const details = new Map();
+
+  if (habitRows?.length) {
+    const [habitHeaders, ...habitBody] = habitRows;
+    const col = aliases => findColumn(habitHeaders, aliases);
+    const nameCol = col(['name']);
+    const typeCol = col(['type']);
+    const unitCol = col(['unit']);
+    const targetCol = col(['target_value']);
+    const repsCol = col(['numrepetitions']);
+    const intervalCol = col(['interval']);
+
+    habitBody.forEach(cells => {
+      const name = cells[nameCol]?.trim();
+      if (!name) return;
+      details.set(name.toLowerCase(), {
+        numeric: typeCol >= 0 ? /numer/i.test(cells[typeCol] || '') : undefined,
+        unit: unitCol >= 0 ? cells[unitCol]?.trim() || '' : '',
+        target: targetCol >= 0 ? toNumber(cells[targetCol]) : null,
+        ...loopSchedule(toNumber(cells[repsCol]), toNumber(cells[intervalCol]))
+      });
+    });
+  }
+
+  headers.slice(1).forEach((header, offset) => {
+    const name = header.trim();
+    if (!name) return;
+
+    const column = offset + 1;
+    const key = `loop:${name.toLowerCase()}`;
+    const { numeric: declaredNumeric, unit = '', target, ...schedule } = details.get(name.toLowerCase()) || {};
+    // Without Habits.csv, a value above the largest checkmark code gives a numeric habit away.
+    const numeric = declaredNumeric ?? body.some(cells => toNumber(cells[column]) > 3);
+
+    result.habits.push({
+      ...defaultHabit(key, name),
+      ...schedule,
+      is_boolean: !numeric,
+      unit,
+      goal_value: numeric ? Math.max(Math.round(target || 1), 1) : 1
+    });
+
+    body.forEach((cells, index) => {
+      const raw = toNumber(cells[column]);
+      if (raw === null) return;
+
+      const date = normalizeDate(cells[0]);
+      if (!date) {
+        if (offset === 0) result.errors.push({ row: index + 2, message: `Unreadable date "${cells[0]}"` });
+        return;
+      }
+
+      addLog(result, numeric
+        ? { habitKey: key, date, completed: false, value: toValue(raw / 1000), row: index + 2 }
+        : { habitKey: key, date, completed: raw === LOOP_YES_MANUAL, value: 0, row: index + 2 });
+    });
+  });
+
+  return result;
+};
+
+// --- Generic CSV ---
+
+const COLUMN_ALIASES = {
+  date: ['date', 'log_date', 'day'],
+  habit: ['habit', 'habit_name', 'name', 'task'],
+  value: ['value', 'amount', 'quantity', 'count'],
+  completed: ['completed', 'done', 'is_complete', 'status'],
+  unit: ['unit', 'units'],
+  goal: ['goal_value', 'goal', 'target']
+};
+
+const csvKey = (name) => `csv:${name.trim().toLowerCase()}`;
+
+// One row per habit per day: date, habit, and a value and/or completed flag.
+const parseLongCsv = (headers, body, columns) => {
+  const result = createResult('csv', 'CSV file');
+  const habits = new Map();
+
+  body.forEach((cells, index) => {
+    const row = index + 2;
+    const name = cells[columns.habit]?.trim();
+    const date = normalizeDate(cells[columns.date]);
+
+    if (!name) {
+      result.errors.push({ row, message: 'Missing habit name' });
+      return;
+    }
+    if (!date) {
+      result.errors.push({ row, message: `Unreadable date "${cells[columns.date] ?? ''}"` });
+      return;
+    }
+
+    const key = csvKey(name);
+    if (!habits.has(key)) {
+      habits.set(key, { ...defaultHabit(key, name), values: [] });
+    }
+
+    const habit = habits.get(key);
+    const rawValue = columns.value >= 0 ? cells[columns.value] : '';
+    const rawCompleted = columns.completed >= 0 ? cells[columns.completed] : '';
+    const value = toNumber(rawValue);
+
+    if (rawValue?.trim() && value === null && !isTruthy(rawValue) && !isFalsy(rawValue)) {
+      result.errors.push({ row, message: `Unreadable value "${rawValue}"` });
+      return;
+    }
+
+    if (columns.unit >= 0 && !habit.unit) habit.unit = cells[columns.unit]?.trim() || '';
+    if (columns.goal >= 0 && habit.goal === undefined) habit.goal = toNumber(cells[columns.goal]) ?? undefined;
+
+    habit.values.push(value);
+    result.logs.push({
+      habitKey: key,
+      date,
+      completed: isTruthy(rawCompleted) || (columns.completed < 0 && isTruthy(rawValue)),
+      value: toValue(value),
+      row
+    });
+  });
+
+  // A habit with a unit, a goal, or values other than 0/1 tracks a quantity.
+  habits.forEach(({ values, goal, ...habit }) => {
+    const quantity = Boolean(habit.unit) || goal > 1 || values.some(value => value !== null && value !== 0 && value !== 1);
+    result.habits.push({ ...habit, is_boolean: !quantity, goal_value: quantity ? Math.max(Math.round(goal || 1), 1) : 1 });
+  });
+
+  result.logs = result.logs.filter(log => log.completed || log.value);
+  return result;
+};
+
+// One row per day and one column per habit, holding a check mark or a number.
+const parseWideCsv = (headers, body, dateColumn) => {
+  const result = createResult('csv', 'CSV file');
+
+  headers.forEach((header, column) => {
+    const name = header.trim();
+    if (column === dateColumn || !name) return;
+
+    const key = csvKey(name);
+    const numbers = body.map(cells => toNumber(cells[column])).filter(value => value !== null);
+    const quantity = numbers.some(value => value !== 0 && value !== 1);
+
+    result.habits.push({ ...defaultHabit(key, name), is_boolean: !quantity });
+
+    body.forEach((cells, index) => {
+      const cell = cells[column]?.trim() || '';
+      if (!cell || isFalsy(cell)) return;
+
+      const row = index + 2;
+      const date = normalizeDate(cells[dateColumn]);
+      const value = toNumber(cell);
+
+      if (!date) {
+        if (!result.errors.some(error => error.row === row)) {
+          result.errors.push({ row, message: `Unreadable date "${cells[dateColumn]}"` });
+        }
+      } else if (value === null && !isTruthy(cell)) {
+        result.errors.push({ row, message: `Unreadable value "${cell}" for ${name}` });
+      } else {
+        addLog(result, quantity
+          ? { habitKey: key, date, completed: false, value: toValue(value), row }
+          : { habitKey: key, date, completed: true, value: 0, row });
+      }
+    });
+  });
+
+  return result;
+};
+
+const parseGenericCsv = (rows) => {
+  const [headers, ...body] = rows;
+  const columns = Object.fromEntries(
+    Object.entries(COLUMN_ALIASES).map(([field, aliases]) => [field, findColumn(headers, aliases)])
+  );
+
+  if (columns.date < 0) {
+    throw new Error('Could not find a date column. Name it "date".');
+  }
+  if (columns.habit >= 0) return parseLongCsv(headers, body, columns);
+  if (headers.length < 2) throw new Error('The file has a date column but no habits.');
+  return parseWideCsv(headers, body, columns.date);
+};
+
+const baseName = (name) => name.split(/[\\/]/).pop().toLowerCase();
+
+// Picks a parser from the selected files: a JSON export, Habitica's CSV, Loop's
+// Checkmarks.csv (plus Habits.csv for types and units), or any CSV with a date column.
+export const parseImportFiles = (files, timeZone) => {
+  if (!files.length) throw new Error('Choose a file to import');
+
+  const jsonFile = files.find(file => /\.json$/i.test(file.name) || /^\s*[{[]/.test(file.text));
+  if (jsonFile) {
+    let data;
+    try {
+      data = JSON.parse(jsonFile.text);
+    } catch {
+      throw new Error(`${jsonFile.name} is not valid JSON`);
+    }
+
+    if (data?.format === EXPORT_FORMAT) return parseOwnBundle(data);
+    if (data?.tasks) return parseHabiticaJson(data, timeZone);
+    throw new Error(`${jsonFile.name} is not a Smart Habit Tracker or Habitica export`);
+  }
+
+  const csvFiles = files.map(file => ({ name: baseName(file.name), rows: parseCsv(file.text) }));
+  const checkmarks = csvFiles.find(file => file.name === 'checkmarks.csv');
+
+  if (checkmarks) {
+    return parseLoop(checkmarks.rows, csvFiles.find(file => file.name === 'habits.csv')?.rows);
+  }
+  if (csvFiles.some(file => file.name === 'habits.csv' && file.rows[0]?.some(cell => /numrepetitions/i.test(cell)))) {
+    throw new Error('Loop exports need Checkmarks.csv too. Select both Habits.csv and Checkmarks.csv.');
+  }
+
+  const [file] = csvFiles;
+  if (!file.rows.length) throw new Error(`${file.name} is empty`);
+
+  const headers = file.rows[0];
+  if (findColumn(headers, ['task_id']) >= 0 && findColumn(headers, ['task_type']) >= 0) {
+    return parseHabiticaCsv(file.rows, timeZone);
+  }
+  return parseGenericCsv(file.rows);
+};
+
+// Matches parsed habits against the user's, and sorts the logs into what will
+// be imported, duplicates (within the file or already logged) and rows that
+// can't be imported. The database applies the same rules, so this is a preview
+// rather than a safeguard.
+export const buildImportPlan = (parsed, { habits, habitLogs, today, editableFrom }) => {
+  const byKey = new Map(habits.filter(habit => habit.import_key).map(habit => [habit.import_key, habit]));
+  const byName = new Map(habits.map(habit => [habit.name.trim().toLowerCase(), habit]));
+  const existingLogs = new Set(habitLogs.map(log => `${log.habit_id}|${log.log_date}`));
+
+  const planHabits = parsed.habits.map(habit => ({
+    ...habit,
+    existing: byKey.get(habit.key) || byName.get(habit.name.toLowerCase()) || null,
+    logCount: 0
+  }));
+  const habitsByKey = new Map(planHabits.map(habit => [habit.key, habit]));
+
+  const errors = [...parsed.errors];
+  const duplicates = [];
+  const accepted = new Map();
+
+  parsed.logs.forEach(log => {
+    const habit = habitsByKey.get(log.habitKey);
+    const logKey = `${log.habitKey}|${log.date}`;
+
+    if (!habit) {
+      errors.push({ row: log.row, message: 'Log for an unknown habit' });
+    } else if (log.date > today) {
+      errors.push({ row: log.row, message: `${habit.name} on ${log.date} is in the future` });
+    } else if (editableFrom && log.date < editableFrom) {
+      errors.push({ row: log.row, message: `${habit.name} on ${log.date} is older than your backfill limit` });
+    } else if (habit.existing && existingLogs.has(`${habit.existing.id}|${log.date}`)) {
+      duplicates.push({ row: log.row, message: `${habit.name} on ${log.date} is already logged` });
+    } else {
+      if (accepted.has(logKey)) {
+        duplicates.push({
+          row: accepted.get(logKey).row,
+          message: `${habit.name} on ${log.date} appears again in row ${log.row}; the later row is used`
+        });
+      }
+      accepted.set(logKey, log);
+    }
+  });
+
+  const logs = [...accepted.values()];
+
+  logs.forEach(log => {
+    const habit = habitsByKey.get(log.habitKey);
+    habit.logCount++;
+    if (!habit.start_date || log.date < habit.start_date) habit.start_date = log.date;
+  });
+
+  return {
+    source: parsed.source,
+    sourceLabel: parsed.sourceLabel,
+    habits: planHabits,
+    logs: logs.sort((a, b) => a.date.localeCompare(b.date)),
+    duplicates,
+    errors: errors.sort((a, b) => (a.row ?? 0) - (b.row ?? 0))
+  };
+};
+
+const toRpcHabit = (habit) => ({
+  import_key: habit.key,
+  name: habit.name,
+  is_boolean: habit.is_boolean,
+  unit: habit.unit,
+  goal_value: habit.goal_value,
+  frequency: habit.frequency,
+  schedule_days: habit.schedule_days,
+  interval_days: habit.interval_days,
+  target_count: habit.target_count,
+  start_date: habit.start_date
+});
+
+// Splits a plan into `import_habit_history` calls. New habits are all created
+// by the first batch; later batches only repeat the habits their logs belong to
+// so the database can look them up by import key.
+export const chunkImportPlan = (plan, size = 500) => {
+  const newHabits = plan.habits.filter(habit => !habit.existing);
+  const batches = [];
+
+  for (let start = 0; start < plan.logs.length || batches.length === 0; start += size) {
+    const logs = plan.logs.slice(start, start + size);
+    const keys = new Set(logs.map(log => log.habitKey));
+    const habits = plan.habits.filter(habit =>
+      keys.has(habit.key) || (batches.length === 0 && newHabits.includes(habit))
+    );
+
+    batches.push({
+      import_habits: habits.map(toRpcHabit),
+      import_logs: logs.map(log => ({
+        import_key: log.habitKey,
+        log_date: log.date,
+        completed: log.completed,
+        value: log.value
+      }))
+    });
+  }
+
+  return batches;
+};
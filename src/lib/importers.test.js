@@ -0,0 +1,172 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { EXPORT_FORMAT } from './export.js';
+import { buildImportPlan, chunkImportPlan, normalizeDate, parseCsv, parseImportFiles } from './importers.js';
+
+const file = (name, text) => ({ name, text });
+const ownExport = (data) => file('export.json', JSON.stringify({ format: EXPORT_FORMAT, ...data }));
+
+describe('parseCsv', () => {
+  it('reads quoted commas, quotes and line breaks', () => {
+    assert.deepEqual(parseCsv('\uFEFFname,note\r\n"Read, daily","He said ""go""\nnow"\n\n'), [
+      ['name', 'note'],
+      ['Read, daily', 'He said "go"\nnow']
+    ]);
+  });
+});
+
+describe('normalizeDate', () => {
+  it('accepts ISO days, slashes and epoch times', () => {
+    assert.equal(normalizeDate('2025-11-17'), '2025-11-17');
+    assert.equal(normalizeDate('2025/1/7 08:00'), '2025-01-07');
+    assert.equal(normalizeDate(1763337600000, 'UTC'), '2025-11-17');
+    assert.equal(normalizeDate('1763337600', 'UTC'), '2025-11-17');
+  });
+
+  it('reads zoned timestamps in the given time zone', () => {
+    assert.equal(normalizeDate('2025-11-17T23:30:00Z', 'Asia/Tokyo'), '2025-11-18');
+  });
+
+  it('refuses to guess', () => {
+    assert.equal(normalizeDate('17/11/2025'), null);
+    assert.equal(normalizeDate('2025-02-30'), null);
+    assert.equal(normalizeDate(''), null);
+  });
+});
+
+describe('parseImportFiles', () => {
+  it("reads this app's export with schedule defaults the database accepts", () => {
+    const parsed = parseImportFiles([ownExport({
+      habits: [{ id: 'h1', name: 'Read', frequency: 'Daily', schedule_days: null, interval_days: null }],
+      habit_logs: [
+        { habit_id: 'h1', log_date: '2025-11-17', completed: true },
+        { habit_id: 'h1', log_date: '2025-11-18', completed: false, value: 0 },
+        { habit_id: 'gone', log_date: '2025-11-18', completed: true }
+      ]
+    })]);
+
+    assert.equal(parsed.source, 'export');
+    assert.deepEqual(parsed.habits[0].schedule_days, []);
+    assert.equal(parsed.habits[0].interval_days, 1);
+    assert.deepEqual(parsed.logs.map(log => log.date), ['2025-11-17']);
+    assert.deepEqual(parsed.errors, [{ row: 3, message: 'Log for a habit that is not in the file' }]);
+  });
+
+  it('rejects weekday habits without any days', () => {
+    const parsed = parseImportFiles([ownExport({
+      habits: [{ id: 'h1', name: 'Gym', frequency: 'Weekdays', schedule_days: [] }],
+      habit_logs: [{ habit_id: 'h1', log_date: '2025-11-17', completed: true }]
+    })]);
+
+    assert.deepEqual(parsed.habits, []);
+    assert.deepEqual(parsed.logs, []);
+    assert.deepEqual(parsed.errors, [{ row: 1, message: 'Gym is scheduled on weekdays but has no days' }]);
+  });
+
+  it('moves Habitica dailies back to the day before cron', () => {
+    const parsed = parseImportFiles([file('habitica.json', JSON.stringify({
+      tasks: {
+        dailys: [{
+          id: 't1',
+          text: 'Stretch',
+          frequency: 'weekly',
+          repeat: { su: false, m: true, t: false, w: true, th: false, f: true, s: false },
+          history: [{ date: Date.UTC(2025, 10, 18, 7), value: 1, completed: true }]
+        }]
+      }
+    }))], 'UTC');
+
+    assert.equal(parsed.habits[0].frequency, 'Weekdays');
+    assert.deepEqual(parsed.habits[0].schedule_days, [1, 3, 5]);
+    assert.deepEqual(parsed.logs.map(log => log.date), ['2025-11-17']);
+  });
+
+  it('reads Loop checkmarks and scales numeric habits', () => {
+    const parsed = parseImportFiles([
+      file('Habits.csv', 'Position,Name,Type,NumRepetitions,Interval,Unit,Target Value\n001,Meditate,YES_NO,1,1,,\n002,Water,NUMERICAL,1,1,glasses,8\n'),
+      file('Checkmarks.csv', 'Date,Meditate,Water\n2025-11-18,2,8000\n2025-11-17,1,0\n')
+    ]);
+
+    assert.equal(parsed.source, 'loop');
+    assert.deepEqual(parsed.habits.map(h => [h.name, h.is_boolean, h.unit, h.goal_value]), [
+      ['Meditate', true, '', 1],
+      ['Water', false, 'glasses', 8]
+    ]);
+    assert.deepEqual(parsed.logs.map(log => [log.habitKey, log.date, log.completed, log.value]), [
+      ['loop:meditate', '2025-11-18', true, 0],
+      ['loop:water', '2025-11-18', false, 8]
+    ]);
+  });
+
+  it('reads one row per habit per day', () => {
+    const parsed = parseImportFiles([file('log.csv', 'date,habit,value,unit\n2025-11-17,Run,5,km\n2025-11-18,Run,abc,km\n')]);
+
+    assert.equal(parsed.habits[0].is_boolean, false);
+    assert.equal(parsed.habits[0].unit, 'km');
+    assert.equal(parsed.logs.length, 1);
+    assert.deepEqual(parsed.errors, [{ row: 3, message: 'Unreadable value "abc"' }]);
+  });
+
+  it('reads one column per habit', () => {
+    const parsed = parseImportFiles([file('log.csv', 'Date,Read,Pushups\n2025-11-17,x,20\n2025-11-18,,15\n')]);
+
+    assert.deepEqual(parsed.habits.map(h => [h.name, h.is_boolean]), [['Read', true], ['Pushups', false]]);
+    assert.equal(parsed.logs.length, 3);
+  });
+
+  it('needs a date column', () => {
+    assert.throws(() => parseImportFiles([file('log.csv', 'habit,value\nRun,5\n')]), /date column/);
+  });
+});
+
+describe('buildImportPlan', () => {
+  const parsed = {
+    source: 'csv',
+    sourceLabel: 'CSV file',
+    errors: [],
+    habits: [
+      { key: 'csv:read', name: 'Read', frequency: 'Daily', schedule_days: [], interval_days: 1 },
+      { key: 'csv:run', name: 'Run', frequency: 'Daily', schedule_days: [], interval_days: 1 }
+    ],
+    logs: [
+      { habitKey: 'csv:read', date: '2025-11-10', completed: true, value: 0, row: 2 },
+      { habitKey: 'csv:read', date: '2025-11-16', completed: true, value: 0, row: 3 },
+      { habitKey: 'csv:read', date: '2025-11-17', completed: true, value: 0, row: 4 },
+      { habitKey: 'csv:read', date: '2025-11-17', completed: true, value: 0, row: 5 },
+      { habitKey: 'csv:run', date: '2025-11-15', completed: true, value: 0, row: 6 },
+      { habitKey: 'csv:run', date: '2025-11-19', completed: true, value: 0, row: 7 }
+    ]
+  };
+  const plan = buildImportPlan(parsed, {
+    habits: [{ id: 'existing-read', name: 'read ' }],
+    habitLogs: [{ habit_id: 'existing-read', log_date: '2025-11-16' }],
+    today: '2025-11-18',
+    editableFrom: '2025-11-11'
+  });
+
+  it('matches existing habits by name', () => {
+    assert.equal(plan.habits[0].existing.id, 'existing-read');
+    assert.equal(plan.habits[1].existing, null);
+  });
+
+  it('sorts logs into imported, duplicates and errors', () => {
+    assert.deepEqual(plan.logs.map(log => log.row), [6, 5]);
+    assert.deepEqual(plan.duplicates.map(d => d.row), [3, 4]);
+    assert.deepEqual(plan.errors.map(e => e.row), [2, 7]);
+  });
+
+  it('starts new habits at their first imported log', () => {
+    assert.equal(plan.habits[1].start_date, '2025-11-15');
+    assert.equal(plan.habits[1].logCount, 1);
+  });
+
+  it('creates every new habit in the first batch', () => {
+    const batches = chunkImportPlan(plan, 1);
+
+    assert.equal(batches.length, 2);
+    assert.deepEqual(batches[0].import_habits.map(h => h.import_key), ['csv:run']);
+    assert.deepEqual(batches[1].import_habits.map(h => h.import_key), ['csv:read']);
+    assert.deepEqual(batches[0].import_habits[0].schedule_days, []);
+    assert.equal(batches[0].import_habits[0].interval_days, 1);
+  });
+});
@@ -0,0 +1,146 @@
+import { addDays } from './dates.js';
+import { isLogComplete } from './habits.js';
+import { scoreDay } from './heatmap.js';
+import { isHabitDueOn, isPeriodHabit } from './schedule.js';
+
+// Links sleep to habits. A sleep log's date is the morning the user woke up,
+// so the night logged on D is followed by the habits due on D, and the habits
+// done on D are followed by the night logged on D + 1.
+//
+// Two plain methods, both shown to the user as they are:
+// - Pearson's r between a sleep measure and that day's completion rate.
+// - Difference between two group averages (e.g. under 6h vs 6h or more).
+// Either only counts as a finding with enough nights behind it and a t
+// statistic of at least 2 in size, roughly the usual 5% significance level.
+// Days still in progress (today) are left out.
+
+export const MIN_NIGHTS = 14;
+export const MIN_GROUP_SIZE = 5;
+export const SHORT_SLEEP_HOURS = 6;
+export const SIGNIFICANT_T = 2;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const variance = (values) => {
+  const average = mean(values);
+  return values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1);
+};
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+export const pearson = (pairs) => {
+  const n = pairs.length;
+  if (n < 3) return null;
+
+  const meanX = mean(pairs.map(([x]) => x));
+  const meanY = mean(pairs.map(([, y]) => y));
+  let covariance = 0;
+  let spreadX = 0;
+  let spreadY = 0;
+
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanX) * (y - meanY);
+    spreadX += (x - meanX) ** 2;
+    spreadY += (y - meanY) ** 2;
+  });
+
+  if (spreadX === 0 || spreadY === 0) return null;
+
+  const r = covariance / Math.sqrt(spreadX * spreadY);
+  const t = Math.abs(r) >= 1 ? Infinity : r * Math.sqrt((n - 2) / (1 - r * r));
+
+  return { r: round(r), n, t: round(t), significant: n >= MIN_NIGHTS && Math.abs(t) >= SIGNIFICANT_T };
+};
+
+// Welch's t-test for two groups that may differ in size and spread.
+export const compareGroups = (groupA, groupB) => {
+  const summary = {
+    a: { n: groupA.length, mean: groupA.length ? round(mean(groupA)) : null },
+    b: { n: groupB.length, mean: groupB.length ? round(mean(groupB)) : null },
+    t: null,
+    significant: false
+  };
+  if (groupA.length < MIN_GROUP_SIZE || groupB.length < MIN_GROUP_SIZE) return summary;
+
+  const standardError = Math.sqrt(variance(groupA) / groupA.length + variance(groupB) / groupB.length);
+  const difference = mean(groupA) - mean(groupB);
+  const t = standardError > 0 ? difference / standardError : (difference === 0 ? 0 : Infinity * Math.sign(difference));
+
+  return { ...summary, t: round(t), significant: Math.abs(t) >= SIGNIFICANT_T };
+};
+
+// One row per logged night whose following day had something due.
+export const pairSleepWithDays = (sleepLogs, habits, logIndex, today) =>
+  sleepLogs
+    .filter(log => log.log_date < today)
+    .map(log => {
+      const day = scoreDay(habits, logIndex.get(log.log_date), log.log_date);
+      return {
+        date: log.log_date,
+        hours: Number(log.total_hours),
+        quality: Number(log.quality),
+        due: day.due,
+        rate: day.due > 0 ? day.completed / day.due : null
+      };
+    })
+    .filter(night => night.rate !== null && Number.isFinite(night.hours));
+
+// How the night after doing a habit compares with the night after skipping it.
+// Period habits are never due on a given day, so only days they were done count
+// for them and there is nothing to compare against; they're left out.
+export const getHabitSleepEffects = (habits, sleepLogs, logIndex, today) => {
+  const qualityByDate = new Map(sleepLogs.map(log => [log.log_date, Number(log.quality)]));
+
+  return habits
+    .filter(habit => !isPeriodHabit(habit))
+    .map(habit => {
+      const done = [];
+      const missed = [];
+
+      qualityByDate.forEach((quality, nightDate) => {
+        const day = addDays(nightDate, -1);
+        if (day >= today || !isHabitDueOn(habit, day)) return;
+        (isLogComplete(habit, logIndex.get(day)?.get(habit.id)) ? done : missed).push(quality);
+      });
+
+      const comparison = compareGroups(done, missed);
+      return {
+        habit,
+        done: comparison.a,
+        missed: comparison.b,
+        difference: comparison.a.mean !== null && comparison.b.mean !== null ? round(comparison.a.mean - comparison.b.mean) : null,
+        t: comparison.t,
+        significant: comparison.significant
+      };
+    })
+    .filter(effect => effect.difference !== null)
+    .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+};
+
+export const getSleepInsights = (sleepLogs, habits, logIndex, today) => {
+  const nights = pairSleepWithDays(sleepLogs, habits, logIndex, today);
+  const rate = night => night.rate * 100;
+
+  const shortNights = nights.filter(night => night.hours < SHORT_SLEEP_HOURS).map(rate);
+  const longerNights = nights.filter(night => night.hours >= SHORT_SLEEP_HOURS).map(rate);
+  const shortSleep = compareGroups(shortNights, longerNights);
+
+  const poorNights = nights.filter(night => night.quality <= 2).map(rate);
+  const goodNights = nights.filter(night => night.quality >= 4).map(rate);
+  const poorQuality = compareGroups(poorNights, goodNights);
+
+  const relativeChange = (comparison) =>
+    comparison.a.mean !== null && comparison.b.mean
+      ? Math.round(((comparison.a.mean - comparison.b.mean) / comparison.b.mean) * 100)
+      : null;
+
+  return {
+    nights: nights.length,
+    enoughData: nights.length >= MIN_NIGHTS,
+    duration: pearson(nights.map(night => [night.hours, rate(night)])),
+    quality: pearson(nights.map(night => [night.quality, rate(night)])),
+    shortSleep: { ...shortSleep, relativeChange: relativeChange(shortSleep) },
+    poorQuality: { ...poorQuality, relativeChange: relativeChange(poorQuality) },
+    habitEffects: getHabitSleepEffects(habits, sleepLogs, logIndex, today)
+  };
+};
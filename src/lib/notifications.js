@@ -0,0 +1,67 @@
+// Browser side of reminders: the service worker, notification permission and
+// the Web Push subscription for this device.
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+export const supportsNotifications = () =>
+  typeof window !== 'undefined' && 'Notification' in window && 'serviceWorker' in navigator;
+
+export const supportsPush = () => supportsNotifications() && 'PushManager' in window;
+
+export const getNotificationPermission = () =>
+  supportsNotifications() ? Notification.permission : 'unsupported';
+
+export const registerServiceWorker = async () => {
+  if (!supportsNotifications()) return null;
+  return navigator.serviceWorker.register(SERVICE_WORKER_URL);
+};
+
+const getRegistration = async () => {
+  if (!supportsNotifications()) return null;
+  return (await navigator.serviceWorker.getRegistration(SERVICE_WORKER_URL)) || registerServiceWorker();
+};
+
+// VAPID keys are shared as URL-safe base64; the Push API wants raw bytes.
+export const urlBase64ToUint8Array = (value) => {
+  const base64 = `${value}${'='.repeat((4 - (value.length % 4)) % 4)}`.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+};
+
+export const getPushSubscription = async () => {
+  if (!supportsPush()) return null;
+  const registration = await getRegistration();
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+export const subscribeToPush = async (vapidPublicKey) => {
+  const registration = await getRegistration();
+  const existing = await registration.pushManager.getSubscription();
+  if (existing) return existing;
+
+  return registration.pushManager.subscribe({
+    userVisibleOnly: true,
+    applicationServerKey: urlBase64ToUint8Array(vapidPublicKey)
+  });
+};
+
+// The columns stored in push_subscriptions for a PushSubscription.
+export const toSubscriptionRow = (subscription) => {
+  const { endpoint, keys } = subscription.toJSON();
+  return { endpoint, p256dh: keys.p256dh, auth: keys.auth };
+};
+
+export const showNotification = async ({ title, ...options }) => {
+  const registration = await getRegistration();
+  if (!registration || Notification.permission !== 'granted') return;
+  await registration.showNotification(title, options);
+};
+
+// A notification clicked while the app was closed opens it with the action in
+// the URL, e.g. /?reminder=log&habit=<id>&date=2025-11-18.
+export const readReminderAction = (search) => {
+  const params = new URLSearchParams(search);
+  const action = params.get('reminder');
+  const habitId = params.get('habit');
+  if (!action || !habitId) return null;
+  return { action, habitId, date: params.get('date') };
+};
@@ -0,0 +1,121 @@
+// IndexedDB persistence for offline use:
+// - snapshots: the last known state of each user's data, for loading without a connection
+// - pendingChanges: writes made in the app that have not reached Supabase yet, in order
+const DB_NAME = 'smart-habit-tracker';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('snapshots', { keyPath: 'userId' });
+        const changes = db.createObjectStore('pendingChanges', { keyPath: 'id', autoIncrement: true });
+        changes.createIndex('userId', 'userId');
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
+  }
+  return dbPromise;
+};
+
+const withStore = async (storeName, mode, callback) => {
+  const db = await openDb();
+  const tx = db.transaction(storeName, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = await callback(tx.objectStore(storeName));
+  await done;
+  return result;
+};
+
+export const loadSnapshot = async (userId) => {
+  const record = await withStore('snapshots', 'readonly', store => promisify(store.get(userId)));
+  return record?.data ?? null;
+};
+
+export const saveSnapshot = (userId, data) =>
+  withStore('snapshots', 'readwrite', store => promisify(store.put({ userId, data, savedAt: Date.now() })));
+
+export const getPendingChanges = async (userId) => {
+  const changes = await withStore('pendingChanges', 'readonly', store =>
+    promisify(store.index('userId').getAll(userId))
+  );
+  return changes.sort((a, b) => a.id - b.id);
+};
+
+// Adds a change to the end of the queue. A change with a `key` is merged into
+// any queued change with the same key, keeping its place in the queue, so
+// repeated edits to the same row while offline sync once with the latest values.
+export const queueChange = async (change) => {
+  const queued = await getPendingChanges(change.userId);
+  const previous = change.key ? queued.find(c => c.key === change.key) : null;
+
+  return withStore('pendingChanges', 'readwrite', store => {
+    if (previous) {
+      return promisify(store.put({
+        ...previous,
+        ...change,
+        id: previous.id,
+        op: previous.op === 'insert' ? 'insert' : change.op,
+        recordId: previous.op === 'insert' ? previous.recordId : change.recordId,
+        localId: previous.localId ?? change.localId,
+        values: { ...previous.values, ...change.values },
+        queuedAt: Date.now()
+      }));
+    }
+    return promisify(store.add({ ...change, queuedAt: Date.now() }));
+  });
+};
+
+export const updatePendingChange = (change) =>
+  withStore('pendingChanges', 'readwrite', store => promisify(store.put(change)));
+
+export const removePendingChange = (id) =>
+  withStore('pendingChanges', 'readwrite', store => promisify(store.delete(id)));
+
+// Drops queued changes for a row that was created offline and deleted again
+// before it ever reached the server. Changes that only point at it through
+// one of `detachColumns` are kept with that column cleared instead.
+export const discardPendingChanges = async (userId, localId, detachColumns = []) => {
+  const queued = await getPendingChanges(userId);
+  const related = queued.filter(c =>
+    c.localId === localId || c.recordId === localId || c.values?.habit_id === localId
+  );
+  const detached = queued
+    .filter(c => !related.includes(c) && detachColumns.some(column => c.values?.[column] === localId))
+    .map(c => ({
+      ...c,
+      values: Object.fromEntries(Object.entries(c.values).map(([key, value]) =>
+        [key, detachColumns.includes(key) && value === localId ? null : value]
+      ))
+    }));
+
+  await withStore('pendingChanges', 'readwrite', store =>
+    Promise.all([
+      ...related.map(c => promisify(store.delete(c.id))),
+      ...detached.map(c => promisify(store.put(c)))
+    ])
+  );
+};
@@ -0,0 +1,39 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { fetchAllPages } from './pages.js';
+
+// Stands in for a PostgREST query builder over `rows`.
+const fakeQuery = (rows, ranges, failAt = null) => () => ({
+  range: async (from, to) => {
+    ranges.push([from, to]);
+    if (from === failAt) return { data: null, error: new Error('timeout') };
+    return { data: rows.slice(from, to + 1), error: null };
+  }
+});
+
+describe('fetchAllPages', () => {
+  it('reads every page until a short one', async () => {
+    const ranges = [];
+    const rows = Array.from({ length: 5 }, (_, id) => ({ id }));
+
+    const { data, error } = await fetchAllPages(fakeQuery(rows, ranges), 2);
+
+    assert.equal(error, null);
+    assert.deepEqual(data, rows);
+    assert.deepEqual(ranges, [[0, 1], [2, 3], [4, 5]]);
+  });
+
+  it('asks once more when the last page is full', async () => {
+    const ranges = [];
+    const { data } = await fetchAllPages(fakeQuery([{ id: 0 }, { id: 1 }], ranges), 2);
+
+    assert.equal(data.length, 2);
+    assert.deepEqual(ranges, [[0, 1], [2, 3]]);
+  });
+
+  it('returns the error of a failed page', async () => {
+    const result = await fetchAllPages(fakeQuery([{ id: 0 }, { id: 1 }, { id: 2 }], [], 2), 2);
+    assert.equal(result.data, null);
+    assert.equal(result.error.message, 'timeout');
+  });
+});
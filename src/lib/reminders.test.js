@@ -0,0 +1,221 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  buildReminderNotification,
+  createReminderScheduler,
+  getUsualCompletionMinutes,
+  isQuietTime
+} from './reminders.js';
+
+// Timers only fire when the test moves time forward, so a day of reminders
+// runs in a few milliseconds.
+const createFakeClock = (start) => {
+  let now = new Date(start).getTime();
+  let timers = [];
+  let nextId = 1;
+
+  const runDueTimers = (until) => {
+    for (;;) {
+      const [timer] = timers.filter(t => t.at <= until).sort((a, b) => a.at - b.at || a.id - b.id);
+      if (!timer) return;
+      timers = timers.filter(t => t !== timer);
+      now = Math.max(now, timer.at);
+      timer.callback();
+    }
+  };
+
+  return {
+    now: () => new Date(now),
+    setTimeout: (callback, delay) => {
+      timers.push({ id: nextId, at: now + delay, callback });
+      return nextId++;
+    },
+    clearTimeout: (id) => {
+      timers = timers.filter(t => t.id !== id);
+    },
+    // Lets time pass normally, firing each timer when it comes due.
+    advanceTo: (instant) => {
+      const target = new Date(instant).getTime();
+      runDueTimers(target);
+      now = target;
+    },
+    // Jumps ahead without firing anything on the way, like a laptop waking
+    // from sleep, then fires the timers that are overdue.
+    wakeAt: (instant) => {
+      now = new Date(instant).getTime();
+      runDueTimers(now);
+    }
+  };
+};
+
+const habit = (overrides = {}) => ({
+  id: 'habit-1',
+  name: 'Read',
+  is_boolean: true,
+  goal_value: 1,
+  unit: '',
+  frequency: 'Daily',
+  reminder_times: ['12:00'],
+  ...overrides
+});
+
+const runScheduler = (clock, state) => {
+  const delivered = [];
+  const scheduler = createReminderScheduler({
+    getState: () => ({
+      habitLogs: [],
+      timetable: [],
+      terms: [],
+      quietHours: { start: '22:00', end: '09:00' },
+      timeZone: 'UTC',
+      ...state
+    }),
+    onReminder: (reminder) => delivered.push({ ...reminder, deliveredAt: clock.now().toISOString() }),
+    clock
+  });
+  scheduler.start();
+  return { scheduler, delivered };
+};
+
+describe('isQuietTime', () => {
+  const quietHours = { start: '22:00', end: '09:00' };
+
+  it('wraps past midnight', () => {
+    assert.equal(isQuietTime(22 * 60, quietHours), true);
+    assert.equal(isQuietTime(23 * 60 + 30, quietHours), true);
+    assert.equal(isQuietTime(0, quietHours), true);
+    assert.equal(isQuietTime(8 * 60 + 59, quietHours), true);
+    assert.equal(isQuietTime(9 * 60, quietHours), false);
+    assert.equal(isQuietTime(21 * 60 + 59, quietHours), false);
+  });
+
+  it('has no quiet hours when the times are equal or missing', () => {
+    assert.equal(isQuietTime(23 * 60, { start: '22:00', end: '22:00' }), false);
+    assert.equal(isQuietTime(23 * 60, { start: null, end: null }), false);
+  });
+});
+
+describe('getUsualCompletionMinutes', () => {
+  const run = { id: 'run', is_boolean: false, goal_value: 5 };
+  // Each log was started in the morning and finished in the evening.
+  const log = (day, completedAt, values = { value: 5 }) => ({
+    habit_id: 'run',
+    log_date: `2025-11-${day}`,
+    created_at: `2025-11-${day}T07:00:00Z`,
+    completed_at: completedAt && `2025-11-${day}T${completedAt}:00Z`,
+    ...values
+  });
+
+  it('takes the median time the logs were completed, not created', () => {
+    const logs = [log(10, '18:00'), log(11, '18:30'), log(12, '19:00'), log(13, '19:10'), log(14, '20:00')];
+    assert.equal(getUsualCompletionMinutes(run, logs, '2025-11-17', 'UTC'), 19 * 60);
+  });
+
+  it('skips logs that are incomplete or were completed on a later day', () => {
+    const logs = [
+      log(10, '18:00'), log(11, '18:30'), log(12, '19:00'), log(13, '19:10'),
+      log(14, null, { value: 3 }),
+      { ...log(15, '20:00'), completed_at: '2025-11-16T08:00:00Z' }
+    ];
+    assert.equal(getUsualCompletionMinutes(run, logs, '2025-11-17', 'UTC'), null);
+  });
+});
+
+describe('createReminderScheduler', () => {
+  it('skips reminders in quiet hours on both sides of midnight', () => {
+    const clock = createFakeClock('2025-11-18T00:00:00Z');
+    const { delivered } = runScheduler(clock, {
+      habits: [habit({ reminder_times: ['07:00', '12:00', '22:30'] })]
+    });
+
+    clock.advanceTo('2025-11-19T00:00:00Z');
+
+    assert.deepEqual(delivered.map(r => r.deliveredAt), ['2025-11-18T12:00:00.000Z']);
+  });
+
+  it('sends each reminder once and not after the habit is done', () => {
+    const clock = createFakeClock('2025-11-18T09:00:00Z');
+    const state = { habits: [habit({ reminder_times: ['10:00', '12:00'] })], habitLogs: [] };
+    const { delivered } = runScheduler(clock, state);
+
+    clock.advanceTo('2025-11-18T11:00:00Z');
+    state.habitLogs = [{ habit_id: 'habit-1', log_date: '2025-11-18', completed: true }];
+    clock.advanceTo('2025-11-18T13:00:00Z');
+
+    assert.deepEqual(delivered.map(r => r.time), ['10:00']);
+  });
+
+  it('holds a reminder back until the class is over', () => {
+    // 2025-11-17 is a Monday.
+    const clock = createFakeClock('2025-11-17T09:00:00Z');
+    const { delivered } = runScheduler(clock, {
+      habits: [habit({ reminder_times: ['11:30'] })],
+      timetable: [{ id: 'class-1', course: 'Maths', day: 'Monday', start_time: '11:00', end_time: '12:00' }]
+    });
+
+    clock.advanceTo('2025-11-17T14:00:00Z');
+
+    assert.equal(delivered.length, 1);
+    assert.equal(delivered[0].deliveredAt, '2025-11-17T12:10:00.000Z');
+    assert.equal(delivered[0].held, true);
+    assert.match(buildReminderNotification(delivered[0]).body, /^Class is over\./);
+  });
+
+  it('drops a held reminder that would run into quiet hours', () => {
+    const clock = createFakeClock('2025-11-17T20:00:00Z');
+    const { delivered } = runScheduler(clock, {
+      habits: [habit({ reminder_times: ['21:15'] })],
+      timetable: [{ id: 'class-1', course: 'Evening lab', day: 'Monday', start_time: '21:00', end_time: '21:55' }]
+    });
+
+    clock.advanceTo('2025-11-18T09:30:00Z');
+
+    assert.deepEqual(delivered, []);
+  });
+
+  it('follows the clocks going forward', () => {
+    // Europe/London moves from GMT to BST at 01:00 on 2026-03-29.
+    const clock = createFakeClock('2026-03-28T11:00:00Z');
+    const { delivered } = runScheduler(clock, {
+      habits: [habit({ reminder_times: ['09:30', '12:00'] })],
+      timeZone: 'Europe/London'
+    });
+
+    clock.advanceTo('2026-03-29T23:00:00Z');
+
+    assert.deepEqual(delivered.map(r => [r.date, r.time, r.deliveredAt]), [
+      ['2026-03-28', '12:00', '2026-03-28T12:00:00.000Z'],
+      ['2026-03-29', '09:30', '2026-03-29T08:30:00.000Z'],
+      ['2026-03-29', '12:00', '2026-03-29T11:00:00.000Z']
+    ]);
+  });
+
+  it('still delivers a reminder that fired late within the grace window', () => {
+    const clock = createFakeClock('2025-11-18T11:00:00Z');
+    const { delivered } = runScheduler(clock, { habits: [habit()] });
+
+    clock.wakeAt('2025-11-18T12:10:00Z');
+
+    assert.deepEqual(delivered.map(r => r.deliveredAt), ['2025-11-18T12:10:00.000Z']);
+  });
+
+  it('drops a reminder missed by more than the grace window', () => {
+    const clock = createFakeClock('2025-11-18T11:00:00Z');
+    const { delivered } = runScheduler(clock, { habits: [habit()] });
+
+    clock.wakeAt('2025-11-18T12:30:00Z');
+    clock.advanceTo('2025-11-18T21:00:00Z');
+
+    assert.deepEqual(delivered, []);
+  });
+
+  it('stops firing once stopped', () => {
+    const clock = createFakeClock('2025-11-18T11:00:00Z');
+    const { scheduler, delivered } = runScheduler(clock, { habits: [habit()] });
+
+    scheduler.stop();
+    clock.advanceTo('2025-11-18T13:00:00Z');
+
+    assert.deepEqual(delivered, []);
+  });
+});
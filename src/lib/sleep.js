@@ -0,0 +1,201 @@
+import { addDays, getActiveTimeZone, getLocalMinutes, getWeekday, toLocalDate } from './dates.js';
+
+// Sleep is logged as sessions with real start and end timestamps; a day can
+// have a main sleep plus naps. Each session counts toward the day the user
+// woke up on (its log_date), except that waking at 18:00 or later counts
+// toward the next day, as that sleep belongs to the coming night. The server
+// applies the same rule, see assign_sleep_night().
+
+export const DEFAULT_SLEEP_TARGET = 8;
+
+const MINUTES_PER_DAY = 24 * 60;
+const NIGHT_STARTS_AT = 18 * 60;
+const MAX_SESSION_HOURS = 24;
+
+export const getSleepNight = (endedAt, timeZone = getActiveTimeZone()) => {
+  const date = toLocalDate(endedAt, timeZone);
+  return getLocalMinutes(endedAt, timeZone) >= NIGHT_STARTS_AT ? addDays(date, 1) : date;
+};
+
+export const getSessionHours = (startedAt, endedAt) =>
+  Math.round(((new Date(endedAt) - new Date(startedAt)) / 3600000) * 100) / 100;
+
+const toClock = (instant, timeZone) => {
+  const minutes = getLocalMinutes(instant, timeZone);
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+// The columns the server derives from a session's timestamps, for showing a
+// session before it has synced.
+export const describeSleepSession = (startedAt, endedAt, timeZone = getActiveTimeZone()) => ({
+  log_date: getSleepNight(endedAt, timeZone),
+  bedtime: toClock(startedAt, timeZone),
+  wake_time: toClock(endedAt, timeZone),
+  total_hours: getSessionHours(startedAt, endedAt)
+});
+
+export const validateSleepSession = ({ started_at, ended_at }, now = new Date()) => {
+  const errors = {};
+  const start = new Date(started_at);
+  const end = new Date(ended_at);
+
+  if (!started_at || Number.isNaN(start.getTime())) errors.started_at = 'Enter when you fell asleep';
+  if (!ended_at || Number.isNaN(end.getTime())) errors.ended_at = 'Enter when you woke up';
+  else if (end > now) errors.ended_at = "You can't log sleep that hasn't ended yet";
+  else if (!errors.started_at && end <= start) errors.ended_at = 'Wake time must be after you fell asleep';
+  else if (!errors.started_at && end - start > MAX_SESSION_HOURS * 3600000) errors.ended_at = `A session can't be longer than ${MAX_SESSION_HOURS} hours`;
+
+  return errors;
+};
+
+// Another session that overlaps this one. Back-to-back sessions are fine.
+export const findOverlappingSession = (session, sleepLogs) => {
+  const start = new Date(session.started_at);
+  const end = new Date(session.ended_at);
+
+  return sleepLogs.find(other =>
+    other.id !== session.id &&
+    other.started_at && other.ended_at &&
+    new Date(other.started_at) < end &&
+    start < new Date(other.ended_at)
+  ) || null;
+};
+
+// Sleep XP is earned once per night: a night gains it with its first session
+// and loses it with its last, as in handle_sleep_log_change(). `from` and `to`
+// are the session's night before and after the change, null for an insert or
+// a delete, and `sleepLogs` are the sessions before the change.
+export const getSleepXpChange = (sleepLogs, sessionId, from, to) => {
+  if (from === to) return { earned: null, lost: null };
+  const hasOtherSessions = (night) => sleepLogs.some(log => log.id !== sessionId && log.log_date === night);
+
+  return {
+    earned: to && !hasOtherSessions(to) ? to : null,
+    lost: from && !hasOtherSessions(from) ? from : null
+  };
+};
+
+// Newest day first, and latest session first within a day.
+export const sortSleepLogs = (sleepLogs) =>
+  sleepLogs.slice().sort((a, b) =>
+    b.log_date.localeCompare(a.log_date) ||
+    String(b.started_at || '').localeCompare(String(a.started_at || ''))
+  );
+
+// One row per day, newest first. Hours add up every session; timing and
+// quality come from the main sleep, the longest session that isn't a nap.
+export const combineSleepSessions = (sleepLogs) => {
+  const days = new Map();
+
+  sleepLogs.forEach(log => {
+    if (!days.has(log.log_date)) days.set(log.log_date, []);
+    days.get(log.log_date).push(log);
+  });
+
+  return [...days]
+    .map(([date, sessions]) => {
+      const ordered = sessions.slice().sort((a, b) => String(a.started_at || '').localeCompare(String(b.started_at || '')));
+      const candidates = ordered.some(log => !log.is_nap) ? ordered.filter(log => !log.is_nap) : ordered;
+      const main = candidates.reduce((longest, log) => Number(log.total_hours) > Number(longest.total_hours) ? log : longest);
+
+      return {
+        log_date: date,
+        total_hours: Math.round(ordered.reduce((sum, log) => sum + Number(log.total_hours), 0) * 100) / 100,
+        main_hours: Number(main.total_hours),
+        bedtime: main.bedtime,
+        wake_time: main.wake_time,
+        quality: main.quality,
+        naps: ordered.filter(log => log.is_nap).length,
+        sessions: ordered
+      };
+    })
+    .sort((a, b) => b.log_date.localeCompare(a.log_date));
+};
+
+export const formatSleepHours = (hours) => {
+  const minutes = Math.round(Number(hours) * 60);
+  return minutes >= 60 ? `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m` : `${minutes}m`;
+};
+
+// Clock times as minutes from the midnight a night spans, so 23:30 is -30 and
+// 01:15 is 75. Anything from 18:00 on counts as the evening before; that keeps
+// a night's times in order without wrapping around midnight.
+export const toNightMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const value = hours * 60 + minutes;
+  return value >= NIGHT_STARTS_AT ? value - MINUTES_PER_DAY : value;
+};
+
+export const formatClockMinutes = (minutes) => {
+  const value = ((Math.round(minutes) % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+  return `${String(Math.floor(value / 60)).padStart(2, '0')}:${String(value % 60).padStart(2, '0')}`;
+};
+
+// Halfway through the main sleep, the usual anchor for comparing sleep timing
+// between nights.
+export const getMidSleep = (day) => toNightMinutes(day.bedtime) + (Number(day.main_hours ?? day.total_hours) * 60) / 2;
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+export const standardDeviation = (values) => {
+  if (values.length < 2) return 0;
+  const average = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length);
+};
+
+// Days from combineSleepSessions for the `days` days ending on `today`, oldest first.
+export const getRecentSleep = (sleepDays, today, days) => {
+  const from = addDays(today, -(days - 1));
+  return sleepDays
+    .filter(night => night.log_date >= from && night.log_date <= today)
+    .sort((a, b) => a.log_date.localeCompare(b.log_date));
+};
+
+// Hours short of the target over the window, with longer nights paying some of
+// it back. Nights that weren't logged are left out rather than guessed.
+export const getSleepDebt = (sleepDays, target, today, days = 14) => {
+  const nights = getRecentSleep(sleepDays, today, days);
+  const balance = nights.reduce((sum, night) => sum + (target - Number(night.total_hours)), 0);
+
+  return {
+    days,
+    nights: nights.length,
+    debt: Math.max(0, Math.round(balance * 10) / 10),
+    average: nights.length ? Math.round(mean(nights.map(night => Number(night.total_hours))) * 10) / 10 : null
+  };
+};
+
+// 100 when every night has the same mid-sleep point, falling to 0 once it
+// varies by two hours or more (standard deviation).
+export const getSleepConsistency = (sleepDays, today, days = 14) => {
+  const nights = getRecentSleep(sleepDays, today, days);
+  if (nights.length < 3) return null;
+
+  const midpointSd = standardDeviation(nights.map(getMidSleep));
+
+  return {
+    nights: nights.length,
+    score: Math.max(0, Math.round(100 - (midpointSd / 120) * 100)),
+    midpointSd: Math.round(midpointSd),
+    bedtimeSd: Math.round(standardDeviation(nights.map(night => toNightMinutes(night.bedtime)))),
+    wakeSd: Math.round(standardDeviation(nights.map(night => toNightMinutes(night.wake_time))))
+  };
+};
+
+// Difference in mid-sleep between free days and work days. A night is dated by
+// the morning the user woke up, so Saturday and Sunday mornings are the nights
+// before free days.
+export const getSocialJetlag = (sleepDays, today, days = 28) => {
+  const nights = getRecentSleep(sleepDays, today, days);
+  const isFree = (night) => [0, 6].includes(getWeekday(night.log_date));
+  const free = nights.filter(isFree).map(getMidSleep);
+  const work = nights.filter(night => !isFree(night)).map(getMidSleep);
+  if (free.length < 2 || work.length < 2) return null;
+
+  return {
+    minutes: Math.round(Math.abs(mean(free) - mean(work))),
+    later: mean(free) >= mean(work) ? 'weekends' : 'weekdays',
+    freeMidpoint: mean(free),
+    workMidpoint: mean(work)
+  };
+};
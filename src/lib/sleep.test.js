@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  combineSleepSessions,
+  describeSleepSession,
+  findOverlappingSession,
+  getSleepNight,
+  getSleepXpChange,
+  validateSleepSession
+} from './sleep.js';
+
+const session = (id, startedAt, endedAt, extra = {}) => ({
+  id,
+  started_at: startedAt,
+  ended_at: endedAt,
+  ...extra
+});
+
+describe('getSleepNight', () => {
+  it('counts sleep toward the day the user woke up', () => {
+    assert.equal(getSleepNight('2025-11-17T07:00:00Z', 'UTC'), '2025-11-17');
+    assert.equal(getSleepNight('2025-11-17T17:59:00Z', 'UTC'), '2025-11-17');
+  });
+
+  it('counts waking at 18:00 or later toward the next day', () => {
+    assert.equal(getSleepNight('2025-11-17T18:00:00Z', 'UTC'), '2025-11-18');
+  });
+
+  it('uses the wake time in the given time zone', () => {
+    assert.equal(getSleepNight('2025-11-17T07:00:00Z', 'America/Los_Angeles'), '2025-11-17');
+    assert.equal(getSleepNight('2025-11-17T09:30:00Z', 'Asia/Tokyo'), '2025-11-18');
+  });
+});
+
+describe('describeSleepSession', () => {
+  it('derives the columns the server fills in', () => {
+    assert.deepEqual(describeSleepSession('2025-11-16T23:15:00Z', '2025-11-17T06:45:00Z', 'UTC'), {
+      log_date: '2025-11-17',
+      bedtime: '23:15',
+      wake_time: '06:45',
+      total_hours: 7.5
+    });
+  });
+});
+
+describe('validateSleepSession', () => {
+  const now = new Date('2025-11-17T12:00:00Z');
+
+  it('accepts a finished session', () => {
+    assert.deepEqual(validateSleepSession(session('a', '2025-11-16T23:00:00Z', '2025-11-17T07:00:00Z'), now), {});
+  });
+
+  it('rejects missing, reversed, unfinished and overlong sessions', () => {
+    assert.deepEqual(Object.keys(validateSleepSession({}, now)).sort(), ['ended_at', 'started_at']);
+    assert.equal(
+      validateSleepSession(session('a', '2025-11-17T07:00:00Z', '2025-11-17T07:00:00Z'), now).ended_at,
+      'Wake time must be after you fell asleep'
+    );
+    assert.equal(
+      validateSleepSession(session('a', '2025-11-17T07:00:00Z', '2025-11-17T13:00:00Z'), now).ended_at,
+      "You can't log sleep that hasn't ended yet"
+    );
+    assert.equal(
+      validateSleepSession(session('a', '2025-11-15T23:00:00Z', '2025-11-17T07:00:00Z'), now).ended_at,
+      "A session can't be longer than 24 hours"
+    );
+  });
+});
+
+describe('findOverlappingSession', () => {
+  const night = session('night', '2025-11-16T23:00:00Z', '2025-11-17T07:00:00Z');
+
+  it('finds a session that overlaps', () => {
+    assert.equal(findOverlappingSession(session('nap', '2025-11-17T06:00:00Z', '2025-11-17T08:00:00Z'), [night]), night);
+  });
+
+  it('allows back-to-back sessions and editing a session in place', () => {
+    assert.equal(findOverlappingSession(session('nap', '2025-11-17T07:00:00Z', '2025-11-17T08:00:00Z'), [night]), null);
+    assert.equal(findOverlappingSession({ ...night, ended_at: '2025-11-17T07:30:00Z' }, [night]), null);
+  });
+});
+
+describe('getSleepXpChange', () => {
+  const sleepLogs = [
+    session('night', '2025-11-16T23:00:00Z', '2025-11-17T07:00:00Z', { log_date: '2025-11-17' }),
+    session('nap', '2025-11-17T13:00:00Z', '2025-11-17T14:00:00Z', { log_date: '2025-11-17' }),
+    session('evening', '2025-11-17T16:30:00Z', '2025-11-17T18:30:00Z', { log_date: '2025-11-18' })
+  ];
+
+  it('earns XP for the first session of a night only', () => {
+    assert.deepEqual(getSleepXpChange(sleepLogs, 'new', null, '2025-11-16'), { earned: '2025-11-16', lost: null });
+    assert.deepEqual(getSleepXpChange(sleepLogs, 'new', null, '2025-11-17'), { earned: null, lost: null });
+  });
+
+  it('loses XP with the last session of a night', () => {
+    assert.deepEqual(getSleepXpChange(sleepLogs, 'evening', '2025-11-18', null), { earned: null, lost: '2025-11-18' });
+    assert.deepEqual(getSleepXpChange(sleepLogs, 'nap', '2025-11-17', null), { earned: null, lost: null });
+  });
+
+  it('moves XP when an edit moves the last session to an empty night', () => {
+    assert.deepEqual(getSleepXpChange(sleepLogs, 'evening', '2025-11-18', '2025-11-19'), { earned: '2025-11-19', lost: '2025-11-18' });
+    assert.deepEqual(getSleepXpChange(sleepLogs, 'nap', '2025-11-17', '2025-11-18'), { earned: null, lost: null });
+  });
+
+  it('changes nothing when an edit keeps the night', () => {
+    assert.deepEqual(getSleepXpChange(sleepLogs, 'evening', '2025-11-18', '2025-11-18'), { earned: null, lost: null });
+  });
+});
+
+describe('combineSleepSessions', () => {
+  it('adds up every session and takes timing from the main sleep', () => {
+    const [day] = combineSleepSessions([
+      { id: 'nap', log_date: '2025-11-17', started_at: '2025-11-17T13:00:00Z', total_hours: 1.5, is_nap: true, bedtime: '13:00', wake_time: '14:30' },
+      { id: 'night', log_date: '2025-11-17', started_at: '2025-11-16T23:00:00Z', total_hours: 7, is_nap: false, bedtime: '23:00', wake_time: '06:00', quality: 4 }
+    ]);
+
+    assert.equal(day.total_hours, 8.5);
+    assert.equal(day.main_hours, 7);
+    assert.equal(day.bedtime, '23:00');
+    assert.equal(day.naps, 1);
+    assert.deepEqual(day.sessions.map(s => s.id), ['night', 'nap']);
+  });
+});
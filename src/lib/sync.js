@@ -0,0 +1,173 @@
+import {
+  getPendingChanges,
+  removePendingChange,
+  updatePendingChange
+} from './offlineStore.js';
+
+// Rows created while offline get a temporary id until the server assigns one.
+const LOCAL_ID_PREFIX = 'local-';
+
+export const createLocalId = () => `${LOCAL_ID_PREFIX}${crypto.randomUUID()}`;
+
+export const isLocalId = (id) => typeof id === 'string' && id.startsWith(LOCAL_ID_PREFIX);
+
+// Columns that point at another synced row, which may itself have been created offline.
+const REFERENCE_COLUMNS = ['habit_id', 'term_id'];
+
+// Supabase reports a dropped connection as an error without a Postgres code.
+export const isNetworkError = (error) =>
+  (typeof navigator !== 'undefined' && !navigator.onLine) ||
+  (!error?.code && /fetch|network|load failed/i.test(error?.message || ''));
+
+// Unique keys the server resolves conflicts on. A log made offline for a day
+// that already has a log from another device updates that log instead of
+// failing on the unique index.
+const CONFLICT_TARGETS = {
+  habit_logs: 'user_id,habit_id,log_date'
+};
+
+const replaceLocalId = (change, localId, serverId) => {
+  const next = { ...change, values: change.values && { ...change.values } };
+  let changed = false;
+
+  if (next.recordId === localId) {
+    next.recordId = serverId;
+    changed = true;
+  }
+  REFERENCE_COLUMNS.forEach(column => {
+    if (next.values?.[column] === localId) {
+      next.values[column] = serverId;
+      changed = true;
+    }
+  });
+
+  return changed ? next : null;
+};
+
+const hasLocalReference = (change) =>
+  (change.op !== 'insert' && isLocalId(change.recordId)) ||
+  REFERENCE_COLUMNS.some(column => isLocalId(change.values?.[column]));
+
+const applyChange = async (supabase, change) => {
+  const table = supabase.from(change.table);
+
+  switch (change.op) {
+    case 'insert': {
+      const { data, error } = await table.insert([change.values]).select().single();
+      if (error) throw error;
+      return data;
+    }
+    case 'upsert': {
+      const { data, error } = await table
+        .upsert([change.values], { onConflict: CONFLICT_TARGETS[change.table] })
+        .select()
+        .single();
+      if (error) throw error;
+      return data;
+    }
+    case 'update': {
+      const { data, error } = await table.update(change.values).eq('id', change.recordId).select().maybeSingle();
+      if (error) throw error;
+      return data;
+    }
+    case 'delete': {
+      const { error } = await table.delete().eq('id', change.recordId);
+      if (error) throw error;
+      return null;
+    }
+    default:
+      throw new Error(`Unknown change type: ${change.op}`);
+  }
+};
+
+// Server ids for rows that were created offline, so changes queued before the
+// row synced can still find it.
+const resolvedIds = new Map();
+
+const resolveLocalIds = (change) => {
+  let resolved = change;
+  resolvedIds.forEach((serverId, localId) => {
+    resolved = replaceLocalId(resolved, localId, serverId) || resolved;
+  });
+  return resolved;
+};
+
+// Removes an applied change from the queue, unless it was edited again while
+// the request was in flight. An edited insert becomes an update of the row the
+// server just created.
+const settleChange = async (applied, row) => {
+  const current = (await getPendingChanges(applied.userId)).find(c => c.id === applied.id);
+
+  if (!current || current.queuedAt === applied.queuedAt) {
+    await removePendingChange(applied.id);
+    return;
+  }
+
+  if (current.op === 'insert' && row) {
+    const { user_id, ...values } = current.values;
+    await updatePendingChange({ ...current, op: 'update', recordId: row.id, values });
+  }
+};
+
+// Sends queued changes to Supabase in the order they were made. Stops at the
+// first network failure and leaves the rest queued; a change the server
+// rejects is dropped and reported through onRejected.
+export const syncPendingChanges = async (supabase, userId, { onApplied, onRejected }) => {
+  for (;;) {
+    const [queued] = await getPendingChanges(userId);
+    if (!queued) return { offline: false, pending: 0 };
+
+    const change = resolveLocalIds(queued);
+
+    try {
+      if (hasLocalReference(change)) {
+        throw new Error('Depends on a change that could not be synced');
+      }
+
+      const row = await applyChange(supabase, change);
+
+      if (change.op === 'insert' && isLocalId(change.localId) && row) {
+        resolvedIds.set(change.localId, row.id);
+
+        const remaining = await getPendingChanges(userId);
+        for (const other of remaining) {
+          const updated = replaceLocalId(other, change.localId, row.id);
+          if (updated) await updatePendingChange(updated);
+        }
+      }
+
+      await settleChange(queued, row);
+      onApplied(change, row);
+    } catch (error) {
+      if (isNetworkError(error)) {
+        const remaining = await getPendingChanges(userId);
+        return { offline: true, pending: remaining.length };
+      }
+
+      await removePendingChange(change.id);
+      onRejected(change, error);
+    }
+  }
+};
+
+const sameValue = (a, b) => a === b || (a != null && b != null && String(a) === String(b));
+
+// Postgres returns timestamps as "+00:00" where the client sent "Z".
+const sameInstant = (a, b) => a != null && b != null && new Date(a).getTime() === new Date(b).getTime();
+
+// Whether a row change reported by Realtime is the result of `change`, so the
+// device that queued it can skip its own echo.
+export const isOwnChange = (change, table, record) => {
+  if (change.table !== table || !record) return false;
+  if (change.recordId && change.recordId === record.id) return true;
+
+  if (table === 'habit_logs' && change.values) {
+    return sameValue(change.values.habit_id, record.habit_id) && sameValue(change.values.log_date, record.log_date);
+  }
+  if (table === 'sleep_logs' && change.values?.started_at) {
+    return sameInstant(change.values.started_at, record.started_at);
+  }
+
+  return change.op === 'insert' &&
+    Object.entries(change.values || {}).every(([key, value]) => sameValue(value, record[key]));
+};
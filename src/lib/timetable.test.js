@@ -0,0 +1,111 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import {
+  findClashes,
+  findDuplicate,
+  formatTime,
+  parseTime,
+  sortTimetable,
+  validateTimetableEntry
+} from './timetable.js';
+
+const entry = (id, day, start, end, extra = {}) => ({
+  id,
+  course: `Course ${id}`,
+  day,
+  start_time: start,
+  end_time: end,
+  ...extra
+});
+
+describe('parseTime and formatTime', () => {
+  it('round-trip HH:MM', () => {
+    assert.equal(parseTime('09:05'), 545);
+    assert.equal(parseTime('9:05:00'), 545);
+    assert.equal(formatTime(545), '09:05');
+  });
+
+  it('reject times outside the day', () => {
+    assert.equal(parseTime('24:00'), null);
+    assert.equal(parseTime('10:60'), null);
+    assert.equal(parseTime(''), null);
+  });
+});
+
+describe('validateTimetableEntry', () => {
+  it('accepts a complete entry', () => {
+    assert.deepEqual(validateTimetableEntry(entry('a', 'Monday', '09:00', '10:00')), {});
+  });
+
+  it('needs a course, a day and times in order', () => {
+    assert.deepEqual(Object.keys(validateTimetableEntry({ course: ' ', day: 'Someday', start_time: '', end_time: '' })).sort(), [
+      'course', 'day', 'end_time', 'start_time'
+    ]);
+    assert.equal(
+      validateTimetableEntry(entry('a', 'Monday', '10:00', '10:00')).end_time,
+      'End time must be after the start time'
+    );
+  });
+
+  it('needs a term for Week A / Week B classes and a hex color', () => {
+    const errors = validateTimetableEntry(entry('a', 'Monday', '09:00', '10:00', { week_pattern: 'A', color: 'blue' }));
+    assert.deepEqual(Object.keys(errors).sort(), ['color', 'week_pattern']);
+  });
+});
+
+describe('findClashes', () => {
+  const timetable = [
+    entry('maths', 'Monday', '09:00', '10:00'),
+    entry('physics', 'Monday', '10:00', '11:00'),
+    entry('chemistry', 'Monday', '09:30', '10:30'),
+    entry('biology', 'Tuesday', '09:00', '10:00')
+  ];
+
+  it('finds overlapping classes on the same day, in order', () => {
+    assert.deepEqual(findClashes(timetable[2], timetable).map(e => e.id), ['maths', 'physics']);
+  });
+
+  it("doesn't count back-to-back classes or other days", () => {
+    assert.deepEqual(findClashes(timetable[0], timetable).map(e => e.id), ['chemistry']);
+    assert.deepEqual(findClashes(timetable[3], timetable), []);
+  });
+
+  it('ignores entries with unusable times', () => {
+    assert.deepEqual(findClashes(entry('x', 'Monday', '10:00', '09:00'), timetable), []);
+  });
+
+  it("doesn't clash Week A with Week B of the same term, or terms that don't overlap", () => {
+    const terms = [
+      { id: 'autumn', start_date: '2025-09-22', end_date: '2025-12-12' },
+      { id: 'spring', start_date: '2026-01-12', end_date: '2026-03-27' }
+    ];
+    const weekA = entry('a', 'Monday', '09:00', '10:00', { term_id: 'autumn', week_pattern: 'A' });
+    const weekB = entry('b', 'Monday', '09:00', '10:00', { term_id: 'autumn', week_pattern: 'B' });
+    const spring = entry('c', 'Monday', '09:00', '10:00', { term_id: 'spring' });
+    const weekly = entry('d', 'Monday', '09:30', '10:30', { term_id: 'autumn' });
+
+    assert.deepEqual(findClashes(weekA, [weekA, weekB, spring, weekly], terms).map(e => e.id), ['d']);
+  });
+});
+
+describe('findDuplicate', () => {
+  it('matches the same course in the same slot, ignoring case', () => {
+    const existing = entry('a', 'Monday', '09:00', '10:00', { course: 'Maths' });
+    const copy = { ...entry(undefined, 'Monday', '9:00', '10:00'), course: ' maths ' };
+
+    assert.equal(findDuplicate(copy, [existing]), existing);
+    assert.equal(findDuplicate({ ...copy, week_pattern: 'A', term_id: 't' }, [existing]), null);
+    assert.equal(findDuplicate(existing, [existing]), null);
+  });
+});
+
+describe('sortTimetable', () => {
+  it('orders by weekday from Monday, then by time', () => {
+    const sorted = sortTimetable([
+      entry('sun', 'Sunday', '08:00', '09:00'),
+      entry('mon-late', 'Monday', '14:00', '15:00'),
+      entry('mon-early', 'Monday', '09:00', '10:00')
+    ]);
+    assert.deepEqual(sorted.map(e => e.id), ['mon-early', 'mon-late', 'sun']);
+  });
+});
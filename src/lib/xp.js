@@ -0,0 +1,4 @@
+// Must match the amounts awarded by the triggers in
+// supabase/migrations/20251110090000_add_xp_ledger.sql.
+export const HABIT_XP = 50;
+export const SLEEP_XP = 10;
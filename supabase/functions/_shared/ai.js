@@ -0,0 +1,342 @@
+import { getDayName } from './dates.js';
+import { countPeriodCompletions, getTargetCount, isPeriodTargetMet } from './habits.js';
+import { findFreeMinute, getBusyBlocks } from './reminders.js';
+import { describeSchedule, getDueHabits, isPeriodHabit } from './schedule.js';
+import { formatTime, getClassesForDate, parseTime } from './timetable.js';
+
+// Text generation behind one small interface, so the app doesn't care which
+// model writes its reminders and plans. A provider is
+//   { name, generate({ task, system, prompt, data, maxTokens, temperature }) -> Promise<string> }
+// `task` and `data` are only read by the mock; real adapters send the prompts.
+// Every feature has a plain-text fallback, so a missing key, a network error
+// or an empty answer never leaves the user with nothing.
+
+const REQUEST_TIMEOUT_MS = 20000;
+
+const DEFAULTS = {
+  gemini: { baseUrl: 'https://generativelanguage.googleapis.com/v1beta', model: 'gemini-2.0-flash' },
+  openai: { baseUrl: 'https://api.openai.com/v1', model: 'gpt-4o-mini' },
+  ollama: { baseUrl: 'http://localhost:11434', model: 'llama3.2' },
+  // llama.cpp's server speaks the OpenAI chat API and ignores the model name.
+  llamacpp: { baseUrl: 'http://localhost:8080/v1', model: 'local' }
+};
+
+const backoff = (attempt) => new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000));
+
+// Retries rate limits, server errors and dropped connections with exponential
+// backoff; anything else fails straight away.
+const fetchWithRetry = async (url, options, maxRetries = 3) => {
+  for (let attempt = 0; ; attempt++) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+    let response;
+
+    try {
+      response = await fetch(url, { ...options, signal: controller.signal });
+    } catch (error) {
+      if (attempt >= maxRetries - 1) throw error;
+      await backoff(attempt);
+      continue;
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    if (response.ok) return response;
+    if ((response.status === 429 || response.status >= 500) && attempt < maxRetries - 1) {
+      await backoff(attempt);
+      continue;
+    }
+    throw new Error(`AI request failed with status ${response.status}`);
+  }
+};
+
+const postJson = async (url, body, headers = {}) => {
+  const response = await fetchWithRetry(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  return response.json();
+};
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+export const createGeminiProvider = ({ apiKey, model, baseUrl } = {}) => ({
+  name: 'gemini',
+  generate: async ({ system, prompt, maxTokens, temperature }) => {
+    if (!apiKey) throw new Error('Gemini needs an API key');
+    const url = `${trimSlash(baseUrl || DEFAULTS.gemini.baseUrl)}/models/${model || DEFAULTS.gemini.model}:generateContent`;
+    const data = await postJson(url, {
+      ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: { maxOutputTokens: maxTokens, temperature }
+    }, { 'x-goog-api-key': apiKey });
+
+    return (data.candidates?.[0]?.content?.parts || []).map(part => part.text || '').join('');
+  }
+});
+
+const toMessages = (system, prompt) => [
+  ...(system ? [{ role: 'system', content: system }] : []),
+  { role: 'user', content: prompt }
+];
+
+// Works with OpenAI and anything serving the same /chat/completions API:
+// llama.cpp, vLLM, LM Studio, OpenRouter and so on.
+export const createOpenAICompatibleProvider = ({ apiKey, model, baseUrl, name = 'openai' } = {}) => {
+  const defaults = DEFAULTS[name] || DEFAULTS.openai;
+
+  return {
+    name,
+    generate: async ({ system, prompt, maxTokens, temperature }) => {
+      const data = await postJson(`${trimSlash(baseUrl || defaults.baseUrl)}/chat/completions`, {
+        model: model || defaults.model,
+        messages: toMessages(system, prompt),
+        max_tokens: maxTokens,
+        temperature
+      }, apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
+
+      return data.choices?.[0]?.message?.content || '';
+    }
+  };
+};
+
+export const createOllamaProvider = ({ model, baseUrl } = {}) => ({
+  name: 'ollama',
+  generate: async ({ system, prompt, maxTokens, temperature }) => {
+    const data = await postJson(`${trimSlash(baseUrl || DEFAULTS.ollama.baseUrl)}/api/chat`, {
+      model: model || DEFAULTS.ollama.model,
+      messages: toMessages(system, prompt),
+      stream: false,
+      options: { num_predict: maxTokens, temperature }
+    });
+
+    return data.message?.content || '';
+  }
+});
+
+// Same input, same output, no network. `responses` overrides what a task
+// returns and `fail` makes every call throw, for exercising the fallbacks.
+export const createMockProvider = ({ responses = {}, fail = false } = {}) => ({
+  name: 'mock',
+  generate: async (request) => {
+    if (fail) throw new Error('Mock provider failure');
+    const respond = responses[request.task];
+    if (typeof respond === 'function') return respond(request);
+    if (typeof respond === 'string') return respond;
+    if (request.task === 'reminder') return `[mock] ${request.data.habitName}: now's a good time.`;
+    if (request.task === 'daily-plan') return `[mock] ${buildFallbackPlan(request.data)}`;
+    if (request.task === 'daily-plan-json') return JSON.stringify({ blocks: buildFallbackPlanBlocks(request.data) });
+    return `[mock] ${request.prompt.slice(0, 80)}`;
+  }
+});
+
+// Never answers, so every feature uses its fallback text.
+export const createDisabledProvider = () => ({
+  name: 'none',
+  generate: async () => {
+    throw new Error('AI is turned off');
+  }
+});
+
+// `config` is { provider, apiKey, model, baseUrl }; an unknown or missing
+// provider turns AI off rather than guessing.
+export const createAIProvider = (config = {}) => {
+  switch (config.provider) {
+    case 'gemini':
+      return createGeminiProvider(config);
+    case 'openai':
+    case 'llamacpp':
+      return createOpenAICompatibleProvider({ ...config, name: config.provider });
+    case 'ollama':
+      return createOllamaProvider(config);
+    case 'mock':
+      return createMockProvider(config);
+    default:
+      return createDisabledProvider();
+  }
+};
+
+// Runs a request and hands back { text, source } where source is 'ai' or
+// 'fallback'. Provider errors are logged, never thrown.
+export const generateWithFallback = async (provider, request, fallback) => {
+  if (provider.name === 'none') return { text: fallback(), source: 'fallback', provider: null };
+
+  try {
+    const text = (await provider.generate(request))?.trim();
+    if (text) return { text, source: 'ai', provider: provider.name };
+  } catch (error) {
+    console.error(`AI provider ${provider.name} failed:`, error);
+  }
+  return { text: fallback(), source: 'fallback', provider: null };
+};
+
+// --- Reminders ---
+
+const REMINDER_FALLBACKS = [
+  (name) => `Time for ${name}. A few minutes now keeps the streak alive.`,
+  (name) => `${name} is still open today. Knock it out while you think of it.`,
+  (name) => `Quick one: ${name}. Future you will be glad you did.`
+];
+
+// Picks a template from the habit name so the same habit reads the same way.
+export const buildFallbackReminder = (habitName) => {
+  const hash = [...habitName].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0);
+  return REMINDER_FALLBACKS[hash % REMINDER_FALLBACKS.length](habitName);
+};
+
+export const generateReminderText = (provider, habitName) =>
+  generateWithFallback(provider, {
+    task: 'reminder',
+    system: 'You write short, friendly habit reminders for college students.',
+    prompt: `Generate a short, encouraging reminder (max 15 words) for a college student to complete their habit: "${habitName}". Be friendly and motivating.`,
+    data: { habitName },
+    maxTokens: 60,
+    temperature: 0.9
+  }, () => buildFallbackReminder(habitName));
+
+// --- Daily plan ---
+
+// What the planner needs to know about a day, from the user's own data.
+export const getPlanContext = ({ habits, habitLogs, timetable, terms, date }) => ({
+  date,
+  dayName: getDayName(date),
+  classes: getClassesForDate(timetable, terms, date).map(entry => ({
+    course: entry.course,
+    classType: entry.class_type || '',
+    location: entry.location || '',
+    start: entry.start_time,
+    end: entry.end_time
+  })),
+  dueHabits: getDueHabits(habits, date).map(habit => ({
+    name: habit.name,
+    goal: habit.unit ? `${habit.goal_value} ${habit.unit}` : ''
+  })),
+  openPeriodHabits: habits
+    .filter(habit => isPeriodHabit(habit) && !isPeriodTargetMet(habit, habitLogs, date))
+    .map(habit => ({
+      name: habit.name,
+      done: countPeriodCompletions(habit, habitLogs, date),
+      target: getTargetCount(habit),
+      schedule: describeSchedule(habit)
+    })),
+  busyBlocks: getBusyBlocks(timetable, terms, date)
+});
+
+export const buildDailyPlanPrompt = (context) => `You are a highly efficient college schedule assistant. Create a realistic, healthy daily schedule for a college student for today (${context.dayName}).
+
+Classes today:
+${context.classes.length > 0 ? context.classes.map(c => `- ${c.course}${c.classType ? ` (${c.classType})` : ''}: ${c.start} - ${c.end}${c.location ? ` at ${c.location}` : ''}`).join('\n') : '- No classes scheduled'}
+
+Habits due today:
+${context.dueHabits.length > 0 ? context.dueHabits.map(h => `- ${h.name}${h.goal ? ` (${h.goal})` : ''}`).join('\n') : '- No habits set'}
+${context.openPeriodHabits.length > 0 ? `
+Flexible habits still open this week or month (fit one in if there is time):
+${context.openPeriodHabits.map(h => `- ${h.name} (${h.done}/${h.target} done, ${h.schedule})`).join('\n')}
+` : ''}
+Provide a clear, easy-to-read hourly schedule that balances academic time, habits, meals, and rest. Format as time blocks (e.g., "9:00 AM - 10:00 AM: Morning routine"). Keep it concise and realistic.`;
+
+const PLAN_DAY_START = 8 * 60;
+const PLAN_SLOT_MINUTES = 30;
+
+const findFreeSlot = (from, length, busyBlocks) => {
+  let start = findFreeMinute(from, busyBlocks);
+  for (;;) {
+    const clash = busyBlocks.find(block => block.start < start + length && block.end > start);
+    if (!clash) return start;
+    start = findFreeMinute(clash.end, busyBlocks);
+  }
+};
+
+export const PLAN_BLOCK_KINDS = ['class', 'habit', 'meal', 'study', 'rest', 'other'];
+
+// Classes as they are, with each habit given the next free half hour after
+// them. Plain, but always available. Blocks are { start, end, title, kind }
+// with 'HH:MM' times.
+export const buildFallbackPlanBlocks = (context) => {
+  const blocks = context.classes.map(c => ({
+    start: c.start,
+    end: c.end,
+    title: `${c.course}${c.classType ? ` (${c.classType})` : ''}${c.location ? ` at ${c.location}` : ''}`,
+    kind: 'class'
+  }));
+
+  const habitNames = [...context.dueHabits.map(h => h.name), ...context.openPeriodHabits.map(h => h.name)];
+  let cursor = PLAN_DAY_START;
+  habitNames.forEach(name => {
+    const start = findFreeSlot(cursor, PLAN_SLOT_MINUTES, context.busyBlocks);
+    if (start + PLAN_SLOT_MINUTES > 24 * 60) return;
+    blocks.push({ start: formatTime(start), end: formatTime(start + PLAN_SLOT_MINUTES), title: name, kind: 'habit' });
+    cursor = start + PLAN_SLOT_MINUTES;
+  });
+
+  return blocks.sort((a, b) => parseTime(a.start) - parseTime(b.start));
+};
+
+export const formatPlan = (blocks, dayName) => blocks.length === 0
+  ? `Nothing scheduled for ${dayName}. A good day to rest or get ahead.`
+  : [`Plan for ${dayName}:`, ...blocks.map(block => `${block.start} - ${block.end}: ${block.title}`)].join('\n');
+
+export const buildFallbackPlan = (context) => formatPlan(buildFallbackPlanBlocks(context), context.dayName);
+
+export const generateDailyPlanText = (provider, context) =>
+  generateWithFallback(provider, {
+    task: 'daily-plan',
+    system: 'You plan realistic days for college students around their classes and habits.',
+    prompt: buildDailyPlanPrompt(context),
+    data: context,
+    maxTokens: 800,
+    temperature: 0.7
+  }, () => buildFallbackPlan(context));
+
+// The same plan as JSON, for callers that need blocks rather than prose.
+export const buildStructuredPlanPrompt = (context) => `${buildDailyPlanPrompt(context)}
+
+Reply with JSON only, no other text, in this shape:
+{"blocks": [{"start": "HH:MM", "end": "HH:MM", "title": "short description", "kind": "${PLAN_BLOCK_KINDS.join('|')}"}]}
+Use 24-hour times and keep every class at its exact time.`;
+
+// Pulls plan blocks out of a model's reply, tolerating code fences and text
+// around the JSON. Null if there's nothing usable.
+export const parsePlanBlocks = (text) => {
+  const start = text?.indexOf('{') ?? -1;
+  const end = text?.lastIndexOf('}') ?? -1;
+  if (start === -1 || end <= start) return null;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+
+  const blocks = (Array.isArray(parsed?.blocks) ? parsed.blocks : [])
+    .filter(block => parseTime(block?.start) !== null && parseTime(block?.end) !== null && String(block.title || '').trim())
+    .map(block => ({
+      start: formatTime(parseTime(block.start)),
+      end: formatTime(parseTime(block.end)),
+      title: String(block.title).trim().slice(0, 200),
+      kind: PLAN_BLOCK_KINDS.includes(block.kind) ? block.kind : 'other'
+    }))
+    .sort((a, b) => parseTime(a.start) - parseTime(b.start));
+
+  return blocks.length > 0 ? blocks : null;
+};
+
+// { blocks, text, source }. A reply that isn't valid JSON counts as a failure.
+export const generateStructuredPlan = async (provider, context) => {
+  const { text, source } = await generateWithFallback(provider, {
+    task: 'daily-plan-json',
+    system: 'You plan realistic days for college students around their classes and habits. You reply with JSON only.',
+    prompt: buildStructuredPlanPrompt(context),
+    data: context,
+    maxTokens: 1000,
+    temperature: 0.4
+  }, () => '');
+
+  const blocks = source === 'ai' ? parsePlanBlocks(text) : null;
+  if (blocks) return { blocks, text: formatPlan(blocks, context.dayName), source: 'ai' };
+
+  const fallbackBlocks = buildFallbackPlanBlocks(context);
+  return { blocks: fallbackBlocks, text: formatPlan(fallbackBlocks, context.dayName), source: 'fallback' };
+};
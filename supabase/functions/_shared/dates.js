@@ -0,0 +1,137 @@
+// Date helpers working on 'YYYY-MM-DD' strings, the format used by every
+// log_date column. A date string always means a calendar day in the user's
+// time zone; arithmetic on them is done in UTC so it never drifts across DST.
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+export const getDeviceTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+};
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// The zone that decides where "today" starts and ends. Defaults to the
+// device's zone until the user's profile is loaded.
+let activeTimeZone = getDeviceTimeZone();
+
+export const getActiveTimeZone = () => activeTimeZone;
+
+export const setActiveTimeZone = (timeZone) => {
+  activeTimeZone = isValidTimeZone(timeZone) ? timeZone : getDeviceTimeZone();
+};
+
+const zonedFormatters = new Map();
+
+const getZonedParts = (instant, timeZone) => {
+  if (!zonedFormatters.has(timeZone)) {
+    zonedFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+
+  const parts = zonedFormatters.get(timeZone).formatToParts(instant);
+
+  return Object.fromEntries(parts.map(part => [part.type, part.value]));
+};
+
+// Formats a UTC-midnight Date produced by parseDate back into 'YYYY-MM-DD'.
+export const toDateString = (date) => date.toISOString().split('T')[0];
+
+// The calendar day an instant (Date, ISO timestamp or epoch ms) falls on in `timeZone`.
+export const toLocalDate = (instant, timeZone = activeTimeZone) => {
+  const { year, month, day } = getZonedParts(new Date(instant), timeZone);
+  return `${year}-${month}-${day}`;
+};
+
+// Minutes since local midnight, e.g. 13:45 -> 825.
+export const getLocalMinutes = (instant = new Date(), timeZone = activeTimeZone) => {
+  const { hour, minute } = getZonedParts(new Date(instant), timeZone);
+  return Number(hour) * 60 + Number(minute);
+};
+
+// The instant a wall-clock time on `dateStr` happens in `timeZone`, e.g. a class
+// at 09:00 in Europe/London. Checked twice so a DST change between the guess
+// and the answer still lands on the right hour.
+export const zonedTimeToInstant = (dateStr, minutes, timeZone = activeTimeZone) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  let instant = wallClock;
+
+  for (let i = 0; i < 2; i++) {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    const seen = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute));
+    instant += wallClock - seen;
+  }
+
+  return new Date(instant);
+};
+
+export const getLocalHour = (instant = new Date(), timeZone = activeTimeZone) =>
+  Math.floor(getLocalMinutes(instant, timeZone) / 60);
+
+export const getToday = (timeZone = activeTimeZone) => toLocalDate(new Date(), timeZone);
+
+export const parseDate = (dateStr) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+};
+
+export const addDays = (dateStr, days) => {
+  const date = parseDate(dateStr);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toDateString(date);
+};
+
+export const diffDays = (fromStr, toStr) =>
+  Math.round((parseDate(toStr) - parseDate(fromStr)) / 86400000);
+
+export const getWeekday = (dateStr) => parseDate(dateStr).getUTCDay();
+
+export const getDayName = (dateStr) => DAY_NAMES[getWeekday(dateStr)];
+
+// ISO weeks start on Monday.
+export const getISOWeekStart = (dateStr) => addDays(dateStr, -((getWeekday(dateStr) + 6) % 7));
+
+export const getISOWeekDates = (dateStr) => {
+  const weekStart = getISOWeekStart(dateStr);
+  return Array.from({ length: 7 }, (_, i) => addDays(weekStart, i));
+};
+
+export const getMonthStart = (dateStr) => `${dateStr.slice(0, 7)}-01`;
+
+export const getMonthDates = (dateStr) => {
+  const monthStart = getMonthStart(dateStr);
+  const dates = [];
+  for (let date = monthStart; date.slice(0, 7) === monthStart.slice(0, 7); date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+export const addMonths = (dateStr, months) => {
+  const date = parseDate(getMonthStart(dateStr));
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return toDateString(date);
+};
+
+// Renders a date string without letting the browser's zone shift it a day.
+export const formatDate = (dateStr, options = { month: 'short', day: 'numeric', year: 'numeric' }) =>
+  parseDate(dateStr).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
@@ -0,0 +1,42 @@
+import { getPeriodDates } from './schedule.js';
+
+export const isLogComplete = (habit, log) => {
+  if (!log) return false;
+  return habit.is_boolean ? log.completed : log.value >= habit.goal_value;
+};
+
+export const getTargetCount = (habit) => Math.max(habit.target_count || 1, 1);
+
+// Weekly and Monthly habits: each day with a completed log counts once toward
+// the period that contains `dateStr`.
+export const countPeriodCompletions = (habit, habitLogs, dateStr) => {
+  const periodDates = getPeriodDates(habit, dateStr);
+
+  return habitLogs.filter(log =>
+    log.habit_id === habit.id &&
+    periodDates.includes(log.log_date) &&
+    isLogComplete(habit, log)
+  ).length;
+};
+
+export const isPeriodTargetMet = (habit, habitLogs, dateStr) =>
+  countPeriodCompletions(habit, habitLogs, dateStr) >= getTargetCount(habit);
+
+export const getPeriodCompletionRate = (periodHabits, habitLogs, dateStr) => {
+  if (periodHabits.length === 0) return 0;
+
+  const metCount = periodHabits.filter(habit => isPeriodTargetMet(habit, habitLogs, dateStr)).length;
+  return Math.round((metCount / periodHabits.length) * 100);
+};
+
+export const getStreakUnit = (habit) => {
+  if (habit.frequency === 'Monthly') return 'month';
+  if (habit.frequency === 'Weekly') return 'week';
+  return 'day';
+};
+
+// The database keeps streaks current as logs change, but a day passing
+// changes nothing it can see, so the app asks for a refresh once per user and
+// day: when it opens, even days after the last visit, and after midnight.
+export const needsStreakRefresh = (lastRefresh, userId, today) =>
+  Boolean(userId && today) && (lastRefresh?.userId !== userId || lastRefresh?.day !== today);
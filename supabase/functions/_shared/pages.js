@@ -0,0 +1,14 @@
+// PostgREST caps each response, so long histories are read in pages. Resolves
+// to the same { data, error } shape as a single query. The query must be
+// ordered by something unique, or rows can repeat or go missing between pages.
+export const fetchAllPages = async (buildQuery, pageSize = 1000) => {
+  const rows = [];
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await buildQuery().range(from, from + pageSize - 1);
+    if (error) return { data: null, error };
+
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) return { data: rows, error: null };
+  }
+};
@@ -0,0 +1,275 @@
+import { addDays, getLocalMinutes, toLocalDate, zonedTimeToInstant } from './dates.js';
+import { isLogComplete, isPeriodTargetMet } from './habits.js';
+import { isHabitDueOn, isPeriodHabit } from './schedule.js';
+import { formatTime, getClassesForDate, parseTime } from './timetable.js';
+
+// Each habit has its own reminder times, as 'HH:MM' in the user's time zone.
+// A reminder goes out at one of those times if the habit is still open that
+// day: due and not yet done, or for Weekly and Monthly habits, not done today
+// and the period's target not met yet. Reminders that fall in quiet hours are
+// skipped rather than held back until morning.
+//
+// Habits can also be reminded just before the time the user usually does
+// them, learnt from when past logs were made. Neither kind goes off during a
+// class on the timetable: it's held until the class is over, and dropped if
+// that runs into quiet hours or the next day.
+//
+// Nothing here reads the clock itself. The app and the send-reminders function
+// both pass `now` in, and the scheduler takes a clock, so the whole thing can
+// be driven by a fake one.
+
+export const DEFAULT_QUIET_HOURS = { start: '22:00', end: '09:00' };
+export const MAX_REMINDER_TIMES = 10;
+
+// A reminder that was missed by more than this (a sleeping laptop, a late
+// cron run) is dropped instead of arriving long after the fact.
+export const REMINDER_GRACE_MINUTES = 15;
+
+// Kept clear on either side of a class, so nobody is told to go for a run
+// on their way into a lecture.
+export const CLASS_BUFFER_MINUTES = 10;
+
+export const USUAL_TIME_LEAD_MINUTES = 15;
+export const USUAL_TIME_MIN_LOGS = 5;
+export const USUAL_TIME_HISTORY_DAYS = 60;
+
+const MINUTE = 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+export const isValidReminderTime = (time) => typeof time === 'string' && TIME_PATTERN.test(time);
+
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export const normalizeReminderTimes = (times) =>
+  [...new Set((times || []).filter(isValidReminderTime))].sort();
+
+export const getQuietHours = (profile) => ({
+  start: profile?.quiet_hours_start ?? null,
+  end: profile?.quiet_hours_end ?? null
+});
+
+// Quiet hours run from `start` up to `end` and may wrap past midnight.
+// Equal or missing times mean there are none.
+export const isQuietTime = (minutes, quietHours) => {
+  if (!isValidReminderTime(quietHours?.start) || !isValidReminderTime(quietHours?.end)) return false;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+export const isHabitOpen = (habit, habitLogs, dateStr) => {
+  const log = habitLogs.find(l => l.habit_id === habit.id && l.log_date === dateStr);
+  if (isLogComplete(habit, log)) return false;
+  return isPeriodHabit(habit)
+    ? !isPeriodTargetMet(habit, habitLogs, dateStr)
+    : isHabitDueOn(habit, dateStr);
+};
+
+// The day's classes as busy minute ranges, widened by the buffer and merged
+// where they run into each other.
+export const getBusyBlocks = (timetable, terms, dateStr) =>
+  getClassesForDate(timetable || [], terms || [], dateStr)
+    .map(entry => ({ start: parseTime(entry.start_time), end: parseTime(entry.end_time) }))
+    .filter(block => block.start !== null && block.end !== null && block.end > block.start)
+    .sort((a, b) => a.start - b.start)
+    .reduce((blocks, { start, end }) => {
+      const last = blocks[blocks.length - 1];
+      const block = { start: start - CLASS_BUFFER_MINUTES, end: end + CLASS_BUFFER_MINUTES };
+      if (last && block.start <= last.end) last.end = Math.max(last.end, block.end);
+      else blocks.push(block);
+      return blocks;
+    }, []);
+
+// The first minute at or after `minutes` that isn't in a busy block.
+export const findFreeMinute = (minutes, busyBlocks) =>
+  busyBlocks.reduce((free, block) => (free >= block.start && free < block.end ? block.end : free), minutes);
+
+// When in the day the habit usually gets done, as the median of the times its
+// logs were completed. Only logs completed on the day they're for count;
+// catching up on yesterday says nothing about a routine. Null until there
+// are enough of them.
+export const getUsualCompletionMinutes = (habit, habitLogs, beforeDate, timeZone) => {
+  const from = addDays(beforeDate, -USUAL_TIME_HISTORY_DAYS);
+  const minutes = habitLogs
+    .filter(log =>
+      log.habit_id === habit.id &&
+      log.completed_at &&
+      log.log_date >= from &&
+      log.log_date < beforeDate &&
+      isLogComplete(habit, log) &&
+      toLocalDate(log.completed_at, timeZone) === log.log_date
+    )
+    .map(log => getLocalMinutes(log.completed_at, timeZone))
+    .sort((a, b) => a - b);
+
+  if (minutes.length < USUAL_TIME_MIN_LOGS) return null;
+  const middle = Math.floor(minutes.length / 2);
+  return minutes.length % 2 ? minutes[middle] : Math.round((minutes[middle - 1] + minutes[middle]) / 2);
+};
+
+// The times a habit asked to be reminded at on any day, before classes are
+// taken into account. `slot` names the reminder: its set time, or 'usual'.
+export const getReminderSlots = (habit, usualMinutes) => {
+  const slots = normalizeReminderTimes(habit.reminder_times).map(time => ({ slot: time, minutes: toMinutes(time) }));
+  if (habit.remind_at_usual_time && usualMinutes !== null && usualMinutes !== undefined) {
+    slots.push({ slot: 'usual', minutes: Math.max(usualMinutes - USUAL_TIME_LEAD_MINUTES, 0) });
+  }
+  return slots;
+};
+
+// Every reminder on `dateStr`, earliest first, moved out of classes and with
+// quiet hours already applied. The key stays the same however far a reminder
+// was moved, so it's only ever sent once. `usualTimes` maps habit ids to
+// getUsualCompletionMinutes.
+export const getRemindersForDate = (state, dateStr, usualTimes = new Map()) => {
+  const { habits, timetable, terms, quietHours, timeZone } = state;
+  const busyBlocks = getBusyBlocks(timetable, terms, dateStr);
+  const reminders = [];
+
+  habits.forEach(habit => {
+    const placed = new Set();
+
+    getReminderSlots(habit, usualTimes.get(habit.id)).forEach(({ slot, minutes }) => {
+      const free = findFreeMinute(minutes, busyBlocks);
+      if (isQuietTime(minutes, quietHours) || isQuietTime(free, quietHours)) return;
+      // Two reminders held until the same break only need to go out once.
+      if (free >= 24 * 60 || placed.has(free)) return;
+      placed.add(free);
+
+      reminders.push({
+        key: `${habit.id}:${dateStr}:${slot}`,
+        habit,
+        date: dateStr,
+        slot,
+        time: formatTime(free),
+        held: free !== minutes,
+        at: zonedTimeToInstant(dateStr, free, timeZone)
+      });
+    });
+  });
+
+  return reminders.sort((a, b) => a.at - b.at);
+};
+
+const collectReminders = (state, fromDate, toDate) => {
+  const usualTimes = new Map(state.habits
+    .filter(habit => habit.remind_at_usual_time)
+    .map(habit => [habit.id, getUsualCompletionMinutes(habit, state.habitLogs || [], fromDate, state.timeZone)]));
+
+  const reminders = [];
+  for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+    reminders.push(...getRemindersForDate(state, date, usualTimes));
+  }
+  return reminders;
+};
+
+// Reminders that came due after `since` and up to `now` and should go out.
+// `state` is { habits, habitLogs, timetable, terms, quietHours, timeZone };
+// `sent` holds the keys already delivered.
+export const getDueReminders = ({
+  now,
+  since = new Date(now.getTime() - REMINDER_GRACE_MINUTES * MINUTE),
+  sent = new Set(),
+  ...state
+}) => {
+  const earliest = Math.max(since.getTime(), now.getTime() - REMINDER_GRACE_MINUTES * MINUTE);
+
+  return collectReminders(state, toLocalDate(earliest, state.timeZone), toLocalDate(now, state.timeZone))
+    .filter(reminder =>
+      reminder.at.getTime() > earliest &&
+      reminder.at <= now &&
+      !sent.has(reminder.key) &&
+      isHabitOpen(reminder.habit, state.habitLogs, reminder.date)
+    );
+};
+
+// When the next reminder is due, or null if there's none in the coming week.
+// Whether the habit is still open is only checked once it comes due.
+export const getNextReminderTime = ({ now, days = 8, ...state }) => {
+  const today = toLocalDate(now, state.timeZone);
+  const next = collectReminders(state, today, addDays(today, days - 1))
+    .find(reminder => reminder.at > now);
+  return next ? next.at : null;
+};
+
+export const buildReminderNotification = (reminder) => {
+  const { habit, date } = reminder;
+  const goal = habit.is_boolean ? null : `${habit.goal_value} ${habit.unit || ''}`.trim();
+
+  return {
+    title: habit.name,
+    body: `${reminder.held ? 'Class is over. ' : ''}${goal ? `Still to do today: ${goal}.` : 'Still to do today.'}`,
+    // A later reminder for the same habit and day replaces the earlier one.
+    tag: `habit-${habit.id}-${date}`,
+    data: { habitId: habit.id, date },
+    actions: [
+      { action: 'log', title: goal ? `Log ${goal}` : 'Mark done' },
+      { action: 'open', title: 'Open' }
+    ]
+  };
+};
+
+export const systemClock = {
+  now: () => new Date(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: (id) => clearTimeout(id)
+};
+
+// Fires `onReminder` for each reminder as it comes due while the app is open.
+// `getState` returns the current { habits, habitLogs, timetable, terms,
+// quietHours, timeZone }.
+// The timer sleeps until the next reminder, but never longer than `maxDelay`,
+// so edits and time zone changes are picked up without calling `refresh`.
+export const createReminderScheduler = ({
+  getState,
+  onReminder,
+  clock = systemClock,
+  maxDelay = 60 * MINUTE
+}) => {
+  const sent = new Set();
+  let timer = null;
+  let lastCheck = null;
+
+  const schedule = () => {
+    if (lastCheck === null) return;
+    clock.clearTimeout(timer);
+    const now = clock.now();
+    const next = getNextReminderTime({ ...getState(), now });
+    const delay = next ? Math.min(next - now, maxDelay) : maxDelay;
+    timer = clock.setTimeout(check, Math.max(delay, 1000));
+  };
+
+  const check = () => {
+    if (lastCheck === null) return;
+    const now = clock.now();
+    const due = getDueReminders({ ...getState(), now, since: lastCheck, sent });
+    lastCheck = now;
+
+    due.forEach(reminder => {
+      sent.add(reminder.key);
+      onReminder(reminder);
+    });
+
+    schedule();
+  };
+
+  return {
+    start: () => {
+      lastCheck = clock.now();
+      schedule();
+    },
+    stop: () => {
+      clock.clearTimeout(timer);
+      timer = null;
+      lastCheck = null;
+    },
+    refresh: schedule,
+    check
+  };
+};
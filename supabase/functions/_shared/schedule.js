@@ -0,0 +1,93 @@
+import {
+  addDays,
+  addMonths,
+  diffDays,
+  getISOWeekDates,
+  getISOWeekStart,
+  getMonthDates,
+  getMonthStart,
+  getWeekday,
+  toLocalDate
+} from './dates.js';
+
+// A habit's `frequency` is its schedule type:
+// - Daily: due every day
+// - Weekdays: due on the weekdays listed in `schedule_days` (0 = Sunday)
+// - Interval: due every `interval_days` days counted from `schedule_anchor`
+// - Weekly / Monthly: `target_count` completions on any days of the ISO week or calendar month
+export const FREQUENCIES = ['Daily', 'Weekdays', 'Interval', 'Weekly', 'Monthly'];
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const isPeriodHabit = (habit) =>
+  habit.frequency === 'Weekly' || habit.frequency === 'Monthly';
+
+export const getHabitStartDate = (habit) =>
+  habit.created_at ? toLocalDate(habit.created_at) : null;
+
+const getAnchorDate = (habit) => habit.schedule_anchor || getHabitStartDate(habit);
+
+// Whether a day-scheduled habit has to be done on `dateStr`. Period habits are
+// never "due" on a particular day; use getPeriodDates for them instead.
+export const isHabitDueOn = (habit, dateStr) => {
+  const startDate = getHabitStartDate(habit);
+  if (startDate && dateStr < startDate) return false;
+
+  switch (habit.frequency) {
+    case 'Daily':
+      return true;
+    case 'Weekdays':
+      return (habit.schedule_days || []).includes(getWeekday(dateStr));
+    case 'Interval': {
+      const anchor = getAnchorDate(habit);
+      if (!anchor) return true;
+      const offset = diffDays(anchor, dateStr);
+      return offset >= 0 && offset % Math.max(habit.interval_days || 1, 1) === 0;
+    }
+    default:
+      return false;
+  }
+};
+
+export const getDueHabits = (habits, dateStr) =>
+  habits.filter(habit => isHabitDueOn(habit, dateStr));
+
+export const getPeriodStart = (habit, dateStr) =>
+  habit.frequency === 'Monthly' ? getMonthStart(dateStr) : getISOWeekStart(dateStr);
+
+export const getPeriodDates = (habit, dateStr) =>
+  habit.frequency === 'Monthly' ? getMonthDates(dateStr) : getISOWeekDates(dateStr);
+
+export const getPreviousPeriodStart = (habit, dateStr) =>
+  habit.frequency === 'Monthly'
+    ? addMonths(dateStr, -1)
+    : addDays(getISOWeekStart(dateStr), -7);
+
+export const getNextDueDate = (habit, fromDateStr) => {
+  for (let i = 0; i < 366; i++) {
+    const date = addDays(fromDateStr, i);
+    if (isHabitDueOn(habit, date)) return date;
+  }
+  return null;
+};
+
+export const describeSchedule = (habit) => {
+  const target = Math.max(habit.target_count || 1, 1);
+
+  switch (habit.frequency) {
+    case 'Weekdays':
+      return (habit.schedule_days || [])
+        .slice()
+        .sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7))
+        .map(day => WEEKDAY_LABELS[day])
+        .join(', ') || 'No days selected';
+    case 'Interval':
+      return habit.interval_days > 1 ? `Every ${habit.interval_days} days` : 'Daily';
+    case 'Weekly':
+      return `${target}× per week`;
+    case 'Monthly':
+      return `${target}× per month`;
+    default:
+      return 'Daily';
+  }
+};
@@ -0,0 +1,150 @@
+import { addDays, diffDays, getDayName, getISOWeekStart } from './dates.js';
+
+// Timetable entries are weekly slots: a day name plus 'HH:MM' start and end
+// times. Classes can't run past midnight, so a slot always ends after it starts.
+// An entry in a term only runs between the term's dates, skips its exception
+// dates, and with a week pattern of "A" or "B" only runs every other week.
+
+export const TIMETABLE_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+export const WEEK_PATTERNS = [
+  { value: 'every', label: 'Every week' },
+  { value: 'A', label: 'Week A' },
+  { value: 'B', label: 'Week B' }
+];
+
+export const CLASS_TYPES = ['Lecture', 'Lab', 'Tutorial', 'Seminar', 'Workshop', 'Exam'];
+
+export const CLASS_COLORS = ['#3b82f6', '#22c55e', '#ef4444', '#f59e0b', '#a855f7', '#ec4899', '#14b8a6', '#64748b'];
+
+const pad = (number) => String(number).padStart(2, '0');
+
+export const formatTime = (minutes) => `${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+
+export const parseTime = (time) => {
+  const match = String(time || '').match(/^(\d{1,2}):(\d{2})/);
+  if (!match) return null;
+
+  const [hours, minutes] = [Number(match[1]), Number(match[2])];
+  return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+};
+
+// Monday first, then by start time, so each day reads top to bottom.
+export const sortTimetable = (entries) =>
+  entries.slice().sort((a, b) =>
+    TIMETABLE_DAYS.indexOf(a.day) - TIMETABLE_DAYS.indexOf(b.day) ||
+    (parseTime(a.start_time) ?? 0) - (parseTime(b.start_time) ?? 0) ||
+    (parseTime(a.end_time) ?? 0) - (parseTime(b.end_time) ?? 0)
+  );
+
+const sameCourse = (a, b) => a.course.trim().toLowerCase() === b.course.trim().toLowerCase();
+
+export const isRotating = (entry) => entry.week_pattern === 'A' || entry.week_pattern === 'B';
+
+// 'A' or 'B' for the week containing `dateStr`, counted from the Monday of the
+// term's first Week A.
+export const getTermWeek = (term, dateStr) => {
+  const weekAStart = getISOWeekStart(term.week_a_start || term.start_date);
+  const weeks = Math.floor(diffDays(weekAStart, getISOWeekStart(dateStr)) / 7);
+  return weeks % 2 === 0 ? 'A' : 'B';
+};
+
+export const isTermDay = (term, dateStr) =>
+  dateStr >= term.start_date &&
+  dateStr <= term.end_date &&
+  !(term.exception_dates || []).includes(dateStr);
+
+export const getTermForDate = (terms, dateStr) =>
+  terms.find(term => dateStr >= term.start_date && dateStr <= term.end_date) || null;
+
+// Whether a class actually takes place on `dateStr`. A class whose term was
+// deleted runs every week again.
+export const isClassOnDate = (entry, dateStr, terms = []) => {
+  if (entry.day !== getDayName(dateStr)) return false;
+
+  const term = entry.term_id ? terms.find(t => t.id === entry.term_id) : null;
+  if (!term) return true;
+  if (!isTermDay(term, dateStr)) return false;
+
+  return !isRotating(entry) || getTermWeek(term, dateStr) === entry.week_pattern;
+};
+
+export const getClassesForDate = (timetable, terms, dateStr) =>
+  sortTimetable(timetable.filter(entry => isClassOnDate(entry, dateStr, terms)));
+
+// Expands a break such as reading week into the exception dates it covers.
+export const expandDateRange = (fromStr, toStr) => {
+  const dates = [];
+  for (let date = fromStr; date <= toStr; date = addDays(date, 1)) dates.push(date);
+  return dates;
+};
+
+export const validateTerm = (term) => {
+  const errors = {};
+
+  if (!term.name?.trim()) errors.name = 'Enter a term name';
+  if (!term.start_date) errors.start_date = 'Choose a start date';
+  if (!term.end_date) errors.end_date = 'Choose an end date';
+  else if (term.start_date && term.end_date < term.start_date) errors.end_date = 'The term must end after it starts';
+
+  return errors;
+};
+
+// Two classes in the same slot only clash if they can happen in the same
+// week: Week A and Week B of one term never meet, and neither do terms whose
+// dates don't overlap.
+const canShareWeek = (a, b, terms) => {
+  const termA = a.term_id ? terms.find(t => t.id === a.term_id) : null;
+  const termB = b.term_id ? terms.find(t => t.id === b.term_id) : null;
+
+  if (termA && termB) {
+    if (termA.end_date < termB.start_date || termB.end_date < termA.start_date) return false;
+    if (termA.id === termB.id && isRotating(a) && isRotating(b)) return a.week_pattern === b.week_pattern;
+  }
+
+  return true;
+};
+
+// Field errors that make an entry impossible to save, keyed by field.
+export const validateTimetableEntry = (entry) => {
+  const errors = {};
+  const start = parseTime(entry.start_time);
+  const end = parseTime(entry.end_time);
+
+  if (!entry.course?.trim()) errors.course = 'Enter a course name';
+  if (!TIMETABLE_DAYS.includes(entry.day)) errors.day = 'Choose a day';
+  if (start === null) errors.start_time = 'Enter a start time';
+  if (end === null) errors.end_time = 'Enter an end time';
+  else if (start !== null && end <= start) errors.end_time = 'End time must be after the start time';
+  if (isRotating(entry) && !entry.term_id) errors.week_pattern = 'Week A / Week B classes need a term';
+  if (entry.color && !/^#[0-9a-f]{6}$/i.test(entry.color)) errors.color = 'Choose a color';
+
+  return errors;
+};
+
+// Other entries on the same day whose times overlap `entry`. Back-to-back
+// classes (one ends at 10:00, the next starts at 10:00) don't clash.
+export const findClashes = (entry, timetable, terms = []) => {
+  const start = parseTime(entry.start_time);
+  const end = parseTime(entry.end_time);
+  if (start === null || end === null || end <= start) return [];
+
+  return sortTimetable(timetable.filter(other => {
+    if (other.id === entry.id || other.day !== entry.day || !canShareWeek(entry, other, terms)) return false;
+    const otherStart = parseTime(other.start_time);
+    const otherEnd = parseTime(other.end_time);
+    return otherStart !== null && otherEnd !== null && otherStart < end && start < otherEnd;
+  }));
+};
+
+// The same course in exactly the same slot.
+export const findDuplicate = (entry, timetable) =>
+  timetable.find(other =>
+    other.id !== entry.id &&
+    other.day === entry.day &&
+    parseTime(other.start_time) === parseTime(entry.start_time) &&
+    parseTime(other.end_time) === parseTime(entry.end_time) &&
+    (other.term_id || null) === (entry.term_id || null) &&
+    (other.week_pattern || 'every') === (entry.week_pattern || 'every') &&
+    sameCourse(other, entry)
+  ) || null;
@@ -0,0 +1,230 @@
+// The app's AI endpoint. It checks the caller's Supabase session, builds the
+// prompt here from that user's own habits and timetable, and calls the
+// provider configured below, so no provider key ever reaches the browser.
+//
+//   POST { "task": "daily-plan", "date"?: "YYYY-MM-DD" }
+//     -> { task, date, plan: { blocks, text }, source, cached, quota }
+//   POST { "task": "reminder", "habitId": "<uuid>" }
+//     -> { task, habitId, text, source, cached, quota }
+//
+// `source` is 'ai' or 'fallback'. Errors are { error, message } with 400,
+// 401, 404 or 429 (daily quota used up, with `quota`).
+//
+// Environment:
+// - SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_ROLE_KEY: provided by Supabase
+// - AI_PROVIDER: gemini, openai, ollama, llamacpp, mock or none (default)
+// - AI_API_KEY, AI_MODEL, AI_BASE_URL: passed to the provider
+// - AI_DAILY_QUOTA: model calls per user per day, default 20
+// - AI_CACHE_MINUTES: how long an identical request is answered from cache, default 360
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import {
+  buildFallbackReminder,
+  createAIProvider,
+  generateReminderText,
+  generateStructuredPlan,
+  getPlanContext
+} from '../_shared/ai.js';
+import { addDays, setActiveTimeZone, toLocalDate } from '../_shared/dates.js';
+
+const DAILY_QUOTA = Number(Deno.env.get('AI_DAILY_QUOTA')) || 20;
+const CACHE_MINUTES = Number(Deno.env.get('AI_CACHE_MINUTES')) || 360;
+// A Monthly habit's progress needs the whole month's logs.
+const LOG_HISTORY_DAYS = 31;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const providerConfig = {
+  provider: Deno.env.get('AI_PROVIDER') || 'none',
+  apiKey: Deno.env.get('AI_API_KEY'),
+  model: Deno.env.get('AI_MODEL'),
+  baseUrl: Deno.env.get('AI_BASE_URL')
+};
+const provider = createAIProvider(providerConfig);
+
+const admin = createClient(
+  Deno.env.get('SUPABASE_URL')!,
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+);
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { ...corsHeaders, 'Content-Type': 'application/json' } });
+
+const fail = (status: number, error: string, message: string, extra = {}) =>
+  json({ error, message, ...extra }, status);
+
+const sha256 = async (value: string) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+// Identical prompts to the same model get the same answer for a while. The
+// prompt already contains everything the answer depends on.
+const readCache = async (userId: string, cacheKey: string) => {
+  const { data, error } = await admin
+    .from('ai_cache')
+    .select('response')
+    .eq('user_id', userId)
+    .eq('cache_key', cacheKey)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+  if (error) throw error;
+  return data?.response ?? null;
+};
+
+const writeCache = async (userId: string, cacheKey: string, response: unknown) => {
+  await admin.from('ai_cache').delete().eq('user_id', userId).lt('expires_at', new Date().toISOString());
+  const { error } = await admin.from('ai_cache').upsert({
+    user_id: userId,
+    cache_key: cacheKey,
+    response,
+    created_at: new Date().toISOString(),
+    expires_at: new Date(Date.now() + CACHE_MINUTES * 60 * 1000).toISOString()
+  });
+  if (error) throw error;
+};
+
+const getUsage = async (userId: string, usageDate: string) => {
+  const { data, error } = await admin
+    .from('ai_usage')
+    .select('requests')
+    .eq('user_id', userId)
+    .eq('usage_date', usageDate)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.requests ?? 0;
+};
+
+const describeQuota = (used: number) => ({ limit: DAILY_QUOTA, used, remaining: Math.max(DAILY_QUOTA - used, 0) });
+
+// Counts one model call; null once today's quota is used up.
+const consumeQuota = async (userId: string, usageDate: string) => {
+  const { data, error } = await admin.rpc('consume_ai_quota', {
+    p_user_id: userId,
+    p_usage_date: usageDate,
+    p_daily_limit: DAILY_QUOTA
+  });
+  if (error) throw error;
+  return data;
+};
+
+// Answers from cache when it can, otherwise spends one request of the quota.
+// Fallback answers are returned but not cached, so the next try asks again.
+const respond = async (
+  userId: string,
+  today: string,
+  cacheParts: unknown[],
+  generate: () => Promise<Record<string, unknown> & { source: string }>
+) => {
+  // With AI off there's nothing to cache or count.
+  if (provider.name === 'none') {
+    return json({ ...(await generate()), cached: false, quota: describeQuota(await getUsage(userId, today)) });
+  }
+
+  const cacheKey = await sha256(JSON.stringify([provider.name, providerConfig.model ?? null, ...cacheParts]));
+  const cached = await readCache(userId, cacheKey);
+  if (cached) return json({ ...cached, cached: true, quota: describeQuota(await getUsage(userId, today)) });
+
+  const used = await consumeQuota(userId, today);
+  if (used === null) {
+    return fail(429, 'quota_exceeded', `You've used all ${DAILY_QUOTA} AI requests for today.`, { quota: describeQuota(DAILY_QUOTA) });
+  }
+
+  const response = await generate();
+  if (response.source === 'ai') await writeCache(userId, cacheKey, response);
+  return json({ ...response, cached: false, quota: describeQuota(used) });
+};
+
+Deno.serve(async (req) => {
+  if (req.method === 'OPTIONS') return new Response('ok', { headers: corsHeaders });
+  if (req.method !== 'POST') return fail(405, 'method_not_allowed', 'Use POST.');
+
+  // Every read below goes through the caller's own session, so RLS limits it
+  // to their rows.
+  const authorization = req.headers.get('Authorization') ?? '';
+  const token = authorization.replace(/^Bearer\s+/i, '');
+  if (!token) return fail(401, 'unauthorized', 'Sign in to use AI features.');
+
+  const supabase = createClient(Deno.env.get('SUPABASE_URL')!, Deno.env.get('SUPABASE_ANON_KEY')!, {
+    global: { headers: { Authorization: authorization } },
+    auth: { persistSession: false }
+  });
+  const { data: { user }, error: authError } = await supabase.auth.getUser(token);
+  if (authError || !user) return fail(401, 'unauthorized', 'Sign in to use AI features.');
+
+  let body;
+  try {
+    body = await req.json();
+  } catch {
+    return fail(400, 'invalid_request', 'The request body must be JSON.');
+  }
+
+  try {
+    const { data: profile, error: profileError } = await supabase
+      .from('users')
+      .select('timezone')
+      .eq('id', user.id)
+      .maybeSingle();
+    if (profileError) throw profileError;
+
+    const timeZone = profile?.timezone || 'UTC';
+    const today = toLocalDate(new Date(), timeZone);
+
+    if (body?.task === 'reminder') {
+      if (typeof body.habitId !== 'string') return fail(400, 'invalid_request', 'habitId is required.');
+
+      const { data: habit, error } = await supabase
+        .from('habits')
+        .select('id, name')
+        .eq('id', body.habitId)
+        .maybeSingle();
+      if (error) throw error;
+      if (!habit) return fail(404, 'not_found', 'No such habit.');
+
+      return await respond(user.id, today, ['reminder', habit.name], async () => {
+        const { text, source } = await generateReminderText(provider, habit.name);
+        return { task: 'reminder', habitId: habit.id, text: text || buildFallbackReminder(habit.name), source };
+      });
+    }
+
+    if (body?.task === 'daily-plan') {
+      const date = body.date ?? today;
+      if (!DATE_PATTERN.test(date)) return fail(400, 'invalid_request', 'date must be YYYY-MM-DD.');
+
+      const [habits, habitLogs, timetable, terms] = await Promise.all([
+        supabase.from('habits').select('*'),
+        supabase.from('habit_logs').select('habit_id, log_date, completed, value').gte('log_date', addDays(date, -LOG_HISTORY_DAYS)).lte('log_date', date),
+        supabase.from('timetable_entries').select('*'),
+        supabase.from('academic_terms').select('*')
+      ]);
+      const failed = [habits, habitLogs, timetable, terms].find(result => result.error);
+      if (failed) throw failed.error;
+
+      // Schedules read the module-wide active time zone. Nothing is awaited
+      // between setting it and building the context, so requests can't mix.
+      setActiveTimeZone(timeZone);
+      const context = getPlanContext({
+        habits: habits.data ?? [],
+        habitLogs: habitLogs.data ?? [],
+        timetable: timetable.data ?? [],
+        terms: terms.data ?? [],
+        date
+      });
+
+      return await respond(user.id, today, ['daily-plan', context], async () => {
+        const { blocks, text, source } = await generateStructuredPlan(provider, context);
+        return { task: 'daily-plan', date, plan: { blocks, text }, source };
+      });
+    }
+
+    return fail(400, 'invalid_request', 'task must be "reminder" or "daily-plan".');
+  } catch (error) {
+    console.error('AI function error:', error);
+    return fail(500, 'server_error', 'Something went wrong. Try again later.');
+  }
+});
@@ -0,0 +1,151 @@
+// Sends due habit reminders as Web Push notifications. Meant to run every few
+// minutes from pg_cron (see README). Uses the same scheduling code as the app,
+// so a reminder is due here exactly when it would be in an open tab.
+//
+// Environment:
+// - SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY: provided by Supabase
+// - VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT: from `npx web-push generate-vapid-keys`;
+//   the public key also goes in the app's VITE_VAPID_PUBLIC_KEY
+// - REMINDERS_CRON_SECRET: shared with the cron job so nobody else can trigger a run
+
+import { createClient } from 'npm:@supabase/supabase-js@2';
+import webpush from 'npm:web-push@3.6.7';
+import { addDays, setActiveTimeZone, toLocalDate } from '../_shared/dates.js';
+import { fetchAllPages } from '../_shared/pages.js';
+import {
+  USUAL_TIME_HISTORY_DAYS,
+  buildReminderNotification,
+  getDueReminders,
+  getQuietHours
+} from '../_shared/reminders.js';
+
+const supabase = createClient(
+  Deno.env.get('SUPABASE_URL')!,
+  Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+);
+
+webpush.setVapidDetails(
+  Deno.env.get('VAPID_SUBJECT') ?? 'mailto:admin@example.com',
+  Deno.env.get('VAPID_PUBLIC_KEY')!,
+  Deno.env.get('VAPID_PRIVATE_KEY')!
+);
+
+type Subscription = { id: string; user_id: string; endpoint: string; p256dh: string; auth: string };
+
+const json = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+
+const sendToUser = async (userId: string, subscriptions: Subscription[], now: Date) => {
+  const { data: profile, error: profileError } = await supabase
+    .from('users')
+    .select('timezone, quiet_hours_start, quiet_hours_end')
+    .eq('id', userId)
+    .maybeSingle();
+  if (profileError) throw profileError;
+
+  const timeZone = profile?.timezone || 'UTC';
+  setActiveTimeZone(timeZone);
+  const today = toLocalDate(now, timeZone);
+
+  const { data: habits, error: habitsError } = await supabase
+    .from('habits')
+    .select('*')
+    .eq('user_id', userId);
+  if (habitsError) throw habitsError;
+  if (!habits?.some(habit => habit.reminder_times?.length || habit.remind_at_usual_time)) return 0;
+
+  // Enough history to learn usual times, which also covers a Monthly period.
+  const [logsResult, timetableResult, termsResult] = await Promise.all([
+    fetchAllPages(() => supabase
+      .from('habit_logs')
+      .select('habit_id, log_date, completed, value, completed_at')
+      .eq('user_id', userId)
+      .gte('log_date', addDays(today, -USUAL_TIME_HISTORY_DAYS - 1))
+      .order('log_date', { ascending: false })
+      .order('id', { ascending: true })),
+    supabase.from('timetable_entries').select('*').eq('user_id', userId),
+    supabase.from('academic_terms').select('*').eq('user_id', userId)
+  ]);
+  const failed = [logsResult, timetableResult, termsResult].find(result => result.error);
+  if (failed) throw failed.error;
+
+  const due = getDueReminders({
+    habits,
+    habitLogs: logsResult.data ?? [],
+    timetable: timetableResult.data ?? [],
+    terms: termsResult.data ?? [],
+    quietHours: getQuietHours(profile),
+    timeZone,
+    now
+  });
+
+  let sent = 0;
+  for (const reminder of due) {
+    // Claiming the delivery first means two overlapping runs can't both send it.
+    const { data: claimed, error: claimError } = await supabase
+      .from('reminder_deliveries')
+      .upsert(
+        { habit_id: reminder.habit.id, user_id: userId, reminder_date: reminder.date, reminder_time: reminder.slot },
+        { onConflict: 'habit_id,reminder_date,reminder_time', ignoreDuplicates: true }
+      )
+      .select('habit_id');
+    if (claimError) throw claimError;
+    if (!claimed?.length) continue;
+
+    const payload = JSON.stringify(buildReminderNotification(reminder));
+    for (const subscription of subscriptions) {
+      try {
+        await webpush.sendNotification(
+          { endpoint: subscription.endpoint, keys: { p256dh: subscription.p256dh, auth: subscription.auth } },
+          payload,
+          { TTL: 60 * 60 }
+        );
+        sent++;
+      } catch (error) {
+        // The browser unsubscribed or the subscription expired.
+        if (error?.statusCode === 404 || error?.statusCode === 410) {
+          await supabase.from('push_subscriptions').delete().eq('id', subscription.id);
+        } else {
+          console.error('Push error:', error);
+        }
+      }
+    }
+  }
+
+  return sent;
+};
+
+Deno.serve(async (req) => {
+  const secret = Deno.env.get('REMINDERS_CRON_SECRET');
+  if (!secret || req.headers.get('Authorization') !== `Bearer ${secret}`) {
+    return json({ error: 'Unauthorized' }, 401);
+  }
+
+  const { data: subscriptions, error } = await fetchAllPages(() => supabase
+    .from('push_subscriptions')
+    .select('id, user_id, endpoint, p256dh, auth')
+    .order('id', { ascending: true }));
+  if (error) return json({ error: error.message }, 500);
+
+  const byUser = new Map<string, Subscription[]>();
+  (subscriptions ?? []).forEach((subscription: Subscription) => {
+    if (!byUser.has(subscription.user_id)) byUser.set(subscription.user_id, []);
+    byUser.get(subscription.user_id)!.push(subscription);
+  });
+
+  const now = new Date();
+  let sent = 0;
+  let failed = 0;
+
+  // One user at a time: the date helpers use a module-wide active time zone.
+  for (const [userId, userSubscriptions] of byUser) {
+    try {
+      sent += await sendToUser(userId, userSubscriptions, now);
+    } catch (error) {
+      failed++;
+      console.error(`Reminder error for ${userId}:`, error);
+    }
+  }
+
+  return json({ users: byUser.size, sent, failed });
+});
@@ -0,0 +1,21 @@
+/*
+  # Weekly Habit Targets
+
+  Weekly habits are tracked as "N times per week": each day with a completed
+  log counts once toward the current ISO week (Monday to Sunday).
+
+  ## 1. Modified Tables
+
+  ### `habits`
+  - `target_count` (integer) - Number of completed days needed per period (1-7 for weekly habits)
+  - `frequency` is now constrained to "Daily" or "Weekly"
+*/
+
+ALTER TABLE habits
+  ADD COLUMN IF NOT EXISTS target_count integer NOT NULL DEFAULT 1;
+
+ALTER TABLE habits
+  ADD CONSTRAINT habits_target_count_check CHECK (target_count >= 1);
+
+ALTER TABLE habits
+  ADD CONSTRAINT habits_frequency_check CHECK (frequency IN ('Daily', 'Weekly'));
@@ -0,0 +1,41 @@
+/*
+  # Flexible Habit Schedules
+
+  `frequency` becomes the habit's schedule type, so the app can decide which
+  habits are due on a given date.
+
+  ## 1. Modified Tables
+
+  ### `habits`
+  - `frequency` (text) - One of:
+    - "Daily" - due every day
+    - "Weekdays" - due on the weekdays listed in `schedule_days`
+    - "Interval" - due every `interval_days` days starting from `schedule_anchor`
+    - "Weekly" - `target_count` completions per ISO week
+    - "Monthly" - `target_count` completions per calendar month
+  - `schedule_days` (smallint[]) - Weekdays for "Weekdays" habits (0 = Sunday ... 6 = Saturday)
+  - `interval_days` (integer) - Day interval for "Interval" habits
+  - `schedule_anchor` (date) - First due date for "Interval" habits
+*/
+
+ALTER TABLE habits
+  ADD COLUMN IF NOT EXISTS schedule_days smallint[] NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS interval_days integer NOT NULL DEFAULT 1,
+  ADD COLUMN IF NOT EXISTS schedule_anchor date;
+
+ALTER TABLE habits DROP CONSTRAINT IF EXISTS habits_frequency_check;
+
+ALTER TABLE habits
+  ADD CONSTRAINT habits_frequency_check
+  CHECK (frequency IN ('Daily', 'Weekdays', 'Interval', 'Weekly', 'Monthly'));
+
+ALTER TABLE habits
+  ADD CONSTRAINT habits_schedule_days_check
+  CHECK (schedule_days <@ ARRAY[0, 1, 2, 3, 4, 5, 6]::smallint[]);
+
+ALTER TABLE habits
+  ADD CONSTRAINT habits_interval_days_check CHECK (interval_days >= 1);
+
+ALTER TABLE habits
+  ADD CONSTRAINT habits_weekdays_schedule_check
+  CHECK (frequency <> 'Weekdays' OR cardinality(schedule_days) > 0);
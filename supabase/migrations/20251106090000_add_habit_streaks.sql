@@ -0,0 +1,74 @@
+/*
+  # Per-Habit Streaks
+
+  Each habit keeps its own current and best streak next to the all-habits
+  streak on `users`. Streaks count due days for day-scheduled habits and
+  weeks or months for "Weekly" and "Monthly" habits.
+
+  ## 1. Modified Tables
+
+  ### `habits`
+  - `current_streak` (integer) - Current streak for this habit
+  - `best_streak` (integer) - Longest streak ever reached for this habit
+
+  ## 2. New Tables
+
+  ### `habit_streaks`
+  - `id` (uuid, primary key) - Streak identifier
+  - `user_id` (uuid, foreign key) - References users table
+  - `habit_id` (uuid, foreign key) - References habits table
+  - `unit` (text) - "day", "week" or "month"
+  - `start_date` (date) - First day of the streak
+  - `end_date` (date) - Last completed day (or period end) of the streak
+  - `length` (integer) - Streak length in `unit`s
+  - `created_at` (timestamptz) - Creation timestamp
+  - `updated_at` (timestamptz) - Last update timestamp
+
+  ## 3. Security
+
+  - Enable RLS on `habit_streaks` with the same own-rows policies as the other tables
+*/
+
+ALTER TABLE habits
+  ADD COLUMN IF NOT EXISTS current_streak integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS best_streak integer NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS habit_streaks (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  habit_id uuid NOT NULL REFERENCES habits(id) ON DELETE CASCADE,
+  unit text NOT NULL DEFAULT 'day' CHECK (unit IN ('day', 'week', 'month')),
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  length integer NOT NULL CHECK (length >= 1),
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE habit_streaks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own habit streaks"
+  ON habit_streaks FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own habit streaks"
+  ON habit_streaks FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own habit streaks"
+  ON habit_streaks FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own habit streaks"
+  ON habit_streaks FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_habit_streaks_user_id ON habit_streaks(user_id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_habit_streaks_unique_start
+  ON habit_streaks(habit_id, start_date);
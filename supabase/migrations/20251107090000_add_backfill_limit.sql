@@ -0,0 +1,55 @@
+/*
+  # Past-Date Logging Limit
+
+  Habit and sleep logs can be written for any past day. Users can optionally
+  lock days older than a number of days so old history can't be rewritten.
+
+  ## 1. Modified Tables
+
+  ### `users`
+  - `backfill_limit_days` (integer, nullable) - How many days back logs may be edited; NULL means no limit
+
+  ## 2. Triggers
+
+  - `enforce_log_date_window` on `habit_logs` and `sleep_logs` rejects logs dated
+    in the future or before the user's edit window. One day of slack is allowed
+    on both sides so users ahead of or behind UTC are not rejected.
+*/
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS backfill_limit_days integer CHECK (backfill_limit_days >= 0);
+
+CREATE OR REPLACE FUNCTION enforce_log_date_window()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  limit_days integer;
+BEGIN
+  IF NEW.log_date > CURRENT_DATE + 1 THEN
+    RAISE EXCEPTION 'Cannot log a future date (%)', NEW.log_date
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  SELECT backfill_limit_days INTO limit_days
+  FROM users
+  WHERE id = NEW.user_id;
+
+  IF limit_days IS NOT NULL AND NEW.log_date < CURRENT_DATE - (limit_days + 1) THEN
+    RAISE EXCEPTION 'Logs older than % days cannot be edited', limit_days
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS habit_logs_date_window ON habit_logs;
+CREATE TRIGGER habit_logs_date_window
+  BEFORE INSERT OR UPDATE ON habit_logs
+  FOR EACH ROW EXECUTE FUNCTION enforce_log_date_window();
+
+DROP TRIGGER IF EXISTS sleep_logs_date_window ON sleep_logs;
+CREATE TRIGGER sleep_logs_date_window
+  BEFORE INSERT OR UPDATE ON sleep_logs
+  FOR EACH ROW EXECUTE FUNCTION enforce_log_date_window();
@@ -0,0 +1,74 @@
+/*
+  # User Time Zones
+
+  Day boundaries follow the user's own time zone instead of UTC. The client
+  fills `timezone` from the browser on first load and lets users switch when
+  they travel; every `log_date` is a calendar day in that zone.
+
+  ## 1. Modified Tables
+
+  ### `users`
+  - `timezone` (text) - IANA time zone name, e.g. "Asia/Kolkata" or "America/Los_Angeles"
+
+  ## 2. Functions
+
+  - `is_valid_timezone(tz)` backs the check constraint on `users.timezone`
+  - `user_local_date(user_id)` returns today's date in the user's time zone
+  - `enforce_log_date_window` now measures the edit window from the user's local date
+*/
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS timezone text NOT NULL DEFAULT 'UTC';
+
+CREATE OR REPLACE FUNCTION is_valid_timezone(tz text)
+RETURNS boolean
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+BEGIN
+  PERFORM now() AT TIME ZONE tz;
+  RETURN true;
+EXCEPTION WHEN invalid_parameter_value THEN
+  RETURN false;
+END;
+$$;
+
+ALTER TABLE users
+  ADD CONSTRAINT users_timezone_check CHECK (is_valid_timezone(timezone));
+
+CREATE OR REPLACE FUNCTION user_local_date(target_user_id uuid)
+RETURNS date
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT (now() AT TIME ZONE COALESCE(
+    (SELECT timezone FROM users WHERE id = target_user_id),
+    'UTC'
+  ))::date;
+$$;
+
+CREATE OR REPLACE FUNCTION enforce_log_date_window()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  limit_days integer;
+  local_today date := user_local_date(NEW.user_id);
+BEGIN
+  IF NEW.log_date > local_today THEN
+    RAISE EXCEPTION 'Cannot log a future date (%)', NEW.log_date
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  SELECT backfill_limit_days INTO limit_days
+  FROM users
+  WHERE id = NEW.user_id;
+
+  IF limit_days IS NOT NULL AND NEW.log_date < local_today - limit_days THEN
+    RAISE EXCEPTION 'Logs older than % days cannot be edited', limit_days
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
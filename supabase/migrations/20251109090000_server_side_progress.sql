@@ -0,0 +1,420 @@
+/*
+  # Server-Authoritative XP, Levels and Streaks
+
+  XP, levels and streaks used to be computed in the browser and written back
+  with plain updates, so two open tabs could overwrite each other and anyone
+  could set their own XP. They are now maintained by triggers on
+  `habit_logs`, `sleep_logs` and `habits`, and clients can no longer write
+  those columns.
+
+  ## 1. Functions
+
+  - `habit_log_is_complete(habit, log)` - Boolean habits need `completed`, quantity habits need `value >= goal_value`
+  - `habit_is_due(habit, date, tz)` - Mirrors the client schedule rules (Daily, Weekdays, Interval)
+  - `award_xp(user_id, amount)` - Atomically adjusts `users.xp` and recomputes `users.level` (200 XP per level)
+  - `refresh_habit_streaks(habit_id, changed_date)` - Rebuilds `habit_streaks` and `habits.current_streak` / `best_streak`,
+    from the run that `changed_date` falls in onwards when one is given
+  - `refresh_user_streak(user_id, changed_date)` - Recomputes the all-habits streak on `users`. The day the
+    streak broke is kept in `users.streak_broken_on`, and changes before it are skipped
+  - `refresh_my_streaks()` - RPC for clients to bring streaks up to date after midnight
+
+  ## 2. Triggers
+
+  - `habit_logs`: +50 XP when a log becomes complete, -50 XP when a completed log is un-completed,
+    then refreshes the habit's and the user's streaks. Logs deleted along with their habit
+    skip the refresh; the `habits` trigger does it once for all of them
+  - `sleep_logs`: +10 XP for each new sleep log
+  - `habits`: refreshes streaks when the schedule or goal changes, and the user's streak when a habit is deleted
+
+  ## 3. Security
+
+  - `users`: clients may only insert `id`, `email`, `dark_mode`, `timezone` and update
+    `email`, `dark_mode`, `timezone`, `backfill_limit_days`, `updated_at`
+  - `habits`: `current_streak` and `best_streak` are no longer writable by clients
+  - `habit_streaks`: read-only for clients
+  - New client-writable columns on `users` or `habits` must be added to these grants
+*/
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS streak_broken_on date;
+
+-- Column-level privileges
+REVOKE INSERT, UPDATE ON users FROM authenticated;
+GRANT INSERT (id, email, dark_mode, timezone) ON users TO authenticated;
+GRANT UPDATE (email, dark_mode, timezone, backfill_limit_days, updated_at) ON users TO authenticated;
+
+REVOKE INSERT, UPDATE ON habits FROM authenticated;
+GRANT INSERT (
+  user_id, name, frequency, goal_value, unit, is_boolean,
+  target_count, schedule_days, interval_days, schedule_anchor
+) ON habits TO authenticated;
+GRANT UPDATE (
+  name, frequency, goal_value, unit, is_boolean,
+  target_count, schedule_days, interval_days, schedule_anchor
+) ON habits TO authenticated;
+
+DROP POLICY IF EXISTS "Users can insert own habit streaks" ON habit_streaks;
+DROP POLICY IF EXISTS "Users can update own habit streaks" ON habit_streaks;
+DROP POLICY IF EXISTS "Users can delete own habit streaks" ON habit_streaks;
+REVOKE INSERT, UPDATE, DELETE ON habit_streaks FROM authenticated;
+
+-- Shared helpers
+CREATE OR REPLACE FUNCTION habit_log_is_complete(h habits, l habit_logs)
+RETURNS boolean
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT CASE WHEN h.is_boolean THEN COALESCE(l.completed, false) ELSE l.value >= h.goal_value END;
+$$;
+
+CREATE OR REPLACE FUNCTION habit_is_due(h habits, d date, tz text)
+RETURNS boolean
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT CASE
+    WHEN d < (h.created_at AT TIME ZONE tz)::date THEN false
+    WHEN h.frequency = 'Daily' THEN true
+    WHEN h.frequency = 'Weekdays' THEN EXTRACT(DOW FROM d)::smallint = ANY (h.schedule_days)
+    WHEN h.frequency = 'Interval' THEN
+      d >= COALESCE(h.schedule_anchor, (h.created_at AT TIME ZONE tz)::date)
+      AND (d - COALESCE(h.schedule_anchor, (h.created_at AT TIME ZONE tz)::date)) % GREATEST(h.interval_days, 1) = 0
+    ELSE false
+  END;
+$$;
+
+CREATE OR REPLACE FUNCTION award_xp(target_user_id uuid, amount integer)
+RETURNS void
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE users
+  SET xp = GREATEST(xp + amount, 0),
+      level = GREATEST(xp + amount, 0) / 200 + 1,
+      updated_at = now()
+  WHERE id = target_user_id;
+$$;
+
+-- Per-habit streaks: runs of consecutive successful due days, or of weeks /
+-- months that met `target_count`. The current day or period only counts once
+-- complete, and leaving it unfinished does not end the run until it is over.
+-- With `changed_date`, runs that ended before it are kept as they are and the
+-- walk starts at the last run that began on or before it.
+CREATE OR REPLACE FUNCTION refresh_habit_streaks(target_habit_id uuid, changed_date date DEFAULT NULL)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  h habits;
+  tz text;
+  today date;
+  unit text;
+  walk_from date;
+  done_dates date[];
+  d date;
+  period_start date;
+  period_end date;
+  current_period date;
+  met boolean;
+  run_start date;
+  run_end date;
+  run_len integer := 0;
+  run_starts date[] := '{}';
+  run_ends date[] := '{}';
+  run_lens integer[] := '{}';
+BEGIN
+  SELECT * INTO h FROM habits WHERE id = target_habit_id;
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  SELECT COALESCE(timezone, 'UTC') INTO tz FROM users WHERE id = h.user_id;
+  today := (now() AT TIME ZONE tz)::date;
+  unit := CASE h.frequency WHEN 'Weekly' THEN 'week' WHEN 'Monthly' THEN 'month' ELSE 'day' END;
+  walk_from := date_trunc(unit, (h.created_at AT TIME ZONE tz)::date)::date;
+
+  IF changed_date IS NOT NULL THEN
+    SELECT GREATEST(walk_from, COALESCE(max(s.start_date), date_trunc(unit, changed_date)::date))
+    INTO walk_from
+    FROM habit_streaks s
+    WHERE s.habit_id = h.id AND s.start_date <= changed_date;
+  END IF;
+
+  SELECT COALESCE(array_agg(l.log_date), '{}') INTO done_dates
+  FROM habit_logs l
+  WHERE l.habit_id = h.id AND l.log_date >= walk_from AND habit_log_is_complete(h, l);
+
+  IF unit = 'day' THEN
+    d := walk_from;
+
+    WHILE d <= today LOOP
+      IF habit_is_due(h, d, tz) THEN
+        IF d = ANY (done_dates) THEN
+          IF run_len = 0 THEN
+            run_start := d;
+          END IF;
+          run_end := d;
+          run_len := run_len + 1;
+        ELSIF d <> today AND run_len > 0 THEN
+          run_starts := run_starts || run_start;
+          run_ends := run_ends || run_end;
+          run_lens := run_lens || run_len;
+          run_len := 0;
+        END IF;
+      END IF;
+      d := d + 1;
+    END LOOP;
+  ELSE
+    period_start := walk_from;
+    current_period := date_trunc(unit, today)::date;
+
+    WHILE period_start <= current_period LOOP
+      period_end := (period_start + ('1 ' || unit)::interval - interval '1 day')::date;
+
+      SELECT count(*) >= GREATEST(h.target_count, 1) INTO met
+      FROM unnest(done_dates) AS done(log_date)
+      WHERE done.log_date BETWEEN period_start AND period_end;
+
+      IF met THEN
+        IF run_len = 0 THEN
+          run_start := period_start;
+        END IF;
+        run_end := period_end;
+        run_len := run_len + 1;
+      ELSIF period_start <> current_period AND run_len > 0 THEN
+        run_starts := run_starts || run_start;
+        run_ends := run_ends || run_end;
+        run_lens := run_lens || run_len;
+        run_len := 0;
+      END IF;
+
+      period_start := period_end + 1;
+    END LOOP;
+  END IF;
+
+  IF run_len > 0 THEN
+    run_starts := run_starts || run_start;
+    run_ends := run_ends || run_end;
+    run_lens := run_lens || run_len;
+  END IF;
+
+  DELETE FROM habit_streaks s
+  WHERE s.habit_id = h.id AND s.start_date >= walk_from AND NOT (s.start_date = ANY (run_starts));
+
+  INSERT INTO habit_streaks (user_id, habit_id, unit, start_date, end_date, length)
+  SELECT h.user_id, h.id, unit, r.start_date, r.end_date, r.length
+  FROM unnest(run_starts, run_ends, run_lens) AS r(start_date, end_date, length)
+  ON CONFLICT (habit_id, start_date) DO UPDATE
+  SET unit = EXCLUDED.unit,
+      end_date = EXCLUDED.end_date,
+      length = EXCLUDED.length,
+      updated_at = now()
+  WHERE habit_streaks.end_date <> EXCLUDED.end_date
+     OR habit_streaks.length <> EXCLUDED.length
+     OR habit_streaks.unit <> EXCLUDED.unit;
+
+  UPDATE habits
+  SET current_streak = run_len,
+      best_streak = COALESCE((SELECT max(s.length) FROM habit_streaks s WHERE s.habit_id = h.id), 0)
+  WHERE id = h.id;
+END;
+$$;
+
+-- All-habits streak: consecutive days on which every due day-scheduled habit
+-- was completed. Days with nothing due are skipped. The walk back from today
+-- stops at `streak_broken_on`, so a `changed_date` before it can't move the
+-- streak and is skipped.
+CREATE OR REPLACE FUNCTION refresh_user_streak(target_user_id uuid, changed_date date DEFAULT NULL)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  tz text;
+  broken_on date;
+  d date;
+  first_date date;
+  due_count integer;
+  done_count integer;
+  streak integer := 0;
+BEGIN
+  SELECT COALESCE(timezone, 'UTC'), streak_broken_on INTO tz, broken_on FROM users WHERE id = target_user_id;
+  IF NOT FOUND OR changed_date < broken_on THEN
+    RETURN;
+  END IF;
+
+  SELECT min((h.created_at AT TIME ZONE tz)::date) INTO first_date
+  FROM habits h
+  WHERE h.user_id = target_user_id AND h.frequency NOT IN ('Weekly', 'Monthly');
+
+  IF first_date IS NULL THEN
+    RETURN;
+  END IF;
+
+  d := (now() AT TIME ZONE tz)::date;
+
+  WHILE d >= first_date AND streak <= 365 LOOP
+    SELECT
+      count(*) FILTER (WHERE habit_is_due(h, d, tz)),
+      count(*) FILTER (WHERE habit_is_due(h, d, tz) AND EXISTS (
+        SELECT 1 FROM habit_logs l
+        WHERE l.habit_id = h.id AND l.log_date = d AND habit_log_is_complete(h, l)
+      ))
+    INTO due_count, done_count
+    FROM habits h
+    WHERE h.user_id = target_user_id AND h.frequency NOT IN ('Weekly', 'Monthly');
+
+    IF due_count > 0 THEN
+      EXIT WHEN done_count < due_count;
+      streak := streak + 1;
+    END IF;
+
+    d := d - 1;
+  END LOOP;
+
+  UPDATE users
+  SET current_streak = streak,
+      max_streak = GREATEST(max_streak, streak),
+      streak_broken_on = d,
+      updated_at = now()
+  WHERE id = target_user_id
+    AND (current_streak IS DISTINCT FROM streak OR max_streak < streak OR streak_broken_on IS DISTINCT FROM d);
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION refresh_my_streaks()
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  habit_row record;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = 'insufficient_privilege';
+  END IF;
+
+  FOR habit_row IN SELECT id FROM habits WHERE user_id = auth.uid() LOOP
+    PERFORM refresh_habit_streaks(habit_row.id);
+  END LOOP;
+
+  PERFORM refresh_user_streak(auth.uid());
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION award_xp(uuid, integer) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION refresh_habit_streaks(uuid, date) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION refresh_user_streak(uuid, date) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION refresh_my_streaks() TO authenticated;
+
+-- Triggers
+CREATE OR REPLACE FUNCTION handle_habit_log_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  h habits;
+  was_complete boolean := false;
+  is_complete boolean := false;
+  log_row habit_logs := CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+  changed_date date := CASE WHEN TG_OP = 'UPDATE' THEN LEAST(OLD.log_date, NEW.log_date) ELSE log_row.log_date END;
+BEGIN
+  SELECT * INTO h FROM habits WHERE id = log_row.habit_id;
+
+  IF FOUND AND TG_OP <> 'DELETE' THEN
+    is_complete := habit_log_is_complete(h, NEW);
+    IF TG_OP = 'UPDATE' THEN
+      was_complete := habit_log_is_complete(h, OLD);
+    END IF;
+
+    IF is_complete AND NOT was_complete THEN
+      PERFORM award_xp(NEW.user_id, 50);
+    ELSIF was_complete AND NOT is_complete THEN
+      PERFORM award_xp(NEW.user_id, -50);
+    END IF;
+  END IF;
+
+  -- Logs deleted along with their habit are left to habits_delete_progress,
+  -- which refreshes the user's streak once rather than once per log.
+  IF h.id IS NOT NULL THEN
+    PERFORM refresh_habit_streaks(log_row.habit_id, changed_date);
+    PERFORM refresh_user_streak(log_row.user_id, changed_date);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS habit_logs_progress ON habit_logs;
+CREATE TRIGGER habit_logs_progress
+  AFTER INSERT OR UPDATE OR DELETE ON habit_logs
+  FOR EACH ROW EXECUTE FUNCTION handle_habit_log_change();
+
+CREATE OR REPLACE FUNCTION handle_sleep_log_insert()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM award_xp(NEW.user_id, 10);
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sleep_logs_progress ON sleep_logs;
+CREATE TRIGGER sleep_logs_progress
+  AFTER INSERT ON sleep_logs
+  FOR EACH ROW EXECUTE FUNCTION handle_sleep_log_insert();
+
+CREATE OR REPLACE FUNCTION handle_habit_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'UPDATE' THEN
+    PERFORM refresh_habit_streaks(NEW.id);
+    PERFORM refresh_user_streak(NEW.user_id);
+  ELSE
+    PERFORM refresh_user_streak(OLD.user_id);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS habits_schedule_progress ON habits;
+CREATE TRIGGER habits_schedule_progress
+  AFTER UPDATE OF frequency, schedule_days, interval_days, schedule_anchor, target_count, goal_value, is_boolean
+  ON habits
+  FOR EACH ROW EXECUTE FUNCTION handle_habit_change();
+
+DROP TRIGGER IF EXISTS habits_delete_progress ON habits;
+CREATE TRIGGER habits_delete_progress
+  AFTER DELETE ON habits
+  FOR EACH ROW EXECUTE FUNCTION handle_habit_change();
+
+-- Bring existing rows in line with the new rules.
+DO $$
+DECLARE
+  habit_row record;
+  user_row record;
+BEGIN
+  FOR habit_row IN SELECT id FROM habits LOOP
+    PERFORM refresh_habit_streaks(habit_row.id);
+  END LOOP;
+
+  FOR user_row IN SELECT id FROM users LOOP
+    PERFORM refresh_user_streak(user_row.id);
+  END LOOP;
+END;
+$$;
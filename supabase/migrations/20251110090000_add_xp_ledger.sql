@@ -0,0 +1,200 @@
+/*
+  # XP Ledger
+
+  Every XP change is recorded in `xp_events`, and `users.xp` is the running
+  total of that ledger. A habit log holds at most one active award: completing
+  it again after an award only counts if the earlier award was reversed by
+  un-completing it.
+
+  ## 1. New Tables
+
+  ### `xp_events`
+  - `id` (uuid, primary key) - Event identifier
+  - `user_id` (uuid, foreign key) - References users table
+  - `amount` (integer) - XP gained (positive) or taken back (negative)
+  - `source` (text) - "habit_log", "sleep_log" or "bonus"
+  - `source_id` (uuid, nullable) - The habit or sleep log the XP came from
+  - `habit_id` (uuid, nullable) - Habit for habit_log events; cleared if the habit is deleted
+  - `description` (text) - Human-readable reason shown in the XP history
+  - `reverses_id` (uuid, nullable) - For reversals, the award being taken back
+  - `reversed_at` (timestamptz, nullable) - Set on an award once it has been reversed
+  - `created_at` (timestamptz) - When the XP was granted or reversed
+
+  ## 2. Functions
+
+  - `record_xp_event(...)` replaces `award_xp` and writes the ledger row together with the new total
+  - `reverse_xp_award(source, source_id, description)` takes back the active award for a log
+  - The `habit_logs` trigger now awards once per log and reverses on
+    un-completion or deletion, including logs deleted along with their habit
+
+  ## 3. Security
+
+  - RLS: users can read their own events; only the database writes them
+  - Existing XP is carried over as one "bonus" opening-balance event per user
+*/
+
+CREATE TABLE IF NOT EXISTS xp_events (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  amount integer NOT NULL,
+  source text NOT NULL CHECK (source IN ('habit_log', 'sleep_log', 'bonus')),
+  source_id uuid,
+  habit_id uuid REFERENCES habits(id) ON DELETE SET NULL,
+  description text NOT NULL DEFAULT '',
+  reverses_id uuid REFERENCES xp_events(id) ON DELETE SET NULL,
+  reversed_at timestamptz,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE xp_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own xp events"
+  ON xp_events FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+REVOKE INSERT, UPDATE, DELETE ON xp_events FROM authenticated;
+
+CREATE INDEX IF NOT EXISTS idx_xp_events_user_id_created_at ON xp_events(user_id, created_at DESC);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_xp_events_active_award
+  ON xp_events(source, source_id)
+  WHERE amount > 0 AND reverses_id IS NULL AND reversed_at IS NULL AND source_id IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION record_xp_event(
+  target_user_id uuid,
+  xp_amount integer,
+  event_source text,
+  event_source_id uuid DEFAULT NULL,
+  event_habit_id uuid DEFAULT NULL,
+  event_description text DEFAULT '',
+  event_reverses_id uuid DEFAULT NULL
+)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO xp_events (user_id, amount, source, source_id, habit_id, description, reverses_id)
+  VALUES (target_user_id, xp_amount, event_source, event_source_id, event_habit_id, event_description, event_reverses_id);
+
+  UPDATE users
+  SET xp = GREATEST(xp + xp_amount, 0),
+      level = GREATEST(xp + xp_amount, 0) / 200 + 1,
+      updated_at = now()
+  WHERE id = target_user_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION reverse_xp_award(event_source text, event_source_id uuid, event_description text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  award xp_events;
+BEGIN
+  UPDATE xp_events
+  SET reversed_at = now()
+  WHERE source = event_source
+    AND source_id = event_source_id
+    AND amount > 0
+    AND reverses_id IS NULL
+    AND reversed_at IS NULL
+  RETURNING * INTO award;
+
+  -- Nothing to take back when the whole account is being deleted, and the
+  -- habit is left out if it is being deleted along with its logs.
+  IF FOUND AND EXISTS (SELECT 1 FROM users WHERE id = award.user_id) THEN
+    PERFORM record_xp_event(
+      award.user_id, -award.amount, award.source, award.source_id,
+      (SELECT id FROM habits WHERE id = award.habit_id), event_description, award.id
+    );
+  END IF;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_xp_event(uuid, integer, text, uuid, uuid, text, uuid) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reverse_xp_award(text, uuid, text) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION handle_habit_log_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  h habits;
+  was_complete boolean := false;
+  is_complete boolean := false;
+  log_row habit_logs := CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+  changed_date date := CASE WHEN TG_OP = 'UPDATE' THEN LEAST(OLD.log_date, NEW.log_date) ELSE log_row.log_date END;
+BEGIN
+  SELECT * INTO h FROM habits WHERE id = log_row.habit_id;
+
+  IF TG_OP = 'DELETE' THEN
+    -- Logs removed along with their habit no longer find it.
+    PERFORM reverse_xp_award(
+      'habit_log', OLD.id,
+      CASE WHEN h.id IS NULL
+        THEN format('Deleted a habit (%s)', OLD.log_date)
+        ELSE format('Removed "%s" (%s)', h.name, OLD.log_date)
+      END
+    );
+  ELSIF FOUND THEN
+    is_complete := habit_log_is_complete(h, NEW);
+    IF TG_OP = 'UPDATE' THEN
+      was_complete := habit_log_is_complete(h, OLD);
+    END IF;
+
+    IF is_complete AND NOT was_complete THEN
+      IF NOT EXISTS (
+        SELECT 1 FROM xp_events
+        WHERE source = 'habit_log' AND source_id = NEW.id
+          AND amount > 0 AND reverses_id IS NULL AND reversed_at IS NULL
+      ) THEN
+        PERFORM record_xp_event(
+          NEW.user_id, 50, 'habit_log', NEW.id, h.id,
+          format('Completed "%s" (%s)', h.name, NEW.log_date)
+        );
+      END IF;
+    ELSIF was_complete AND NOT is_complete THEN
+      PERFORM reverse_xp_award('habit_log', NEW.id, format('Un-completed "%s" (%s)', h.name, NEW.log_date));
+    END IF;
+  END IF;
+
+  -- Logs deleted along with their habit are left to habits_delete_progress,
+  -- which refreshes the user's streak once rather than once per log.
+  IF h.id IS NOT NULL THEN
+    PERFORM refresh_habit_streaks(log_row.habit_id, changed_date);
+    PERFORM refresh_user_streak(log_row.user_id, changed_date);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION handle_sleep_log_insert()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM record_xp_event(
+    NEW.user_id, 10, 'sleep_log', NEW.id, NULL,
+    format('Logged sleep (%s)', NEW.log_date)
+  );
+  RETURN NULL;
+END;
+$$;
+
+DROP FUNCTION IF EXISTS award_xp(uuid, integer);
+
+-- Opening balance so the ledger adds up to the XP users already have.
+INSERT INTO xp_events (user_id, amount, source, description, created_at)
+SELECT id, xp, 'bonus', 'XP earned before history was tracked', created_at
+FROM users
+WHERE xp > 0;
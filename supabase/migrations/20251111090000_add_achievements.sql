@@ -0,0 +1,236 @@
+/*
+  # Achievements
+
+  A catalog of badges with unlock rules, and the badges each user has
+  unlocked. Rules are checked in the database whenever habits, habit logs or
+  sleep logs change, so badges stay consistent across devices. Unlocked badges
+  are never taken away.
+
+  ## 1. New Tables
+
+  ### `achievements`
+  - `id` (text, primary key) - Stable badge key, e.g. "streak_7"
+  - `name` (text) - Badge title
+  - `description` (text) - What it takes to unlock the badge
+  - `icon` (text) - Emoji shown in the trophy room
+  - `rule_type` (text) - Metric compared against `threshold`:
+    - "streak": best all-habits day streak (`users.max_streak`)
+    - "habit_streak": best streak on any single habit
+    - "completions": total completed habit logs
+    - "sleep_streak": most consecutive nights with a sleep log
+    - "habits": number of habits
+    - "level": current level
+  - `threshold` (integer) - Value the metric has to reach
+  - `xp_reward` (integer) - Bonus XP granted on unlock
+  - `sort_order` (integer) - Display order
+
+  ### `user_achievements`
+  - `id` (uuid, primary key) - Row identifier
+  - `user_id` (uuid, foreign key) - References users table
+  - `achievement_id` (text, foreign key) - References achievements table
+  - `unlocked_at` (timestamptz) - When the badge was unlocked
+  - Unique on (`user_id`, `achievement_id`)
+
+  ## 2. Functions
+
+  - `check_achievements(user_id)` unlocks every badge whose rule is met and records its bonus XP
+  - `refresh_my_streaks()` also checks achievements after refreshing streaks
+
+  ## 3. Security
+
+  - RLS: the catalog is readable by signed-in users; users can read their own unlocks
+  - Only the database writes either table
+*/
+
+CREATE TABLE IF NOT EXISTS achievements (
+  id text PRIMARY KEY,
+  name text NOT NULL,
+  description text NOT NULL,
+  icon text NOT NULL DEFAULT '🏆',
+  rule_type text NOT NULL CHECK (rule_type IN ('streak', 'habit_streak', 'completions', 'sleep_streak', 'habits', 'level')),
+  threshold integer NOT NULL CHECK (threshold > 0),
+  xp_reward integer NOT NULL DEFAULT 0 CHECK (xp_reward >= 0),
+  sort_order integer NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS user_achievements (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  achievement_id text NOT NULL REFERENCES achievements(id) ON DELETE CASCADE,
+  unlocked_at timestamptz DEFAULT now(),
+  UNIQUE (user_id, achievement_id)
+);
+
+ALTER TABLE achievements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_achievements ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Signed-in users can view achievements"
+  ON achievements FOR SELECT
+  TO authenticated
+  USING (true);
+
+CREATE POLICY "Users can view own achievements"
+  ON user_achievements FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+REVOKE INSERT, UPDATE, DELETE ON achievements FROM authenticated;
+REVOKE INSERT, UPDATE, DELETE ON user_achievements FROM authenticated;
+
+CREATE INDEX IF NOT EXISTS idx_user_achievements_user_id ON user_achievements(user_id);
+
+INSERT INTO achievements (id, name, description, icon, rule_type, threshold, xp_reward, sort_order) VALUES
+  ('first_habit', 'First Step', 'Create your first habit', '🌱', 'habits', 1, 10, 10),
+  ('habits_5', 'Habit Stacker', 'Track 5 habits at the same time', '🧱', 'habits', 5, 25, 20),
+  ('completions_1', 'Off the Mark', 'Complete a habit for the first time', '✅', 'completions', 1, 10, 30),
+  ('completions_50', 'Half Century', 'Complete 50 habits', '🎯', 'completions', 50, 50, 40),
+  ('completions_100', 'Centurion', 'Complete 100 habits', '💯', 'completions', 100, 100, 50),
+  ('completions_500', 'Relentless', 'Complete 500 habits', '🏋️', 'completions', 500, 250, 60),
+  ('streak_3', 'Warming Up', 'Finish everything due 3 days in a row', '🔥', 'streak', 3, 20, 70),
+  ('streak_7', 'On Fire', 'Finish everything due 7 days in a row', '🔥', 'streak', 7, 50, 80),
+  ('streak_30', 'Unstoppable', 'Finish everything due 30 days in a row', '☄️', 'streak', 30, 200, 90),
+  ('habit_streak_14', 'Creature of Habit', 'Reach a streak of 14 on a single habit', '🏅', 'habit_streak', 14, 75, 100),
+  ('sleep_streak_7', 'Well Rested', 'Log your sleep 7 nights in a row', '😴', 'sleep_streak', 7, 50, 110),
+  ('sleep_streak_30', 'Sleep Scholar', 'Log your sleep 30 nights in a row', '🌙', 'sleep_streak', 30, 150, 120),
+  ('level_5', 'Rising Star', 'Reach level 5', '⭐', 'level', 5, 0, 130),
+  ('level_10', 'Veteran', 'Reach level 10', '🌟', 'level', 10, 0, 140)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION check_achievements(target_user_id uuid)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  best_day_streak integer;
+  user_level integer;
+  best_habit_streak integer;
+  completion_count integer;
+  habit_count integer;
+  best_sleep_run integer;
+  unlocked record;
+  unlocked_any boolean;
+BEGIN
+  SELECT count(*), COALESCE(max(best_streak), 0)
+  INTO habit_count, best_habit_streak
+  FROM habits
+  WHERE user_id = target_user_id;
+
+  SELECT count(*) INTO completion_count
+  FROM habit_logs l
+  JOIN habits h ON h.id = l.habit_id
+  WHERE l.user_id = target_user_id AND habit_log_is_complete(h, l);
+
+  SELECT COALESCE(max(run), 0) INTO best_sleep_run
+  FROM (
+    SELECT count(*) AS run
+    FROM (
+      SELECT log_date, log_date - (row_number() OVER (ORDER BY log_date))::integer AS run_start
+      FROM (SELECT DISTINCT log_date FROM sleep_logs WHERE user_id = target_user_id) nights
+    ) numbered
+    GROUP BY run_start
+  ) runs;
+
+  -- Bonus XP can raise the level, which can unlock a level badge in turn.
+  LOOP
+    SELECT max_streak, level INTO best_day_streak, user_level
+    FROM users
+    WHERE id = target_user_id;
+
+    IF NOT FOUND THEN
+      RETURN;
+    END IF;
+
+    unlocked_any := false;
+
+    FOR unlocked IN
+      INSERT INTO user_achievements (user_id, achievement_id)
+      SELECT target_user_id, a.id
+      FROM achievements a
+      WHERE CASE a.rule_type
+        WHEN 'streak' THEN COALESCE(best_day_streak, 0)
+        WHEN 'habit_streak' THEN best_habit_streak
+        WHEN 'completions' THEN completion_count
+        WHEN 'sleep_streak' THEN best_sleep_run
+        WHEN 'habits' THEN habit_count
+        WHEN 'level' THEN COALESCE(user_level, 1)
+      END >= a.threshold
+      ON CONFLICT (user_id, achievement_id) DO NOTHING
+      RETURNING achievement_id
+    LOOP
+      unlocked_any := true;
+
+      PERFORM record_xp_event(target_user_id, a.xp_reward, 'bonus', NULL, NULL, format('Unlocked "%s"', a.name))
+      FROM achievements a
+      WHERE a.id = unlocked.achievement_id AND a.xp_reward > 0;
+    END LOOP;
+
+    EXIT WHEN NOT unlocked_any;
+  END LOOP;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION check_achievements(uuid) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION handle_achievement_check()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  PERFORM check_achievements(NEW.user_id);
+  RETURN NULL;
+END;
+$$;
+
+-- Triggers on the same event fire in name order, so these run after the
+-- *_progress triggers have refreshed XP and streaks.
+DROP TRIGGER IF EXISTS habit_logs_unlock_achievements ON habit_logs;
+CREATE TRIGGER habit_logs_unlock_achievements
+  AFTER INSERT OR UPDATE ON habit_logs
+  FOR EACH ROW EXECUTE FUNCTION handle_achievement_check();
+
+DROP TRIGGER IF EXISTS sleep_logs_unlock_achievements ON sleep_logs;
+CREATE TRIGGER sleep_logs_unlock_achievements
+  AFTER INSERT ON sleep_logs
+  FOR EACH ROW EXECUTE FUNCTION handle_achievement_check();
+
+DROP TRIGGER IF EXISTS habits_unlock_achievements ON habits;
+CREATE TRIGGER habits_unlock_achievements
+  AFTER INSERT ON habits
+  FOR EACH ROW EXECUTE FUNCTION handle_achievement_check();
+
+CREATE OR REPLACE FUNCTION refresh_my_streaks()
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  habit_row record;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = 'insufficient_privilege';
+  END IF;
+
+  FOR habit_row IN SELECT id FROM habits WHERE user_id = auth.uid() LOOP
+    PERFORM refresh_habit_streaks(habit_row.id);
+  END LOOP;
+
+  PERFORM refresh_user_streak(auth.uid());
+  PERFORM check_achievements(auth.uid());
+END;
+$$;
+
+-- Unlock what existing users have already earned.
+DO $$
+DECLARE
+  user_row record;
+BEGIN
+  FOR user_row IN SELECT id FROM users LOOP
+    PERFORM check_achievements(user_row.id);
+  END LOOP;
+END;
+$$;
@@ -0,0 +1,80 @@
+/*
+  # Realtime Sync
+
+  Publishes row changes on the user-owned tables so every open device can
+  merge edits made elsewhere without reloading. Realtime applies the existing
+  RLS policies, so each subscriber only receives its own rows.
+
+  Deletes are the exception: Postgres Changes can't filter them by user, so
+  every subscriber would see every deleted id. They are broadcast instead, on
+  a private `user-deletes:<user id>` channel only that user can join.
+
+  ## 1. Publication
+
+  - Adds `users`, `habits`, `habit_logs`, `sleep_logs` and `timetable_entries`
+    to the `supabase_realtime` publication
+
+  ## 2. Delete Broadcasts
+
+  - `broadcast_user_delete()` sends `{ table, old: { id } }` as a `DELETE`
+    event. Logs deleted along with their habit aren't sent; devices drop them
+    when the habit goes
+  - An RLS policy on `realtime.messages` lets users receive only their own
+    channel
+*/
+
+DO $$
+DECLARE
+  table_name text;
+BEGIN
+  FOREACH table_name IN ARRAY ARRAY['users', 'habits', 'habit_logs', 'sleep_logs', 'timetable_entries'] LOOP
+    IF NOT EXISTS (
+      SELECT 1 FROM pg_publication_tables
+      WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = table_name
+    ) THEN
+      EXECUTE format('ALTER PUBLICATION supabase_realtime ADD TABLE public.%I', table_name);
+    END IF;
+  END LOOP;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION broadcast_user_delete()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_TABLE_NAME = 'habit_logs' AND NOT EXISTS (SELECT 1 FROM habits WHERE id = OLD.habit_id) THEN
+    RETURN NULL;
+  END IF;
+
+  PERFORM realtime.send(
+    jsonb_build_object('table', TG_TABLE_NAME, 'old', jsonb_build_object('id', OLD.id)),
+    'DELETE',
+    'user-deletes:' || OLD.user_id,
+    true
+  );
+  RETURN NULL;
+END;
+$$;
+
+DO $$
+DECLARE
+  table_name text;
+BEGIN
+  FOREACH table_name IN ARRAY ARRAY['habits', 'habit_logs', 'sleep_logs', 'timetable_entries'] LOOP
+    EXECUTE format('DROP TRIGGER IF EXISTS %I ON public.%I', table_name || '_broadcast_delete', table_name);
+    EXECUTE format(
+      'CREATE TRIGGER %I AFTER DELETE ON public.%I FOR EACH ROW EXECUTE FUNCTION broadcast_user_delete()',
+      table_name || '_broadcast_delete', table_name
+    );
+  END LOOP;
+END;
+$$;
+
+DROP POLICY IF EXISTS "Users can receive their own deletes" ON realtime.messages;
+CREATE POLICY "Users can receive their own deletes"
+  ON realtime.messages FOR SELECT
+  TO authenticated
+  USING (extension = 'broadcast' AND realtime.topic() = 'user-deletes:' || auth.uid()::text);
@@ -0,0 +1,262 @@
+/*
+  # Habit History Import
+
+  Bulk import of habits and logs exported from other trackers. Imports run
+  through one function per batch so the per-row progress triggers don't
+  recompute streaks and achievements for every imported log; they are
+  refreshed once at the end of each batch instead. Imported history counts
+  toward streaks and achievements but does not earn XP.
+
+  ## 1. Modified Tables
+
+  ### `habits`
+  - `import_key` (text, nullable) - Identifies the habit in the source it was
+    imported from (e.g. "loop:meditate" or "habitica:<task id>"), so importing
+    the same file again reuses the habit instead of creating a copy
+
+  ## 2. Functions
+
+  - `is_bulk_import()` is true inside `import_habit_history`; the habit log
+    and achievement triggers skip their per-row work while it is set
+  - `import_habit_history(import_habits, import_logs)` matches or creates
+    habits, inserts logs with `ON CONFLICT DO NOTHING` on
+    (user_id, habit_id, log_date), skips logs outside the edit window, then
+    refreshes streaks and achievements once. New habits get an empty weekday
+    list and a 1-day interval unless given, and a "Weekdays" habit without any
+    days rejects the whole batch
+*/
+
+ALTER TABLE habits
+  ADD COLUMN IF NOT EXISTS import_key text;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_habits_import_key
+  ON habits(user_id, import_key)
+  WHERE import_key IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION is_bulk_import()
+RETURNS boolean
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(current_setting('app.bulk_import', true), '') = 'on';
+$$;
+
+CREATE OR REPLACE FUNCTION handle_habit_log_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  h habits;
+  was_complete boolean := false;
+  is_complete boolean := false;
+  log_row habit_logs := CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+  changed_date date := CASE WHEN TG_OP = 'UPDATE' THEN LEAST(OLD.log_date, NEW.log_date) ELSE log_row.log_date END;
+BEGIN
+  IF is_bulk_import() THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT * INTO h FROM habits WHERE id = log_row.habit_id;
+
+  IF TG_OP = 'DELETE' THEN
+    -- Logs removed along with their habit no longer find it.
+    PERFORM reverse_xp_award(
+      'habit_log', OLD.id,
+      CASE WHEN h.id IS NULL
+        THEN format('Deleted a habit (%s)', OLD.log_date)
+        ELSE format('Removed "%s" (%s)', h.name, OLD.log_date)
+      END
+    );
+  ELSIF FOUND THEN
+    is_complete := habit_log_is_complete(h, NEW);
+    IF TG_OP = 'UPDATE' THEN
+      was_complete := habit_log_is_complete(h, OLD);
+    END IF;
+
+    IF is_complete AND NOT was_complete THEN
+      IF NOT EXISTS (
+        SELECT 1 FROM xp_events
+        WHERE source = 'habit_log' AND source_id = NEW.id
+          AND amount > 0 AND reverses_id IS NULL AND reversed_at IS NULL
+      ) THEN
+        PERFORM record_xp_event(
+          NEW.user_id, 50, 'habit_log', NEW.id, h.id,
+          format('Completed "%s" (%s)', h.name, NEW.log_date)
+        );
+      END IF;
+    ELSIF was_complete AND NOT is_complete THEN
+      PERFORM reverse_xp_award('habit_log', NEW.id, format('Un-completed "%s" (%s)', h.name, NEW.log_date));
+    END IF;
+  END IF;
+
+  -- Logs deleted along with their habit are left to habits_delete_progress,
+  -- which refreshes the user's streak once rather than once per log.
+  IF h.id IS NOT NULL THEN
+    PERFORM refresh_habit_streaks(log_row.habit_id, changed_date);
+    PERFORM refresh_user_streak(log_row.user_id, changed_date);
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION handle_achievement_check()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF NOT is_bulk_import() THEN
+    PERFORM check_achievements(NEW.user_id);
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION import_habit_history(import_habits jsonb, import_logs jsonb)
+RETURNS jsonb
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  uid uuid := auth.uid();
+  tz text;
+  limit_days integer;
+  local_today date;
+  item record;
+  matched_id uuid;
+  habit_ids jsonb := '{}'::jsonb;
+  affected_habit uuid;
+  created_count integer := 0;
+  inserted_count integer := 0;
+BEGIN
+  IF uid IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = 'insufficient_privilege';
+  END IF;
+
+  SELECT COALESCE(timezone, 'UTC'), backfill_limit_days INTO tz, limit_days
+  FROM users
+  WHERE id = uid;
+
+  local_today := user_local_date(uid);
+
+  PERFORM set_config('app.bulk_import', 'on', true);
+
+  FOR item IN
+    SELECT *
+    FROM jsonb_to_recordset(COALESCE(import_habits, '[]'::jsonb)) AS x(
+      import_key text,
+      name text,
+      is_boolean boolean,
+      unit text,
+      goal_value integer,
+      frequency text,
+      schedule_days smallint[],
+      interval_days integer,
+      target_count integer,
+      start_date date
+    )
+    WHERE x.import_key IS NOT NULL AND btrim(COALESCE(x.name, '')) <> ''
+  LOOP
+    -- Prefer the habit created by an earlier import, then one with the same name.
+    SELECT id INTO matched_id
+    FROM habits
+    WHERE user_id = uid
+      AND (import_key = item.import_key OR lower(btrim(name)) = lower(btrim(item.name)))
+    ORDER BY (import_key IS NOT DISTINCT FROM item.import_key) DESC, created_at
+    LIMIT 1;
+
+    IF matched_id IS NULL THEN
+      IF item.frequency = 'Weekdays' AND cardinality(COALESCE(item.schedule_days, '{}')) = 0 THEN
+        RAISE EXCEPTION 'Habit "%" is scheduled on weekdays but has no days', btrim(item.name)
+          USING ERRCODE = 'check_violation';
+      END IF;
+
+      INSERT INTO habits (
+        user_id, name, frequency, is_boolean, unit, goal_value,
+        schedule_days, interval_days, target_count, import_key, created_at
+      )
+      VALUES (
+        uid,
+        btrim(item.name),
+        COALESCE(item.frequency, 'Daily'),
+        COALESCE(item.is_boolean, true),
+        COALESCE(item.unit, ''),
+        GREATEST(COALESCE(item.goal_value, 1), 1),
+        COALESCE(item.schedule_days, '{}'),
+        GREATEST(COALESCE(item.interval_days, 1), 1),
+        COALESCE(item.target_count, 1),
+        item.import_key,
+        COALESCE(item.start_date::timestamp AT TIME ZONE tz, now())
+      )
+      RETURNING id INTO matched_id;
+
+      created_count := created_count + 1;
+    ELSE
+      -- Start the habit early enough for its imported history to count.
+      -- Interval habits without an anchor count from created_at, so leave those alone.
+      UPDATE habits
+      SET import_key = COALESCE(import_key, item.import_key),
+          created_at = CASE
+            WHEN item.start_date IS NOT NULL AND (frequency <> 'Interval' OR schedule_anchor IS NOT NULL)
+              THEN LEAST(created_at, item.start_date::timestamp AT TIME ZONE tz)
+            ELSE created_at
+          END
+      WHERE id = matched_id;
+    END IF;
+
+    habit_ids := habit_ids || jsonb_build_object(item.import_key, matched_id);
+  END LOOP;
+
+  WITH incoming AS (
+    SELECT DISTINCT ON (habit_id, log_date) habit_id, log_date, completed, value
+    FROM (
+      SELECT
+        (habit_ids ->> x.import_key)::uuid AS habit_id,
+        x.log_date,
+        COALESCE(x.completed, false) AS completed,
+        GREATEST(COALESCE(x.value, 0), 0) AS value
+      FROM jsonb_to_recordset(COALESCE(import_logs, '[]'::jsonb)) AS x(
+        import_key text,
+        log_date date,
+        completed boolean,
+        value integer
+      )
+    ) parsed
+    WHERE habit_id IS NOT NULL
+      AND log_date IS NOT NULL
+      AND log_date <= local_today
+      AND (limit_days IS NULL OR log_date >= local_today - limit_days)
+    ORDER BY habit_id, log_date
+  ),
+  inserted AS (
+    INSERT INTO habit_logs (user_id, habit_id, log_date, completed, value)
+    SELECT uid, habit_id, log_date, completed, value
+    FROM incoming
+    ON CONFLICT (user_id, habit_id, log_date) DO NOTHING
+    RETURNING 1
+  )
+  SELECT count(*) INTO inserted_count FROM inserted;
+
+  FOR affected_habit IN SELECT DISTINCT value::uuid FROM jsonb_each_text(habit_ids) LOOP
+    PERFORM refresh_habit_streaks(affected_habit);
+  END LOOP;
+
+  PERFORM refresh_user_streak(uid);
+  PERFORM set_config('app.bulk_import', 'off', true);
+  PERFORM check_achievements(uid);
+
+  RETURN jsonb_build_object(
+    'habits_created', created_count,
+    'logs_inserted', inserted_count,
+    'logs_skipped', jsonb_array_length(COALESCE(import_logs, '[]'::jsonb)) - inserted_count
+  );
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION import_habit_history(jsonb, jsonb) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION import_habit_history(jsonb, jsonb) TO authenticated;
@@ -0,0 +1,34 @@
+/*
+  # Timetable Entry Validation
+
+  Timetable entries accepted any text for their day and times, so a class
+  could end before it started. Times are 24-hour 'HH:MM' strings, which compare
+  correctly as text.
+
+  ## 1. Modified Tables
+
+  ### `timetable_entries`
+  - `course` must not be blank
+  - `day` must be a full English day name ("Monday" ... "Sunday")
+  - `start_time` and `end_time` must be 'HH:MM', with `end_time` after `start_time`
+
+  The constraints are added NOT VALID so existing rows that break them can
+  still be loaded and fixed through the edit form; new and edited rows are
+  checked.
+*/
+
+ALTER TABLE timetable_entries
+  ADD CONSTRAINT timetable_entries_course_check
+  CHECK (btrim(course) <> '') NOT VALID;
+
+ALTER TABLE timetable_entries
+  ADD CONSTRAINT timetable_entries_day_check
+  CHECK (day IN ('Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday')) NOT VALID;
+
+ALTER TABLE timetable_entries
+  ADD CONSTRAINT timetable_entries_times_check
+  CHECK (
+    start_time ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$'
+    AND end_time ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$'
+    AND end_time > start_time
+  ) NOT VALID;
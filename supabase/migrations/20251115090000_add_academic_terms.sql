@@ -0,0 +1,123 @@
+/*
+  # Academic Terms and Class Details
+
+  Timetable entries repeated every week forever. Terms give classes a date
+  range and days off, and entries gain a week pattern for Week A / Week B
+  rotations plus details shown in the timetable.
+
+  ## 1. New Tables
+
+  ### `academic_terms`
+  - `id` (uuid, primary key) - Unique identifier for each term
+  - `user_id` (uuid, foreign key) - References users table
+  - `name` (text) - Term name, e.g. "Autumn 2025"
+  - `start_date` (date) - First day of teaching
+  - `end_date` (date) - Last day of teaching
+  - `week_a_start` (date, nullable) - A day in the first "Week A"; defaults to
+    `start_date`. Weeks alternate A, B, A, ... from the Monday of that week
+  - `exception_dates` (date[]) - Days with no classes: public holidays,
+    reading week and other breaks
+  - `created_at` (timestamptz) - Creation timestamp
+
+  ## 2. Modified Tables
+
+  ### `timetable_entries`
+  - `term_id` (uuid, nullable) - Term the class belongs to; classes without a
+    term run every week. Deleting a term keeps its classes
+  - `week_pattern` (text) - "every", "A" or "B"; A and B need a term
+  - `location` (text) - Room or building
+  - `instructor` (text) - Lecturer or teacher
+  - `class_type` (text) - e.g. "Lecture", "Lab", "Tutorial"
+  - `color` (text, nullable) - Hex color, e.g. "#3b82f6"
+
+  ## 3. Security
+
+  - RLS on `academic_terms`: users can only read and write their own terms
+  - `academic_terms` is added to the Realtime publication, and its deletes are
+    broadcast with `broadcast_user_delete()`
+*/
+
+CREATE TABLE IF NOT EXISTS academic_terms (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name text NOT NULL CHECK (btrim(name) <> ''),
+  start_date date NOT NULL,
+  end_date date NOT NULL,
+  week_a_start date,
+  exception_dates date[] NOT NULL DEFAULT '{}',
+  created_at timestamptz DEFAULT now(),
+  CHECK (end_date >= start_date)
+);
+
+ALTER TABLE academic_terms ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own terms"
+  ON academic_terms FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own terms"
+  ON academic_terms FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own terms"
+  ON academic_terms FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own terms"
+  ON academic_terms FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_academic_terms_user_id ON academic_terms(user_id);
+
+ALTER TABLE timetable_entries
+  ADD COLUMN IF NOT EXISTS term_id uuid REFERENCES academic_terms(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS week_pattern text NOT NULL DEFAULT 'every' CHECK (week_pattern IN ('every', 'A', 'B')),
+  ADD COLUMN IF NOT EXISTS location text NOT NULL DEFAULT '',
+  ADD COLUMN IF NOT EXISTS instructor text NOT NULL DEFAULT '',
+  ADD COLUMN IF NOT EXISTS class_type text NOT NULL DEFAULT '',
+  ADD COLUMN IF NOT EXISTS color text CHECK (color ~ '^#[0-9a-fA-F]{6}$');
+
+CREATE INDEX IF NOT EXISTS idx_timetable_entries_term_id ON timetable_entries(term_id);
+
+-- A class can only belong to one of its owner's terms.
+CREATE OR REPLACE FUNCTION enforce_timetable_term_owner()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.term_id IS NOT NULL AND NOT EXISTS (
+    SELECT 1 FROM academic_terms WHERE id = NEW.term_id AND user_id = NEW.user_id
+  ) THEN
+    RAISE EXCEPTION 'Term % not found', NEW.term_id
+      USING ERRCODE = 'foreign_key_violation';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS timetable_entries_term_owner ON timetable_entries;
+CREATE TRIGGER timetable_entries_term_owner
+  BEFORE INSERT OR UPDATE OF term_id ON timetable_entries
+  FOR EACH ROW EXECUTE FUNCTION enforce_timetable_term_owner();
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'academic_terms'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE public.academic_terms;
+  END IF;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS academic_terms_broadcast_delete ON academic_terms;
+CREATE TRIGGER academic_terms_broadcast_delete
+  AFTER DELETE ON academic_terms
+  FOR EACH ROW EXECUTE FUNCTION broadcast_user_delete();
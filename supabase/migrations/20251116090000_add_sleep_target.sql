@@ -0,0 +1,21 @@
+/*
+  # Sleep Need Target
+
+  Users can set how many hours of sleep they need a night. Sleep debt is
+  measured against it.
+
+  ## 1. Modified Tables
+
+  ### `users`
+  - `sleep_target_hours` (numeric) - Hours of sleep needed per night, between 4 and 12; defaults to 8
+
+  ## 2. Security
+
+  - `sleep_target_hours` is added to the columns users can update
+*/
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS sleep_target_hours numeric NOT NULL DEFAULT 8
+    CHECK (sleep_target_hours >= 4 AND sleep_target_hours <= 12);
+
+GRANT UPDATE (sleep_target_hours) ON users TO authenticated;
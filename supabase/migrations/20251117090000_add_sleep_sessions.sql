@@ -0,0 +1,320 @@
+/*
+  # Sleep Sessions
+
+  A day could only hold one sleep log, stored as two wall-clock times that
+  were assumed to wrap past midnight. Sleep is now recorded as sessions with
+  real start and end timestamps, so a day can have a main sleep plus naps or
+  a split night.
+
+  ## 1. Modified Tables
+
+  ### `sleep_logs`
+  - `started_at` (timestamptz) - When the user fell asleep
+  - `ended_at` (timestamptz) - When the user woke up; after `started_at` and
+    at most 24 hours later
+  - `is_nap` (boolean) - Whether the session is a nap rather than the main sleep
+  - `log_date`, `bedtime`, `wake_time` and `total_hours` are now derived from
+    the timestamps in the user's time zone
+
+  ### `xp_events`
+  - `log_date` (date, nullable) - For sleep XP, the night it was awarded for.
+    Filled in for existing sleep events from their log, or from the date in
+    their description when the log is gone
+
+  ## 2. Night Attribution
+
+  A session counts toward the day the user woke up on. Waking at 18:00 or
+  later counts toward the next day instead, since that sleep belongs to the
+  coming night. Existing logs are converted with the rule they were entered
+  under: the wake time falls on `log_date` and a bedtime at or after the wake
+  time was the evening before.
+
+  ## 3. Constraints
+
+  - `idx_sleep_logs_unique_date` is dropped; a day can have several sessions
+  - `sleep_logs_no_overlap` rejects sessions that overlap another session of
+    the same user. Back-to-back sessions are allowed
+  - `enforce_log_date_window` lets a sleep session count toward tomorrow, so
+    evening sessions aren't rejected as future dates. Instead, a session can't
+    end in the future
+
+  ## 4. Triggers
+
+  - `assign_sleep_night` fills in the derived columns. Rows written by older
+    clients without timestamps get them from `log_date`, `bedtime` and `wake_time`
+  - Logging sleep awards XP once per day rather than once per session, and
+    deleting the last session of a day takes that XP back. Editing a session
+    so it moves to another day does both: the day it left loses its XP if no
+    sessions remain, and the day it joined gains XP if it had none
+  - `record_xp_event` takes the night as an optional last argument, and
+    `reverse_xp_award` copies it onto the reversal
+*/
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+ALTER TABLE sleep_logs
+  ADD COLUMN IF NOT EXISTS started_at timestamptz,
+  ADD COLUMN IF NOT EXISTS ended_at timestamptz,
+  ADD COLUMN IF NOT EXISTS is_nap boolean NOT NULL DEFAULT false;
+
+-- Converting old logs mustn't trip the edit window on days users have locked.
+ALTER TABLE sleep_logs DISABLE TRIGGER sleep_logs_date_window;
+
+UPDATE sleep_logs s
+SET ended_at = (s.log_date + s.wake_time::time) AT TIME ZONE COALESCE(u.timezone, 'UTC'),
+    started_at = (
+      CASE WHEN s.bedtime::time >= s.wake_time::time THEN s.log_date - 1 ELSE s.log_date END
+      + s.bedtime::time
+    ) AT TIME ZONE COALESCE(u.timezone, 'UTC')
+FROM users u
+WHERE u.id = s.user_id AND s.started_at IS NULL;
+
+-- A night that started before the previous morning's wake time can't be
+-- stored alongside it, so it's trimmed to start when the previous one ended.
+UPDATE sleep_logs s
+SET started_at = previous.prev_end
+FROM (
+  SELECT id, lag(ended_at) OVER (PARTITION BY user_id ORDER BY ended_at) AS prev_end
+  FROM sleep_logs
+) previous
+WHERE previous.id = s.id
+  AND previous.prev_end > s.started_at
+  AND previous.prev_end < s.ended_at;
+
+ALTER TABLE sleep_logs ENABLE TRIGGER sleep_logs_date_window;
+
+ALTER TABLE sleep_logs
+  ALTER COLUMN started_at SET NOT NULL,
+  ALTER COLUMN ended_at SET NOT NULL;
+
+DROP INDEX IF EXISTS idx_sleep_logs_unique_date;
+
+ALTER TABLE sleep_logs DROP CONSTRAINT IF EXISTS sleep_logs_valid_span;
+ALTER TABLE sleep_logs
+  ADD CONSTRAINT sleep_logs_valid_span
+  CHECK (ended_at > started_at AND ended_at - started_at <= interval '24 hours');
+
+ALTER TABLE sleep_logs DROP CONSTRAINT IF EXISTS sleep_logs_no_overlap;
+ALTER TABLE sleep_logs
+  ADD CONSTRAINT sleep_logs_no_overlap
+  EXCLUDE USING gist (user_id WITH =, tstzrange(started_at, ended_at) WITH &&);
+
+CREATE OR REPLACE FUNCTION assign_sleep_night()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  tz text;
+BEGIN
+  SELECT timezone INTO tz FROM users WHERE id = NEW.user_id;
+  tz := COALESCE(tz, 'UTC');
+
+  IF NEW.started_at IS NULL OR NEW.ended_at IS NULL THEN
+    NEW.ended_at := (NEW.log_date + NEW.wake_time::time) AT TIME ZONE tz;
+    NEW.started_at := (
+      CASE WHEN NEW.bedtime::time >= NEW.wake_time::time THEN NEW.log_date - 1 ELSE NEW.log_date END
+      + NEW.bedtime::time
+    ) AT TIME ZONE tz;
+  END IF;
+
+  NEW.log_date := ((NEW.ended_at AT TIME ZONE tz) + interval '6 hours')::date;
+  NEW.bedtime := to_char(NEW.started_at AT TIME ZONE tz, 'HH24:MI');
+  NEW.wake_time := to_char(NEW.ended_at AT TIME ZONE tz, 'HH24:MI');
+  NEW.total_hours := round(extract(epoch FROM NEW.ended_at - NEW.started_at) / 3600, 2);
+
+  RETURN NEW;
+END;
+$$;
+
+-- BEFORE triggers fire in name order, so the date window check sees the
+-- derived log_date.
+DROP TRIGGER IF EXISTS sleep_logs_assign_night ON sleep_logs;
+CREATE TRIGGER sleep_logs_assign_night
+  BEFORE INSERT OR UPDATE ON sleep_logs
+  FOR EACH ROW EXECUTE FUNCTION assign_sleep_night();
+
+CREATE OR REPLACE FUNCTION enforce_log_date_window()
+RETURNS trigger
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  limit_days integer;
+  local_today date := user_local_date(NEW.user_id);
+  checked_date date := NEW.log_date;
+BEGIN
+  IF TG_TABLE_NAME = 'sleep_logs' THEN
+    IF NEW.ended_at > now() THEN
+      RAISE EXCEPTION 'Cannot log sleep that has not ended yet'
+        USING ERRCODE = 'check_violation';
+    END IF;
+    checked_date := LEAST(NEW.log_date, local_today);
+  END IF;
+
+  IF checked_date > local_today THEN
+    RAISE EXCEPTION 'Cannot log a future date (%)', NEW.log_date
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  SELECT backfill_limit_days INTO limit_days
+  FROM users
+  WHERE id = NEW.user_id;
+
+  IF limit_days IS NOT NULL AND checked_date < local_today - limit_days THEN
+    RAISE EXCEPTION 'Logs older than % days cannot be edited', limit_days
+      USING ERRCODE = 'check_violation';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+ALTER TABLE xp_events ADD COLUMN IF NOT EXISTS log_date date;
+
+UPDATE xp_events e
+SET log_date = s.log_date
+FROM sleep_logs s
+WHERE e.source = 'sleep_log' AND e.source_id = s.id AND e.log_date IS NULL;
+
+UPDATE xp_events
+SET log_date = substring(description FROM '\((\d{4}-\d{2}-\d{2})\)')::date
+WHERE source = 'sleep_log' AND log_date IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_xp_events_sleep_night
+  ON xp_events(user_id, log_date)
+  WHERE source = 'sleep_log';
+
+DROP FUNCTION IF EXISTS record_xp_event(uuid, integer, text, uuid, uuid, text, uuid);
+
+CREATE OR REPLACE FUNCTION record_xp_event(
+  target_user_id uuid,
+  xp_amount integer,
+  event_source text,
+  event_source_id uuid DEFAULT NULL,
+  event_habit_id uuid DEFAULT NULL,
+  event_description text DEFAULT '',
+  event_reverses_id uuid DEFAULT NULL,
+  event_log_date date DEFAULT NULL
+)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  INSERT INTO xp_events (user_id, amount, source, source_id, habit_id, description, reverses_id, log_date)
+  VALUES (target_user_id, xp_amount, event_source, event_source_id, event_habit_id, event_description, event_reverses_id, event_log_date);
+
+  UPDATE users
+  SET xp = GREATEST(xp + xp_amount, 0),
+      level = GREATEST(xp + xp_amount, 0) / 200 + 1,
+      updated_at = now()
+  WHERE id = target_user_id;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION reverse_xp_award(event_source text, event_source_id uuid, event_description text)
+RETURNS void
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  award xp_events;
+BEGIN
+  UPDATE xp_events
+  SET reversed_at = now()
+  WHERE source = event_source
+    AND source_id = event_source_id
+    AND amount > 0
+    AND reverses_id IS NULL
+    AND reversed_at IS NULL
+  RETURNING * INTO award;
+
+  -- Nothing to take back when the whole account is being deleted, and the
+  -- habit is left out if it is being deleted along with its logs.
+  IF FOUND AND EXISTS (SELECT 1 FROM users WHERE id = award.user_id) THEN
+    PERFORM record_xp_event(
+      award.user_id, -award.amount, award.source, award.source_id,
+      (SELECT id FROM habits WHERE id = award.habit_id), event_description, award.id, award.log_date
+    );
+  END IF;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_xp_event(uuid, integer, text, uuid, uuid, text, uuid, date) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reverse_xp_award(text, uuid, text) FROM PUBLIC, anon, authenticated;
+
+CREATE OR REPLACE FUNCTION handle_sleep_log_change()
+RETURNS trigger
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  award_id uuid;
+  remaining_id uuid;
+BEGIN
+  IF TG_OP = 'UPDATE' AND NEW.user_id = OLD.user_id AND NEW.log_date = OLD.log_date THEN
+    RETURN NULL;
+  END IF;
+
+  -- The night the session left keeps its XP while it has other sessions,
+  -- moved onto one of them if this session was the one it was awarded for.
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    SELECT id INTO remaining_id FROM sleep_logs
+    WHERE user_id = OLD.user_id AND log_date = OLD.log_date AND id <> OLD.id
+    ORDER BY started_at
+    LIMIT 1;
+
+    IF remaining_id IS NOT NULL THEN
+      UPDATE xp_events
+      SET source_id = remaining_id
+      WHERE source = 'sleep_log'
+        AND source_id = OLD.id
+        AND amount > 0
+        AND reverses_id IS NULL
+        AND reversed_at IS NULL;
+    ELSE
+      FOR award_id IN
+        SELECT source_id FROM xp_events
+        WHERE user_id = OLD.user_id
+          AND source = 'sleep_log'
+          AND log_date = OLD.log_date
+          AND amount > 0
+          AND reverses_id IS NULL
+          AND reversed_at IS NULL
+      LOOP
+        PERFORM reverse_xp_award('sleep_log', award_id, format('Removed sleep (%s)', OLD.log_date));
+      END LOOP;
+    END IF;
+  END IF;
+
+  IF TG_OP IN ('INSERT', 'UPDATE') AND NOT EXISTS (
+    SELECT 1 FROM xp_events
+    WHERE user_id = NEW.user_id
+      AND source = 'sleep_log'
+      AND log_date = NEW.log_date
+      AND amount > 0
+      AND reverses_id IS NULL
+      AND reversed_at IS NULL
+  ) THEN
+    PERFORM record_xp_event(
+      NEW.user_id, 10, 'sleep_log', NEW.id, NULL,
+      format('Logged sleep (%s)', NEW.log_date), NULL, NEW.log_date
+    );
+  END IF;
+
+  RETURN NULL;
+END;
+$$;
+
+-- log_date is derived by a BEFORE trigger, so `UPDATE OF log_date` would miss
+-- edits to the timestamps; the function skips updates that keep the night.
+DROP TRIGGER IF EXISTS sleep_logs_progress ON sleep_logs;
+CREATE TRIGGER sleep_logs_progress
+  AFTER INSERT OR UPDATE OR DELETE ON sleep_logs
+  FOR EACH ROW EXECUTE FUNCTION handle_sleep_log_change();
+
+DROP FUNCTION IF EXISTS handle_sleep_log_insert();
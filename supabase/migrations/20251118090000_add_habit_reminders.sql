@@ -0,0 +1,117 @@
+/*
+  # Habit Reminders
+
+  Reminders used to be a single hourly nudge that only showed while the app
+  was open. Each habit now has its own reminder times, users set quiet hours,
+  and reminders are delivered with Web Push by the `send-reminders` Edge
+  Function so they arrive when the app is closed.
+
+  ## 1. Modified Tables
+
+  ### `habits`
+  - `reminder_times` (text[]) - Times of day to send a reminder, as 'HH:MM'
+    in the user's time zone; at most 10
+
+  ### `users`
+  - `quiet_hours_start` (text, nullable) - 'HH:MM' when quiet hours begin
+  - `quiet_hours_end` (text, nullable) - 'HH:MM' when they end; may be earlier
+    than the start to wrap past midnight. Both null means no quiet hours.
+    Defaults to 22:00-09:00, the hours the old reminder already stayed out of
+
+  ## 2. New Tables
+
+  ### `push_subscriptions`
+  - `id` (uuid, primary key) - Unique identifier
+  - `user_id` (uuid, foreign key) - References users table
+  - `endpoint` (text, unique) - Push service URL for one browser
+  - `p256dh` (text) - Public key used to encrypt payloads
+  - `auth` (text) - Auth secret used to encrypt payloads
+  - `created_at` (timestamptz) - When the device subscribed
+
+  ### `reminder_deliveries`
+  - `habit_id` (uuid, foreign key) - References habits table
+  - `user_id` (uuid, foreign key) - References users table
+  - `reminder_date` (date) - Local day of the reminder
+  - `reminder_time` (text) - 'HH:MM' of the reminder
+  - `sent_at` (timestamptz) - When it was sent
+  Its primary key makes sure overlapping function runs send a reminder once.
+
+  ## 3. Security
+
+  - `reminder_times` and the quiet hours are added to the columns users can write
+  - RLS on `push_subscriptions`: users can read, add and remove their own
+  - RLS on `reminder_deliveries`: users can read their own; only the Edge
+    Function, using the service role, writes to it
+*/
+
+ALTER TABLE habits
+  ADD COLUMN IF NOT EXISTS reminder_times text[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE habits DROP CONSTRAINT IF EXISTS habits_valid_reminder_times;
+ALTER TABLE habits
+  ADD CONSTRAINT habits_valid_reminder_times
+  CHECK (
+    cardinality(reminder_times) <= 10 AND
+    array_to_string(reminder_times, ',') ~ '^(([01][0-9]|2[0-3]):[0-5][0-9](,|$))*$'
+  );
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS quiet_hours_start text DEFAULT '22:00'
+    CHECK (quiet_hours_start ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$'),
+  ADD COLUMN IF NOT EXISTS quiet_hours_end text DEFAULT '09:00'
+    CHECK (quiet_hours_end ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$');
+
+GRANT INSERT (reminder_times), UPDATE (reminder_times) ON habits TO authenticated;
+GRANT UPDATE (quiet_hours_start, quiet_hours_end) ON users TO authenticated;
+
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  endpoint text NOT NULL UNIQUE,
+  p256dh text NOT NULL,
+  auth text NOT NULL,
+  created_at timestamptz DEFAULT now()
+);
+
+ALTER TABLE push_subscriptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own push subscriptions"
+  ON push_subscriptions FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert own push subscriptions"
+  ON push_subscriptions FOR INSERT
+  TO authenticated
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can update own push subscriptions"
+  ON push_subscriptions FOR UPDATE
+  TO authenticated
+  USING (auth.uid() = user_id)
+  WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete own push subscriptions"
+  ON push_subscriptions FOR DELETE
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user_id ON push_subscriptions(user_id);
+
+CREATE TABLE IF NOT EXISTS reminder_deliveries (
+  habit_id uuid NOT NULL REFERENCES habits(id) ON DELETE CASCADE,
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reminder_date date NOT NULL,
+  reminder_time text NOT NULL,
+  sent_at timestamptz NOT NULL DEFAULT now(),
+  PRIMARY KEY (habit_id, reminder_date, reminder_time)
+);
+
+ALTER TABLE reminder_deliveries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own reminder deliveries"
+  ON reminder_deliveries FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE INDEX IF NOT EXISTS idx_reminder_deliveries_user_sent ON reminder_deliveries(user_id, sent_at);
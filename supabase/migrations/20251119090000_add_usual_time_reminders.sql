@@ -0,0 +1,51 @@
+/*
+  # Reminders Around Classes and Routines
+
+  Reminders are now held until the end of any class on the timetable, and a
+  habit can be reminded just before the time the user usually does it. That
+  time is learnt from when past logs were completed.
+
+  ## 1. Modified Tables
+
+  ### `habits`
+  - `remind_at_usual_time` (boolean) - Send a reminder 15 minutes before the
+    habit usually gets done, once there are enough logs to tell
+
+  ### `habit_logs`
+  - `completed_at` (timestamptz, nullable) - When the log last became
+    complete, sent by the app with each write so changes queued offline keep
+    the time they were made. Null while incomplete. Existing complete logs
+    start from `created_at`
+
+  ### `reminder_deliveries`
+  - `reminder_time` also holds 'usual' for the learnt reminder, whose time
+    can shift during the day
+
+  ## 2. Security
+
+  - `remind_at_usual_time` is added to the columns users can write
+*/
+
+ALTER TABLE habits
+  ADD COLUMN IF NOT EXISTS remind_at_usual_time boolean NOT NULL DEFAULT false;
+
+GRANT INSERT (remind_at_usual_time), UPDATE (remind_at_usual_time) ON habits TO authenticated;
+
+ALTER TABLE habit_logs
+  ADD COLUMN IF NOT EXISTS completed_at timestamptz;
+
+-- Filling in old logs mustn't trip the edit window or re-run progress.
+ALTER TABLE habit_logs DISABLE TRIGGER habit_logs_date_window;
+ALTER TABLE habit_logs DISABLE TRIGGER habit_logs_progress;
+ALTER TABLE habit_logs DISABLE TRIGGER habit_logs_unlock_achievements;
+
+UPDATE habit_logs l
+SET completed_at = l.created_at
+FROM habits h
+WHERE h.id = l.habit_id
+  AND l.completed_at IS NULL
+  AND habit_log_is_complete(h, l);
+
+ALTER TABLE habit_logs ENABLE TRIGGER habit_logs_date_window;
+ALTER TABLE habit_logs ENABLE TRIGGER habit_logs_progress;
+ALTER TABLE habit_logs ENABLE TRIGGER habit_logs_unlock_achievements;
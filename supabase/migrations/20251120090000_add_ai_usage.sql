@@ -0,0 +1,78 @@
+/*
+  # AI Proxy Quotas and Cache
+
+  AI requests now go through the `ai` Edge Function, which keeps the
+  provider key on the server. These tables let it cap how many requests each
+  user makes a day and answer repeated requests without calling the model.
+
+  ## 1. New Tables
+
+  ### `ai_usage`
+  - `user_id` (uuid, foreign key) - References users table
+  - `usage_date` (date) - Day in the user's time zone
+  - `requests` (integer) - Model calls made that day; cached answers don't count
+
+  ### `ai_cache`
+  - `user_id` (uuid, foreign key) - References users table
+  - `cache_key` (text) - Hash of the provider, model, task and prompt
+  - `response` (jsonb) - The structured response that was returned
+  - `created_at` (timestamptz) - When it was stored
+  - `expires_at` (timestamptz) - When it stops being served
+
+  ## 2. Functions
+
+  - `consume_ai_quota(user_id, usage_date, daily_limit)` counts one request
+    and returns the new total, or null once the limit is reached. The check
+    and the increment are one statement, so parallel requests can't overshoot
+
+  ## 3. Security
+
+  - RLS on `ai_usage`: users can read their own usage
+  - RLS on `ai_cache` with no policies; only the Edge Function reads and
+    writes it, using the service role
+  - `consume_ai_quota` can only be called with the service role
+*/
+
+CREATE TABLE IF NOT EXISTS ai_usage (
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  usage_date date NOT NULL,
+  requests integer NOT NULL DEFAULT 0 CHECK (requests >= 0),
+  PRIMARY KEY (user_id, usage_date)
+);
+
+ALTER TABLE ai_usage ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own AI usage"
+  ON ai_usage FOR SELECT
+  TO authenticated
+  USING (auth.uid() = user_id);
+
+CREATE TABLE IF NOT EXISTS ai_cache (
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  cache_key text NOT NULL,
+  response jsonb NOT NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  expires_at timestamptz NOT NULL,
+  PRIMARY KEY (user_id, cache_key)
+);
+
+ALTER TABLE ai_cache ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_ai_cache_expires_at ON ai_cache(expires_at);
+
+CREATE OR REPLACE FUNCTION consume_ai_quota(p_user_id uuid, p_usage_date date, p_daily_limit integer)
+RETURNS integer
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  INSERT INTO ai_usage AS usage (user_id, usage_date, requests)
+  VALUES (p_user_id, p_usage_date, 1)
+  ON CONFLICT (user_id, usage_date)
+  DO UPDATE SET requests = usage.requests + 1
+  WHERE usage.requests < p_daily_limit
+  RETURNING requests;
+$$;
+
+REVOKE ALL ON FUNCTION consume_ai_quota(uuid, date, integer) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION consume_ai_quota(uuid, date, integer) TO service_role;